@@ -0,0 +1,10 @@
+import React from "react";
+import { describeDdsMessage } from "../navigation/dds";
+
+// last DDS frame a receiver demodulated from each DDS master: the decoded message, or why Reed-Solomon/CRC rejected it
+export default function DdsDecodes({ decodes }) {
+  if (!decodes) return null;
+  return Object.entries(decodes).map(([from, d]) => (
+    <div key={from} className="text-xs text-gray-600" title={`SNR ${d.snrDb.toFixed(1)} dB, ${d.bitErrors} channel bit errors`}>DDS {from} #{d.seq}: {d.decoded ? describeDdsMessage(d.decoded) : (d.corrected === null ? 'uncorrectable' : 'CRC fail')}{d.corrected ? ` (${d.corrected} sym corrected)` : ''}</div>
+  ));
+}
@@ -0,0 +1,52 @@
+import React from "react";
+
+// Differential eLoran card of the eLoran simulator: the reference-station correction settings, each reference
+// station's latest measurements and the residual range error against distance to the nearest reference
+export default function DloranPanel({ config, onConfigChange, refStations, corrections, queuedCount, residuals }) {
+  return (
+    <div className="p-3 bg-white/80 rounded-lg shadow-sm border">
+      <div className="flex items-center justify-between">
+        <h4 className="font-semibold">Differential eLoran</h4>
+        <div className="text-xs text-gray-500">Reference stations · DDS corrections</div>
+      </div>
+      <div className="mt-2 flex flex-col gap-2">
+        <label className="inline-flex items-center text-sm"><input type="checkbox" checked={config.enabled} onChange={(e)=>onConfigChange(prev => ({ ...prev, enabled: e.target.checked }))} className="mr-2"/>Apply reference-station corrections</label>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <label>Interval (s): <input type="number" min="5" step="5" value={config.intervalSec} onChange={(e)=>onConfigChange(prev => ({ ...prev, intervalSec: Math.max(5, parseInt(e.target.value) || 5) }))} className="w-14 px-1 border rounded" /></label>
+          <label>Max age (s): <input type="number" min="10" step="10" value={config.maxAgeSec} onChange={(e)=>onConfigChange(prev => ({ ...prev, maxAgeSec: Math.max(10, parseFloat(e.target.value) || 10) }))} className="w-14 px-1 border rounded" /></label>
+          <label>Decorrelation (m/km): <input type="number" min="0" step="0.01" value={config.spatialGradientMPerKm} onChange={(e)=>onConfigChange(prev => ({ ...prev, spatialGradientMPerKm: Math.max(0, parseFloat(e.target.value) || 0) }))} className="w-14 px-1 border rounded" /></label>
+          <label>Aging (m/s): <input type="number" min="0" step="0.01" value={config.ageRateMps} onChange={(e)=>onConfigChange(prev => ({ ...prev, ageRateMps: Math.max(0, parseFloat(e.target.value) || 0) }))} className="w-14 px-1 border rounded" /></label>
+        </div>
+        {refStations.map(ref => (
+          <div key={ref.label} className="text-xs border rounded px-1">
+            <div className="font-medium">{ref.label} {ref.lat.toFixed(4)},{ref.lng.toFixed(4)}</div>
+            <div className="text-gray-600">{corrections[ref.label] ? Object.values(corrections[ref.label]).map(c => `${c.station} ${c.correctionMeters.toFixed(1)} m`).join(' · ') : `first measurement at the next ${config.intervalSec} s epoch`}</div>
+          </div>
+        ))}
+        {refStations.length > 0 && <div className="text-xs text-gray-600">{queuedCount} correction(s) queued for DDS DIFF slots</div>}
+        {(() => {
+          // residual ranging error after correction vs distance to the nearest reference (gray: static correction)
+          if (residuals.length === 0) return null;
+          const maxD = Math.max(1, ...residuals.map(r => r.distanceKm)) * 1.05;
+          const maxR = Math.max(1, ...residuals.map(r => Math.max(Math.abs(r.residualMeters), Math.abs(r.staticMeters)))) * 1.05;
+          const sx = (v) => 20 + (v / maxD) * 175, sy = (v) => 115 - (Math.abs(v) / maxR) * 105;
+          const rms = Math.sqrt(residuals.reduce((a, r) => a + r.residualMeters ** 2, 0) / residuals.length);
+          return (
+            <div className="text-xs">
+              <div>Residual range error vs distance to reference (RMS {rms.toFixed(1)} m):</div>
+              <svg width="100%" viewBox="0 0 200 130" className="border mt-1 bg-white">
+                <line x1={sx(0)} y1={sy(0)} x2={sx(maxD)} y2={sy(0)} stroke="#374151" strokeWidth="0.7" />
+                <line x1={sx(0)} y1={sy(0)} x2={sx(0)} y2={sy(maxR)} stroke="#374151" strokeWidth="0.7" />
+                {residuals.map((r, i) => (<circle key={`s${i}`} cx={sx(r.distanceKm)} cy={sy(r.staticMeters)} r="1.5" fill="#9ca3af" />))}
+                {residuals.map((r, i) => (<circle key={`d${i}`} cx={sx(r.distanceKm)} cy={sy(r.residualMeters)} r="2" fill="#db2777"><title>{`${r.receiver}/${r.station}: ${r.residualMeters.toFixed(1)} m at ${r.distanceKm.toFixed(0)} km, age ${r.ageSec.toFixed(0)} s`}</title></circle>))}
+                <text x={sx(maxD)} y="127" fontSize="7" textAnchor="end">distance (km), max {maxD.toFixed(0)}</text>
+                <text x="4" y="10" fontSize="7">|residual| (m), max {maxR.toFixed(1)}</text>
+              </svg>
+            </div>
+          );
+        })()}
+        <div className="text-xs text-gray-500">Reference stations measure each station's TOA error (ASF, timing, drift) every interval; corrections go out in the masters' DDS DIFF messages and receivers that decode them weight them by distance and age.</div>
+      </div>
+    </div>
+  );
+}
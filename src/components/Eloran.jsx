@@ -4,6 +4,52 @@ import maplibregl from "maplibre-gl";
 import "maplibre-gl/dist/maplibre-gl.css";
 import proj4 from "proj4";
 import Papa from "papaparse";
+import {
+  SPEED_OF_LIGHT,
+  geodesicDistance,
+  setRngSeed,
+  random,
+  gaussianNoise,
+  stationDiffCorrectionMeters,
+  computeArrivalSec,
+  computeArrivalSecNoDiff,
+  pairConstantSec,
+  stationSpatialAsfMeters,
+  solvePositionFromTDOA,
+  simulateClockTick,
+  solvePositionFromTOA,
+} from "../navigation/positioning";
+import { selectStations, solvePositionClockFromTDOA, stationSnrDb } from "../navigation/allInView";
+import { DEFAULT_DLORAN, measureReferenceCorrections, combineCorrections, observedRangeErrorMeters } from "../navigation/dloran";
+import { DEFAULT_LEAP_SECONDS, DDS_FLAGS, EUROFIX, encodeDdsFrame, ppmGroupOffsetsUs, receiveDdsFrame, decodeDdsFrame, channelBitErrors } from "../navigation/dds";
+import { DEFAULT_RAIM, raimFde } from "../navigation/raim";
+import { DEFAULT_INTEGRITY, STANFORD_REGIONS, protectionLevel, stanfordSummary } from "../navigation/integrity";
+import { trajectoryFromWaypoints, retimeTrajectory, parseTrack, trajectoryStateAt } from "../navigation/trajectory";
+import { createEkf, ekfPredict, ekfUpdate, ekfUpdatePosition, ekfSolution, covarianceEllipseRing } from "../navigation/ekf";
+import { DEFAULT_GNSS_CONFIG, GNSS_WINDOW_TYPES, DEFAULT_CONSISTENCY_PFA, activeGnssWindow, gnssStatusAt, spoofingOffset, simulateGnssFix, fuseFixesInformation, gnssConsistencyTest, zoneRing } from "../navigation/gnss";
+import { GROUND_PRESETS, createAsfModelFunction } from "../navigation/asfModel";
+import { DEFAULT_TEMPORAL_ASF, temporalAsfMeters } from "../navigation/asfTemporal";
+import { groupLengthSec, synthesizeWaveform, waveformMinMax, phaseCode } from "../navigation/loranPulse";
+import { gridHdop, hdopColor } from "../navigation/dop";
+import HdopLegend from "./HdopLegend";
+import DdsDecodes from "./DdsDecodes";
+import DloranPanel from "./DloranPanel";
+import MonteCarloPanel from "./MonteCarloPanel";
+import ScenarioPanel from "./ScenarioPanel";
+import SchedulePanel from "./SchedulePanel";
+import SimClockControls from "./SimClockControls";
+import StationClocksPanel from "./StationClocksPanel";
+import TimingPanel from "./TimingPanel";
+import { DEFAULT_NOISE, DEFAULT_POWER_KW, NOISE_REGIONS, SEASONS, coverageCountAt, atmosphericNoiseDbuV } from "../navigation/fieldStrength";
+import { DEFAULT_SKYWAVE, skywaveFor, skywaveTrackingErrorSec } from "../navigation/skywave";
+import { CYCLE_SEC, addBandLimitedNoise, measureGroupToa, cycleSlip } from "../navigation/receiverDsp";
+import { CLOCK_TYPES, allanDeviation, clockModelOf, clockPhaseSeries, modelAllanDeviation } from "../navigation/clockModel";
+import { DEFAULT_CAMPAIGN, campaignCsv, gridTestPoints } from "../navigation/monteCarlo";
+import { DEFAULT_DEGRADED_DB, blinkPulseGains, stationStateAt, transmittedStation, usableStation } from "../navigation/stationSchedule";
+import { eventsAt, sortEvents, stationWithAsfSteps } from "../navigation/scenario";
+import { createSimEngine } from "../navigation/simEngine";
+import { DEFAULT_TIMING, clockOffsetFromToas, createTimeFilter, timeFilterStep } from "../navigation/timing";
+import { parseAsfGrid, createAsfGridFunction, sampleAsfGridBatch, gridFromRaster, asfGridToCsv, asfGridToEsriAscii } from "../navigation/asfRaster";
 
 /*
   e-Loran Simulator component
@@ -14,97 +60,17 @@ import Papa from "papaparse";
 */
 
 // physical constants
-const C = { c: 299792458 };
+const C = { c: SPEED_OF_LIGHT };
 const TILE_URL_TEMPLATE = import.meta.env.VITE_TILE_URL_TEMPLATE || "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
 const DEFAULT_FREQ = 100000; // 100 kHz
 
-// small helpers (reused/adapted from original)
-function haversine(a, b) {
-  const R = 6371000;
-  const toRad = (d) => d * Math.PI / 180;
-  const dLat = toRad(b.lat - a.lat);
-  const dLon = toRad(b.lng - a.lng);
-  const lat1 = toRad(a.lat);
-  const lat2 = toRad(b.lat);
-  const h = Math.sin(dLat/2)**2 + Math.cos(lat1)*Math.cos(lat2)*Math.sin(dLon/2)**2;
-  return 2 * R * Math.asin(Math.sqrt(h));
-}
-// module-level RNG (seedable) - default to Math.random
-let _rng = Math.random;
-function mulberry32(a) {
-  return function() {
-    var t = a += 0x6D2B79F5;
-    t = Math.imul(t ^ t >>> 15, t | 1);
-    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-    return ((t ^ t >>> 14) >>> 0) / 4294967296;
-  }
-}
-function setRngSeed(seed) {
-  if (typeof seed === 'number' && !Number.isNaN(seed)) _rng = mulberry32(seed >>> 0);
-  else _rng = Math.random;
-}
-function gaussianNoise(stdDev) {
-  // Box-Muller using module RNG
-  let u = 0, v = 0;
-  while (u === 0) u = _rng();
-  while (v === 0) v = _rng();
-  return stdDev * Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-}
-
-// small clock simulation: bias (s) + drift (s/s)
-function simulateClockTick(clock, tSec) {
-  // clock = { type: 'local'|'gps'|'cesium', biasSec, driftPerSec }
-  // returns effective offset at time tSec
-  return (clock.biasSec || 0) + (clock.driftPerSec || 0) * tSec;
-}
-
-// compute per-path arrival time (seconds) for a station to a point (lat,lng)
-function computeArrivalSec(station, lat, lng, simTimeSec) {
-  // station may be master or slave; fields: lat,lng, clock, offsetSec, asfMap, diffCorrections
-  const dist = haversine({ lat: station.lat, lng: station.lng }, { lat, lng });
-  const geoDelay = dist / C.c;
-  const clockOffset = simulateClockTick(station.clock || { biasSec: 0, driftPerSec: 0 }, simTimeSec) || 0;
-  const offsetSec = station.offsetSec || 0;
-  let asfMeters = 0;
-  if (station.asfMap && typeof station.asfMap === 'function') {
-    try { asfMeters = station.asfMap(lat, lng) || 0; } catch (e) { asfMeters = 0; }
-  }
-  let diffCorrMeters = 0;
-  if (station.diffCorrections && station.diffCorrections.enabled) diffCorrMeters = (station.diffCorrections.avgMeters || 0);
-  return geoDelay + offsetSec + clockOffset + (asfMeters - diffCorrMeters) / C.c;
-}
-
-// compute arrival ignoring diffCorrections (used for calibration)
-function computeArrivalSecNoDiff(station, lat, lng, simTimeSec) {
-  const dist = haversine({ lat: station.lat, lng: station.lng }, { lat, lng });
-  const geoDelay = dist / C.c;
-  const clockOffset = simulateClockTick(station.clock || { biasSec: 0, driftPerSec: 0 }, simTimeSec) || 0;
-  const offsetSec = station.offsetSec || 0;
-  let asfMeters = 0;
-  if (station.asfMap && typeof station.asfMap === 'function') {
-    try { asfMeters = station.asfMap(lat, lng) || 0; } catch (e) { asfMeters = 0; }
-  }
-  return geoDelay + offsetSec + clockOffset + (asfMeters) / C.c;
-}
-
-// build ASF function safely from user input (returns function(lat,lng) -> number)
+// build ASF function safely from user input (returns function(lat,lng,t) -> number, t = sim time in s)
 function createAsfFunctionFromText(code) {
   // Wrap in try/catch by caller; here just construct the function object
-  // eslint-disable-next-line no-new-func
-  const fn = new Function('lat','lng', code);
+  const fn = new Function('lat','lng','t', code);
   return fn;
 }
 
-// integrity evaluator: compute simple protection level (very simplified)
-function computeProtectionLevel(errorsMeters) {
-  // Use 95% CI approximation: PL = 2 * RMS
-  if (!errorsMeters || errorsMeters.length === 0) return 0;
-  const mean = errorsMeters.reduce((a,b) => a + b, 0) / errorsMeters.length;
-  const sq = errorsMeters.reduce((a,b) => a + (b-mean)*(b-mean), 0) / Math.max(1, errorsMeters.length-1);
-  const rms = Math.sqrt(sq + mean*mean);
-  return 2 * rms;
-}
-
 export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE }) {
   const mapContainer = useRef(null);
   const mapRef = useRef(null);
@@ -112,7 +78,14 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
   // stations: masters (with additional e-Loran fields), slaves, receivers
   const [masters, setMasters] = useState([]); // {lat,lng, txDbm, gri, label, clock: {type,biasSec,driftPerSec}, ddsEnabled, asfMap, diffCorrections}
   const [slaves, setSlaves] = useState([]); // similar to Loran-C slaves
-  const [receivers, setReceivers] = useState([]); // {lat,lng,label, fuseMode: 'eLoran'|'GNSS'|'fusion'}
+  const [receivers, setReceivers] = useState([]); // {lat,lng,label, fuseMode: 'eLoran'|'GNSS'|'fusion', solverMode: 'reference'|'allInView', clockStates: 3|4, clock, waypoints, trajectory}
+  // receivers as the sim ticks read them: every change goes through updateReceivers, which writes the ref at once, so
+  // the ticks of one engine batch see each other's moves and fixes before React renders them
+  const receiversRef = useRef([]);
+  function updateReceivers(update) {
+    receiversRef.current = update(receiversRef.current);
+    setReceivers(receiversRef.current);
+  }
   const [mode, setMode] = useState('add-master');
   const modeRef = useRef(mode);
   const markers = useRef({});
@@ -126,15 +99,71 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
   const [logEvents, setLogEvents] = useState([]); // DDS logs, integrity events
   const [enableDDSGlobal, setEnableDDSGlobal] = useState(true);
   const [enableIntegrityChecks, setEnableIntegrityChecks] = useState(true);
-  const [integrityThresholdMeters, setIntegrityThresholdMeters] = useState(50); // simple user threshold
+  const [integrityThresholdMeters, setIntegrityThresholdMeters] = useState(DEFAULT_INTEGRITY.halMeters); // horizontal alert limit (HAL)
+  // protection levels: integrity risk (K-factor), fault-free bias bound; the continuity budget is the RAIM Pfa
+  const [integrityRisk, setIntegrityRisk] = useState(DEFAULT_INTEGRITY.integrityRisk);
+  const [continuityRisk, setContinuityRisk] = useState(DEFAULT_INTEGRITY.continuityRisk);
+  const [plBiasMeters, setPlBiasMeters] = useState(DEFAULT_INTEGRITY.biasMeters);
+  const integrityOpts = { integrityRisk, biasMeters: plBiasMeters };
   const [timeSinceStart, setTimeSinceStart] = useState(0); // simulation time (s)
   const simTimeRef = useRef(0);
   const [asfText, setAsfText] = useState('return 0;');
   const [asfTarget, setAsfTarget] = useState('');
+  const [asfSource, setAsfSource] = useState('code'); // 'code' (user JS) | 'model' (SPF + Millington) | 'grid' (imported file)
+  const [asfBackground, setAsfBackground] = useState('seawater'); // GROUND_PRESETS key outside all zones
+  const [asfZonesText, setAsfZonesText] = useState('[]'); // JSON: [{ name, sigma, epsr, polygon: [[lng,lat],...] }]
+  const [asfIncludeSpf, setAsfIncludeSpf] = useState(false);
+  const [asfTemporalDraft, setAsfTemporalDraft] = useState(DEFAULT_TEMPORAL_ASF); // seasonal/diurnal/random-walk/weather terms
   const [contourUnit, setContourUnit] = useState('meters'); // 'meters' or 'seconds'
+  // HDOP raster from the last grid: { nx, ny, hdop: Float32Array, gridBounds }
+  const dopRef = useRef(null);
+  const [dopLayerVisible, setDopLayerVisible] = useState(true);
+  const [dopSigmaNs, setDopSigmaNs] = useState(100);
+  const [geodesicModel, setGeodesicModel] = useState('sphere'); // propagation distances: 'sphere' | 'wgs84'
   const asfWorkerRef = useRef(null);
+  const asfRasterCacheRef = useRef(null); // last sampled ASF rasters: { gridBounds, latArr, lngArr, nx, ny, rasters: [{ label, asfMap, data }] }
   const [estimatorMode, setEstimatorMode] = useState('controlled'); // 'controlled'|'random'|'none'
   const [estNoiseStdMeters, setEstNoiseStdMeters] = useState(20);
+  // all-in-view receivers: observable and station selection limits
+  const [aivObservable, setAivObservable] = useState('toa'); // 'toa' (position + clock) | 'tdoa' (against several masters)
+  const [aivMaxStations, setAivMaxStations] = useState(8);
+  const [aivMinSnrDb, setAivMinSnrDb] = useState(-10);
+  const [aivDriftWindowSec, setAivDriftWindowSec] = useState(10); // 4-state TOA: past epochs at 1 s spacing
+  // moving receivers: EKF tracking on the sim clock
+  const [trackingEnabled, setTrackingEnabled] = useState(false);
+  const [trackSpeedMps, setTrackSpeedMps] = useState(15);
+  const [waypointTarget, setWaypointTarget] = useState('');
+  const [trackVersion, setTrackVersion] = useState(0); // bumped per epoch so charts re-render
+  const ekfRef = useRef({}); // receiver label -> EKF filter
+  const tracksRef = useRef({}); // receiver label -> [{ t, lat, lng, estLat, estLng, err, hpl, cov }]
+  // latest-closure refs for callbacks registered once (map click, sim clock interval)
+  const addWaypointRef = useRef(null);
+  const simTickRef = useRef(null);
+  // synthetic GNSS for 'GNSS' and 'fusion' receivers: sigma, bias and the interference scenario
+  // (outage, jamming zones, spoofing offsets/paths) on the sim clock
+  const [gnssConfig, setGnssConfig] = useState(DEFAULT_GNSS_CONFIG);
+  const [gnssWindowDraft, setGnssWindowDraft] = useState({ type: 'outage', startSec: 0, endSec: 60, offsetEastMeters: 0, offsetNorthMeters: 0, driftMps: 5, radiusMeters: 20000, zone: null, path: [] });
+  // RAIM fault detection and exclusion on the eLoran residuals, plus station fault injection
+  const [raimEnabled, setRaimEnabled] = useState(true);
+  const [raimSigmaMeters, setRaimSigmaMeters] = useState(DEFAULT_RAIM.sigmaMeters); // a-priori 1-sigma per TOA
+  const [faultDraft, setFaultDraft] = useState({ label: '', meters: 500 });
+  const [gnssPfa, setGnssPfa] = useState(DEFAULT_CONSISTENCY_PFA); // GNSS/eLoran consistency test false-alarm probability
+  const gnssExcludedRef = useRef({}); // receiver label -> GNSS currently excluded as inconsistent with eLoran
+  const gnssScenarioClickRef = useRef(null);
+  // eLoran data channel (Eurofix-style PPM + RS(30,10)): leap seconds broadcast in TIME messages, the frame each
+  // master is currently sending (for the pulse simulation) and the last decode per receiver and master
+  const [leapSeconds, setLeapSeconds] = useState(DEFAULT_LEAP_SECONDS);
+  const ddsSeqRef = useRef({}); // master label -> message counter
+  const ddsFramesRef = useRef({}); // master label -> { frame, startGri }
+  const [ddsDecodes, setDdsDecodes] = useState({}); // receiver label -> master label -> decode summary
+  // differential eLoran: reference stations measure each transmitter's TOA error every intervalSec; the
+  // corrections queue for the masters' DDS DIFF slots and receivers keep the ones they decode
+  const [refStations, setRefStations] = useState([]); // { label, lat, lng }
+  const [dloranConfig, setDloranConfig] = useState({ enabled: true, ...DEFAULT_DLORAN });
+  const [refCorrections, setRefCorrections] = useState({}); // ref label -> station label -> latest measurement
+  const [dloranResiduals, setDloranResiduals] = useState([]); // [{ receiver, station, distanceKm, ageSec, residualMeters, staticMeters }]
+  const dloranQueueRef = useRef([]); // measurements waiting for a DIFF slot
+  const dloranRxRef = useRef({}); // receiver label -> 'ref|station' -> { refLabel, station, correctionMeters, measuredSec }
   const [rngSeed, setRngSeedState] = useState('');
   // load persisted seed on mount
   useEffect(() => {
@@ -144,12 +173,49 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
         const si = parseInt(s);
         if (!Number.isNaN(si)) { setRngSeed(si); setRngSeedState(String(si)); }
       }
-    } catch (e) {}
+    } catch { /* storage unavailable */ }
   }, []);
   const [detectJitterMs, setDetectJitterMs] = useState(1);
   const [skyEnabled, setSkyEnabled] = useState(false);
-  const [skyDelayMs, setSkyDelayMs] = useState(1);
-  const [skyAmpFraction, setSkyAmpFraction] = useState(0.3);
+  // skywave per path: delay from geometry and ionospheric height, day/night from the solar zenith at the midpoint
+  const [skywaveConfig, setSkywaveConfig] = useState(DEFAULT_SKYWAVE);
+  // SNR from field strength against atmospheric noise (otherwise the simple link budget) and the coverage layer
+  const [fieldSnrEnabled, setFieldSnrEnabled] = useState(true);
+  const [noiseConfig, setNoiseConfig] = useState(DEFAULT_NOISE);
+  const [coverageEnabled, setCoverageEnabled] = useState(true);
+  // TOA source for the solvers: 'analytic' (modelled arrival) or 'dsp' (receiver chain on synthesized pulses)
+  const [toaSource, setToaSource] = useState('analytic');
+  const [dspNoiseEnabled, setDspNoiseEnabled] = useState(true);
+  const [dspIntegrationGri, setDspIntegrationGri] = useState(100);
+  const dspTrackRef = useRef({}); // receiver label -> station label -> last DSP measurement
+  const [dspReports, setDspReports] = useState({}); // receiver label -> station label -> { ecdUs, cycleError, snrDb }
+  // Monte Carlo accuracy campaigns (worker): per receiver or over a grid of test points
+  const [mcConfig, setMcConfig] = useState(DEFAULT_CAMPAIGN);
+  const [mcTarget, setMcTarget] = useState('receivers'); // 'receivers' | 'grid'
+  const [mcGridSize, setMcGridSize] = useState(6);
+  const [mcProgress, setMcProgress] = useState(null); // { done, total } while running
+  const [mcResults, setMcResults] = useState(null); // { results, config, target, finishedAt }
+  const [mcSelected, setMcSelected] = useState('');
+  const mcWorkerRef = useRef(null);
+  // station clock stability: Allan deviation of each station's simulated clock over a horizon from t = 0
+  const [adevHorizonHours, setAdevHorizonHours] = useState(24);
+  const [clockAdev, setClockAdev] = useState(null); // { horizonSec, series: [{ label, type, points, model, maxTeSec }] }
+  // transmitter schedules (station.schedule windows): draft for the editor, last logged state per station
+  const [scheduleDraft, setScheduleDraft] = useState({ label: '', state: 'off', startSec: 0, endSec: 60, powerDb: DEFAULT_DEGRADED_DB });
+  const stationStatesRef = useRef({}); // station label -> state at the last sim tick
+  // timing receivers (solver mode 'timing'): UTC from the all-in-view TOAs at the surveyed position, against a
+  // GNSS-timed receiver on the same oscillator; one time-error epoch per sim second
+  const [timingConfig, setTimingConfig] = useState(DEFAULT_TIMING);
+  const [timingVersion, setTimingVersion] = useState(0); // bumped per epoch so the TE chart re-renders
+  const timingRef = useRef({}); // receiver label -> { eloran, gnss (time filters), utc, series: [{ t, eloranTeSec, gnssTeSec, ... }] }
+  // simulation engine (play / pause / step / speed / seek) and the one-shot scenario events on its timeline
+  const engineRef = useRef(null);
+  const [simClock, setSimClock] = useState({ tSec: 0, speed: 1, running: false, seeking: false });
+  const [scenarioEvents, setScenarioEvents] = useState([]); // [{ atSec, type, label, meters?, lat?, lng? }]
+  const [eventDraft, setEventDraft] = useState({ type: 'asf-step', atSec: 60, label: '', meters: 50, lat: 0, lng: 0 });
+  const receiverOriginsRef = useRef({}); // receiver label -> position before its first scenario move
+  const simResetRef = useRef(null);
+  const simEpochMsRef = useRef(Date.now()); // UTC of sim time 0 (DDS TIME messages), fixed across replays
   const [recentErrors, setRecentErrors] = useState([]);
   const [recentHPLs, setRecentHPLs] = useState([]);
   // lightweight toast notifications
@@ -165,48 +231,12 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
   const masterCounter = useRef(0);
   const slaveCounter = useRef(0);
   const receiverCounter = useRef(0);
-
-  // create map
-  useEffect(() => {
-    mapRef.current = new maplibregl.Map({
-      container: mapContainer.current,
-      style: {
-        version: 8,
-        sources: {
-          'raster-tiles': {
-            type: 'raster',
-            tiles: [tileUrlTemplate],
-            tileSize: 256
-          }
-        },
-        layers: [{ id: 'simple-tiles', type: 'raster', source: 'raster-tiles' }]
-      },
-      center: [106.816666, -6.200000],
-      zoom: 5
-    });
-
-    mapRef.current.addControl(new maplibregl.NavigationControl());
-
-    // click handlers to place markers
-    mapRef.current.on('click', (e) => {
-      const lnglat = e.lngLat;
-      if (modeRef.current === 'add-master') addMaster({ lat: lnglat.lat, lng: lnglat.lng });
-      else if (modeRef.current === 'add-slave') addSlave({ lat: lnglat.lat, lng: lnglat.lng });
-      else if (modeRef.current === 'add-receiver') addReceiver({ lat: lnglat.lat, lng: lnglat.lng });
-    });
-
-    // cleanup
-    return () => { if (mapRef.current) mapRef.current.remove();
-      try { if (workerRef.current) { workerRef.current.terminate(); workerRef.current = null; } } catch(e) {}
-      try { if (asfWorkerRef.current) { asfWorkerRef.current.terminate(); asfWorkerRef.current = null; } } catch(e) {}
-    };
-    // eslint-disable-next-line
-  }, []);
+  const refCounter = useRef(0);
 
   useEffect(()=> { modeRef.current = mode; }, [mode]);
 
   // marker adders: reuse style but with e-Loran badges
-  const addMarker = useCallback((point, label, type, meta={}) => {
+  const addMarker = useCallback((point, label, type) => {
     if (!mapRef.current) return;
     const el = document.createElement('div');
     el.className = `marker marker-${type}`;
@@ -223,6 +253,7 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
     if (type === 'master') dot.style.background = '#0ea5a4';
     if (type === 'slave') dot.style.background = '#f59e0b';
     if (type === 'receiver') dot.style.background = '#1e3a8a';
+    if (type === 'reference') { dot.style.background = '#db2777'; dot.style.borderRadius = '3px'; }
 
     const text = document.createElement('div');
     text.innerText = label;
@@ -245,7 +276,8 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
       const lnglat = marker.getLngLat();
       if (type === 'master') setMasters(prev => prev.map(p => p.label === label ? {...p, lat: lnglat.lat, lng: lnglat.lng} : p));
       if (type === 'slave') setSlaves(prev => prev.map(p => p.label === label ? {...p, lat: lnglat.lat, lng: lnglat.lng} : p));
-      if (type === 'receiver') setReceivers(prev => prev.map(p => p.label === label ? {...p, lat: lnglat.lat, lng: lnglat.lng} : p));
+      if (type === 'receiver') updateReceivers(prev => prev.map(p => p.label === label ? {...p, lat: lnglat.lat, lng: lnglat.lng} : p));
+      if (type === 'reference') setRefStations(prev => prev.map(p => p.label === label ? {...p, lat: lnglat.lat, lng: lnglat.lng} : p));
     });
 
     el.addEventListener('click', (e) => {
@@ -255,7 +287,8 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
         delete markers.current[label];
         if (type === 'master') setMasters(prev => prev.filter(m => m.label !== label));
         if (type === 'slave') setSlaves(prev => prev.filter(s => s.label !== label));
-        if (type === 'receiver') setReceivers(prev => prev.filter(r => r.label !== label));
+        if (type === 'receiver') updateReceivers(prev => prev.filter(r => r.label !== label));
+        if (type === 'reference') setRefStations(prev => prev.filter(r => r.label !== label));
       }
     });
 
@@ -268,6 +301,7 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
     const m = {
       ...point,
       txDbm: 20,
+      powerKw: DEFAULT_POWER_KW,
       gri: 8330,
       label,
       // default e-Loran additions
@@ -283,7 +317,7 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
   const addSlave = useCallback((point) => {
     slaveCounter.current++;
     const label = `S${slaveCounter.current}`;
-    const s = { ...point, txDbm: 18, offsetSec: 0, label };
+    const s = { ...point, txDbm: 18, powerKw: DEFAULT_POWER_KW, offsetSec: 0, label, clock: { type: 'gps-disciplined', biasSec: 0, driftPerSec: 0 } };
     setSlaves(prev => [...prev, s]);
     addMarker(point, label, 'slave');
   }, [addMarker]);
@@ -291,11 +325,58 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
   const addReceiver = useCallback((point) => {
     receiverCounter.current++;
     const label = `R${receiverCounter.current}`;
-    const r = { ...point, label, fuseMode: 'eLoran', lastFix: null };
-    setReceivers(prev => [...prev, r]);
+    const r = { ...point, label, fuseMode: 'eLoran', solverMode: 'reference', clockStates: 3, clock: { biasSec: 0, driftPerSec: 0 }, lastFix: null };
+    updateReceivers(prev => [...prev, r]);
     addMarker(point, label, 'receiver');
   }, [addMarker]);
 
+  const addRefStation = useCallback((point) => {
+    refCounter.current++;
+    const label = `REF${refCounter.current}`;
+    setRefStations(prev => [...prev, { ...point, label }]);
+    addMarker(point, label, 'reference');
+  }, [addMarker]);
+
+  // create map (after the marker adders its click handler calls)
+  useEffect(() => {
+    mapRef.current = new maplibregl.Map({
+      container: mapContainer.current,
+      style: {
+        version: 8,
+        sources: {
+          'raster-tiles': {
+            type: 'raster',
+            tiles: [tileUrlTemplate],
+            tileSize: 256
+          }
+        },
+        layers: [{ id: 'simple-tiles', type: 'raster', source: 'raster-tiles' }]
+      },
+      center: [106.816666, -6.200000],
+      zoom: 5
+    });
+
+    mapRef.current.addControl(new maplibregl.NavigationControl());
+
+    // click handlers to place markers
+    mapRef.current.on('click', (e) => {
+      const lnglat = e.lngLat;
+      if (modeRef.current === 'add-master') addMaster({ lat: lnglat.lat, lng: lnglat.lng });
+      else if (modeRef.current === 'add-slave') addSlave({ lat: lnglat.lat, lng: lnglat.lng });
+      else if (modeRef.current === 'add-receiver') addReceiver({ lat: lnglat.lat, lng: lnglat.lng });
+      else if (modeRef.current === 'add-reference') addRefStation({ lat: lnglat.lat, lng: lnglat.lng });
+      else if (modeRef.current === 'add-waypoint' && addWaypointRef.current) addWaypointRef.current({ lat: lnglat.lat, lng: lnglat.lng });
+      else if ((modeRef.current === 'gnss-zone' || modeRef.current === 'gnss-path') && gnssScenarioClickRef.current) gnssScenarioClickRef.current({ lat: lnglat.lat, lng: lnglat.lng });
+    });
+
+    // cleanup
+    return () => { if (mapRef.current) mapRef.current.remove();
+      try { if (workerRef.current) { workerRef.current.terminate(); workerRef.current = null; } } catch { /* already terminated */ }
+      try { if (asfWorkerRef.current) { asfWorkerRef.current.terminate(); asfWorkerRef.current = null; } } catch { /* already terminated */ }
+      if (mcWorkerRef.current) { mcWorkerRef.current.terminate(); mcWorkerRef.current = null; }
+    };
+  }, [addMaster, addSlave, addReceiver, addRefStation, tileUrlTemplate]);
+
   // CSV import (extended to accept e-Loran fields if present)
   const handleCsvImport = useCallback((event) => {
     const file = event.target.files[0];
@@ -325,6 +406,7 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
             const m = {
               ...point,
               txDbm: parseFloat(row.txDbm) || 20,
+              powerKw: parseFloat(row.powerKw) || DEFAULT_POWER_KW,
               gri: row.gri || 8330,
               label,
               clock: { type: row.clockType || 'gps-disciplined', biasSec: parseFloat(row.clockBias||0), driftPerSec: parseFloat(row.clockDrift||0) },
@@ -337,14 +419,15 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
           } else if (role === 'slave') {
             slaveCounter.current++;
             const label = row.label || `S${slaveCounter.current}`;
-            const s = { ...point, txDbm: parseFloat(row.txDbm)||18, offsetSec: parseFloat(row.offsetSec)||0, label };
+            const s = { ...point, txDbm: parseFloat(row.txDbm)||18, powerKw: parseFloat(row.powerKw) || DEFAULT_POWER_KW, offsetSec: parseFloat(row.offsetSec)||0, label,
+              clock: { type: row.clockType || 'gps-disciplined', biasSec: parseFloat(row.clockBias||0), driftPerSec: parseFloat(row.clockDrift||0) } };
             setSlaves(prev => [...prev, s]);
             addMarker(point, label, 'slave');
           } else {
             receiverCounter.current++;
             const label = row.label || `R${receiverCounter.current}`;
-            const r = { ...point, label, fuseMode: 'eLoran', lastFix: null };
-            setReceivers(prev => [...prev, r]);
+            const r = { ...point, label, fuseMode: 'eLoran', solverMode: 'reference', clockStates: 3, clock: { biasSec: 0, driftPerSec: 0 }, lastFix: null };
+            updateReceivers(prev => [...prev, r]);
             addMarker(point, label, 'receiver');
           }
           validRows++;
@@ -360,9 +443,98 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
     event.target.value = '';
   }, [addMarker]);
 
+  // lat/lng of every cell of an EPSG:3857 grid, the cells ASF rasters are sampled on
+  function asfSamplingGrid(gridBounds, nx, ny) {
+    const dx = (gridBounds.maxX - gridBounds.minX) / (nx - 1);
+    const dy = (gridBounds.maxY - gridBounds.minY) / (ny - 1);
+    const latArr = new Float64Array(nx * ny);
+    const lngArr = new Float64Array(nx * ny);
+    let idx = 0;
+    for (let j = 0; j < ny; j++) {
+      const y = gridBounds.minY + j * dy;
+      for (let i = 0; i < nx; i++, idx++) {
+        const [lngc, latc] = proj4('EPSG:3857','EPSG:4326',[gridBounds.minX + i * dx, y]);
+        latArr[idx] = latc; lngArr[idx] = lngc;
+      }
+    }
+    return { gridBounds, nx, ny, latArr, lngArr };
+  }
+
+  // main-thread sampling of a station's ASF on a sampling grid (Float32Array, meters)
+  function sampleAsfRasterSync(m, grid) {
+    const out = new Float32Array(grid.nx * grid.ny);
+    for (let k = 0; k < out.length; k++) out[k] = stationSpatialAsfMeters(m, grid.latArr[k], grid.lngArr[k], simTimeRef.current);
+    return out;
+  }
+
+  // sample the function ASFs of masterList on a sampling grid -> [Float32Array | null] (null without a function ASF
+  // or when sampling fails). Imported grids are sampled here, physics models and user functions in asfWorker.
+  async function sampleAsfRasters(masterList, grid) {
+    if (!asfWorkerRef.current) {
+      asfWorkerRef.current = new Worker(new URL('../workers/asfWorker.js', import.meta.url), { type: 'module' });
+    }
+    const aw = asfWorkerRef.current;
+    const { latArr, lngArr, nx: nxv, ny: nyv } = grid;
+    const rasters = Array(masterList.length).fill(null);
+
+    // sample each master sequentially (single worker instance)
+    for (let mi = 0; mi < masterList.length; mi++) {
+      const m = masterList[mi];
+      if (!m.asfMap || typeof m.asfMap !== 'function') continue;
+      // imported grids are plain bilinear lookups: sample them here rather than shipping the closure
+      if (m.asfGrid) { rasters[mi] = sampleAsfGridBatch(m.asfGrid, latArr, lngArr); continue; }
+      // built-in physics model is sampled from its config; user functions are shipped as code
+      const request = m.asfModel
+        ? { type: 'sampleModel', payload: { model: m.asfModel, station: { lat: m.lat, lng: m.lng }, lats: latArr, lngs: lngArr, nx: nxv, ny: nyv } }
+        : { type: 'sampleBatch', payload: { code: 'return (' + m.asfMap.toString() + ')(lat,lng,t);', lats: latArr, lngs: lngArr, nx: nxv, ny: nyv, tSec: simTimeRef.current } };
+      // await single sampling call
+      const result = await new Promise((resolve, reject) => {
+        const onmsg = (ev) => {
+          const mm = ev.data;
+          if (!mm) return;
+          if (mm.type === 'result' && mm.payload && mm.payload.buffer) {
+            aw.removeEventListener('message', onmsg);
+            const arr = new Float32Array(mm.payload.buffer);
+            resolve(arr);
+          } else if (mm.type === 'error') {
+            aw.removeEventListener('message', onmsg);
+            reject(new Error(mm.payload && mm.payload.message ? mm.payload.message : 'ASF sampling error'));
+          }
+        };
+        aw.addEventListener('message', onmsg);
+        // send lat/lng arrays (do NOT transfer them so they can be reused)
+        try {
+          aw.postMessage(request);
+        } catch (err) {
+          aw.removeEventListener('message', onmsg);
+          reject(err);
+        }
+        // timeout
+        setTimeout(() => { aw.removeEventListener('message', onmsg); reject(new Error('ASF sampling timeout')); }, m.asfModel ? 60000 : 10000);
+      }).catch((err) => {
+        console.warn('ASF sampling failed for master', m.label, err);
+        return null;
+      });
+      rasters[mi] = result; // may be null on failure
+    }
+    return rasters;
+  }
+
+  // remember sampled rasters for export, with the asfMap they came from so a reassigned ASF is resampled
+  function cacheAsfRasters(grid, masterList, rasters) {
+    asfRasterCacheRef.current = {
+      ...grid,
+      rasters: rasters.map((r, mi) => r ? { label: masterList[mi].label, asfMap: masterList[mi].asfMap, data: r.slice() } : null),
+    };
+  }
+
   // --- e-Loran core: compute TDOA grid like Loran-C but apply ASF + diff corrections and DDS timing ---
   async function computeGrid(nx=200, ny=200) {
     if (masters.length === 0 || slaves.length === 0) { showToast('Add at least one master and one slave', 'error'); return; }
+    // the grid is computed for the stations usable at the current sim time (off-air and blinking ones drop out,
+    // degraded ones keep their LOPs at reduced power in the coverage layer)
+    const onAir = stationsOnAir(simTimeRef.current);
+    if (onAir.masters.length === 0 || onAir.slaves.length === 0) { showToast('No master/slave pair usable at the current sim time (station schedules)', 'error'); return; }
     // prepare grid bounds from station extents (EPSG:3857)
     const all = [...masters, ...slaves, ...receivers];
     const lats = all.map(a => a.lat), lngs = all.map(a => a.lng);
@@ -381,17 +553,13 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
     const gridBounds = { minX: bl[0], minY: bl[1], maxX: tr[0], maxY: tr[1] };
 
     // convert masters/slaves to meter coords and attach ASF/diff information
-    const mMeters = masters.map(m => {
+    const mMeters = onAir.masters.map(m => {
       const xy = proj4('EPSG:4326','EPSG:3857',[m.lng, m.lat]);
-      return { x: xy[0], y: xy[1], lat: m.lat, lng: m.lng, label: m.label, asfMap: m.asfMap, clock: m.clock, ddsEnabled: m.ddsEnabled, diffCorrections: m.diffCorrections };
+      return { x: xy[0], y: xy[1], lat: m.lat, lng: m.lng, label: m.label, asfMap: m.asfMap, asfModel: m.asfModel, asfGrid: m.asfGrid, asfTemporal: m.asfTemporal, asfStepMeters: m.asfStepMeters, clock: m.clock, ddsEnabled: m.ddsEnabled, diffCorrections: m.diffCorrections };
     });
-    const sMeters = slaves.map(s => {
+    const sMeters = onAir.slaves.map(s => {
       const xy = proj4('EPSG:4326','EPSG:3857',[s.lng, s.lat]);
-      return { x: xy[0], y: xy[1], lat: s.lat, lng: s.lng, label: s.label, offsetSec: s.offsetSec || 0, diffCorrections: s.diffCorrections, asfMap: s.asfMap };
-    });
-    const rMeters = receivers.map(r => {
-      const xy = proj4('EPSG:4326','EPSG:3857',[r.lng, r.lat]);
-      return { x: xy[0], y: xy[1], label: r.label, lat: r.lat, lng: r.lng, fuseMode: r.fuseMode };
+      return { x: xy[0], y: xy[1], lat: s.lat, lng: s.lng, label: s.label, offsetSec: s.offsetSec || 0, diffCorrections: s.diffCorrections, asfMap: s.asfMap, asfTemporal: s.asfTemporal, asfStepMeters: s.asfStepMeters };
     });
 
     // compute baseline distances to set sensible contour levels
@@ -412,74 +580,18 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
     setGridStatus({ status: 'computing', nx, ny });
 
     // prepare station copies for worker; include lat/lng and constant asfMeters if asfMap is not a function
-    const mForWorker = mMeters.map(m => ({ x: m.x, y: m.y, lat: m.lat, lng: m.lng, clock: m.clock, diffCorrections: m.diffCorrections, offsetSec: 0, asfMeters: (typeof masters.find(mm=>mm.label===m.label)?.asfMap === 'number' ? masters.find(mm=>mm.label===m.label).asfMap : undefined) }));
-    const sForWorker = sMeters.map(s => ({ x: s.x, y: s.y, lat: s.lat, lng: s.lng, clock: s.clock, diffCorrections: s.diffCorrections, offsetSec: s.offsetSec || 0, asfMeters: undefined }));
+    // (labels key the temporal ASF realisation, so the worker reproduces the main thread's)
+    const mForWorker = mMeters.map(m => ({ x: m.x, y: m.y, lat: m.lat, lng: m.lng, label: m.label, clock: m.clock, diffCorrections: m.diffCorrections, offsetSec: 0, asfTemporal: m.asfTemporal, asfStepMeters: m.asfStepMeters, asfMeters: (typeof onAir.masters.find(mm=>mm.label===m.label)?.asfMap === 'number' ? onAir.masters.find(mm=>mm.label===m.label).asfMap : undefined) }));
+    const sForWorker = sMeters.map(s => ({ x: s.x, y: s.y, lat: s.lat, lng: s.lng, label: s.label, clock: s.clock, diffCorrections: s.diffCorrections, offsetSec: s.offsetSec || 0, asfTemporal: s.asfTemporal, asfStepMeters: s.asfStepMeters, asfMeters: undefined }));
 
-    // if any master has a function asfMap, pre-sample it into rasters so the grid worker never needs to eval functions
-    const hasFunctionAsf = masters.some(m => m.asfMap && typeof m.asfMap === 'function');
-
-    // helper to sample rasters for a function-based ASF using asfWorker
-    async function sampleAsfRastersForMasters(masterList) {
-      if (!asfWorkerRef.current) {
-        asfWorkerRef.current = new Worker(new URL('../workers/asfWorker.js', import.meta.url), { type: 'module' });
-      }
-      const aw = asfWorkerRef.current;
-
-      // prepare lat/lng arrays for every grid cell (cell centers) — reuse for all masters
-      const nxv = nx, nyv = ny;
-      const dx = (gridBounds.maxX - gridBounds.minX) / (nxv - 1);
-      const dy = (gridBounds.maxY - gridBounds.minY) / (nyv - 1);
-      const latArr = new Float64Array(nxv * nyv);
-      const lngArr = new Float64Array(nxv * nyv);
-      let idx = 0;
-      for (let j = 0; j < nyv; j++) {
-        const y = gridBounds.minY + j * dy;
-        for (let i = 0; i < nxv; i++, idx++) {
-          const x = gridBounds.minX + i * dx;
-          const [lngc, latc] = proj4('EPSG:3857','EPSG:4326',[x,y]);
-          latArr[idx] = latc; lngArr[idx] = lngc;
-        }
-      }
+    // coverage: every master and secondary with its power and (for a physics ASF model) its conductivity map
+    const coveragePayload = coverageEnabled ? {
+      stations: [...onAir.masters, ...onAir.slaves].map(st => ({ lat: st.lat, lng: st.lng, label: st.label, powerKw: st.powerKw, asfModel: st.asfModel ? { conductivity: st.asfModel.conductivity } : undefined })),
+      noise: noiseAt(),
+    } : null;
 
-      const rasters = Array(masterList.length).fill(null);
-
-      // sample each master sequentially (single worker instance)
-      for (let mi = 0; mi < masterList.length; mi++) {
-        const m = masterList[mi];
-        if (!m.asfMap || typeof m.asfMap !== 'function') continue;
-        const code = 'return (' + m.asfMap.toString() + ')(lat,lng);';
-        // await single sampleBatch call
-        const result = await new Promise((resolve, reject) => {
-          const onmsg = (ev) => {
-            const mm = ev.data;
-            if (!mm) return;
-            if (mm.type === 'result' && mm.payload && mm.payload.buffer) {
-              aw.removeEventListener('message', onmsg);
-              const arr = new Float32Array(mm.payload.buffer);
-              resolve(arr);
-            } else if (mm.type === 'error') {
-              aw.removeEventListener('message', onmsg);
-              reject(new Error(mm.payload && mm.payload.message ? mm.payload.message : 'ASF sampling error'));
-            }
-          };
-          aw.addEventListener('message', onmsg);
-          // send lat/lng arrays (do NOT transfer them so they can be reused)
-          try {
-            aw.postMessage({ type: 'sampleBatch', payload: { code, lats: latArr, lngs: lngArr, nx: nxv, ny: nyv } });
-          } catch (err) {
-            aw.removeEventListener('message', onmsg);
-            reject(err);
-          }
-          // timeout
-          setTimeout(() => { aw.removeEventListener('message', onmsg); reject(new Error('ASF sampling timeout')); }, 10000);
-        }).catch((err) => {
-          console.warn('ASF sampling failed for master', m.label, err);
-          return null;
-        });
-        rasters[mi] = result; // may be null on failure
-      }
-      return rasters;
-    }
+    // if any master has a function asfMap, pre-sample it into rasters so the grid worker never needs to eval functions
+    const hasFunctionAsf = onAir.masters.some(m => m.asfMap && typeof m.asfMap === 'function');
 
     // start or reuse grid worker
     try {
@@ -491,20 +603,26 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
         const msg = ev.data;
         if (!msg) return;
         if (msg.type === 'result') {
-              const { maps, contours: contoursMeters, gridBounds: gb } = msg.payload;
+              const { maps, contours: contoursMeters, gridBounds: gb, coverage, dop } = msg.payload;
               const contours = contoursMeters.map(c => ({ masterIndex: c.masterIndex, slaveIndex: c.slaveIndex, points: c.points, levelSeconds: c.levelSeconds }));
               // Move large grid buffers to ref to avoid expensive React state copies
               const mapsConverted = maps.map(m => ({ masterIndex: m.masterIndex, slaveIndex: m.slaveIndex, nx: m.nx, ny: m.ny, gridBounds: gb, data: new Float32Array(m.gridBuffer), units: 'seconds' }));
               gridMapsRef.current = mapsConverted;
               setGridStatus({ status: 'ready', computedAt: Date.now(), mapsCount: mapsConverted.length, contours, gridBounds: gb, gridUnits: 'seconds' });
               drawLOPs(contours);
+              drawCoverage(coverage ? { nx: coverage.nx, ny: coverage.ny, counts: new Uint8Array(coverage.countsBuffer), gridBounds: gb, minStations: noiseConfig.minStations } : null);
+              dopRef.current = dop ? { nx: dop.nx, ny: dop.ny, hdop: new Float32Array(dop.hdopBuffer), gridBounds: gb } : null;
+              drawDop(dopLayerVisible ? dopRef.current : null);
           }
       };
 
       // if function ASFs exist, pre-sample them into rasters and include them in payload
       let asfRasters = null;
       if (hasFunctionAsf) {
-        const ras = await sampleAsfRastersForMasters(mMeters);
+        const samplingGrid = asfSamplingGrid(gridBounds, nx, ny);
+        const ras = await sampleAsfRasters(mMeters, samplingGrid);
+        // keep copies for export (the originals are transferred to the grid worker)
+        cacheAsfRasters(samplingGrid, mMeters, ras);
         // convert to ArrayBuffer list (null where not present)
         asfRasters = ras.map(a => a ? a.buffer : null);
       }
@@ -512,7 +630,7 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
       // prepare transfer list with asf rasters (if any)
       const transfer = [];
       if (asfRasters) asfRasters.forEach(b => { if (b) transfer.push(b); });
-      w.postMessage({ type: 'computeGrid', payload: { mMeters: mForWorker, sMeters: sForWorker, gridBounds, nx, ny, simTimeSec: simTimeRef.current, asfRasters } }, transfer);
+      w.postMessage({ type: 'computeGrid', payload: { mMeters: mForWorker, sMeters: sForWorker, gridBounds, nx, ny, simTimeSec: simTimeRef.current, asfRasters, geodesicModel, coverage: coveragePayload } }, transfer);
       return;
     } catch (err) {
       // fallback to synchronous compute if worker fails
@@ -534,21 +652,15 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
         for (let si=0; si<sMeters.length; si++){
           const grid = new Float32Array(nxv * nyv);
           // compute per-pair constant (clock + offset) to normalize grid and keep zero-crossings
-          const mClock = mMeters[mi].clock || { biasSec: 0, driftPerSec: 0 };
-          const sClock = sMeters[si].clock || { biasSec: 0, driftPerSec: 0 };
-          const mClockOffset = (mClock.biasSec || 0) + (mClock.driftPerSec || 0) * simTimeRef.current;
-          const sClockOffset = (sClock.biasSec || 0) + (sClock.driftPerSec || 0) * simTimeRef.current;
-          const mOffset = mMeters[mi].offsetSec || 0;
-          const sOffset = sMeters[si].offsetSec || 0;
-          const pairConstSec = (sClockOffset + sOffset) - (mClockOffset + mOffset);
+          const pairConstSec = pairConstantSec(mMeters[mi], sMeters[si], simTimeRef.current);
           let idx = 0;
           for (let j=0;j<nyv;j++){
             const y = ys[j];
             for (let i=0;i<nxv;i++, idx++){
               const x = xs[i];
               const [lngc, latc] = proj4('EPSG:3857','EPSG:4326',[x,y]);
-              const arrivalM_sec = computeArrivalSec(mMeters[mi], latc, lngc, simTimeRef.current);
-              const arrivalS_sec = computeArrivalSec(sMeters[si], latc, lngc, simTimeRef.current);
+              const arrivalM_sec = computeArrivalSec(mMeters[mi], latc, lngc, simTimeRef.current, { geodesicModel });
+              const arrivalS_sec = computeArrivalSec(sMeters[si], latc, lngc, simTimeRef.current, { geodesicModel });
 
               // store the grid as TDOA in seconds (arrivalS - arrivalM), with per-pair constant removed
               grid[idx] = (arrivalS_sec - arrivalM_sec) - pairConstSec;
@@ -572,6 +684,12 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
         }
       }
 
+      // the ASF functions evaluated above, sampled on the same cells for export
+      if (hasFunctionAsf) {
+        const samplingGrid = asfSamplingGrid(gridBounds, nxv, nyv);
+        cacheAsfRasters(samplingGrid, mMeters, mMeters.map(m => typeof m.asfMap === 'function' ? sampleAsfRasterSync(m, samplingGrid) : null));
+      }
+
       // finalize
       // convert map buffers to Float32Array for downstream use
       const mapsConverted = maps.map(m => ({ masterIndex: m.masterIndex, slaveIndex: m.slaveIndex, nx: m.nx, ny: m.ny, gridBounds: m.gridBounds, data: new Float32Array(m.data), units: 'seconds' }));
@@ -579,11 +697,77 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
       setGridStatus({ status: 'ready', computedAt: Date.now(), mapsCount: mapsConverted.length, contours, gridBounds, gridUnits: 'seconds' });
       // draw LOPs
       drawLOPs(contours);
+      dopRef.current = { nx: nxv, ny: nyv, hdop: gridHdop(mapsConverted, nxv, nyv, gridBounds, C.c), gridBounds };
+      drawDop(dopLayerVisible ? dopRef.current : null);
+      if (coveragePayload) {
+        const counts = new Uint8Array(nxv * nyv);
+        for (let j = 0, idx = 0; j < nyv; j++) {
+          for (let i = 0; i < nxv; i++, idx++) {
+            const [lngc, latc] = proj4('EPSG:3857','EPSG:4326',[xs[i], ys[j]]);
+            counts[idx] = coverageCountAt(coveragePayload.stations, { lat: latc, lng: lngc }, simTimeRef.current, coveragePayload.noise);
+          }
+        }
+        drawCoverage({ nx: nxv, ny: nyv, counts, gridBounds, minStations: noiseConfig.minStations });
+      } else drawCoverage(null);
     } catch (err) {
       setGridStatus({ status: 'error', message: String(err) });
     }
   }
 
+  // coverage layer: grid points where at least minStations stations exceed the SNR threshold in green, the rest in
+  // red (stronger with fewer stations); an image over the EPSG:3857 grid bounds, below the LOPs. null removes it.
+  function drawCoverage(cov) {
+    const map = mapRef.current;
+    if (!map) return;
+    if (map.getLayer('coverage')) map.removeLayer('coverage');
+    if (map.getSource('coverage')) map.removeSource('coverage');
+    if (!cov) return;
+    const canvas = document.createElement('canvas');
+    canvas.width = cov.nx; canvas.height = cov.ny;
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(cov.nx, cov.ny);
+    for (let j = 0; j < cov.ny; j++) {
+      for (let i = 0; i < cov.nx; i++) {
+        const n = cov.counts[j * cov.nx + i];
+        const o = ((cov.ny - 1 - j) * cov.nx + i) * 4; // grid rows run south to north, image rows north to south
+        const covered = n >= cov.minStations;
+        img.data[o] = covered ? 22 : 220; img.data[o + 1] = covered ? 163 : 38; img.data[o + 2] = covered ? 74 : 38;
+        img.data[o + 3] = covered ? 70 : Math.round(40 + 60 * (1 - n / cov.minStations));
+      }
+    }
+    ctx.putImageData(img, 0, 0);
+    const [west, south] = proj4('EPSG:3857','EPSG:4326',[cov.gridBounds.minX, cov.gridBounds.minY]);
+    const [east, north] = proj4('EPSG:3857','EPSG:4326',[cov.gridBounds.maxX, cov.gridBounds.maxY]);
+    map.addSource('coverage', { type: 'image', url: canvas.toDataURL(), coordinates: [[west, north], [east, north], [east, south], [west, south]] });
+    map.addLayer({ id: 'coverage', type: 'raster', source: 'coverage', paint: { 'raster-opacity': 0.8, 'raster-resampling': 'nearest' } }, map.getLayer('elops') ? 'elops' : undefined);
+  }
+
+  // HDOP layer from the grid (colours from dop.js, legend in HdopLegend); null removes it
+  function drawDop(dop) {
+    const map = mapRef.current;
+    if (!map) return;
+    if (map.getLayer('hdop')) map.removeLayer('hdop');
+    if (map.getSource('hdop')) map.removeSource('hdop');
+    if (!dop) return;
+    const canvas = document.createElement('canvas');
+    canvas.width = dop.nx; canvas.height = dop.ny;
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(dop.nx, dop.ny);
+    for (let j = 0; j < dop.ny; j++) {
+      for (let i = 0; i < dop.nx; i++) {
+        const rgb = hdopColor(dop.hdop[j * dop.nx + i]);
+        if (!rgb) continue;
+        const o = ((dop.ny - 1 - j) * dop.nx + i) * 4; // grid rows run south to north
+        img.data[o] = rgb[0]; img.data[o + 1] = rgb[1]; img.data[o + 2] = rgb[2]; img.data[o + 3] = 110;
+      }
+    }
+    ctx.putImageData(img, 0, 0);
+    const [west, south] = proj4('EPSG:3857','EPSG:4326',[dop.gridBounds.minX, dop.gridBounds.minY]);
+    const [east, north] = proj4('EPSG:3857','EPSG:4326',[dop.gridBounds.maxX, dop.gridBounds.maxY]);
+    map.addSource('hdop', { type: 'image', url: canvas.toDataURL(), coordinates: [[west, north], [east, north], [east, south], [west, south]] });
+    map.addLayer({ id: 'hdop', type: 'raster', source: 'hdop', paint: { 'raster-opacity': 0.8 } }, map.getLayer('elops') ? 'elops' : undefined);
+  }
+
   // draw LOPs (similar to Loranc.jsx)
   function drawLOPs(contours) {
     if (!mapRef.current) return;
@@ -643,7 +827,7 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
     });
 
     // remove previous click handler if any
-    try { mapRef.current.off('click', 'elops'); } catch(e) {}
+    try { mapRef.current.off('click', 'elops'); } catch { /* not on the map */ }
     // show popup on LOP click with seconds/meters info
     mapRef.current.on('click', 'elops', (e) => {
       const feat = e.features && e.features[0];
@@ -656,91 +840,289 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
     });
   }
 
-  // simulate DDS broadcast from masters: create message objects with UTC, integrity, diffs
+  // simulate DDS broadcast from masters: each DDS master encodes one message (TIME, DIFF, INTEGRITY in turn) into
+  // a 30-GRI Eurofix frame, and every receiver demodulates it at its SNR from that master, then RS-decodes it
   function broadcastDDS(nowSec) {
     if (!enableDDSGlobal) return;
     const events = [];
-    masters.forEach((m) => {
-      if (!m.ddsEnabled) return;
-      // message content (simplified): { seq, utc, clockBias, integrityStatus, diffCorrectionMeters }
-      const seq = Math.floor(_rng()*100000);
-      const utcApprox = Date.now() + ((m.clock && m.clock.biasSec) ? m.clock.biasSec * 1000 : 0);
-      const integrity = enableIntegrityChecks ? 'OK' : 'UNKNOWN';
-      const diff = m.diffCorrections && m.diffCorrections.enabled ? (m.diffCorrections.avgMeters || 0) : 0;
-      const msg = { from: m.label, seq, utcMs: utcApprox, integrity, diffMeters: diff, timestampSimSec: nowSec };
-      events.push({ type: 'DDS', msg, station: m.label, time: Date.now() });
+    const decodes = {};
+    const stationsById = [...masters, ...slaves];
+    // INTEGRITY slots report the stations that are not on the air normally (in turn), else the sending master
+    const abnormal = stationsById.map((st, i) => ({ st, id: i + 1, ...stationStateAt(st, nowSec) })).filter(x => x.state !== 'on');
+    masters.forEach((scheduled, mi) => {
+      if (!scheduled.ddsEnabled) return;
+      const m = transmittedStation(scheduled, nowSec);
+      if (!m) return; // off the air: no data channel either
+      const seq = (ddsSeqRef.current[m.label] || 0) + 1;
+      ddsSeqRef.current[m.label] = seq;
+      const utcApprox = simEpochMsRef.current + nowSec * 1000 + ((m.clock && m.clock.biasSec) ? m.clock.biasSec * 1000 : 0);
+      const reported = abnormal.length ? abnormal[seq % abnormal.length] : { st: m, id: mi + 1, state: 'on' };
+      const integrity = enableIntegrityChecks ? (reported.state === 'on' ? 'OK' : `${reported.st.label} ${reported.state.toUpperCase()}`) : 'UNKNOWN';
+      const diff = stationDiffCorrectionMeters(m);
+      const flags = (enableIntegrityChecks ? DDS_FLAGS.MONITORED : 0) | (m.faultMeters ? DDS_FLAGS.DO_NOT_USE : 0) | (m.diffCorrections?.enabled ? DDS_FLAGS.DIFF_VALID : 0);
+      const msgType = ['TIME', 'DIFF', 'INTEGRITY'][seq % 3];
+      const utcSec = Math.floor(utcApprox / 1000);
+      // DIFF slots carry the next queued reference-station correction (station ids: masters, then secondaries)
+      const queued = msgType === 'DIFF' && dloranConfig.enabled ? dloranQueueRef.current.shift() : null;
+      const stateFlags = { off: DDS_FLAGS.OFF_AIR | DDS_FLAGS.DO_NOT_USE, blink: DDS_FLAGS.BLINK | DDS_FLAGS.DO_NOT_USE, degraded: DDS_FLAGS.DEGRADED, on: 0 }[reported.state];
+      const content = queued
+        ? { stationId: stationsById.findIndex(st => st.label === queued.station) + 1, correctionMeters: queued.correctionMeters, ageSec: nowSec - queued.measuredSec, flags: flags | DDS_FLAGS.DIFF_VALID, refId: refStations.findIndex(r => r.label === queued.refLabel) + 1 }
+        : msgType === 'INTEGRITY'
+          ? { stationId: reported.id, flags: (enableIntegrityChecks ? DDS_FLAGS.MONITORED : 0) | (reported.st.faultMeters ? DDS_FLAGS.DO_NOT_USE : 0) | stateFlags }
+          : { stationId: mi + 1, correctionMeters: diff, ageSec: 0, flags };
+      const frame = encodeDdsFrame({ type: msgType, utcSec, leapSeconds, ...content });
+      const griSec = (m.griMs || 1000) / 1000;
+      ddsFramesRef.current[m.label] = { frame, startGri: Math.floor(nowSec / griSec) };
+      const rx = receiversRef.current.map((r) => {
+        const snrDb = stationSnrDb(m, r, snrOptions(nowSec));
+        const dec = decodeDdsFrame(receiveDdsFrame(frame, snrDb));
+        const summary = { receiver: r.label, snrDb, bitErrors: channelBitErrors(frame, dec.symbols), corrected: dec.corrected, crcOk: dec.crcOk, decoded: dec.msg, seq };
+        if (dec.msg && dec.msg.type === 'DIFF' && dec.msg.refId > 0) storeDecodedCorrection(r.label, dec.msg, nowSec);
+        if (dec.msg && dec.msg.type === 'TIME') timingState(r.label).utc = { from: m.label, utcSec: dec.msg.utcSec, leapSeconds: dec.msg.leapSeconds, simSec: nowSec };
+        decodes[r.label] = { ...(decodes[r.label] || {}), [m.label]: summary };
+        return summary;
+      });
+      const msg = { from: m.label, seq, utcMs: utcApprox, integrity, diffMeters: diff, timestampSimSec: nowSec, msgType, frameBits: EUROFIX.n * EUROFIX.symbolBits };
+      events.push({ type: 'DDS', msg, station: m.label, time: Date.now(), rx: rx.map(({ decoded, ...rest }) => ({ ...rest, ok: !!decoded })) });
     });
     if (events.length) {
       setLogEvents(prev => [...prev.slice(-400), ...events]); // keep buffer
+      setDdsDecodes(prev => {
+        const next = { ...prev };
+        Object.entries(decodes).forEach(([label, byMaster]) => { next[label] = { ...(prev[label] || {}), ...byMaster }; });
+        return next;
+      });
+      if (refStations.length) setDloranResiduals(dloranResidualSnapshot(nowSec));
     }
   }
 
+  // a decoded DIFF message from a reference station (refId/stationId are 1-based indices) -> receiver's table
+  function storeDecodedCorrection(rxLabel, msg, nowSec) {
+    const ref = refStations[msg.refId - 1];
+    const station = [...masters, ...slaves][msg.stationId - 1];
+    if (!ref || !station) return;
+    const table = dloranRxRef.current[rxLabel] || (dloranRxRef.current[rxLabel] = {});
+    table[`${ref.label}|${station.label}`] = { refLabel: ref.label, station: station.label, correctionMeters: msg.correctionMeters, measuredSec: nowSec - msg.ageSec };
+  }
+
+  // reference measurement epoch (every intervalSec of sim time): newer measurements replace queued ones for the
+  // same reference/station
+  function measureDloran(nowSec) {
+    if (!dloranConfig.enabled || refStations.length === 0) return;
+    if (nowSec % Math.max(1, Math.round(dloranConfig.intervalSec)) !== 0) return;
+    const stations = [...masters, ...slaves].map(st => transmittedStation(stationWithAsfSteps(st, scenarioEvents, nowSec), nowSec)).filter(Boolean);
+    if (stations.length === 0) return;
+    const fresh = refStations.flatMap(ref => measureReferenceCorrections(ref, stations, nowSec, { measurementSigmaMeters: dloranConfig.measurementSigmaMeters, geodesicModel }));
+    const key = (c) => `${c.refLabel}|${c.station}`;
+    const freshKeys = new Set(fresh.map(key));
+    dloranQueueRef.current = [...dloranQueueRef.current.filter(c => !freshKeys.has(key(c))), ...fresh];
+    setRefCorrections(() => {
+      const next = {};
+      fresh.forEach(c => { next[c.refLabel] = { ...(next[c.refLabel] || {}), [c.station]: c }; });
+      return next;
+    });
+  }
+
+  // combined dLoran correction a receiver applies to a station at tSec, or null (then the static one is used)
+  function receiverDloranCorrection(rxLabel, station, position, tSec) {
+    if (!dloranConfig.enabled) return null;
+    const held = Object.values(dloranRxRef.current[rxLabel] || {})
+      .filter(e => e.station === station.label)
+      .map(e => ({ ...e, ref: refStations.find(r => r.label === e.refLabel) }));
+    return combineCorrections(held, position, tSec, { ...dloranConfig, geodesicModel });
+  }
+
+  // station as seen by a dLoran receiver: the combined reference correction replaces the static one
+  function dloranStation(station, rxLabel, position, tSec) {
+    const c = receiverDloranCorrection(rxLabel, station, position, tSec);
+    return c ? { ...station, diffCorrections: { enabled: true, avgMeters: c.correctionMeters } } : station;
+  }
+
+  // SNR options (stationSnrDb / selectStations) at sim time tSec; the noise model shares the skywave epoch
+  function snrOptions(tSec) {
+    if (!fieldSnrEnabled) return { geodesicModel };
+    return { geodesicModel, tSec, noise: noiseAt() };
+  }
+  function noiseAt() {
+    return { ...noiseConfig, startDayOfYear: skywaveConfig.startDayOfYear, startHourUtc: skywaveConfig.startHourUtc };
+  }
+
+  // receiver chain measurement of one station: its pulse group (and skywave) synthesized at the receiver with
+  // in-band noise at the station's SNR, less by integrating dspIntegrationGri GRIs. Other stations are taken as
+  // separated by their GRI (no cross-rate interference). The search is centred on the cycle the receiver tracked
+  // last epoch, so a cycle error persists until the chain slips back. -> { toaSec, ... } or null
+  function measureStationToa(station, role, rxLabel, position, tSec, truthSec) {
+    const sampleRate = 1000000;
+    const pulseRole = role === 'master' ? 'master' : 'secondary';
+    const griIndex = Math.floor(tSec / ((station.griMs || 1000) / 1000));
+    const snrDb = stationSnrDb(station, position, snrOptions(tSec));
+    const amplitude = Math.SQRT2 * Math.pow(10, snrDb / 20);
+    const sky = skyEnabled ? skywaveFor(station, position, tSec, skywaveConfig) : null;
+    const groups = [{ arrivalSec: truthSec, role: pulseRole, griIndex, amplitude }];
+    if (sky) groups.push({ arrivalSec: truthSec + sky.delaySec, role: pulseRole, griIndex, amplitude: amplitude * sky.amplitudeRatio });
+    const startSec = truthSec - 100e-6;
+    const waveform = synthesizeWaveform(groups, startSec, groupLengthSec(pulseRole) + (sky ? sky.delaySec : 0) + 200e-6, sampleRate);
+    if (dspNoiseEnabled) addBandLimitedNoise(waveform, 1 / Math.sqrt(Math.max(1, dspIntegrationGri)), sampleRate);
+    const tracks = dspTrackRef.current[rxLabel] || (dspTrackRef.current[rxLabel] = {});
+    const prev = tracks[station.label];
+    const lockedErrorSec = prev ? Math.round((prev.toaSec - prev.truthSec) / CYCLE_SEC) * CYCLE_SEC : 0;
+    const m = measureGroupToa(waveform, startSec, sampleRate, { arrivalSec: truthSec + lockedErrorSec, role: pulseRole, griIndex });
+    if (!m.ok) return null;
+    const cycleError = Math.round((m.toaSec - truthSec) / CYCLE_SEC);
+    // earlier epochs (4-state window) are measured but do not move the tracking state
+    if (!prev || tSec > prev.tSec) {
+      const slip = prev ? cycleSlip(prev.toaSec, m.toaSec, truthSec - prev.truthSec) : 0;
+      const base = { receiver: rxLabel, station: station.label, cycleError, simSec: tSec, time: Date.now() };
+      if (slip) setLogEvents(p => [...p.slice(-400), { type: 'CYCLE_SLIP', cycles: slip, ...base }]);
+      else if (!prev && cycleError) setLogEvents(p => [...p.slice(-400), { type: 'CYCLE_ERROR', ...base }]);
+      tracks[station.label] = { tSec, toaSec: m.toaSec, truthSec };
+      setDspReports(p => ({ ...p, [rxLabel]: { ...p[rxLabel], [station.label]: { ecdUs: m.ecdSec * 1e6, cycleError, snrDb } } }));
+    }
+    return m;
+  }
+
+  // arrival (s) a receiver uses for a station: the modelled arrival (plus the skywave pull on the 30 µs sampling
+  // point), or with the DSP TOA source the modelled arrival moved by the receiver chain's measurement error
+  // (corrections are applied after measuring)
+  function receiverArrivalSec(station, role, rxLabel, position, tSec) {
+    const corrected = computeArrivalSec(dloranStation(station, rxLabel, position, tSec), position.lat, position.lng, tSec, { geodesicModel });
+    if (toaSource !== 'dsp') {
+      if (!skyEnabled) return corrected;
+      const sky = skywaveFor(station, position, tSec, skywaveConfig);
+      return corrected + skywaveTrackingErrorSec(sky.delaySec, sky.amplitudeRatio);
+    }
+    const truthSec = computeArrivalSecNoDiff(station, position.lat, position.lng, tSec, { geodesicModel });
+    const m = measureStationToa(station, role, rxLabel, position, tSec, truthSec);
+    return m ? corrected + (m.toaSec - truthSec) : corrected;
+  }
+
+  // residual ranging error after the dLoran correction at each receiver, against distance to the nearest
+  // contributing reference (static correction residual alongside for comparison)
+  function dloranResidualSnapshot(tSec) {
+    const rows = [];
+    receiversRef.current.forEach(r => {
+      [...masters, ...slaves].forEach(st => {
+        const c = receiverDloranCorrection(r.label, st, r, tSec);
+        if (!c) return;
+        const truth = observedRangeErrorMeters(st, r, tSec, { geodesicModel });
+        rows.push({ receiver: r.label, station: st.label, distanceKm: c.nearestKm, ageSec: c.ageSec, residualMeters: truth - c.correctionMeters, staticMeters: truth - stationDiffCorrectionMeters(st) });
+      });
+    });
+    return rows;
+  }
+
   // Simulated receiver estimation using TDOA + differential corrections + optional GNSS fusion
   function estimateReceiver(receiverIndex=0) {
-    if (receivers.length === 0) return;
-    const rx = receivers[receiverIndex];
+    const rx = receiversRef.current[receiverIndex];
+    if (!rx) return;
+    if (rx.solverMode === 'timing') {
+      // the position is surveyed; the time solution runs every sim second (Timing Receivers card)
+      const last = (timingRef.current[rx.label]?.series || []).slice(-1)[0];
+      if (!last || last.eloranTeSec === null) { showToast(`${rx.label}: timing receiver waiting for a DDS TIME message`, 'error'); return; }
+      showToast(`${rx.label}: UTC time error ${(last.eloranTeSec * 1e9).toFixed(1)} ns from ${last.stations} station(s)${last.eloranHoldover ? ' (holdover)' : ''}`, 'success');
+      return;
+    }
+    const allInView = rx.solverMode === 'allInView';
     const refMaster = masters[0];
-    if (!refMaster) { showToast('Add a master station first for TDOA reference', 'error'); return; }
-
-    // build pairs with slaves using per-path arrival times (via helper)
-    const pairs = [];
-    for (let si=0; si<slaves.length; si++){
-      const s = slaves[si];
-      const arrivalM = computeArrivalSec(refMaster, rx.lat, rx.lng, simTimeRef.current);
-      const arrivalS = computeArrivalSec(s, rx.lat, rx.lng, simTimeRef.current);
-      const tdoaSec = arrivalS - arrivalM; // slave - master
-      pairs.push({ master: refMaster, slave: s, tdoaSec });
+    if (!allInView && !refMaster) { showToast('Add a master station first for TDOA reference', 'error'); return; }
+    const onAir = stationsOnAir(simTimeRef.current);
+    const refOnAir = refMaster && onAir.masters.find(m => m.label === refMaster.label);
+    if (!allInView && !refOnAir) { showToast(`Reference master ${refMaster.label} is ${stationStateAt(refMaster, simTimeRef.current).state === 'off' ? 'off the air' : 'blinking'}`, 'error'); return; }
+
+    let estObj;
+    let refLabel = refMaster ? refMaster.label : '';
+    if (allInView) {
+      estObj = solveAllInView(rx);
+      if (!estObj) return;
+      refLabel = estObj.referenceLabel || estObj.used[0];
+    } else {
+      // build pairs with slaves using per-path arrival times (via helper)
+      const pairs = [];
+      const arrivalM = receiverArrivalSec(refOnAir, 'master', rx.label, rx, simTimeRef.current);
+      for (let si=0; si<onAir.slaves.length; si++){
+        const s = onAir.slaves[si];
+        const arrivalS = receiverArrivalSec(s, 'slave', rx.label, rx, simTimeRef.current);
+        const tdoaSec = arrivalS - arrivalM; // slave - master
+        pairs.push({ master: refOnAir, slave: s, tdoaSec, masterSigmaMeters: raimSigmaMeters, slaveSigmaMeters: raimSigmaMeters });
+      }
+      if (pairs.length < 2) { showToast(`Only ${pairs.length} slave(s) on the air at the current sim time; a TDOA fix needs two`, 'error'); return; }
+
+      // initial guess: use receiver location as deterministic start (no random perturbation)
+      const initialGuess = { lat: rx.lat, lng: rx.lng };
+      if (raimEnabled) {
+        // pairs share the reference master's TOA error, so the test runs on the residuals whitened by the pair
+        // covariance the solver weighted them with; excluding the reference master leaves no pairs
+        const solveTdoa = (subset) => {
+          if (subset.length < 2) return null;
+          const fix = solvePositionFromTDOA(subset, initialGuess, { geodesicModel, integrity: integrityOpts });
+          return { fix, residualsMeters: fix.whitenedResiduals, sigmasMeters: subset.map(() => 1), dof: subset.length - 2 };
+        };
+        const fde = raimFde(pairs, solveTdoa, { pfa: continuityRisk, stationsOf: (p) => [p.master.label, p.slave.label] });
+        if (!fde) { showToast('Add at least two slaves for a TDOA fix', 'error'); return; }
+        estObj = { ...fde.fix, raim: fde };
+      } else {
+        estObj = solvePositionFromTDOA(pairs, initialGuess, { geodesicModel, integrity: integrityOpts });
+      }
     }
-
-    // initial guess: use receiver location as deterministic start (no random perturbation)
-    const initialGuess = { lat: rx.lat, lng: rx.lng };
-    const estObj = solvePositionFromTDOA(pairs, initialGuess);
-    const est = { lat: estObj.lat, lng: estObj.lng };
-
-    // fuse with GNSS if requested (very simple weighted average)
-    let fused = est;
+    if (estObj.raim) reportRaim(rx, estObj.raim);
+    let est = { lat: estObj.lat, lng: estObj.lng };
     // track covariance and HPL from solver (meters)
     let estCov = estObj.covariance || [[0,0],[0,0]];
     // estObj.hplMeters may be undefined when solver couldn't compute covariance; use null to indicate unavailable
     let estHpl = (typeof estObj.hplMeters === 'number') ? estObj.hplMeters : null;
-    if (rx.fuseMode === 'fusion') {
-      // synthesize GNSS fix as true + gaussian error (5-10 m)
-      // use a deterministic small GNSS offset to keep estimations repeatable
-      const gnssErrorMeters = 8; // deterministic nominal GNSS error
-      const latOffset = (gnssErrorMeters / 111320) * 0.0; // no random lateral bias
-      const lngOffset = (gnssErrorMeters / (111320 * Math.cos(rx.lat * Math.PI/180))) * 0.0;
-      const gnssFix = { lat: rx.lat + latOffset, lng: rx.lng + lngOffset };
-      // weighted average: give e-Loran 0.6 weight when diffs present
-      const wE = 0.6, wG = 0.4;
-      fused = { lat: est.lat * wE + gnssFix.lat * wG, lng: est.lng * wE + gnssFix.lng * wG };
-      // combine covariance simplistically: fusedCov = wE^2 * estCov + wG^2 * gnssCov
-      const gnssSigma = 8; const gnssCov = [[gnssSigma*gnssSigma,0],[0,gnssSigma*gnssSigma]];
-      estCov = [[ wE*wE*estCov[0][0] + wG*wG*gnssCov[0][0], wE*wE*estCov[0][1] + wG*wG*gnssCov[0][1] ],
-                [ wE*wE*estCov[1][0] + wG*wG*gnssCov[1][0], wE*wE*estCov[1][1] + wG*wG*gnssCov[1][1] ]];
-      // recompute HPL from estCov
-      const trace = estCov[0][0] + estCov[1][1];
-      const det = estCov[0][0]*estCov[1][1] - estCov[0][1]*estCov[1][0];
-      const temp = Math.sqrt(Math.max(0, (trace*trace)/4 - det));
-      const lambda1 = Math.max(0, trace/2 + temp);
-      estHpl = 3 * Math.sqrt(lambda1);
-    }
 
-    // apply estimator mode: 'controlled' = Gaussian noise with configured σ,
+    // apply estimator mode to the eLoran fix: 'controlled' = Gaussian noise with configured σ,
     // 'random' = Gaussian noise with variable amplitude, 'none' = no noise
-    if (estimatorMode === 'controlled') {
-      const noiseLatMeters = gaussianNoise(estNoiseStdMeters);
-      const noiseLngMeters = gaussianNoise(estNoiseStdMeters);
+    let noiseSigma = 0;
+    if (estimatorMode === 'controlled') noiseSigma = estNoiseStdMeters;
+    else if (estimatorMode === 'random') noiseSigma = estNoiseStdMeters * (0.5 + random() * 2.5); // random scale between 0.5x and 3x σ
+    if (noiseSigma > 0) {
+      const noiseLatMeters = gaussianNoise(noiseSigma);
+      const noiseLngMeters = gaussianNoise(noiseSigma);
       const latOffsetDeg = noiseLatMeters / 111320;
       const lngOffsetDeg = noiseLngMeters / (111320 * Math.cos(rx.lat * Math.PI/180));
-      fused = { lat: fused.lat + latOffsetDeg, lng: fused.lng + lngOffsetDeg };
-    } else if (estimatorMode === 'random') {
-      // variable amplitude noise: random scale between 0.5x and 3x the configured σ
-      const randomScale = 0.5 + _rng() * 2.5;
-      const noiseLatMeters = gaussianNoise(estNoiseStdMeters * randomScale);
-      const noiseLngMeters = gaussianNoise(estNoiseStdMeters * randomScale);
-      const latOffsetDeg = noiseLatMeters / 111320;
-      const lngOffsetDeg = noiseLngMeters / (111320 * Math.cos(rx.lat * Math.PI/180));
-      fused = { lat: fused.lat + latOffsetDeg, lng: fused.lng + lngOffsetDeg };
+      est = { lat: est.lat + latOffsetDeg, lng: est.lng + lngOffsetDeg };
+      // the protection level has to cover the added noise as well
+      estCov = [[estCov[0][0] + noiseSigma*noiseSigma, estCov[0][1]], [estCov[1][0], estCov[1][1] + noiseSigma*noiseSigma]];
+      estHpl = protectionLevel(estCov, integrityOpts).hplMeters;
+    }
+
+    // GNSS / fusion: synthetic GNSS fix (sigma, bias, interference scenario) combined with the eLoran
+    // fix through an information filter
+    let fused = est;
+    let gnssInfo = {};
+    if (rx.fuseMode === 'GNSS' || rx.fuseMode === 'fusion') {
+      const t = simTimeRef.current;
+      const gnssFix = simulateGnssFix(rx, t, gnssConfig);
+      const gnssStatus = gnssStatusAt(gnssConfig, t, rx);
+      if (gnssStatus !== 'ok' && (!rx.lastFix || rx.lastFix.gnssStatus !== gnssStatus)) {
+        const e = { type: { outage: 'GNSS_OUTAGE', jammed: 'GNSS_JAMMED', spoofed: 'GNSS_SPOOFED' }[gnssStatus], receiver: rx.label, simSec: t, time: Date.now() };
+        setLogEvents(prev => [...prev.slice(-400), e]);
+      }
+      if (rx.fuseMode === 'GNSS') {
+        if (!gnssFix) { showToast(`${rx.label}: no GNSS fix (${gnssStatus})`, 'error'); return; }
+        fused = { lat: gnssFix.lat, lng: gnssFix.lng };
+        estCov = gnssFix.covariance;
+        estHpl = protectionLevel(estCov, integrityOpts).hplMeters;
+        gnssInfo = { gnssStatus };
+      } else if (gnssFix) {
+        const eloranFix = { ...est, covariance: estCov };
+        // a GNSS fix that disagrees with eLoran beyond the chi-square threshold is excluded (eLoran-only fallback)
+        const test = gnssConsistencyTest(eloranFix, gnssFix, { pfa: gnssPfa });
+        reportGnssConsistency(rx, !test.consistent, test);
+        if (test.consistent) {
+          const f = fuseFixesInformation([eloranFix, gnssFix], { integrity: integrityOpts });
+          fused = { lat: f.lat, lng: f.lng };
+          estCov = f.covariance;
+          estHpl = f.hplMeters;
+          gnssInfo = { gnssStatus, eloranWeight: f.weights[0], gnssExcluded: false };
+        } else {
+          gnssInfo = { gnssStatus, eloranWeight: 1, gnssExcluded: true };
+        }
+      } else {
+        // no GNSS fix (outage or jamming): eLoran carries on alone
+        gnssInfo = { gnssStatus, eloranWeight: 1 };
+      }
     }
 
     // record estimated marker
@@ -761,15 +1143,18 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
     estimatedMarkers.current[receiverIndex] = marker;
 
     // compute error (meters) vs true
-    const errorMeters = haversine(rx, fused);
+    const errorMeters = geodesicDistance(rx, fused, geodesicModel);
     // update receiver lastFix (include HPL)
-    setReceivers(prev => prev.map(r => r.label === rx.label ? { ...r, lastFix: { lat: fused.lat, lng: fused.lng, err: errorMeters, hpl: estHpl } } : r));
+    const aivInfo = allInView ? { clockBiasSec: estObj.clockBiasSec, clockDriftPerSec: estObj.clockDriftPerSec, used: estObj.used, hdop: estObj.hdop } : {};
+    const raimInfo = estObj.raim ? { raim: { ...estObj.raim.test, excluded: estObj.raim.excluded, exclusionFailed: estObj.raim.exclusionFailed } } : {};
+    updateReceivers(prev => prev.map(r => r.label === rx.label ? { ...r, lastFix: { lat: fused.lat, lng: fused.lng, err: errorMeters, hpl: estHpl, ...aivInfo, ...raimInfo, ...gnssInfo } } : r));
 
     // push recent stats (rolling)
     setRecentErrors(prev => { const a = prev.slice(-99); a.push(errorMeters); return a; });
     setRecentHPLs(prev => {
       const a = prev.slice(-99);
-      if (typeof estHpl === 'number' && !isNaN(estHpl)) a.push(estHpl);
+      // kept aligned with recentErrors (NaN when unavailable) for the Stanford diagram
+      a.push(typeof estHpl === 'number' ? estHpl : NaN);
       return a;
     });
 
@@ -777,165 +1162,292 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
     // prefer a computed HPL when available, otherwise fall back to the actual error for the integrity check
     const hplCheck = (estHpl !== null && typeof estHpl === 'number') ? estHpl : errorMeters;
     if (enableIntegrityChecks && hplCheck > integrityThresholdMeters) {
-      const e = { type: 'INTEGRITY_ALARM', station: refMaster.label, receiver: rx.label, errorMeters, hpl: estHpl, time: Date.now() };
+      const e = { type: 'INTEGRITY_ALARM', station: refLabel, receiver: rx.label, errorMeters, hpl: estHpl, time: Date.now() };
       setLogEvents(prev => [...prev.slice(-400), e]);
       showToast(`INTEGRITY ALARM: ${rx.label} — check ${hplCheck.toFixed(1)} m > threshold ${integrityThresholdMeters} m (HPL ${estHpl !== null ? estHpl.toFixed(1) : 'n/a'})`, 'error', 8000);
     }
 
-    showToast(`Estimated ${rx.label}: ${fused.lat.toFixed(6)}, ${fused.lng.toFixed(6)} -- (err ${errorMeters.toFixed(1)} m, HPL ${estHpl !== null ? estHpl.toFixed(1) : 'n/a'})`, 'success', 4000);
+    const clockNote = allInView ? `, clock ${(estObj.clockBiasSec * 1e6).toFixed(3)} µs, ${estObj.used.length} stations` : '';
+    const gnssNote = rx.fuseMode === 'fusion' ? `, GNSS ${gnssInfo.gnssStatus}${gnssInfo.gnssExcluded ? ' (excluded)' : ''}, eLoran weight ${(gnssInfo.eloranWeight * 100).toFixed(0)}%` : '';
+    showToast(`Estimated ${rx.label}: ${fused.lat.toFixed(6)}, ${fused.lng.toFixed(6)} -- (err ${errorMeters.toFixed(1)} m, HPL ${estHpl !== null ? estHpl.toFixed(1) : 'n/a'}${clockNote}${gnssNote})`, 'success', 4000);
+  }
+
+  // RAIM outcome of one fix: RAIM_FAULT on detection, RAIM_EXCLUDED per excluded station and an
+  // INTEGRITY_ALARM when the fault cannot be isolated (the fix is then kept but flagged)
+  function reportRaim(rx, fde) {
+    const { test } = fde;
+    if (!test.fault) return;
+    const base = { receiver: rx.label, statistic: test.statistic, threshold: test.threshold, dof: test.dof, simSec: simTimeRef.current, time: Date.now() };
+    const events = [{ type: 'RAIM_FAULT', station: fde.excluded[0] || 'unidentified', ...base }];
+    fde.excluded.forEach(label => events.push({ type: 'RAIM_EXCLUDED', station: label, ...base, exclusionStatistic: fde.exclusionTest.statistic, exclusionThreshold: fde.exclusionTest.threshold }));
+    if (fde.exclusionFailed) events.push({ type: 'INTEGRITY_ALARM', station: 'RAIM', reason: 'fault detected, no station could be excluded', ...base });
+    setLogEvents(prev => [...prev.slice(-400), ...events]);
+    if (fde.exclusionFailed) showToast(`INTEGRITY ALARM: ${rx.label} — RAIM fault (χ² ${test.statistic.toFixed(1)} > ${test.threshold.toFixed(1)}), not excludable`, 'error', 8000);
+    else showToast(`RAIM: ${rx.label} — excluded ${fde.excluded.join(', ')} (χ² ${test.statistic.toFixed(1)} > ${test.threshold.toFixed(1)}), re-solved`, 'info', 6000);
   }
 
-  // reuse solver from original Loran (same algorithm)
-  function solvePositionFromTDOA(pairs, initialLngLat) {
-    const refLat = initialLngLat.lat;
-    function latLngToXY(lat, lng) {
-      const R = 6371000;
-      const x = (lng * Math.PI / 180) * R * Math.cos(refLat * Math.PI / 180);
-      const y = (lat * Math.PI / 180) * R;
-      return { x, y };
+  // inject (or clear with 0) a range fault on a master or secondary, to exercise RAIM
+  function setStationFault(label, faultMeters) {
+    const apply = (prev) => prev.map(st => st.label === label ? { ...st, faultMeters } : st);
+    setMasters(apply);
+    setSlaves(apply);
+  }
+
+  // change the clock of a master or secondary (type, holdover start); the noise realisation follows the new config
+  function setStationClock(label, patch) {
+    const apply = (prev) => prev.map(st => st.label === label ? { ...st, clock: { biasSec: 0, driftPerSec: 0, ...(st.clock || {}), ...patch } } : st);
+    setMasters(apply);
+    setSlaves(apply);
+    setClockAdev(null);
+  }
+
+  // overlapping Allan deviation of every station clock over the horizon, with the free-running oscillator model
+  function computeClockAdev() {
+    const horizonSec = Math.max(1, adevHorizonHours) * 3600;
+    const series = [];
+    for (const st of [...masters, ...slaves]) {
+      const sim = clockPhaseSeries(st.clock, st.label, horizonSec);
+      if (!sim) continue;
+      const osc = clockModelOf(st.clock);
+      const points = allanDeviation(sim.phase, sim.stepSec);
+      let maxTeSec = 0;
+      for (const x of sim.phase) maxTeSec = Math.max(maxTeSec, Math.abs(x));
+      series.push({ label: st.label, type: st.clock.type, points, model: points.map(p => modelAllanDeviation(osc, p.tauSec, sim.stepSec)), maxTeSec });
     }
-    let x0 = latLngToXY(initialLngLat.lat, initialLngLat.lng).x;
-    let y0 = latLngToXY(initialLngLat.lat, initialLngLat.lng).y;
-    const maxIter = 30;
-    let JTJ_final = [[0,0],[0,0]];
-    let r_final = [];
-    for (let iter=0; iter<maxIter; iter++){
-      const J = [];
-      const r = [];
-      for (const p of pairs) {
-        const mxy = latLngToXY(p.master.lat, p.master.lng);
-        const sxy = latLngToXY(p.slave.lat, p.slave.lng);
-        const dM = Math.hypot(x0 - mxy.x, y0 - mxy.y);
-        const dS = Math.hypot(x0 - sxy.x, y0 - sxy.y);
-        const modeledDelta = (dS - dM)/C.c;
-        const ri = (p.tdoaSec - modeledDelta);
-        const ddx = ( (x0 - sxy.x)/dS - (x0 - mxy.x)/dM ) / C.c;
-        const ddy = ( (y0 - sxy.y)/dS - (y0 - mxy.y)/dM ) / C.c;
-        J.push([ddx, ddy]);
-        r.push(ri);
-      }
-      const JTJ = [[0,0],[0,0]];
-      const JTr = [0,0];
-      for (let i=0;i<J.length;i++){
-        const [j1,j2] = J[i];
-        JTJ[0][0] += j1*j1; JTJ[0][1] += j1*j2;
-        JTJ[1][0] += j2*j1; JTJ[1][1] += j2*j2;
-        JTr[0] += j1 * r[i]; JTr[1] += j2 * r[i];
-      }
-      const det = JTJ[0][0]*JTJ[1][1] - JTJ[0][1]*JTJ[1][0];
-      if (Math.abs(det) < 1e-12) break;
-      const inv = [[JTJ[1][1]/det, -JTJ[0][1]/det], [-JTJ[1][0]/det, JTJ[0][0]/det]];
-      const dx = inv[0][0]*JTr[0] + inv[0][1]*JTr[1];
-      const dy = inv[1][0]*JTr[0] + inv[1][1]*JTr[1];
-      x0 += dx; y0 += dy;
-      if (Math.hypot(dx,dy) < 1e-6) break;
-      JTJ_final = JTJ;
-      r_final = r.slice();
+    if (series.length === 0) { showToast('No station has a clock with a noise model', 'error'); return; }
+    setClockAdev({ horizonSec, series });
+  }
+
+  // GNSS/eLoran consistency outcome for a fusion receiver: INTEGRITY_ALARM when GNSS gets excluded,
+  // GNSS_RESTORED when it agrees with eLoran again (logged on transitions only)
+  function reportGnssConsistency(rx, excluded, test) {
+    const was = !!gnssExcludedRef.current[rx.label];
+    gnssExcludedRef.current[rx.label] = excluded;
+    if (excluded === was) return;
+    const e = { type: excluded ? 'INTEGRITY_ALARM' : 'GNSS_RESTORED', station: 'GNSS', receiver: rx.label, reason: 'GNSS/eLoran mismatch',
+      separationMeters: test.separationMeters, statistic: test.statistic, threshold: test.threshold, simSec: simTimeRef.current, time: Date.now() };
+    setLogEvents(prev => [...prev.slice(-400), e]);
+    if (excluded) showToast(`INTEGRITY ALARM: ${rx.label} — GNSS disagrees with eLoran by ${test.separationMeters.toFixed(0)} m, falling back to eLoran only`, 'error', 8000);
+    else showToast(`${rx.label}: GNSS consistent with eLoran again, fusion resumed`, 'success');
+  }
+
+  function addGnssWindow() {
+    const { radiusMeters, ...w } = gnssWindowDraft;
+    if (!(w.endSec > w.startSec)) { showToast('GNSS window must end after it starts', 'error'); return; }
+    if (w.type === 'jamming' && !w.zone) { showToast('Pick the jamming zone centre on the map first', 'error'); return; }
+    if (w.type === 'jamming') w.zone = { ...w.zone, radiusMeters };
+    else delete w.zone;
+    if (w.type !== 'spoofing') { delete w.offsetEastMeters; delete w.offsetNorthMeters; delete w.driftMps; delete w.path; }
+    else if (w.path.length < 2) delete w.path;
+    setGnssConfig(prev => ({ ...prev, windows: [...prev.windows, w].sort((a, b) => a.startSec - b.startSec) }));
+    setGnssWindowDraft(prev => ({ ...prev, zone: null, path: [] }));
+    if (mode === 'gnss-zone' || mode === 'gnss-path') setMode('pan');
+  }
+
+  // map clicks while editing the scenario: jamming zone centre or the next spoofing path point
+  function gnssScenarioClick(point) {
+    if (modeRef.current === 'gnss-zone') setGnssWindowDraft(prev => ({ ...prev, zone: point }));
+    else setGnssWindowDraft(prev => ({ ...prev, path: [...prev.path, point] }));
+  }
+  gnssScenarioClickRef.current = gnssScenarioClick;
+
+  // redraw the scenario (committed windows plus the draft being edited)
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !map.isStyleLoaded()) return;
+    const zones = [], paths = [];
+    const windows = [...gnssConfig.windows, { ...gnssWindowDraft, draft: true, zone: gnssWindowDraft.zone && { ...gnssWindowDraft.zone, radiusMeters: gnssWindowDraft.radiusMeters } }];
+    for (const w of windows) {
+      const label = `${w.draft ? 'draft ' : ''}${w.type} ${w.startSec}-${w.endSec}s`;
+      if (w.type === 'jamming' && w.zone) zones.push({ type: 'Feature', geometry: { type: 'Polygon', coordinates: [zoneRing(w.zone)] }, properties: { label } });
+      if (w.type === 'spoofing' && w.path && w.path.length >= 2) paths.push({ type: 'Feature', geometry: { type: 'LineString', coordinates: w.path.map(p => [p.lng, p.lat]) }, properties: { label } });
     }
-    const R = 6371000;
-    const lat = (y0 / R) * 180 / Math.PI;
-    const lng = (x0 / (R * Math.cos(refLat * Math.PI / 180))) * 180 / Math.PI;
-    // estimate residual variance (seconds^2)
-    const m = r_final.length;
-    let sigma2 = 0;
-    if (m > 2) {
-      const ssum = r_final.reduce((a,b)=>a + b*b, 0);
-      sigma2 = ssum / Math.max(1, m - 2);
+    const layers = [
+      ['gnss-jam-zones', zones, { type: 'fill', paint: { 'fill-color': '#dc2626', 'fill-opacity': 0.15, 'fill-outline-color': '#dc2626' } }],
+      ['gnss-spoof-paths', paths, { type: 'line', paint: { 'line-color': '#ea580c', 'line-width': 2, 'line-dasharray': [1, 1] } }],
+    ];
+    for (const [id, features, layer] of layers) {
+      const data = { type: 'FeatureCollection', features };
+      if (map.getSource(id)) map.getSource(id).setData(data);
+      else { map.addSource(id, { type: 'geojson', data }); map.addLayer({ id, source: id, ...layer }); }
     }
-    // compute covariance in meters: cov = sigma2 * inv(JTJ_final)
-    const detF = JTJ_final[0][0]*JTJ_final[1][1] - JTJ_final[0][1]*JTJ_final[1][0];
-    let cov = [[0,0],[0,0]];
-    if (Math.abs(detF) > 1e-12) {
-      const invF = [[JTJ_final[1][1]/detF, -JTJ_final[0][1]/detF], [-JTJ_final[1][0]/detF, JTJ_final[0][0]/detF]];
-      cov = [[sigma2 * invF[0][0], sigma2 * invF[0][1]],[sigma2 * invF[1][0], sigma2 * invF[1][1]]];
+  }, [gnssConfig, gnssWindowDraft]);
+
+  function exportGnssScenario() {
+    const blob = new Blob([JSON.stringify(gnssConfig, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = 'gnss_scenario.json'; document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 5000);
+  }
+
+  function handleGnssScenarioImport(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      let cfg;
+      try { cfg = JSON.parse(String(reader.result)); } catch (err) { showToast('Scenario import failed: ' + err.message, 'error', 6000); return; }
+      if (!cfg || !Array.isArray(cfg.windows)) { showToast('Scenario import failed: no windows array', 'error', 6000); return; }
+      setGnssConfig({ ...DEFAULT_GNSS_CONFIG, ...cfg });
+      showToast(`Imported GNSS scenario (${cfg.windows.length} windows)`, 'success');
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  }
+
+  // masters and secondaries as a receiver may use them at tSec: stations off the air or blinking are left out,
+  // degraded ones carry their reduced power
+  function stationsOnAir(tSec) {
+    const usable = (list) => list.map(st => usableStation(stationWithAsfSteps(st, scenarioEvents, tSec), tSec)).filter(Boolean);
+    return { masters: usable(masters), slaves: usable(slaves) };
+  }
+
+  // STATION_STATE log events whenever a scheduled state starts or ends (checked every sim second)
+  function logStationStates(tSec) {
+    const events = [];
+    for (const st of [...masters, ...slaves]) {
+      const { state, powerDb } = stationStateAt(st, tSec);
+      const was = stationStatesRef.current[st.label] || 'on';
+      if (state === was) continue;
+      stationStatesRef.current[st.label] = state;
+      events.push({ type: 'STATION_STATE', station: st.label, state, from: was, powerDb, simSec: tSec, time: Date.now() });
     }
-    // compute HPL from covariance: take largest eigenvalue and scale by 3-sigma
-    const trace = cov[0][0] + cov[1][1];
-    const detC = cov[0][0]*cov[1][1] - cov[0][1]*cov[1][0];
-    const tm = Math.sqrt(Math.max(0, (trace*trace)/4 - detC));
-    const lambda1 = Math.max(0, trace/2 + tm);
-    const hplMeters = 3 * Math.sqrt(Math.max(0, lambda1));
+    if (events.length) setLogEvents(prev => [...prev.slice(-400), ...events]);
+  }
+
+  // add a schedule window to a station (sorted by start)
+  function addScheduleWindow() {
+    const { label, ...w } = scheduleDraft;
+    if (!label) { showToast('Pick a station for the schedule window', 'error'); return; }
+    if (!(w.endSec > w.startSec)) { showToast('Schedule window must end after it starts', 'error'); return; }
+    if (w.state !== 'degraded') delete w.powerDb;
+    const apply = (prev) => prev.map(st => st.label === label ? { ...st, schedule: [...(st.schedule || []), w].sort((a, b) => a.startSec - b.startSec) } : st);
+    setMasters(apply);
+    setSlaves(apply);
+  }
+
+  function removeScheduleWindow(label, index) {
+    const apply = (prev) => prev.map(st => st.label === label ? { ...st, schedule: (st.schedule || []).filter((_, j) => j !== index) } : st);
+    setMasters(apply);
+    setSlaves(apply);
+  }
+
+  // all-in-view candidates at tSec
+  function stationCandidates(tSec) {
+    const onAir = stationsOnAir(tSec);
+    return [...onAir.masters.map(m => ({ station: m, role: 'master' })), ...onAir.slaves.map(s => ({ station: s, role: 'slave' }))];
+  }
 
-    return { lat, lng, covariance: cov, hplMeters };
+  // all-in-view fix: masters and secondaries of every chain are candidates, ranked by SNR and geometry;
+  // the receiver clock is an unknown (TOA) or cancels in differences against several masters (TDOA)
+  function solveAllInView(rx) {
+    const t = simTimeRef.current;
+    const candidates = stationCandidates(t);
+    const { selected, hdop } = selectStations(candidates, rx, { maxStations: aivMaxStations, minSnrDb: aivMinSnrDb, ...snrOptions(t) });
+    if (selected.length < 3) { showToast(`${rx.label}: only ${selected.length} station(s) above ${aivMinSnrDb} dB SNR, need 3`, 'error'); return null; }
+    // TOA on the receiver clock minus the published emission offset (station clock errors stay in);
+    // the 4-state TOA solver also needs past epochs to observe the clock drift
+    const states = aivObservable === 'toa' && rx.clockStates === 4 ? 4 : 3;
+    const epochs = states === 4 ? Array.from({ length: Math.max(1, Math.round(aivDriftWindowSec)) + 1 }, (_, k, arr) => t - (arr.length - 1 - k)) : [t];
+    const obs = [];
+    for (const tk of epochs) {
+      const rxClockSec = simulateClockTick(rx.clock, tk, rx.label);
+      for (const sel of selected) {
+        obs.push({ ...sel, tSec: tk, toaSec: receiverArrivalSec(sel.station, sel.role, rx.label, rx, tk) + rxClockSec - (sel.station.offsetSec || 0) });
+      }
+    }
+    const initialGuess = { lat: rx.lat, lng: rx.lng };
+    const solveObs = (subset) => aivObservable === 'tdoa'
+      ? solvePositionClockFromTDOA(subset, initialGuess, { geodesicModel, integrity: integrityOpts })
+      : solvePositionFromTOA(subset, initialGuess, { geodesicModel, states, refTimeSec: t, integrity: integrityOpts });
+    let fix, raim = null;
+    if (raimEnabled) {
+      raim = raimFde(obs, (subset) => {
+        const f = solveObs(subset);
+        if (!f) return null;
+        return aivObservable === 'tdoa'
+          ? { fix: f, residualsMeters: f.whitenedResiduals, sigmasMeters: f.whitenedResiduals.map(() => 1), dof: f.whitenedResiduals.length - 2 }
+          : { fix: f, residualsMeters: f.residualsMeters, sigmasMeters: subset.map(o => o.sigmaMeters), dof: subset.length - states };
+      }, { pfa: continuityRisk });
+      fix = raim && raim.fix;
+    } else {
+      fix = solveObs(obs);
+    }
+    if (!fix) {
+      showToast(aivObservable === 'tdoa' ? `${rx.label}: TDOA needs a visible master and 3 stations` : `${rx.label}: singular station geometry`, 'error');
+      return null;
+    }
+    const excluded = raim ? raim.excluded : [];
+    return { ...fix, hdop, raim, used: selected.map(sel => sel.station.label).filter(l => !excluded.includes(l)) };
   }
 
-  // pulse simulation (reuse with small augmentation: attach DDS events and timing offsets)
+  // pulse simulation: standard Loran-C pulse groups (8 pulses, 9 for masters, A/B phase codes by GRI) with
+  // Eurofix PPM on DDS masters, sampled at 1 MHz over a window starting at the current sim time
   function simulatePulsesAtReceivers() {
     if (masters.length === 0 || slaves.length === 0 || receivers.length === 0) { showToast('Add masters, slaves, and receivers', 'error'); return; }
     const sampleRate = 1000000;
-    const pulseDuration = 0.0001;
-    const totalDuration = 0.01;
-    const numSamples = Math.floor(totalDuration * sampleRate);
+    const totalDuration = 0.025;
+    const windowStart = simTimeRef.current;
+    // a group is kept when any of it falls inside the window
+    const overlaps = (arrivalSec, role) => arrivalSec + groupLengthSec(role) >= windowStart && arrivalSec <= windowStart + totalDuration;
     const results = receivers.map((r) => {
       const arrivals = [];
-      // simulate periodic emissions per station using GRI and optional secondary spacing
-      masters.forEach((m) => {
+      // simulate periodic emissions per station using GRI and optional secondary spacing; stations off the air are
+      // silent, degraded ones radiate less and blinking ones key their blink pulses
+      masters.forEach((scheduled) => {
+        const m = transmittedStation(stationWithAsfSteps(scheduled, scenarioEvents, simTimeRef.current), simTimeRef.current);
+        if (!m) return;
+        const blinking = stationStateAt(scheduled, simTimeRef.current).state === 'blink';
         const griSec = (m.griMs || 1000) / 1000;
         const phase = m.phaseSec || 0;
         // consider a few emission periods around current sim time
         const baseK = Math.floor(simTimeRef.current / griSec);
         for (let k = -1; k <= 1; k++) {
           const t_emit = (baseK + k) * griSec + phase;
-          const prop = haversine({ lat: m.lat, lng: m.lng }, { lat: r.lat, lng: r.lng }) / C.c;
-          const clockOffset = simulateClockTick(m.clock || { biasSec:0, driftPerSec:0 }, simTimeRef.current) || 0;
-          const offsetSec = m.offsetSec || 0;
-          let asfMeters = 0;
-          if (m.asfMap && typeof m.asfMap === 'function') {
-            try { asfMeters = m.asfMap(r.lat, r.lng) || 0; } catch(e) { asfMeters = 0; }
-          } else if (m.asfMeters !== undefined) asfMeters = m.asfMeters || 0;
-          let diffCorrMeters = 0;
-          if (m.diffCorrections && m.diffCorrections.enabled) diffCorrMeters = m.diffCorrections.avgMeters || 0;
-          const arrivalSec = t_emit + prop + clockOffset + offsetSec + (asfMeters - diffCorrMeters) / C.c;
+          const arrivalSec = t_emit + computeArrivalSec(m, r.lat, r.lng, simTimeRef.current, { geodesicModel });
           // detection jitter
           const detectJitterSec = gaussianNoise(detectJitterMs) / 1000;
           const arrivalWithJitter = arrivalSec + detectJitterSec;
-          // include if within simulation window relative to simTimeRef
-          if (arrivalWithJitter >= simTimeRef.current && arrivalWithJitter <= simTimeRef.current + totalDuration) {
-            arrivals.push({ station: m.label, type: 'master', arrivalSec: arrivalWithJitter, txDbm: m.txDbm, dds: m.ddsEnabled });
+          if (overlaps(arrivalWithJitter, 'master')) {
+            // Eurofix PPM: per-pulse timing offsets (µs) of the 8-pulse group carrying this GRI's code symbol
+            const ddsTx = m.ddsEnabled && enableDDSGlobal ? ddsFramesRef.current[m.label] : null;
+            const ppmUs = ddsTx ? ppmGroupOffsetsUs(ddsTx.frame, baseK + k - ddsTx.startGri) : null;
+            const pulseGains = blinking ? blinkPulseGains('master', t_emit) : null;
+            arrivals.push({ station: m.label, type: 'master', role: 'master', griIndex: baseK + k, arrivalSec: arrivalWithJitter, txDbm: m.txDbm, dds: m.ddsEnabled, ppmUs, pulseGains });
             // skywave component
             if (skyEnabled) {
-              const skyArrival = arrivalWithJitter + (skyDelayMs || 0) / 1000;
-              arrivals.push({ station: m.label, type: 'master-sky', arrivalSec: skyArrival, txDbm: m.txDbm, txScale: skyAmpFraction });
+              const sky = skywaveFor(m, r, simTimeRef.current, skywaveConfig);
+              arrivals.push({ station: m.label, type: 'master-sky', role: 'master', griIndex: baseK + k, arrivalSec: arrivalWithJitter + sky.delaySec, txDbm: m.txDbm, txScale: sky.amplitudeRatio, ppmUs, pulseGains });
             }
           }
         }
       });
-      slaves.forEach((s) => {
+      slaves.forEach((scheduled) => {
+        const s = transmittedStation(stationWithAsfSteps(scheduled, scenarioEvents, simTimeRef.current), simTimeRef.current);
+        if (!s) return;
+        const blinking = stationStateAt(scheduled, simTimeRef.current).state === 'blink';
         const griSec = (s.griMs || 1000) / 1000;
         const phase = s.phaseSec || 0;
         const baseK = Math.floor(simTimeRef.current / griSec);
         for (let k=-1;k<=1;k++){
           const t_emit = (baseK + k) * griSec + phase;
-          const prop = haversine({ lat: s.lat, lng: s.lng }, { lat: r.lat, lng: r.lng }) / C.c;
-          const clockOffset = simulateClockTick(s.clock || { biasSec:0, driftPerSec:0 }, simTimeRef.current) || 0;
-          const offsetSec = s.offsetSec || 0;
-          let asfMeters = 0;
-          if (s.asfMap && typeof s.asfMap === 'function') {
-            try { asfMeters = s.asfMap(r.lat, r.lng) || 0; } catch(e) { asfMeters = 0; }
-          }
-          let diffCorrMeters = 0;
-          if (s.diffCorrections && s.diffCorrections.enabled) diffCorrMeters = s.diffCorrections.avgMeters || 0;
-          const arrivalSec = t_emit + prop + clockOffset + offsetSec + (asfMeters - diffCorrMeters) / C.c;
+          const arrivalSec = t_emit + computeArrivalSec(s, r.lat, r.lng, simTimeRef.current, { geodesicModel });
           const detectJitterSec = gaussianNoise(detectJitterMs) / 1000;
           const arrivalWithJitter = arrivalSec + detectJitterSec;
-          if (arrivalWithJitter >= simTimeRef.current && arrivalWithJitter <= simTimeRef.current + totalDuration) {
-            arrivals.push({ station: s.label, type: 'slave', arrivalSec: arrivalWithJitter, txDbm: s.txDbm || 18 });
+          if (overlaps(arrivalWithJitter, 'secondary')) {
+            const pulseGains = blinking ? blinkPulseGains('secondary', t_emit) : null;
+            arrivals.push({ station: s.label, type: 'slave', role: 'secondary', griIndex: baseK + k, arrivalSec: arrivalWithJitter, txDbm: s.txDbm || 18, pulseGains });
+            if (skyEnabled) {
+              const sky = skywaveFor(s, r, simTimeRef.current, skywaveConfig);
+              arrivals.push({ station: s.label, type: 'slave-sky', role: 'secondary', griIndex: baseK + k, arrivalSec: arrivalWithJitter + sky.delaySec, txDbm: s.txDbm || 18, txScale: sky.amplitudeRatio, pulseGains });
+            }
           }
         }
       });
       arrivals.sort((a,b)=>a.arrivalSec - b.arrivalSec);
-      const waveform = new Array(numSamples).fill(0);
-      arrivals.forEach((arrival) => {
-        const startSample = Math.floor(Math.max(0, (arrival.arrivalSec - simTimeRef.current)) * sampleRate);
-        const endSample = Math.floor(((arrival.arrivalSec - simTimeRef.current) + pulseDuration) * sampleRate);
-        const amplitude = Math.pow(10, (arrival.txDbm || 20) / 20) * (arrival.txScale || 1);
-        for (let i = startSample; i < endSample && i < numSamples; i++) {
-          const t = (i - startSample) / sampleRate;
-          const pulseShape = 0.5 * (1 + Math.cos(Math.PI * t / pulseDuration));
-          waveform[i] += amplitude * pulseShape;
-        }
-      });
-      return { receiver: r.label, arrivals, waveform, sampleRate };
+      const groups = arrivals.map(a => ({ arrivalSec: a.arrivalSec, role: a.role, griIndex: a.griIndex, amplitude: Math.pow(10, (a.txDbm || 20) / 20) * (a.txScale || 1), ppmUs: a.ppmUs, pulseGains: a.pulseGains }));
+      const waveform = synthesizeWaveform(groups, windowStart, totalDuration, sampleRate);
+      return { receiver: r.label, arrivals, waveform, sampleRate, startSec: windowStart };
     });
     setSimulationResults(results);
     // broadcast DDS messages at current simulation time
@@ -943,38 +1455,392 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
     showToast('Pulse & DDS simulation completed (waveforms available in sidebar).', 'success', 4000);
   }
 
-  // basic periodic sim clock increment (for clock drift simulation)
+  // simulation engine, created once and paused at t = 0 until Play; each simulated second runs the latest simTick
   useEffect(() => {
-    const tid = setInterval(() => {
-      simTimeRef.current += 1; // increment 1s per real second (simple)
-      setTimeSinceStart(simTimeRef.current);
-      // optionally broadcast DDS each 5s
-      if (simTimeRef.current % 5 === 0) broadcastDDS(simTimeRef.current);
-    }, 1000);
-    return () => clearInterval(tid);
-  }, [masters, enableDDSGlobal]);
+    const engine = createSimEngine({
+      tick: (t) => { if (simTickRef.current) simTickRef.current(t); },
+      onState: setSimClock,
+      onReset: () => { if (simResetRef.current) simResetRef.current(); },
+    });
+    engineRef.current = engine;
+    return () => engine.dispose();
+  }, []);
+
+  // one simulated second: scenario events due now, station state changes, dLoran reference measurements, a DDS
+  // broadcast every 5 s, then the tracking and timing epochs. Receivers are read from receiversRef, which the
+  // previous tick of the same batch has already updated
+  function simTick(t) {
+    simTimeRef.current = t;
+    setTimeSinceStart(t);
+    const due = eventsAt(scenarioEvents, t);
+    if (due.length) applyScenarioEvents(due, t);
+    logStationStates(t);
+    measureDloran(t);
+    if (t % 5 === 0) broadcastDDS(t);
+    runTrackingEpoch(t);
+    runTimingEpoch(t);
+  }
+  simTickRef.current = simTick;
+
+  // scenario events due at t: receiver moves (recording where the receiver was at t = 0) and scripted fixes; ASF
+  // steps need nothing here (stations carry them from the event list)
+  function applyScenarioEvents(due, t) {
+    for (const ev of due) {
+      if (ev.type === 'receiver-move') {
+        const rx = receiversRef.current.find(r => r.label === ev.label);
+        if (!rx) continue;
+        if (!receiverOriginsRef.current[ev.label]) receiverOriginsRef.current[ev.label] = { lat: rx.lat, lng: rx.lng };
+        if (markers.current[ev.label]) markers.current[ev.label].setLngLat([ev.lng, ev.lat]);
+        updateReceivers(prev => prev.map(r => r.label === ev.label ? { ...r, lat: ev.lat, lng: ev.lng } : r));
+      } else if (ev.type === 'estimate') {
+        const idx = receiversRef.current.findIndex(r => r.label === ev.label);
+        if (idx >= 0) estimateReceiver(idx);
+      }
+      setLogEvents(prev => [...prev.slice(-400), { type: 'SCENARIO', event: ev.type, station: ev.type === 'asf-step' ? ev.label : undefined, receiver: ev.type === 'asf-step' ? undefined : ev.label, meters: ev.meters, simSec: t, time: Date.now() }]);
+    }
+  }
+
+  // sim state of t = 0 for a replay: RNG reseeded, receivers back where the scenario first moved them from, and
+  // filters, tracks, DDS/dLoran state and the log cleared (stations, receivers and the scenario itself are kept).
+  // Everything the ticks read is reset synchronously (RNG, refs, receiversRef), so the replay can start at once
+  function resetSimState(seed) {
+    if (typeof seed === 'number' && !Number.isNaN(seed)) setRngSeed(seed);
+    simTimeRef.current = 0;
+    setTimeSinceStart(0);
+    const origins = receiverOriginsRef.current;
+    receiverOriginsRef.current = {};
+    Object.entries(origins).forEach(([label, p]) => { if (markers.current[label]) markers.current[label].setLngLat([p.lng, p.lat]); });
+    updateReceivers(prev => prev.map(r => ({ ...r, ...(origins[r.label] || {}), lastFix: null })));
+    ekfRef.current = {}; tracksRef.current = {}; gnssExcludedRef.current = {}; timingRef.current = {}; stationStatesRef.current = {};
+    dspTrackRef.current = {}; setDspReports({});
+    ddsSeqRef.current = {}; ddsFramesRef.current = {}; setDdsDecodes({});
+    dloranQueueRef.current = []; dloranRxRef.current = {}; setRefCorrections({}); setDloranResiduals([]);
+    setLogEvents([]);
+    setTrackVersion(v => v + 1);
+    setTimingVersion(v => v + 1);
+  }
+  simResetRef.current = () => resetSimState(parseInt(rngSeed));
+
+  // replay the scenario from t = 0 with the RNG seed (a time-based seed is applied first when none is set)
+  function replayScenario() {
+    let seed = parseInt(rngSeed);
+    if (Number.isNaN(seed)) {
+      seed = Math.floor(Date.now() % 4294967296);
+      setRngSeedState(String(seed));
+      try { localStorage.setItem('eloran_rng_seed', String(seed)); } catch { /* storage unavailable */ }
+      showToast('Applied time-based seed for the replay: ' + seed, 'success', 3000);
+    }
+    engineRef.current.reset();
+    resetSimState(seed);
+    engineRef.current.play();
+  }
+
+  function addScenarioEvent() {
+    const { type, atSec, label, meters, lat, lng } = eventDraft;
+    if (!label) { showToast(type === 'asf-step' ? 'Pick a station for the ASF step' : 'Pick a receiver for the event', 'error'); return; }
+    if (!(atSec >= 0)) { showToast('Event time must be ≥ 0 s', 'error'); return; }
+    const ev = type === 'asf-step' ? { type, atSec: Math.round(atSec), label, meters } : type === 'receiver-move' ? { type, atSec: Math.round(atSec), label, lat, lng } : { type, atSec: Math.round(atSec), label };
+    setScenarioEvents(prev => sortEvents([...prev, ev]));
+  }
 
   function resetAll() {
-    setMasters([]); setSlaves([]); setReceivers([]); setGridStatus(null); setSimulationResults(null); setLogEvents([]);
+    setMasters([]); setSlaves([]); updateReceivers(() => []); setGridStatus(null); setSimulationResults(null); setLogEvents([]);
     // remove markers from map
-    Object.values(markers.current).forEach(m => { try { m.remove(); } catch(e) {} }); markers.current = {};
-    Object.values(estimatedMarkers.current).forEach(m => { try { m.remove(); } catch(e) {} }); estimatedMarkers.current = {};
+    Object.values(markers.current).forEach(m => { try { m.remove(); } catch { /* already removed */ } }); markers.current = {};
+    Object.values(estimatedMarkers.current).forEach(m => { try { m.remove(); } catch { /* already removed */ } }); estimatedMarkers.current = {};
     // remove LOP layers/sources and any popups
     if (mapRef.current) {
-      try { mapRef.current.off('click', 'elops'); } catch(e) {}
-      try { if (mapRef.current.getLayer('elops')) mapRef.current.removeLayer('elops'); } catch(e) {}
-      try { if (mapRef.current.getSource('elops')) mapRef.current.removeSource('elops'); } catch(e) {}
-      try { if (mapRef.current.getLayer('elop-labels')) mapRef.current.removeLayer('elop-labels'); } catch(e) {}
-      try { if (mapRef.current.getSource('elop-labels')) mapRef.current.removeSource('elop-labels'); } catch(e) {}
+      try { mapRef.current.off('click', 'elops'); } catch { /* not on the map */ }
+      try { if (mapRef.current.getLayer('elops')) mapRef.current.removeLayer('elops'); } catch { /* not on the map */ }
+      try { if (mapRef.current.getSource('elops')) mapRef.current.removeSource('elops'); } catch { /* not on the map */ }
+      try { if (mapRef.current.getLayer('elop-labels')) mapRef.current.removeLayer('elop-labels'); } catch { /* not on the map */ }
+      try { if (mapRef.current.getSource('elop-labels')) mapRef.current.removeSource('elop-labels'); } catch { /* not on the map */ }
+      drawCoverage(null);
+      drawDop(null); dopRef.current = null;
       // remove any open popups (maplibre uses .mapboxgl-popup)
-      try { document.querySelectorAll('.mapboxgl-popup').forEach(n => n.remove()); } catch(e) {}
+      try { document.querySelectorAll('.mapboxgl-popup').forEach(n => n.remove()); } catch { /* no popups */ }
     }
     masterCounter.current = 0; slaveCounter.current = 0; receiverCounter.current = 0;
-    // reset sim time as well
+    // reset sim time and the scenario timeline as well
     simTimeRef.current = 0;
     setTimeSinceStart(0);
+    if (engineRef.current) engineRef.current.reset();
+    setScenarioEvents([]); receiverOriginsRef.current = {}; simEpochMsRef.current = Date.now();
     // release large grid maps
     gridMapsRef.current = null;
+    ekfRef.current = {}; tracksRef.current = {}; gnssExcludedRef.current = {}; timingRef.current = {}; stationStatesRef.current = {};
+    ddsSeqRef.current = {}; ddsFramesRef.current = {}; setDdsDecodes({});
+    refCounter.current = 0; setRefStations([]); setRefCorrections({}); setDloranResiduals([]); dloranQueueRef.current = []; dloranRxRef.current = {};
+    clearTrackLayers();
+  }
+
+  // --- moving receivers (waypoints / imported tracks) tracked by an EKF ---
+
+  function setReceiverTrajectory(label, patch) {
+    updateReceivers(prev => prev.map(r => r.label === label ? { ...r, ...patch } : r));
+    delete ekfRef.current[label];
+    tracksRef.current[label] = [];
+  }
+
+  // map click in 'add-waypoint' mode: the path starts at the receiver's position when the first point is added
+  function addWaypoint(point) {
+    const rx = receivers.find(r => r.label === waypointTarget);
+    if (!rx) { showToast('Select a receiver for waypoints first', 'error'); return; }
+    const waypoints = rx.waypoints && rx.waypoints.length ? [...rx.waypoints, point] : [{ lat: rx.lat, lng: rx.lng }, point];
+    const startSec = rx.trajectory ? rx.trajectory.points[0].tSec : simTimeRef.current;
+    setReceiverTrajectory(rx.label, { waypoints, trajectory: trajectoryFromWaypoints(waypoints, trackSpeedMps, startSec) });
+  }
+  addWaypointRef.current = addWaypoint;
+
+  // GPX or CSV track; timestamps are kept relative to the first point, otherwise the track speed is used
+  function handleTrackImport(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const rx = receivers.find(r => r.label === waypointTarget);
+    if (!rx) { showToast('Select a receiver for the track first', 'error'); return; }
+    const reader = new FileReader();
+    reader.onload = () => {
+      let trajectory;
+      try { trajectory = retimeTrajectory(parseTrack(String(reader.result), file.name, trackSpeedMps), simTimeRef.current); } catch (err) { showToast('Track import failed: ' + err.message, 'error', 6000); return; }
+      const start = trajectory.points[0];
+      setReceiverTrajectory(rx.label, { waypoints: null, trajectory, lat: start.lat, lng: start.lng });
+      if (markers.current[rx.label]) markers.current[rx.label].setLngLat([start.lng, start.lat]);
+      showToast(`Track with ${trajectory.points.length} points assigned to ${rx.label}`, 'success', 4000);
+    };
+    reader.onerror = () => showToast('Could not read ' + file.name, 'error');
+    reader.readAsText(file);
+  }
+
+  function clearTrajectory(label) {
+    setReceiverTrajectory(label, { waypoints: null, trajectory: null });
+  }
+
+  // one tracking epoch at sim time t: move receivers along their trajectory, predict + update their EKF
+  function runTrackingEpoch(t) {
+    if (!trackingEnabled) return;
+    const moved = {};
+    for (const rx of receiversRef.current) {
+      if (!rx.trajectory) continue;
+      const truth = trajectoryStateAt(rx.trajectory, t);
+      moved[rx.label] = truth;
+      if (markers.current[rx.label]) markers.current[rx.label].setLngLat([truth.lng, truth.lat]);
+      const { selected } = selectStations(stationCandidates(t), truth, { maxStations: aivMaxStations, minSnrDb: aivMinSnrDb, ...snrOptions(t) });
+      const rxClockSec = simulateClockTick(rx.clock, t, rx.label);
+      const obs = selected.map(sel => ({
+        ...sel,
+        toaSec: receiverArrivalSec(sel.station, sel.role, rx.label, truth, t) + rxClockSec - (sel.station.offsetSec || 0)
+          + (estimatorMode === 'none' ? 0 : gaussianNoise(sel.sigmaMeters) / C.c),
+      }));
+      let filter = ekfRef.current[rx.label];
+      if (!filter) {
+        // initialise from a snapshot TOA fix; wait for enough stations otherwise
+        const fix = solvePositionFromTOA(obs, { lat: truth.lat, lng: truth.lng }, { geodesicModel });
+        if (!fix) continue;
+        filter = createEkf(fix, t);
+        ekfRef.current[rx.label] = filter;
+      }
+      ekfPredict(filter, t);
+      ekfUpdate(filter, obs, { geodesicModel });
+      // loosely coupled GNSS: the fix enters as a position measurement unless GNSS is out; fixes failing the
+      // innovation gate are excluded (eLoran-only) until they agree with the filter again
+      if (rx.fuseMode === 'fusion') {
+        const gnssFix = simulateGnssFix(truth, t, gnssConfig);
+        const upd = ekfUpdatePosition(filter, gnssFix, { gate: -2 * Math.log(gnssPfa) });
+        if (gnssFix && upd.nis !== null) {
+          const sol0 = ekfSolution(filter);
+          reportGnssConsistency(rx, upd.rejected, { separationMeters: geodesicDistance(sol0, gnssFix, geodesicModel), statistic: upd.nis, threshold: -2 * Math.log(gnssPfa) });
+        }
+      }
+      const sol = ekfSolution(filter, { integrity: integrityOpts });
+      const err = geodesicDistance(truth, sol, geodesicModel);
+      const hist = tracksRef.current[rx.label] || (tracksRef.current[rx.label] = []);
+      hist.push({ t, lat: truth.lat, lng: truth.lng, estLat: sol.lat, estLng: sol.lng, err, hpl: sol.hplMeters, cov: sol.covariance, clockBiasSec: sol.clockBiasSec });
+      if (hist.length > 3600) hist.shift();
+    }
+    if (Object.keys(moved).length === 0) return;
+    updateReceivers(prev => prev.map(r => moved[r.label] ? { ...r, lat: moved[r.label].lat, lng: moved[r.label].lng } : r));
+    setTrackVersion(v => v + 1);
+  }
+
+  // switching a receiver into timing mode gives it an OCXO unless its clock already has a type; its time
+  // series restarts whenever the mode or the oscillator changes
+  function setReceiverSolverMode(label, solverMode) {
+    delete timingRef.current[label];
+    updateReceivers(prev => prev.map(x => x.label !== label ? x : {
+      ...x, solverMode, ...(solverMode === 'timing' && !x.clock?.type ? { clock: { ...(x.clock || {}), type: 'ocxo' } } : {}),
+    }));
+  }
+
+  function setReceiverClock(label, patch) {
+    delete timingRef.current[label];
+    updateReceivers(prev => prev.map(x => x.label === label ? { ...x, clock: { biasSec: 0, driftPerSec: 0, ...(x.clock || {}), ...patch } } : x));
+  }
+
+  function timingState(label) {
+    return timingRef.current[label] || (timingRef.current[label] = { eloran: createTimeFilter(), gnss: createTimeFilter(), utc: null, series: [] });
+  }
+
+  // one timing epoch at sim time t for receivers in 'timing' mode: the clock offset from the all-in-view TOAs at the
+  // surveyed position steers the eLoran time filter, GNSS time (while GNSS is usable at the antenna) the GNSS one, and
+  // both hold over without measurements. TE = recovered - true UTC = receiver clock error - filter offset; the eLoran
+  // receiver only outputs UTC once it has decoded a DDS TIME message
+  function runTimingEpoch(t) {
+    const timers = receiversRef.current.filter(r => r.solverMode === 'timing');
+    if (timers.length === 0) return;
+    const candidates = stationCandidates(t);
+    for (const rx of timers) {
+      const st = timingState(rx.label);
+      const rxClockSec = simulateClockTick(rx.clock, t, rx.label);
+      const { selected } = selectStations(candidates, rx, { maxStations: aivMaxStations, minSnrDb: aivMinSnrDb, ...snrOptions(t) });
+      const obs = selected.map(sel => ({
+        station: sel.station,
+        sigmaMeters: sel.sigmaMeters,
+        toaSec: receiverArrivalSec(sel.station, sel.role, rx.label, rx, t) + rxClockSec - (sel.station.offsetSec || 0)
+          + (estimatorMode === 'none' ? 0 : gaussianNoise(sel.sigmaMeters) / C.c),
+      }));
+      const sol = clockOffsetFromToas(obs, rx, { geodesicModel });
+      timeFilterStep(st.eloran, t, sol ? sol.offsetSec : null, timingConfig);
+      // GNSS time: lost in an outage or jamming; a spoofer shifts it by its pull-off range
+      const gnssStatus = gnssStatusAt(gnssConfig, t, rx);
+      let gnssOffsetSec = null;
+      if (gnssStatus === 'ok' || gnssStatus === 'spoofed') {
+        const pull = gnssStatus === 'spoofed' ? Math.hypot(...spoofingOffset(activeGnssWindow(gnssConfig, t, rx), t)) / C.c : 0;
+        gnssOffsetSec = rxClockSec + pull + gaussianNoise(timingConfig.gnssTimeSigmaNs * 1e-9);
+      }
+      timeFilterStep(st.gnss, t, gnssOffsetSec, timingConfig);
+      st.series.push({
+        t,
+        eloranTeSec: st.utc && st.eloran.tSec !== null ? rxClockSec - st.eloran.offsetSec : null,
+        gnssTeSec: st.gnss.tSec !== null ? rxClockSec - st.gnss.offsetSec : null,
+        eloranHoldover: st.eloran.holdoverSinceSec !== null,
+        stations: sol ? sol.used.length : 0,
+        gnssStatus,
+      });
+      if (st.series.length > 20000) st.series.shift();
+    }
+    setTimingVersion(v => v + 1);
+  }
+
+  function exportTiming(label) {
+    const series = timingRef.current[label]?.series || [];
+    if (series.length === 0) { showToast('No timing epochs for ' + label, 'error'); return; }
+    const ns = (v) => (v === null ? '' : (v * 1e9).toFixed(3));
+    const rows = [['t', 'eloranTeNs', 'gnssTeNs', 'eloranHoldover', 'stations', 'gnssStatus'].join(',')];
+    series.forEach(s => rows.push([s.t, ns(s.eloranTeSec), ns(s.gnssTeSec), s.eloranHoldover ? 1 : 0, s.stations, s.gnssStatus].join(',')));
+    const blob = new Blob([rows.join('\n')], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = `timing_${label}.csv`; document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 5000);
+  }
+
+  // redraw paths/tracks whenever receivers change (new waypoints, imported tracks, each tracking epoch): true paths,
+  // estimated tracks and 2-sigma covariance ellipses (every 10th epoch + the latest)
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !map.isStyleLoaded()) return;
+    const truthFeatures = [], estFeatures = [], ellipseFeatures = [];
+    for (const rx of receivers) {
+      if (rx.trajectory) truthFeatures.push({ type: 'Feature', geometry: { type: 'LineString', coordinates: rx.trajectory.points.map(p => [p.lng, p.lat]) }, properties: { receiver: rx.label } });
+      const hist = tracksRef.current[rx.label] || [];
+      if (hist.length >= 2) estFeatures.push({ type: 'Feature', geometry: { type: 'LineString', coordinates: hist.map(h => [h.estLng, h.estLat]) }, properties: { receiver: rx.label } });
+      hist.forEach((h, i) => {
+        if (i % 10 !== 0 && i !== hist.length - 1) return;
+        ellipseFeatures.push({ type: 'Feature', geometry: { type: 'Polygon', coordinates: [covarianceEllipseRing(h.estLat, h.estLng, h.cov, 2)] }, properties: { receiver: rx.label } });
+      });
+    }
+    const layers = [
+      ['rx-true-tracks', truthFeatures, { type: 'line', paint: { 'line-color': '#10b981', 'line-width': 2, 'line-dasharray': [2, 2] } }],
+      ['rx-est-tracks', estFeatures, { type: 'line', paint: { 'line-color': '#7c3aed', 'line-width': 2 } }],
+      ['rx-cov-ellipses', ellipseFeatures, { type: 'fill', paint: { 'fill-color': '#7c3aed', 'fill-opacity': 0.12, 'fill-outline-color': '#7c3aed' } }],
+    ];
+    for (const [id, features, layer] of layers) {
+      const data = { type: 'FeatureCollection', features };
+      if (map.getSource(id)) map.getSource(id).setData(data);
+      else { map.addSource(id, { type: 'geojson', data }); map.addLayer({ id, source: id, ...layer }); }
+    }
+  }, [receivers]);
+
+  function clearTrackLayers() {
+    const map = mapRef.current;
+    if (!map) return;
+    for (const id of ['rx-true-tracks', 'rx-est-tracks', 'rx-cov-ellipses']) {
+      if (map.getLayer(id)) map.removeLayer(id);
+      if (map.getSource(id)) map.removeSource(id);
+    }
+  }
+
+  function exportTrack(label) {
+    const hist = tracksRef.current[label] || [];
+    if (hist.length === 0) { showToast('No tracked epochs for ' + label, 'error'); return; }
+    const rows = [['t','trueLat','trueLng','estLat','estLng','errMeters','hplMeters','sigmaEast','sigmaNorth','clockBiasSec'].join(',')];
+    hist.forEach(h => rows.push([h.t, h.lat, h.lng, h.estLat, h.estLng, h.err.toFixed(3), h.hpl.toFixed(3), Math.sqrt(h.cov[0][0]).toFixed(3), Math.sqrt(h.cov[1][1]).toFixed(3), h.clockBiasSec].join(',')));
+    const blob = new Blob([rows.join('\n')], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = `track_${label}.csv`; document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 5000);
+  }
+
+  // Monte Carlo campaign in a worker: every receiver (with its own solver mode) or a grid over the station area
+  // (with the campaign solver), SNR from the current noise settings at the current sim time
+  function runMonteCarlo() {
+    if (masters.length === 0 || slaves.length === 0) { showToast('Add at least one master and one slave', 'error'); return; }
+    let points;
+    if (mcTarget === 'receivers') {
+      if (receivers.length === 0) { showToast('Add a receiver or run over a grid', 'error'); return; }
+      points = receivers.map(r => ({ label: r.label, lat: r.lat, lng: r.lng, solverMode: r.solverMode, observable: aivObservable }));
+    } else {
+      const all = [...masters, ...slaves, ...receivers];
+      const lats = all.map(a => a.lat), lngs = all.map(a => a.lng);
+      const padX = Math.max((Math.max(...lngs) - Math.min(...lngs)) * 0.2, 0.05), padY = Math.max((Math.max(...lats) - Math.min(...lats)) * 0.2, 0.05);
+      points = gridTestPoints({ west: Math.min(...lngs) - padX, south: Math.min(...lats) - padY, east: Math.max(...lngs) + padX, north: Math.max(...lats) + padY }, mcGridSize, mcGridSize);
+    }
+    // plain station copies: the worker needs position, power and the conductivity map of a physics ASF model
+    const plain = (st) => ({ lat: st.lat, lng: st.lng, label: st.label, txDbm: st.txDbm, powerKw: st.powerKw, asfModel: st.asfModel ? { conductivity: st.asfModel.conductivity } : undefined });
+    const config = { ...mcConfig, observable: aivObservable, maxStations: aivMaxStations, minSnrDb: aivMinSnrDb };
+    if (mcWorkerRef.current) mcWorkerRef.current.terminate();
+    const w = new Worker(new URL('../workers/monteCarloWorker.js', import.meta.url), { type: 'module' });
+    mcWorkerRef.current = w;
+    setMcProgress({ done: 0, total: points.length });
+    w.onmessage = (ev) => {
+      const msg = ev.data;
+      if (!msg) return;
+      if (msg.type === 'progress') setMcProgress(msg.payload);
+      else if (msg.type === 'result') {
+        w.terminate();
+        mcWorkerRef.current = null;
+        setMcProgress(null);
+        setMcResults({ results: msg.payload.results, config, target: mcTarget, finishedAt: Date.now() });
+        setMcSelected(prev => (msg.payload.results.some(r => r.label === prev) ? prev : (msg.payload.results.find(r => r.stats) || {}).label || ''));
+        const failed = msg.payload.results.filter(r => r.error).length;
+        showToast(`Monte Carlo: ${points.length} point(s) x ${config.trials} trials done${failed ? `, ${failed} without a fix` : ''}`, failed ? 'info' : 'success');
+      } else if (msg.type === 'error') {
+        w.terminate();
+        mcWorkerRef.current = null;
+        setMcProgress(null);
+        showToast('Monte Carlo failed: ' + msg.payload.message, 'error', 6000);
+      }
+    };
+    const onAir = stationsOnAir(simTimeRef.current);
+    w.postMessage({ type: 'runCampaign', payload: { points, stations: { masters: onAir.masters.map(plain), slaves: onAir.slaves.map(plain) }, config, geodesicModel, snr: snrOptions(simTimeRef.current) } });
+  }
+
+  function cancelMonteCarlo() {
+    if (mcWorkerRef.current) { mcWorkerRef.current.terminate(); mcWorkerRef.current = null; }
+    setMcProgress(null);
+    showToast('Monte Carlo cancelled', 'info');
+  }
+
+  function exportMonteCarlo(format) {
+    if (!mcResults) return;
+    const text = format === 'csv'
+      ? campaignCsv(mcResults.results)
+      : JSON.stringify({ config: mcResults.config, target: mcResults.target, geodesicModel, finishedAt: new Date(mcResults.finishedAt).toISOString(),
+          results: mcResults.results.map(r => ({ ...r, east: r.east ? Array.from(r.east) : undefined, north: r.north ? Array.from(r.north) : undefined })) }, null, 2);
+    const blob = new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = `monte_carlo.${format}`; document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 5000);
   }
 
   // Auto-calibration: compute per-master diffCorrections from simulated arrivals
@@ -995,7 +1861,7 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
         // use primary master arrivals only (ignore sky)
         if (arr.type && arr.type.includes('sky')) continue;
         const observed = arr.arrivalSec;
-        const predicted = computeArrivalSecNoDiff(m, rxLat, rxLng, simTimeRef.current);
+        const predicted = computeArrivalSecNoDiff(m, rxLat, rxLng, simTimeRef.current, { geodesicModel });
         const deltaSec = observed - predicted;
         const deltaMeters = deltaSec * C.c;
         // diffCorr to apply should be -deltaMeters (see notes)
@@ -1017,10 +1883,10 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
   function exportSimTiming() {
     if (!simulationResults || simulationResults.length === 0) { showToast('No simulation results to export', 'error'); return; }
     const rows = [];
-    rows.push(['receiver','station','type','arrivalSec','txDbm','txScale'].join(','));
+    rows.push(['receiver','station','type','arrivalSec','txDbm','txScale','ppmUs'].join(','));
     simulationResults.forEach(res => {
       for (const a of res.arrivals) {
-        rows.push([res.receiver, a.station, a.type || '', a.arrivalSec, a.txDbm || '', a.txScale || ''].join(','));
+        rows.push([res.receiver, a.station, a.type || '', a.arrivalSec, a.txDbm || '', a.txScale || '', a.ppmUs ? a.ppmUs.join(' ') : ''].join(','));
       }
     });
     const csv = rows.join('\n');
@@ -1030,6 +1896,16 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
     setTimeout(() => URL.revokeObjectURL(url), 5000);
   }
 
+  // sampled waveform of one receiver (CSV: time from sim time 0, amplitude), e.g. for cycle-identification work
+  function exportWaveform(res) {
+    const rows = ['tSec,amplitude'];
+    for (let i = 0; i < res.waveform.length; i++) rows.push(`${(res.startSec + i / res.sampleRate).toFixed(7)},${res.waveform[i]}`);
+    const blob = new Blob([rows.join('\n')], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = `waveform_${res.receiver}.csv`; document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 5000);
+  }
+
   // small UI for station editing (clock/diff)
   function editMasterConfig(label) {
     const m = masters.find(x => x.label === label);
@@ -1040,7 +1916,8 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
     const ddsEn = confirm("Enable DDS for this master? OK=yes, Cancel=no");
     const griMs = prompt("GRI (ms) for transmitted pulses (e.g. 1000):", String(m.griMs || 1000));
     const phaseSec = prompt("Pulse phase offset (sec):", String(m.phaseSec || 0));
-    setMasters(prev => prev.map(st => st.label === label ? { ...st, clock: { type: st.clock?.type || 'gps-disciplined', biasSec: parseFloat(newBias)||0, driftPerSec: parseFloat(newDrift)||0 }, diffCorrections: { enabled: true, avgMeters: parseFloat(diffAvg)||0 }, ddsEnabled: ddsEn, griMs: parseInt(griMs)||1000, phaseSec: parseFloat(phaseSec)||0 } : st));
+    const powerKw = prompt("Radiated peak power (kW):", String(m.powerKw ?? DEFAULT_POWER_KW));
+    setMasters(prev => prev.map(st => st.label === label ? { ...st, powerKw: parseFloat(powerKw) || DEFAULT_POWER_KW, clock: { ...(st.clock || {}), type: st.clock?.type || 'gps-disciplined', biasSec: parseFloat(newBias)||0, driftPerSec: parseFloat(newDrift)||0 }, diffCorrections: { enabled: true, avgMeters: parseFloat(diffAvg)||0 }, ddsEnabled: ddsEn, griMs: parseInt(griMs)||1000, phaseSec: parseFloat(phaseSec)||0 } : st));
   }
 
   // ASF assignment helpers (minimal UI-driven evaluator)
@@ -1071,7 +1948,7 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
           else if (m.type === 'error') { aw.removeEventListener('message', onmsg); reject(new Error(m.payload.message || 'ASF eval error')); }
         };
         aw.addEventListener('message', onmsg);
-        aw.postMessage({ type: 'eval', payload: { code, lat: testLat, lng: testLng } });
+        aw.postMessage({ type: 'eval', payload: { code, lat: testLat, lng: testLng, t: simTimeRef.current } });
         // timeout
         setTimeout(() => { aw.removeEventListener('message', onmsg); reject(new Error('ASF eval timeout')); }, 1200);
       });
@@ -1082,21 +1959,21 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
         // create main-thread function for per-cell performance
         let fn;
         try { fn = createAsfFunctionFromText(code); } catch (e) { showToast('Error creating ASF function: '+e.message, 'error'); return; }
-        setMasters(prev => prev.map(m => m.label === asfTarget ? { ...m, asfMap: fn } : m));
+        setMasters(prev => prev.map(m => m.label === asfTarget ? { ...m, asfMap: fn, asfModel: null, asfGrid: null } : m));
         showToast(`ASF assigned to ${asfTarget} (validated in worker)`, 'success', 4000);
       }).catch((err) => {
         showToast('ASF validation failed: ' + (err.message || String(err)), 'error', 6000);
       });
       return;
-    } catch (e) {
+    } catch {
       // fallback
       try {
         const fn = createAsfFunctionFromText(code);
-        const test = fn(masters[0]?.lat || 0, masters[0]?.lng || 0);
+        const test = fn(masters[0]?.lat || 0, masters[0]?.lng || 0, simTimeRef.current);
         if (typeof test !== 'number') {
           if (!confirm('ASF function did not return a number on test call. Continue anyway?')) return;
         }
-        setMasters(prev => prev.map(m => m.label === asfTarget ? { ...m, asfMap: fn } : m));
+        setMasters(prev => prev.map(m => m.label === asfTarget ? { ...m, asfMap: fn, asfModel: null, asfGrid: null } : m));
         showToast(`ASF assigned to ${asfTarget}`, 'success', 4000);
       } catch (err) {
         showToast('Error creating ASF function: ' + err.message, 'error', 6000);
@@ -1104,9 +1981,92 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
     }
   }
 
+  // built-in physics ASF: seawater SPF + Millington over user conductivity zones
+  function applyAsfModelToMaster() {
+    if (!asfTarget) { showToast('Select a master to apply ASF to', 'error'); return; }
+    const target = masters.find(m => m.label === asfTarget);
+    if (!target) return;
+    let zones;
+    try {
+      zones = JSON.parse(asfZonesText || '[]');
+      if (!Array.isArray(zones)) throw new Error('zones must be a JSON array');
+      zones.forEach((z, i) => {
+        if (!Array.isArray(z.polygon) || z.polygon.length < 3) throw new Error(`zone ${i+1}: polygon needs at least 3 [lng,lat] points`);
+        if (!(z.sigma > 0) || !(z.epsr >= 1)) throw new Error(`zone ${i+1}: sigma must be > 0 and epsr >= 1`);
+      });
+    } catch (err) {
+      showToast('Invalid conductivity zones: ' + err.message, 'error', 6000);
+      return;
+    }
+    const preset = GROUND_PRESETS[asfBackground] || GROUND_PRESETS.seawater;
+    const model = { conductivity: { background: { sigma: preset.sigma, epsr: preset.epsr }, zones }, includeSpf: asfIncludeSpf };
+    const fn = createAsfModelFunction(target, model);
+    setMasters(prev => prev.map(m => m.label === asfTarget ? { ...m, asfMap: fn, asfModel: model, asfGrid: null } : m));
+    showToast(`Physics ASF (SPF + Millington, ${zones.length} zone${zones.length === 1 ? '' : 's'}) assigned to ${asfTarget}`, 'success', 4000);
+  }
+
+  // measured / externally computed ASF grid (CSV with '# key: value' metadata or ESRI ASCII .asc)
+  function handleAsfGridImport(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!asfTarget) { showToast('Select a master to apply ASF to', 'error'); return; }
+    const reader = new FileReader();
+    reader.onload = () => {
+      let grid;
+      try { grid = parseAsfGrid(String(reader.result), file.name); } catch (err) { showToast('ASF grid import failed: ' + err.message, 'error', 6000); return; }
+      if (grid.station && grid.station !== asfTarget) {
+        if (!confirm(`Grid was exported for ${grid.station}. Assign it to ${asfTarget} anyway?`)) return;
+      }
+      grid.station = asfTarget;
+      const fn = createAsfGridFunction(grid);
+      setMasters(prev => prev.map(m => m.label === asfTarget ? { ...m, asfMap: fn, asfModel: null, asfGrid: grid } : m));
+      showToast(`ASF grid ${grid.nx}×${grid.ny} from ${file.name} assigned to ${asfTarget}`, 'success', 4000);
+    };
+    reader.onerror = () => showToast('Could not read ' + file.name, 'error');
+    reader.readAsText(file);
+  }
+
+  // export the ASF raster of the selected master: the one Compute Grid sampled when its ASF has not changed since,
+  // otherwise it is sampled now on the last grid (or a 4° box around the master before any grid was computed)
+  async function exportAsfRaster(format) {
+    if (!asfTarget) { showToast('Select a master', 'error'); return; }
+    const target = masters.find(m => m.label === asfTarget);
+    if (!target || typeof target.asfMap !== 'function') { showToast(`No ASF assigned to ${asfTarget}`, 'error', 4000); return; }
+    const cache = asfRasterCacheRef.current;
+    let entry = cache && cache.rasters.find(r => r && r.label === asfTarget && r.asfMap === target.asfMap);
+    let samplingGrid = cache;
+    if (!entry) {
+      if (!samplingGrid) {
+        const bl = proj4('EPSG:4326','EPSG:3857',[target.lng - 2, target.lat - 2]);
+        const tr = proj4('EPSG:4326','EPSG:3857',[target.lng + 2, target.lat + 2]);
+        samplingGrid = asfSamplingGrid({ minX: bl[0], minY: bl[1], maxX: tr[0], maxY: tr[1] }, 100, 100);
+      }
+      const [data] = await sampleAsfRasters([target], samplingGrid);
+      if (!data) { showToast(`ASF sampling failed for ${asfTarget}`, 'error', 5000); return; }
+      entry = { label: asfTarget, asfMap: target.asfMap, data };
+    }
+    const grid = gridFromRaster(entry.data, samplingGrid.latArr, samplingGrid.lngArr, samplingGrid.nx, samplingGrid.ny, { station: asfTarget });
+    const text = format === 'asc' ? asfGridToEsriAscii(grid) : asfGridToCsv(grid);
+    const blob = new Blob([text], { type: format === 'asc' ? 'text/plain' : 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = `asf_${asfTarget}.${format === 'asc' ? 'asc' : 'csv'}`; document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 5000);
+  }
+
+  // temporal ASF variation on the selected master, or on every master and secondary (null removes it)
+  function applyTemporalAsf(scope, config) {
+    if (scope === 'selected' && !asfTarget) { showToast('Select a master', 'error'); return; }
+    const apply = (prev) => prev.map(st => (scope === 'all' || st.label === asfTarget) ? { ...st, asfTemporal: config ? { ...config } : null } : st);
+    setMasters(apply);
+    if (scope === 'all') setSlaves(apply);
+    const who = scope === 'all' ? 'all stations' : asfTarget;
+    showToast(config ? `Temporal ASF variation applied to ${who}` : `Temporal ASF variation removed from ${who}`, 'success', 3000);
+  }
+
   function clearAsfFromMaster() {
     if (!asfTarget) { showToast('Select a master', 'error'); return; }
-    setMasters(prev => prev.map(m => m.label === asfTarget ? { ...m, asfMap: null } : m));
+    setMasters(prev => prev.map(m => m.label === asfTarget ? { ...m, asfMap: null, asfModel: null, asfGrid: null } : m));
     showToast(`ASF cleared for ${asfTarget}`, 'success', 3000);
   }
 
@@ -1155,6 +2115,8 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
           <button onClick={() => setMode('add-master')} className={`px-2 py-1 rounded transition-transform duration-150 hover:shadow-md hover:scale-105 ${mode==='add-master' ? 'bg-sky-600 text-white' : 'bg-gray-100'}`}>Add Masters</button>
           <button onClick={() => setMode('add-slave')} className={`px-2 py-1 rounded transition-transform duration-150 hover:shadow-md hover:scale-105 ${mode==='add-slave' ? 'bg-yellow-500 text-white' : 'bg-gray-100'}`}>Add Slaves</button>
           <button onClick={() => setMode('add-receiver')} className={`px-2 py-1 rounded transition-transform duration-150 hover:shadow-md hover:scale-105 ${mode==='add-receiver' ? 'bg-green-600 text-white' : 'bg-gray-100'}`}>Add Receivers</button>
+          <button onClick={() => setMode('add-reference')} className={`px-2 py-1 rounded transition-transform duration-150 hover:shadow-md hover:scale-105 ${mode==='add-reference' ? 'bg-pink-600 text-white' : 'bg-gray-100'}`} title="Differential eLoran reference stations (surveyed sites)">Add Ref. Stations</button>
+          <button onClick={() => setMode('add-waypoint')} className={`px-2 py-1 rounded transition-transform duration-150 hover:shadow-md hover:scale-105 ${mode==='add-waypoint' ? 'bg-violet-600 text-white' : 'bg-gray-100'}`} title="Click the map to append waypoints to the receiver selected under Tracking">Add Waypoints</button>
           <button onClick={() => setMode('pan')} className={`px-2 py-1 rounded transition-transform duration-150 hover:shadow-md hover:scale-105 ${mode==='pan' ? 'bg-slate-600 text-white' : 'bg-gray-100'}`}>Del. Mark</button>
         </div>
 
@@ -1178,14 +2140,18 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
             <h3 className="font-semibold">e-Loran Controls & Status</h3>
             <div className="text-xs text-gray-600 flex items-center gap-2">
               <div title="Active RNG seed">Seed: <span className="font-medium">{rngSeed || '—'}</span></div>
-              <button onClick={()=>{ try { navigator.clipboard.writeText(String(rngSeed || '')); showToast('Seed copied', 'success', 1500); } catch(e){ showToast('Clipboard not available','error',1500); } }} className="text-xs px-2 py-0.5 rounded bg-gray-100">Copy</button>
+              <button onClick={()=>{ try { navigator.clipboard.writeText(String(rngSeed || '')); showToast('Seed copied', 'success', 1500); } catch { showToast('Clipboard not available','error',1500); } }} className="text-xs px-2 py-0.5 rounded bg-gray-100">Copy</button>
             </div>
           </div>
           <div className="mt-2 text-xs">
-            <div>Sim time: {timeSinceStart}s</div>
+            <SimClockControls clock={simClock} timeSinceStart={timeSinceStart} onPlay={() => engineRef.current.play()} onPause={() => engineRef.current.pause()} onStep={() => engineRef.current.step()} onSpeedChange={(speed) => engineRef.current.setSpeed(speed)} onSeek={(t) => engineRef.current.seek(t)} onReplay={replayScenario} />
             <label className="block mt-2"><input type="checkbox" checked={enableDDSGlobal} onChange={(e)=>setEnableDDSGlobal(e.target.checked)} /> Global DDS enabled</label>
+            <div className="mt-1">Leap seconds (GPS−UTC): <input type="number" min="0" max="255" value={leapSeconds} onChange={(e)=>setLeapSeconds(Math.min(255, Math.max(0, parseInt(e.target.value) || 0)))} style={{width:60}} /></div>
             <label className="block mt-1"><input type="checkbox" checked={enableIntegrityChecks} onChange={(e)=>setEnableIntegrityChecks(e.target.checked)} /> Integrity checks</label>
-            <div className="mt-1">Integrity threshold (m): <input type="number" value={integrityThresholdMeters} onChange={(e)=>setIntegrityThresholdMeters(parseFloat(e.target.value)||0)} style={{width:80}} /></div>
+            <div className="mt-1">HAL (m): <input type="number" value={integrityThresholdMeters} onChange={(e)=>setIntegrityThresholdMeters(parseFloat(e.target.value)||0)} style={{width:80}} /></div>
+            <div className="mt-1">Integrity risk: <input type="number" min="1e-12" max="0.1" step="any" value={integrityRisk} onChange={(e)=>setIntegrityRisk(Math.min(0.1, Math.max(1e-12, parseFloat(e.target.value) || DEFAULT_INTEGRITY.integrityRisk)))} style={{width:80}} /></div>
+            <div className="mt-1">Continuity risk: <input type="number" min="1e-12" max="0.5" step="any" value={continuityRisk} onChange={(e)=>setContinuityRisk(Math.min(0.5, Math.max(1e-12, parseFloat(e.target.value) || DEFAULT_INTEGRITY.continuityRisk)))} style={{width:80}} /> <span className="text-gray-500">(RAIM Pfa)</span></div>
+            <div className="mt-1">Fault-free bias (m): <input type="number" min="0" step="1" value={plBiasMeters} onChange={(e)=>setPlBiasMeters(Math.max(0, parseFloat(e.target.value) || 0))} style={{width:80}} /></div>
           </div>
 
           <div className="mt-4">
@@ -1196,7 +2162,7 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
               </div>
             </div>
             <div className="text-xs mt-2 space-y-1">
-              {masters.map((m,i) => (
+              {masters.map((m) => (
                 <div key={m.label} className="border rounded p-1">
                   <div className="flex justify-between items-center">
                     <div><strong>{m.label}</strong> ({m.lat.toFixed(4)},{m.lng.toFixed(4)})</div>
@@ -1204,8 +2170,9 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
                       <button onClick={()=>editMasterConfig(m.label)} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Edit</button>
                     </div>
                   </div>
-                  <div className="text-xs mt-1">Clock: {m.clock?.type || 'gps-disciplined'} (bias {m.clock?.biasSec || 0}s)</div>
-                  <div className="text-xs">DDS: {m.ddsEnabled ? 'ON' : 'OFF'} — DiffCorr: {m.diffCorrections?.avgMeters ?? 0} m</div>
+                  <div className="text-xs mt-1">Clock: {CLOCK_TYPES[m.clock?.type]?.label || m.clock?.type || 'gps-disciplined'} (bias {m.clock?.biasSec || 0}s, now {((simulateClockTick(m.clock, timeSinceStart, m.label)) * 1e9).toFixed(1)} ns)</div>
+                  <div className="text-xs">DDS: {m.ddsEnabled ? 'ON' : 'OFF'} — DiffCorr: {m.diffCorrections?.avgMeters ?? 0} m — {m.powerKw ?? DEFAULT_POWER_KW} kW{receivers[0] ? ` (SNR ${stationSnrDb(m, receivers[0], snrOptions(timeSinceStart)).toFixed(1)} dB at ${receivers[0].label})` : ''}</div>
+                  <div className="text-xs">ASF: {m.asfModel ? 'physics model' : (m.asfGrid ? `grid ${m.asfGrid.nx}×${m.asfGrid.ny}` : (typeof m.asfMap === 'function' ? 'JS function' : 'none'))}{m.asfTemporal ? ` + temporal${receivers[0] ? ` (${temporalAsfMeters(m, receivers[0].lat, receivers[0].lng, timeSinceStart, m.asfTemporal).toFixed(1)} m at ${receivers[0].label})` : ''}` : ''}</div>
                 </div>
               ))}
             </div>
@@ -1219,16 +2186,76 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
                   <option value="">-- select master --</option>
                   {masters.map(m => (<option key={m.label} value={m.label}>{m.label}</option>))}
                 </select>
-                <button onClick={applyAsfToMaster} className="text-xs px-2 py-0.5 rounded bg-indigo-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Apply</button>
+                <select value={asfSource} onChange={(e)=>setAsfSource(e.target.value)} className="text-xs" title="ASF source">
+                  <option value="code">JS function</option>
+                  <option value="model">Physics model</option>
+                  <option value="grid">Grid file</option>
+                </select>
+                {asfSource !== 'grid' && <button onClick={asfSource === 'model' ? applyAsfModelToMaster : applyAsfToMaster} className="text-xs px-2 py-0.5 rounded bg-indigo-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Apply</button>}
                 <button onClick={clearAsfFromMaster} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Clear</button>
               </div>
-              <div className="mt-2">
-                <label className="block text-xs">ASF JS (function body). Example: `return 100*Math.sin(lat);` (meters). Args: `lat, lng`</label>
-                <textarea value={asfText} onChange={(e)=>setAsfText(e.target.value)} className="w-full text-xs" rows={4} />
+              {asfSource === 'grid' ? (
+                <div className="mt-2 space-y-1">
+                  <label className="block text-xs">Import CSV (lat,lng,asf in meters or asf_us; '# key: value' header lines) or ESRI ASCII grid (.asc, meters)</label>
+                  <input type="file" accept=".csv,.asc,.txt" onChange={handleAsfGridImport} className="text-xs" />
+                  <div className="flex gap-2 items-center">
+                    <span className="text-xs">Export sampled raster:</span>
+                    <button onClick={()=>exportAsfRaster('csv')} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">CSV</button>
+                    <button onClick={()=>exportAsfRaster('asc')} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">ESRI ASCII</button>
+                  </div>
+                  <div className="text-xs text-gray-500">Values are bilinearly interpolated; points outside the grid get 0 m. Export writes the selected master's ASF on the last computed grid (a 4° box around the master before any grid).</div>
+                </div>
+              ) : asfSource === 'code' ? (
+                <div className="mt-2">
+                  <label className="block text-xs">ASF JS (function body). Example: `return 100*Math.sin(lat) + 5*Math.sin(2*Math.PI*t/86400);` (meters). Args: `lat, lng, t` (sim time, s)</label>
+                  <textarea value={asfText} onChange={(e)=>setAsfText(e.target.value)} className="w-full text-xs" rows={4} />
+                </div>
+              ) : (
+                <div className="mt-2 space-y-1">
+                  <div className="flex items-center gap-2">
+                    <label className="text-xs">Background ground:</label>
+                    <select value={asfBackground} onChange={(e)=>setAsfBackground(e.target.value)} className="text-xs">
+                      {Object.entries(GROUND_PRESETS).map(([k, g]) => (<option key={k} value={k}>{g.label} (σ {g.sigma} S/m, εr {g.epsr})</option>))}
+                    </select>
+                  </div>
+                  <label className="block text-xs">Conductivity zones (JSON): {'[{ "name": "land", "sigma": 0.005, "epsr": 15, "polygon": [[lng,lat], ...] }]'}</label>
+                  <textarea value={asfZonesText} onChange={(e)=>setAsfZonesText(e.target.value)} className="w-full text-xs font-mono" rows={4} />
+                  <label className="block text-xs"><input type="checkbox" checked={asfIncludeSpf} onChange={(e)=>setAsfIncludeSpf(e.target.checked)} /> Include seawater SPF (otherwise ASF only)</label>
+                  <div className="text-xs text-gray-500">Flat-earth Sommerfeld–Norton phase per segment, combined with Millington's method; ASF = mixed path − all-seawater path.</div>
+                </div>
+              )}
+              <div className="mt-3 space-y-1">
+                <div className="font-medium">Temporal variation</div>
+                <div className="grid grid-cols-2 gap-1">
+                  {[
+                    ['seasonalAmpMeters', 'Seasonal amp. (m)'], ['seasonalPeakDay', 'Seasonal peak (day)'],
+                    ['diurnalAmpMeters', 'Diurnal amp. (m)'], ['diurnalPeakHour', 'Diurnal peak (h LST)'],
+                    ['randomWalkMetersPerSqrtHour', 'Random walk (m/√h)'], ['weatherSigmaMeters', 'Weather σ (m)'],
+                    ['weatherTauHours', 'Weather τ (h)'], ['referenceDistanceKm', 'Per path (km)'],
+                    ['startDayOfYear', 'Sim start (day)'], ['startHourUtc', 'Sim start (h UTC)'],
+                    ['seed', 'Seed'],
+                  ].map(([k, label]) => (
+                    <label key={k} className="flex justify-between gap-1">{label}: <input type="number" step="any" value={asfTemporalDraft[k]} onChange={(e)=>{ const v = parseFloat(e.target.value); setAsfTemporalDraft(prev => ({ ...prev, [k]: Number.isFinite(v) ? v : 0 })); }} className="w-16 px-1 border rounded" /></label>
+                  ))}
+                </div>
+                <div className="flex gap-2 items-center">
+                  <button onClick={()=>applyTemporalAsf('selected', asfTemporalDraft)} className="text-xs px-2 py-0.5 rounded bg-indigo-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Apply to selected</button>
+                  <button onClick={()=>applyTemporalAsf('all', asfTemporalDraft)} className="text-xs px-2 py-0.5 rounded bg-indigo-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Apply to all stations</button>
+                  <button onClick={()=>applyTemporalAsf(asfTarget ? 'selected' : 'all', null)} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105" title="Removes it from the selected master, or from all stations when none is selected">Remove</button>
+                </div>
+                <div className="text-xs text-gray-500">Added to the spatial ASF and scaled with path length: seasonal and diurnal (local solar time) cosines plus a random walk and a Gauss-Markov weather term, reproducible per seed and station. Differential corrections exist to track this drift.</div>
               </div>
             </div>
           </div>
 
+          <div className="mt-2">
+            <label className="block text-xs">Geodesic model:</label>
+            <select value={geodesicModel} onChange={(e)=>setGeodesicModel(e.target.value)} className="text-xs" title="Distance model for arrival times, grid and solver">
+              <option value="sphere">Sphere (haversine, R=6371 km)</option>
+              <option value="wgs84">WGS-84 ellipsoid (Vincenty/Karney)</option>
+            </select>
+          </div>
+
           <div className="mt-2">
             <label className="block text-xs">Contour units:</label>
             <select value={contourUnit} onChange={(e)=>{ setContourUnit(e.target.value); if (gridStatus?.contours) drawLOPs(gridStatus.contours); }} className="text-xs">
@@ -1237,6 +2264,10 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
             </select>
           </div>
 
+          <div className="mt-2">
+            <HdopLegend sigmaNs={dopSigmaNs} onSigmaChange={setDopSigmaNs} visible={dopLayerVisible} onVisibleChange={(v) => { setDopLayerVisible(v); drawDop(v ? dopRef.current : null); }} />
+          </div>
+
           <div className="mt-4">
             <h4 className="font-medium">Receivers ({receivers.length})</h4>
             <div className="text-xs mt-2 space-y-1">
@@ -1246,14 +2277,38 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
                     <div>[{r.label}] {r.lat.toFixed(4)},{r.lng.toFixed(4)}</div>
                     <div className="flex gap-1">
                       <button onClick={()=>estimateReceiver(idx)} className="text-xs px-2 py-0.5 rounded bg-indigo-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Est</button>
-                      <select value={r.fuseMode} onChange={(e)=> setReceivers(prev => prev.map(x => x.label===r.label ? {...x, fuseMode: e.target.value} : x)) } className="text-xs">
+                      <select value={r.fuseMode} onChange={(e)=> updateReceivers(prev => prev.map(x => x.label===r.label ? {...x, fuseMode: e.target.value} : x)) } className="text-xs">
                         <option value="eLoran">e-Loran</option>
                         <option value="GNSS">GNSS</option>
                         <option value="fusion">Fusion</option>
                       </select>
+                      <select value={r.solverMode || 'reference'} onChange={(e)=> setReceiverSolverMode(r.label, e.target.value) } className="text-xs" title="Station set used for the e-Loran fix">
+                        <option value="reference">Ref. master</option>
+                        <option value="allInView">All-in-view</option>
+                        <option value="timing">Timing (surveyed)</option>
+                      </select>
+                      {r.solverMode === 'allInView' && aivObservable === 'toa' && (
+                        <select value={r.clockStates || 3} onChange={(e)=> updateReceivers(prev => prev.map(x => x.label===r.label ? {...x, clockStates: parseInt(e.target.value)} : x)) } className="text-xs" title="TOA solver states">
+                          <option value={3}>3-state</option>
+                          <option value={4}>4-state</option>
+                        </select>
+                      )}
                     </div>
                   </div>
                   <div className="text-xs mt-1">Last err: {r.lastFix ? `${r.lastFix.err.toFixed(1)} m` : '-'}</div>
+                  {r.lastFix && r.lastFix.raim && <div className="text-xs text-gray-600">RAIM {r.lastFix.raim.available ? `χ² ${r.lastFix.raim.statistic.toFixed(1)} / ${r.lastFix.raim.threshold.toFixed(1)} (dof ${r.lastFix.raim.dof})` : 'unavailable (no redundancy)'}{r.lastFix.raim.excluded.length ? `, excluded ${r.lastFix.raim.excluded.join(', ')}` : ''}{r.lastFix.raim.exclusionFailed ? ', fault not excludable' : ''}</div>}
+                  <DdsDecodes decodes={ddsDecodes[r.label]} />
+                  {toaSource === 'dsp' && dspReports[r.label] && (
+                    <div className="text-xs text-gray-600">DSP {Object.entries(dspReports[r.label]).map(([st, d]) => `${st} ECD ${d.ecdUs.toFixed(2)} µs${d.cycleError ? ` (${d.cycleError > 0 ? '+' : ''}${d.cycleError} cyc)` : ''}`).join(', ')}</div>
+                  )}
+                  {r.lastFix && r.lastFix.gnssStatus && <div className="text-xs text-gray-600">GNSS {r.lastFix.gnssStatus}{typeof r.lastFix.eloranWeight === 'number' ? `, eLoran weight ${(r.lastFix.eloranWeight * 100).toFixed(0)}%` : ''}</div>}
+                  {r.solverMode === 'allInView' && (
+                    <div className="text-xs mt-1">
+                      <label>Rx clock bias (µs): <input type="number" value={((r.clock?.biasSec || 0) * 1e6)} onChange={(e)=> updateReceivers(prev => prev.map(x => x.label===r.label ? {...x, clock: { ...(x.clock || {}), biasSec: (parseFloat(e.target.value) || 0) * 1e-6 }} : x))} className="w-20" /></label>
+                      <label className="ml-2">drift (ns/s): <input type="number" value={((r.clock?.driftPerSec || 0) * 1e9)} onChange={(e)=> updateReceivers(prev => prev.map(x => x.label===r.label ? {...x, clock: { ...(x.clock || {}), driftPerSec: (parseFloat(e.target.value) || 0) * 1e-9 }} : x))} className="w-16" /></label>
+                      {r.lastFix && r.lastFix.used && <div>Clock est {(r.lastFix.clockBiasSec * 1e6).toFixed(3)} µs{typeof r.lastFix.clockDriftPerSec === 'number' && r.clockStates === 4 ? `, drift ${(r.lastFix.clockDriftPerSec * 1e9).toFixed(3)} ns/s` : ''} — {r.lastFix.used.join(', ')} (HDOP {Number.isFinite(r.lastFix.hdop) ? r.lastFix.hdop.toFixed(2) : 'n/a'})</div>}
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -1285,6 +2340,169 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
               </div>
             </div>
 
+            <div className="p-3 bg-white/80 rounded-lg shadow-sm border">
+              <div className="flex items-center justify-between">
+                <h4 className="font-semibold">All-in-view</h4>
+                <div className="text-xs text-gray-500">Cross-chain · Rx clock</div>
+              </div>
+              <div className="mt-2 flex flex-col gap-2">
+                <div className="flex items-center gap-2">
+                  <label className="text-sm">Observable:</label>
+                  <select value={aivObservable} onChange={(e)=>setAivObservable(e.target.value)} className="text-xs">
+                    <option value="toa">TOA (position + clock)</option>
+                    <option value="tdoa">TDOA (several masters)</option>
+                  </select>
+                </div>
+                <div className="flex items-center gap-2 text-xs">
+                  <label>Max stations: <input type="number" min="3" max="32" value={aivMaxStations} onChange={(e)=>setAivMaxStations(Math.max(3, parseInt(e.target.value) || 3))} className="w-14 px-1 border rounded" /></label>
+                  <label>Min SNR (dB): <input type="number" step="1" value={aivMinSnrDb} onChange={(e)=>setAivMinSnrDb(parseFloat(e.target.value) || 0)} className="w-14 px-1 border rounded" /></label>
+                </div>
+                <div className="flex items-center gap-2 text-xs">
+                  <label>4-state drift window (s): <input type="number" min="1" max="600" value={aivDriftWindowSec} onChange={(e)=>setAivDriftWindowSec(Math.max(1, parseInt(e.target.value) || 1))} className="w-16 px-1 border rounded" /></label>
+                </div>
+                <div className="text-xs text-gray-500">Receivers set to All-in-view use masters and secondaries of every chain: strongest first, then the station that lowers SNR-weighted HDOP most. TOA solves position + clock bias (3-state) or + drift over past epochs (4-state, per receiver).</div>
+              </div>
+            </div>
+
+            <DloranPanel config={dloranConfig} onConfigChange={setDloranConfig} refStations={refStations} corrections={refCorrections} queuedCount={dloranQueueRef.current.length} residuals={dloranResiduals} />
+
+            <div className="p-3 bg-white/80 rounded-lg shadow-sm border">
+              <div className="flex items-center justify-between">
+                <h4 className="font-semibold">RAIM</h4>
+                <div className="text-xs text-gray-500">Fault detection & exclusion</div>
+              </div>
+              <div className="mt-2 flex flex-col gap-2">
+                <label className="inline-flex items-center text-sm"><input type="checkbox" checked={raimEnabled} onChange={(e)=>setRaimEnabled(e.target.checked)} className="mr-2"/>Residual χ² test with exclusion</label>
+                <div className="flex items-center gap-2 text-xs">
+                  <span>Pfa {continuityRisk} (continuity risk)</span>
+                  <label>TOA σ (m): <input type="number" min="0.1" step="1" value={raimSigmaMeters} onChange={(e)=>setRaimSigmaMeters(Math.max(0.1, parseFloat(e.target.value) || 0.1))} className="w-14 px-1 border rounded" /></label>
+                </div>
+                <div className="flex items-center gap-2 text-xs">
+                  <select value={faultDraft.label} onChange={(e)=>setFaultDraft(prev => ({ ...prev, label: e.target.value }))} className="text-xs">
+                    <option value="">-- station --</option>
+                    {[...masters, ...slaves].map(st => (<option key={st.label} value={st.label}>{st.label}</option>))}
+                  </select>
+                  <label>fault (m): <input type="number" step="10" value={faultDraft.meters} onChange={(e)=>setFaultDraft(prev => ({ ...prev, meters: parseFloat(e.target.value) || 0 }))} className="w-16 px-1 border rounded" /></label>
+                  <button onClick={()=>{ if (!faultDraft.label) { showToast('Select a station to fault', 'error'); return; } setStationFault(faultDraft.label, faultDraft.meters); }} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Inject</button>
+                </div>
+                {[...masters, ...slaves].filter(st => st.faultMeters).map(st => (
+                  <div key={st.label} className="flex justify-between items-center text-xs border rounded px-1">
+                    <div>{st.label}: {st.faultMeters} m range fault</div>
+                    <button onClick={()=>setStationFault(st.label, 0)} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Clear</button>
+                  </div>
+                ))}
+                <div className="text-xs text-gray-500">The weighted sum of squared post-fit residuals is tested against the χ² threshold for Pfa (dof = observations − states; needs redundancy). On a fault each station is excluded in turn and the fix re-solved; detections, exclusions and unresolved faults are logged.</div>
+              </div>
+            </div>
+
+            <div className="p-3 bg-white/80 rounded-lg shadow-sm border">
+              <div className="flex items-center justify-between">
+                <h4 className="font-semibold">GNSS</h4>
+                <div className="text-xs text-gray-500">Fusion · jamming/spoofing scenario</div>
+              </div>
+              <div className="mt-2 flex flex-col gap-2">
+                <div className="flex items-center gap-2 text-xs">
+                  <label>σ (m): <input type="number" min="0.1" step="0.5" value={gnssConfig.sigmaMeters} onChange={(e)=>setGnssConfig(prev => ({ ...prev, sigmaMeters: Math.max(0.1, parseFloat(e.target.value) || 0.1) }))} className="w-14 px-1 border rounded" /></label>
+                  <label>Bias E (m): <input type="number" step="1" value={gnssConfig.biasEastMeters} onChange={(e)=>setGnssConfig(prev => ({ ...prev, biasEastMeters: parseFloat(e.target.value) || 0 }))} className="w-14 px-1 border rounded" /></label>
+                  <label>N (m): <input type="number" step="1" value={gnssConfig.biasNorthMeters} onChange={(e)=>setGnssConfig(prev => ({ ...prev, biasNorthMeters: parseFloat(e.target.value) || 0 }))} className="w-14 px-1 border rounded" /></label>
+                </div>
+                <div className="flex items-center gap-2 text-xs">
+                  <label>Consistency Pfa: <input type="number" min="1e-9" max="0.5" step="any" value={gnssPfa} onChange={(e)=>setGnssPfa(Math.min(0.5, Math.max(1e-9, parseFloat(e.target.value) || DEFAULT_CONSISTENCY_PFA)))} className="w-20 px-1 border rounded" /></label>
+                  <span className="text-gray-500">χ²(2) threshold {(-2 * Math.log(gnssPfa)).toFixed(1)}</span>
+                </div>
+                <div className="flex flex-wrap items-center gap-2 text-xs">
+                  <select value={gnssWindowDraft.type} onChange={(e)=>setGnssWindowDraft(prev => ({ ...prev, type: e.target.value }))} className="text-xs">
+                    {GNSS_WINDOW_TYPES.map(t => (<option key={t} value={t}>{t}</option>))}
+                  </select>
+                  <label>from <input type="number" min="0" value={gnssWindowDraft.startSec} onChange={(e)=>setGnssWindowDraft(prev => ({ ...prev, startSec: parseFloat(e.target.value) || 0 }))} className="w-14 px-1 border rounded" /></label>
+                  <label>to <input type="number" min="0" value={gnssWindowDraft.endSec} onChange={(e)=>setGnssWindowDraft(prev => ({ ...prev, endSec: parseFloat(e.target.value) || 0 }))} className="w-14 px-1 border rounded" /> s</label>
+                  {gnssWindowDraft.type === 'jamming' && <>
+                    <label>radius (km): <input type="number" min="0.1" step="1" value={gnssWindowDraft.radiusMeters / 1000} onChange={(e)=>setGnssWindowDraft(prev => ({ ...prev, radiusMeters: Math.max(100, (parseFloat(e.target.value) || 0) * 1000) }))} className="w-14 px-1 border rounded" /></label>
+                    <button onClick={()=>setMode('gnss-zone')} className={`text-xs px-2 py-0.5 rounded transition-transform duration-150 hover:shadow-md hover:scale-105 ${mode==='gnss-zone' ? 'bg-red-600 text-white' : 'bg-gray-100'}`}>{gnssWindowDraft.zone ? 'Move centre' : 'Pick centre on map'}</button>
+                  </>}
+                  {gnssWindowDraft.type === 'spoofing' && <>
+                    <label>offset E/N (m): <input type="number" value={gnssWindowDraft.offsetEastMeters} onChange={(e)=>setGnssWindowDraft(prev => ({ ...prev, offsetEastMeters: parseFloat(e.target.value) || 0 }))} className="w-14 px-1 border rounded" /></label>
+                    <input type="number" value={gnssWindowDraft.offsetNorthMeters} onChange={(e)=>setGnssWindowDraft(prev => ({ ...prev, offsetNorthMeters: parseFloat(e.target.value) || 0 }))} className="w-14 px-1 border rounded" />
+                    <label>drift (m/s): <input type="number" step="0.5" value={gnssWindowDraft.driftMps} onChange={(e)=>setGnssWindowDraft(prev => ({ ...prev, driftMps: parseFloat(e.target.value) || 0 }))} className="w-14 px-1 border rounded" /></label>
+                    <button onClick={()=>setMode('gnss-path')} className={`text-xs px-2 py-0.5 rounded transition-transform duration-150 hover:shadow-md hover:scale-105 ${mode==='gnss-path' ? 'bg-orange-600 text-white' : 'bg-gray-100'}`} title="Click the map: the spoofed fix is dragged along this shape, relative to its first point, over the window">Draw path ({gnssWindowDraft.path.length})</button>
+                    {gnssWindowDraft.path.length > 0 && <button onClick={()=>setGnssWindowDraft(prev => ({ ...prev, path: [] }))} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Clear path</button>}
+                  </>}
+                  <button onClick={addGnssWindow} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Add window</button>
+                </div>
+                {gnssConfig.windows.map((w, i) => (
+                  <div key={i} className="flex justify-between items-center text-xs border rounded px-1">
+                    <div>{w.type} {w.startSec}–{w.endSec} s{w.zone ? ` (r ${(w.zone.radiusMeters / 1000).toFixed(1)} km)` : ''}{w.type === 'spoofing' ? (w.path ? ` (path, ${w.path.length} pts)` : ` (offset ${w.offsetEastMeters}/${w.offsetNorthMeters} m, +${w.driftMps} m/s)`) : ''}</div>
+                    <button onClick={()=>setGnssConfig(prev => ({ ...prev, windows: prev.windows.filter((_, j) => j !== i) }))} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Remove</button>
+                  </div>
+                ))}
+                <div className="flex items-center gap-2 text-xs">
+                  <button onClick={exportGnssScenario} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Export JSON</button>
+                  <label>Import: <input type="file" accept=".json" onChange={handleGnssScenarioImport} className="text-xs" /></label>
+                </div>
+                <div className="text-xs">Now ({timeSinceStart} s): {receivers.length === 0 ? <strong>{gnssStatusAt(gnssConfig, timeSinceStart)}</strong> : receivers.map(r => (<span key={r.label} className="mr-2">{r.label} <strong>{gnssStatusAt(gnssConfig, timeSinceStart, r)}</strong></span>))}</div>
+                <div className="text-xs text-gray-500">Receivers set to GNSS use the synthetic fix alone; Fusion receivers combine it with the eLoran fix weighted by the inverse covariances (and feed it to the tracking EKF). Outages and jamming zones remove the fix; a spoofed fix keeps reporting its nominal σ, so Fusion receivers test it against eLoran (χ², Pfa above), raise INTEGRITY_ALARM and fall back to eLoran only while it disagrees.</div>
+              </div>
+            </div>
+
+            <div className="p-3 bg-white/80 rounded-lg shadow-sm border">
+              <div className="flex items-center justify-between">
+                <h4 className="font-semibold">Tracking</h4>
+                <div className="text-xs text-gray-500">EKF · moving receivers</div>
+              </div>
+              <div className="mt-2 flex flex-col gap-2">
+                <label className="inline-flex items-center text-sm"><input type="checkbox" checked={trackingEnabled} onChange={(e)=>setTrackingEnabled(e.target.checked)} className="mr-2"/>Track receivers on the sim clock</label>
+                <div className="flex items-center gap-2 text-xs">
+                  <select value={waypointTarget} onChange={(e)=>setWaypointTarget(e.target.value)} className="text-xs">
+                    <option value="">-- receiver --</option>
+                    {receivers.map(r => (<option key={r.label} value={r.label}>{r.label}</option>))}
+                  </select>
+                  <label>Speed (m/s): <input type="number" min="0.1" step="0.5" value={trackSpeedMps} onChange={(e)=>setTrackSpeedMps(parseFloat(e.target.value) || 1)} className="w-16 px-1 border rounded" /></label>
+                </div>
+                <div className="text-xs">
+                  <label className="block">Import GPX / CSV track (lat,lng[,t|time]):</label>
+                  <input type="file" accept=".gpx,.csv,.txt" onChange={handleTrackImport} className="text-xs" />
+                </div>
+                <div className="text-xs text-gray-500">Use "Add Waypoints" mode to click a path for the selected receiver. Each sim second the EKF (position, velocity, clock bias/drift) is updated with all-in-view TOAs.</div>
+                {receivers.filter(r => r.trajectory).map(r => {
+                  const hist = tracksRef.current[r.label] || [];
+                  const view = hist.slice(-300);
+                  const maxErr = Math.max(1, ...view.map(h => Math.max(h.err, h.hpl)));
+                  const t0 = view.length ? view[0].t : 0;
+                  const span = view.length > 1 ? (view[view.length - 1].t - t0) : 1;
+                  const toPts = (key) => view.map(h => `${((h.t - t0) / span) * 300},${60 - (h[key] / maxErr) * 58}`).join(' ');
+                  const last = view[view.length - 1];
+                  return (
+                    <div key={r.label + '-' + trackVersion} className="border rounded p-1 text-xs">
+                      <div className="flex justify-between items-center">
+                        <div><strong>{r.label}</strong> — {r.trajectory.points.length} pts{last ? `, err ${last.err.toFixed(1)} m, HPL ${last.hpl.toFixed(1)} m` : ''}</div>
+                        <div className="flex gap-1">
+                          <button onClick={()=>exportTrack(r.label)} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">CSV</button>
+                          <button onClick={()=>clearTrajectory(r.label)} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Clear</button>
+                        </div>
+                      </div>
+                      {view.length > 1 && (
+                        <svg width="100%" height="60" viewBox="0 0 300 60" preserveAspectRatio="none" className="border mt-1">
+                          <polyline fill="none" stroke="#f97316" strokeWidth="1" points={toPts('err')} />
+                          <polyline fill="none" stroke="#06b6d4" strokeWidth="1" strokeDasharray="3 2" points={toPts('hpl')} />
+                        </svg>
+                      )}
+                      {view.length > 1 && <div className="text-gray-500">error (orange) / HPL (cyan) vs time, last {Math.round(span)} s, max {maxErr.toFixed(1)} m</div>}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            <MonteCarloPanel target={mcTarget} onTargetChange={setMcTarget} gridSize={mcGridSize} onGridSizeChange={setMcGridSize} config={mcConfig} onConfigChange={setMcConfig} progress={mcProgress} results={mcResults} selected={mcSelected} onSelect={setMcSelected} onRun={runMonteCarlo} onCancel={cancelMonteCarlo} onExport={exportMonteCarlo} />
+
+            <StationClocksPanel stations={[...masters, ...slaves]} onStationClockChange={setStationClock} timeSinceStart={timeSinceStart} horizonHours={adevHorizonHours} onHorizonHoursChange={setAdevHorizonHours} adev={clockAdev} onComputeAdev={computeClockAdev} />
+
+            <ScenarioPanel events={scenarioEvents} onEventsChange={setScenarioEvents} draft={eventDraft} onDraftChange={setEventDraft} onAdd={addScenarioEvent} receivers={receivers} stations={[...masters, ...slaves]} gnssWindows={gnssConfig.windows} trackingEnabled={trackingEnabled} timeSinceStart={timeSinceStart} onSeek={(t) => engineRef.current.seek(t)} />
+
+            <SchedulePanel stations={[...masters, ...slaves]} draft={scheduleDraft} onDraftChange={setScheduleDraft} onAdd={addScheduleWindow} onRemove={removeScheduleWindow} timeSinceStart={timeSinceStart} />
+
+            <TimingPanel config={timingConfig} onConfigChange={setTimingConfig} receivers={receivers} states={timingRef.current} version={timingVersion} onReceiverClockChange={setReceiverClock} onExport={exportTiming} timeSinceStart={timeSinceStart} />
+
             <div className="p-3 bg-white/80 rounded-lg shadow-sm border">
               <div className="flex items-center justify-between">
                 <h4 className="font-semibold">Random Seed</h4>
@@ -1292,9 +2510,9 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
               </div>
               <div className="mt-2 flex flex-col gap-2">
                 <input type="text" value={rngSeed} onChange={(e)=>setRngSeedState(e.target.value)} className="px-2 py-1 border rounded text-sm flex-1 min-w-0" />
-                <button onClick={()=>{ const s = parseInt(rngSeed); if (Number.isNaN(s)) { const seed = Math.floor(Date.now()%4294967296); setRngSeed(seed); try { localStorage.setItem('eloran_rng_seed', String(seed)); setRngSeedState(String(seed)); } catch(e){} showToast('Applied time-based seed: '+seed,'success',3000); } else { setRngSeed(s); try { localStorage.setItem('eloran_rng_seed', String(s)); } catch(e){} showToast('Seed applied: '+s,'success',3000); } }} className="px-3 py-1 text-sm bg-gray-100 rounded transition-transform duration-150 hover:shadow-md hover:scale-105 shrink-0" title="Apply seed">Apply</button>
-                <button onClick={()=>{ const seed = Math.floor(_rng()*4294967296); setRngSeed(seed); try { localStorage.setItem('eloran_rng_seed', String(seed)); setRngSeedState(String(seed)); } catch(e){} showToast('Random seed set: '+seed,'success',3000); }} className="px-3 py-1 text-sm bg-gray-50 rounded transition-transform duration-150 hover:shadow-md hover:scale-105 shrink-0" title="Generate random seed">Randomize</button>
-                <button onClick={()=>{ try { navigator.clipboard.writeText(String(rngSeed)); showToast('Copied seed to clipboard','success',2000); } catch(e){ showToast('Clipboard not available','error',2000); } }} className="px-2 py-1 text-sm bg-white border rounded transition-transform duration-150 hover:shadow-md hover:scale-105 shrink-0" title="Copy seed">Copy</button>
+                <button onClick={()=>{ const s = parseInt(rngSeed); if (Number.isNaN(s)) { const seed = Math.floor(Date.now()%4294967296); setRngSeed(seed); try { localStorage.setItem('eloran_rng_seed', String(seed)); setRngSeedState(String(seed)); } catch { /* storage unavailable */ } showToast('Applied time-based seed: '+seed,'success',3000); } else { setRngSeed(s); try { localStorage.setItem('eloran_rng_seed', String(s)); } catch { /* storage unavailable */ } showToast('Seed applied: '+s,'success',3000); } }} className="px-3 py-1 text-sm bg-gray-100 rounded transition-transform duration-150 hover:shadow-md hover:scale-105 shrink-0" title="Apply seed">Apply</button>
+                <button onClick={()=>{ const seed = Math.floor(random()*4294967296); setRngSeed(seed); try { localStorage.setItem('eloran_rng_seed', String(seed)); setRngSeedState(String(seed)); } catch { /* storage unavailable */ } showToast('Random seed set: '+seed,'success',3000); }} className="px-3 py-1 text-sm bg-gray-50 rounded transition-transform duration-150 hover:shadow-md hover:scale-105 shrink-0" title="Generate random seed">Randomize</button>
+                <button onClick={()=>{ try { navigator.clipboard.writeText(String(rngSeed)); showToast('Copied seed to clipboard','success',2000); } catch { showToast('Clipboard not available','error',2000); } }} className="px-2 py-1 text-sm bg-white border rounded transition-transform duration-150 hover:shadow-md hover:scale-105 shrink-0" title="Copy seed">Copy</button>
               </div>
               <div className="text-xs text-gray-500 mt-2">Use seed to reproduce stochastic simulator runs and estimator draws.</div>
             </div>
@@ -1316,14 +2534,57 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
                   <label className="inline-flex items-center text-sm"><input type="checkbox" checked={skyEnabled} onChange={(e)=>setSkyEnabled(e.target.checked)} className="mr-2"/>Enable skywave</label>
                 </div>
                 {skyEnabled && (
+                  <div className="grid grid-cols-2 gap-2 text-xs">
+                    {[['dayHeightKm', 'Day height (km)'], ['nightHeightKm', 'Night height (km)'], ['nightRatioDbAt1000Km', 'Night sky/ground @1000 km (dB)'], ['ratioSlopeDbPer1000Km', 'Ratio slope (dB/1000 km)'], ['dayAbsorptionDb', 'Day absorption (dB)'], ['startDayOfYear', 'Day of year at t=0'], ['startHourUtc', 'UTC hour at t=0']].map(([key, label]) => (
+                      <label key={key}>{label}<input type="number" value={skywaveConfig[key]} onChange={(e)=>{ const v = parseFloat(e.target.value); setSkywaveConfig(prev => ({ ...prev, [key]: Number.isFinite(v) ? v : DEFAULT_SKYWAVE[key] })); }} className="w-full px-2 py-1 border rounded text-sm" /></label>
+                    ))}
+                    {receivers[0] && (
+                      <div className="col-span-2 text-gray-600">
+                        {[...masters, ...slaves].map(st => {
+                          const sky = skywaveFor(st, receivers[0], timeSinceStart, skywaveConfig);
+                          return <div key={st.label}>{st.label} → {receivers[0].label}: {sky.distanceKm.toFixed(0)} km, {sky.dayFraction >= 1 ? 'day' : sky.dayFraction <= 0 ? 'night' : 'twilight'} (h {sky.heightKm.toFixed(0)} km), delay {(sky.delaySec * 1e6).toFixed(1)} µs, sky/ground {sky.ratioDb.toFixed(1)} dB</div>;
+                        })}
+                      </div>
+                    )}
+                  </div>
+                )}
+                <div className="text-xs text-gray-500">One-hop skywave off the D layer by day, the E layer by night (solar zenith at the path midpoint); it grows against the groundwave with distance.</div>
+                <div className="flex items-center justify-between text-xs text-gray-600">
+                  <div>TOA source</div>
+                  <select value={toaSource} onChange={(e)=>{ setToaSource(e.target.value); dspTrackRef.current = {}; setDspReports({}); }} className="px-2 py-1 border rounded text-sm">
+                    <option value="analytic">Analytic</option>
+                    <option value="dsp">Receiver DSP</option>
+                  </select>
+                </div>
+                {toaSource === 'dsp' && (
                   <div className="grid grid-cols-1 gap-2">
-                    <div className="flex items-center justify-between text-xs text-gray-600"> <div>Sky delay (ms)</div><div className="font-medium">{skyDelayMs} ms</div></div>
-                    <input type="number" min="0" max="50" step="0.5" value={skyDelayMs} onChange={(e)=>setSkyDelayMs(parseFloat(e.target.value)||0)} className="w-full px-2 py-1 border rounded text-sm" />
-                    <div className="flex items-center justify-between text-xs text-gray-600"> <div>Sky amplitude</div><div className="font-medium">{(skyAmpFraction*100).toFixed(0)}%</div></div>
-                    <input type="number" min="0" max="1" step="0.01" value={skyAmpFraction} onChange={(e)=>setSkyAmpFraction(parseFloat(e.target.value)||0)} className="w-full px-2 py-1 border rounded text-sm" />
+                    <label className="inline-flex items-center text-sm"><input type="checkbox" checked={dspNoiseEnabled} onChange={(e)=>setDspNoiseEnabled(e.target.checked)} className="mr-2"/>Receiver noise (station SNR)</label>
+                    <div className="flex items-center justify-between text-xs text-gray-600"> <div>Integration (GRIs)</div><div className="font-medium">+{(10 * Math.log10(Math.max(1, dspIntegrationGri))).toFixed(0)} dB</div></div>
+                    <input type="number" min="1" max="10000" step="1" value={dspIntegrationGri} onChange={(e)=>setDspIntegrationGri(Math.max(1, parseInt(e.target.value) || 1))} className="w-full px-2 py-1 border rounded text-sm" />
+                    <div className="text-xs text-gray-500">Solvers use TOAs from bandpass, phase decoding, envelope fit and the 30 µs zero crossing; noise and early skywave cause 10 µs cycle errors.</div>
                   </div>
                 )}
-                <div className="text-xs text-gray-500">Skywave simulates a delayed weaker arrival; reduce for cleaner TDOA.</div>
+              </div>
+            </div>
+
+            <div className="p-3 bg-white/80 rounded-lg shadow-sm border">
+              <div className="flex items-center justify-between">
+                <h4 className="font-semibold">Signal & Coverage</h4>
+                <div className="text-xs text-gray-500">Field strength · Noise</div>
+              </div>
+              <div className="mt-2 flex flex-col gap-2 text-xs">
+                <label className="inline-flex items-center text-sm"><input type="checkbox" checked={fieldSnrEnabled} onChange={(e)=>setFieldSnrEnabled(e.target.checked)} className="mr-2"/>Field-strength SNR (otherwise simple link budget)</label>
+                <div className="grid grid-cols-2 gap-2">
+                  <label>Noise region<select value={noiseConfig.region} onChange={(e)=>setNoiseConfig(prev => ({ ...prev, region: e.target.value }))} className="w-full px-2 py-1 border rounded text-sm">{NOISE_REGIONS.map(r => <option key={r} value={r}>{r}</option>)}</select></label>
+                  <label>Season<select value={noiseConfig.season} onChange={(e)=>setNoiseConfig(prev => ({ ...prev, season: e.target.value }))} className="w-full px-2 py-1 border rounded text-sm">{SEASONS.map(r => <option key={r} value={r}>{r}</option>)}</select></label>
+                  <label>Ground (no ASF model)<select value={noiseConfig.ground} onChange={(e)=>setNoiseConfig(prev => ({ ...prev, ground: e.target.value }))} className="w-full px-2 py-1 border rounded text-sm">{Object.entries(GROUND_PRESETS).map(([k, g]) => <option key={k} value={k}>{g.label}</option>)}</select></label>
+                  {[['nightExcessDb', 'Night noise excess (dB)'], ['thresholdDb', 'SNR threshold (dB)'], ['minStations', 'Min. stations']].map(([key, label]) => (
+                    <label key={key}>{label}<input type="number" value={noiseConfig[key]} onChange={(e)=>{ const v = parseFloat(e.target.value); setNoiseConfig(prev => ({ ...prev, [key]: Number.isFinite(v) ? v : DEFAULT_NOISE[key] })); }} className="w-full px-2 py-1 border rounded text-sm" /></label>
+                  ))}
+                </div>
+                {receivers[0] && <div className="text-gray-600">Atmospheric noise at {receivers[0].label}: {atmosphericNoiseDbuV(receivers[0], timeSinceStart, noiseAt()).toFixed(1)} dBµV/m</div>}
+                <label className="inline-flex items-center text-sm"><input type="checkbox" checked={coverageEnabled} onChange={(e)=>{ setCoverageEnabled(e.target.checked); if (!e.target.checked) drawCoverage(null); }} className="mr-2"/>Coverage layer (next grid computation)</label>
+                <div className="text-gray-500">Green where at least {noiseConfig.minStations} stations reach {noiseConfig.thresholdDb} dB SNR; date and hour follow the skywave epoch.</div>
               </div>
             </div>
 
@@ -1332,6 +2593,23 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
               <button onClick={exportSimTiming} className="px-3 py-2 bg-emerald-600 text-white rounded shadow-sm transition-transform duration-150 hover:shadow-md hover:scale-105">Export Timing CSV</button>
             </div>
             <div className="text-xs text-gray-500">Auto-calibrate sets per-master differential corrections using recent simulation arrivals.</div>
+            {simulationResults && simulationResults.map(res => {
+              // min/max per column keeps the 100 kHz carrier from aliasing into the plot
+              const cols = waveformMinMax(res.waveform, 400);
+              const peak = Math.max(1e-9, ...cols.map(c => Math.max(c.max, -c.min)));
+              return (
+                <div key={res.receiver} className="text-xs">
+                  <div className="flex justify-between items-center">
+                    <div>{res.receiver}: {res.arrivals.length} group(s), {(res.waveform.length / res.sampleRate * 1e3).toFixed(0)} ms at {res.sampleRate / 1e6} MHz</div>
+                    <button onClick={()=>exportWaveform(res)} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">CSV</button>
+                  </div>
+                  <svg width="100%" height="50" viewBox="0 0 400 50" preserveAspectRatio="none" className="border bg-white">
+                    {cols.map((c, i) => (<line key={i} x1={i + 0.5} x2={i + 0.5} y1={25 - (c.max / peak) * 24} y2={25 - (c.min / peak) * 24} stroke="#0ea5a4" strokeWidth="1" />))}
+                  </svg>
+                  <div className="text-gray-600">{res.arrivals.filter(a => !a.type.includes('sky')).map(a => `${a.station} GRI ${a.griIndex} ${a.griIndex % 2 === 0 ? 'A' : 'B'} ${phaseCode(a.role, a.griIndex).map(c => (c > 0 ? '+' : '−')).join('')}`).join(' · ')}</div>
+                </div>
+              );
+            })}
           </div>
 
           <div className="mt-4">
@@ -1346,7 +2624,7 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
               {logEvents.slice().reverse().map((ev, i) => (
                 <div key={i} className="border-b py-1">
                   <div className="font-semibold text-xs">{ev.type || ev.msg?.seq ? 'DDS' : 'EVENT' } — {ev.station || ev.msg?.from || ev.type}</div>
-                  <div className="text-xs">{ev.msg ? `seq ${ev.msg.seq} diff ${ev.msg.diffMeters} m` : (ev.errorMeters ? `err ${ev.errorMeters.toFixed(1)} m` : JSON.stringify(ev).slice(0,80))}</div>
+                  <div className="text-xs">{ev.msg ? `seq ${ev.msg.seq} ${ev.msg.msgType || ''} diff ${ev.msg.diffMeters} m${ev.rx ? ` — decoded ${ev.rx.filter(d => d.ok).length}/${ev.rx.length}` : ''}` : (ev.errorMeters ? `err ${ev.errorMeters.toFixed(1)} m` : JSON.stringify(ev).slice(0,80))}</div>
                 </div>
               ))}
             </div>
@@ -1374,10 +2652,39 @@ export default function ELoranSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE })
               <div className="mt-2">HPLs (m):</div>
               <div style={{display:'flex',alignItems:'flex-end',gap:2,height:40,overflow:'hidden'}}>
                 {recentHPLs.slice(-40).map((v,i)=> {
-                  const h = Math.min(40, (v / (integrityThresholdMeters*2)) * 40 + 1);
+                  const h = Number.isFinite(v) ? Math.min(40, (v / (integrityThresholdMeters*2)) * 40 + 1) : 0;
                   return <div key={i} title={v.toFixed(1)} style={{width:6,height:h,background:'#06b6d4'}} />;
                 })}
               </div>
+              {(() => {
+                // Stanford diagram: error (x) vs protection level (y), both against the HAL
+                const hal = integrityThresholdMeters;
+                const { points, counts, total } = stanfordSummary(recentErrors, recentHPLs, hal);
+                if (total === 0) return null;
+                const max = Math.max(hal * 1.5, ...points.map(p => Math.max(p.err, p.pl))) * 1.05;
+                const sx = (v) => 20 + (v / max) * 175, sy = (v) => 180 - (v / max) * 175;
+                const colors = { nominal: '#16a34a', unavailable: '#2563eb', misleading: '#f59e0b', hazardous: '#dc2626' };
+                return (
+                  <div className="mt-3">
+                    <div>Stanford diagram (last {total} fixes, HAL {hal} m):</div>
+                    <svg width="100%" viewBox="0 0 200 200" className="border mt-1 bg-white">
+                      <polygon points={`${sx(0)},${sy(0)} ${sx(hal)},${sy(hal)} ${sx(hal)},${sy(0)}`} fill="#fef3c7" />
+                      <polygon points={`${sx(hal)},${sy(0)} ${sx(hal)},${sy(hal)} ${sx(max)},${sy(hal)} ${sx(max)},${sy(0)}`} fill="#fee2e2" />
+                      <line x1={sx(0)} y1={sy(0)} x2={sx(max)} y2={sy(max)} stroke="#6b7280" strokeWidth="0.5" />
+                      <line x1={sx(hal)} y1={sy(0)} x2={sx(hal)} y2={sy(max)} stroke="#6b7280" strokeWidth="0.5" strokeDasharray="2 2" />
+                      <line x1={sx(0)} y1={sy(hal)} x2={sx(max)} y2={sy(hal)} stroke="#6b7280" strokeWidth="0.5" strokeDasharray="2 2" />
+                      <line x1={sx(0)} y1={sy(0)} x2={sx(max)} y2={sy(0)} stroke="#374151" strokeWidth="0.7" />
+                      <line x1={sx(0)} y1={sy(0)} x2={sx(0)} y2={sy(max)} stroke="#374151" strokeWidth="0.7" />
+                      {points.map((p, i) => (<circle key={i} cx={sx(p.err)} cy={sy(p.pl)} r="2" fill={colors[p.region]} />))}
+                      <text x={sx(max)} y="196" fontSize="7" textAnchor="end">error (m), max {max.toFixed(0)}</text>
+                      <text x="4" y="12" fontSize="7">PL (m)</text>
+                    </svg>
+                    <div className="flex flex-wrap gap-2 mt-1">
+                      {STANFORD_REGIONS.map(r => (<span key={r} style={{ color: colors[r] }}>{r}: {counts[r]} ({((counts[r] / total) * 100).toFixed(1)}%)</span>))}
+                    </div>
+                  </div>
+                );
+              })()}
             </div>
           </div>
 
@@ -0,0 +1,11 @@
+import { describe, it, expect } from 'vitest';
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import Eloran from './Eloran';
+
+describe('Eloran', () => {
+  it('renders without throwing (hooks and callbacks are declared before use)', () => {
+    const html = renderToString(<Eloran />);
+    expect(html).toContain('e-Loran Controls &amp; Status');
+  });
+});
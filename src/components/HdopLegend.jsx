@@ -0,0 +1,29 @@
+import React from "react";
+import { HDOP_BINS, drmsMeters } from "../navigation/dop";
+
+// legend for the HDOP raster layer of the Loran simulators: colour bins with the 2DRMS they predict for a
+// per-TOA timing sigma, plus the layer toggle
+export default function HdopLegend({ sigmaNs, onSigmaChange, visible, onVisibleChange }) {
+  const sigmaSec = (sigmaNs || 0) * 1e-9;
+  return (
+    <div className="text-xs">
+      <div className="flex items-center justify-between gap-2">
+        <label className="inline-flex items-center"><input type="checkbox" checked={visible} onChange={(e) => onVisibleChange(e.target.checked)} className="mr-1" />HDOP layer</label>
+        <label>Timing σ (ns) <input type="number" min="0" step="10" value={sigmaNs} onChange={(e) => onSigmaChange(Math.max(0, parseFloat(e.target.value) || 0))} className="w-16 px-1 border rounded" /></label>
+      </div>
+      <div className="mt-1 grid grid-cols-2 gap-x-2">
+        {HDOP_BINS.map(([upper, [r, g, b]], i) => {
+          const lower = i === 0 ? 0 : HDOP_BINS[i - 1][0];
+          const range = Number.isFinite(upper) ? `< ${upper}` : `≥ ${lower}`;
+          const drms = Number.isFinite(upper) ? `< ${drmsMeters(upper, sigmaSec).toFixed(0)} m` : `≥ ${drmsMeters(lower, sigmaSec).toFixed(0)} m`;
+          return (
+            <div key={i} className="flex items-center gap-1">
+              <span style={{ display: 'inline-block', width: 10, height: 10, background: `rgb(${r},${g},${b})` }} />
+              <span>HDOP {range} · 2DRMS {drms}</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -3,399 +3,19 @@ import maplibregl from "maplibre-gl";
 import "maplibre-gl/dist/maplibre-gl.css";
 import proj4 from "proj4";
 import Papa from "papaparse";
+import { SPEED_OF_LIGHT, geodesicDistance, gaussianNoise, solvePositionFromTDOA } from "../navigation/positioning";
+import { PULSE_LENGTH_SEC, phaseCode, groupLengthSec, synthesizeWaveform, loranPulse } from "../navigation/loranPulse";
+import { hdopColor } from "../navigation/dop";
+import HdopLegend from "./HdopLegend";
+import { SECONDARY_DESIGNATORS, DEFAULT_GRI, DEFAULT_CODING_DELAYS_SEC, griPeriodSec, chainSecondaries, nextFreeDesignator, designatorTaken, codingDelayFor, assignSecondary, emissionDelaySec, chainPairs, validateChains } from "../navigation/chains";
 
-const C = { c: 299792458 };
+const C = { c: SPEED_OF_LIGHT };
 const TILE_URL_TEMPLATE = import.meta.env.VITE_TILE_URL_TEMPLATE || "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
 const DEFAULT_FREQ = 100000; // 100 kHz
 
 // ---- WebWorker (with marching squares contour extraction for accurate hyperbolas) ----
-const workerSource = `
-/* Improved Worker: compute TDOA grid + marching squares contours (optimized) */
-(function(){
-  const C = 299792458;
-
-  // Edge indices: 0=bottom (between v00-v10), 1=right (v10-v11), 2=top (v11-v01), 3=left (v01-v00)
-  const EDGE_PAIRS_BY_CASE = {
-    1: [[0,3]],
-    2: [[0,1]],
-    3: [[1,3]],
-    4: [[1,2]],
-    5: [[0,1],[2,3]], // ambiguous
-    6: [[0,2]],
-    7: [[2,3]],
-    8: [[2,3]],
-    9: [[0,2]],
-    10: [[0,3],[1,2]], // ambiguous
-    11: [[1,2]],
-    12: [[1,3]],
-    13: [[0,1]],
-    14: [[0,3]],
-  };
-
-  let cancelled = false;
-  self.addEventListener('message', function(e){
-    const data = e.data || {};
-    if (data && data.cmd === 'cancel') { cancelled = true; return; }
-    if (!data || data.cmd !== 'computeGrid') return;
-    cancelled = false;
-
-    try {
-      const payload = data.data;
-      const {
-        gridBounds, nx, ny,
-        masters = [], slaves = [], receivers = [],
-        freq = 100000, levelsMeters
-      } = payload || {};
-
-      // Basic validation
-      if (!gridBounds || typeof nx !== 'number' || typeof ny !== 'number') {
-        self.postMessage({ cmd: 'error', message: 'invalid grid parameters' });
-        return;
-      }
-      if (!Array.isArray(masters) || !Array.isArray(slaves)) {
-        self.postMessage({ cmd: 'error', message: 'masters/slaves must be arrays' });
-        return;
-      }
-      const dx = (gridBounds.maxX - gridBounds.minX) / (nx - 1);
-      const dy = (gridBounds.maxY - gridBounds.minY) / (ny - 1);
-
-      // Precompute x and y coordinates for the grid (avoid recomputing in loops)
-      const xs = new Float64Array(nx);
-      const ys = new Float64Array(ny);
-      for (let i = 0; i < nx; i++) xs[i] = gridBounds.minX + i * dx;
-      for (let j = 0; j < ny; j++) ys[j] = gridBounds.minY + j * dy;
-
-      // Helper: interpolation between two points (x1,y1,v1) - (x2,y2,v2) at level
-      function interp(x1,y1,v1,x2,y2,v2, level) {
-        const denom = v2 - v1;
-        const t = Math.abs(denom) < 1e-12 ? 0.5 : ((level - v1) / denom);
-        return [ x1 + t * (x2 - x1), y1 + t * (y2 - y1) ];
-      }
-
-      // Compute TDOA grids (Float32) for each master/slave pair
-      const tdoaMaps = [];
-      for (let mi = 0; mi < masters.length; mi++) {
-        if (cancelled) break;
-        const m = masters[mi];
-        for (let si = 0; si < slaves.length; si++) {
-          if (cancelled) break;
-          const s = slaves[si];
-          const grid = new Float32Array(nx * ny);
-          let idx = 0;
-          for (let j = 0; j < ny; j++) {
-            const y = ys[j];
-            for (let i = 0; i < nx; i++, idx++) {
-              const x = xs[i];
-              const dM = Math.hypot(x - m.x, y - m.y);
-              const dS = Math.hypot(x - s.x, y - s.y);
-              grid[idx] = dS - dM;
-            }
-          }
-          tdoaMaps.push({
-            masterIndex: mi,
-            slaveIndex: si,
-            nx, ny,
-            gridBounds,
-            data: grid.buffer
-          });
-        }
-      }
-
-      if (cancelled) {
-        self.postMessage({ cmd: 'cancelled' });
-        return;
-      }
-
-      // Default levels if not provided
-      const levels = (Array.isArray(levelsMeters) && levelsMeters.length) ?
-        levelsMeters.slice() : [-5000, -3000, -1000, 0, 1000, 3000, 5000];
-
-      // Marching squares contour extraction optimized
-      function extractContoursFromFloat32(gridFloat32, nx_, ny_, bounds, levelsArr) {
-        const contoursOut = [];
-        const gridNx = nx_, gridNy = ny_;
-        const cellDx = (bounds.maxX - bounds.minX) / (gridNx - 1);
-        const cellDy = (bounds.maxY - bounds.minY) / (gridNy - 1);
-        const eps = Math.max(cellDx, cellDy) * 0.5;
-        const quant = eps * 0.5; // quantization tolerance for endpoint hashing
-
-        // quick access
-        const get = (i, j) => gridFloat32[j * gridNx + i];
-
-        for (const level of levelsArr) {
-          if (cancelled) break;
-          // segments as flat arrays of 4 numbers [x1,y1,x2,y2]
-          const segments = [];
-
-          // iterate cells
-          for (let j = 0; j < gridNy - 1; j++) {
-            const y0 = bounds.minY + j * cellDy;
-            const y1 = bounds.minY + (j + 1) * cellDy;
-            for (let i = 0; i < gridNx - 1; i++) {
-              const x0 = bounds.minX + i * cellDx;
-              const x1 = bounds.minX + (i + 1) * cellDx;
-
-              const v00 = get(i, j);     // lower-left
-              const v10 = get(i+1, j);   // lower-right
-              const v11 = get(i+1, j+1); // upper-right
-              const v01 = get(i, j+1);   // upper-left
-
-              let idxCase = 0;
-              if (v00 >= level) idxCase |= 1;
-              if (v10 >= level) idxCase |= 2;
-              if (v11 >= level) idxCase |= 4;
-              if (v01 >= level) idxCase |= 8;
-
-              if (idxCase === 0 || idxCase === 15) continue;
-
-              const edgePairs = EDGE_PAIRS_BY_CASE[idxCase];
-              if (!edgePairs) continue;
-
-              // For ambiguous cases (5,10) use center value to decide (classic disambiguation)
-              let resolvedPairs = edgePairs;
-              if ((idxCase === 5 || idxCase === 10) && edgePairs.length === 2) {
-                const center = (v00 + v10 + v11 + v01) * 0.25;
-                // if center >= level, connect diagonally one way, else the other
-                if (center >= level) {
-                  resolvedPairs = (idxCase === 5) ? [[0,1]] : [[0,3]];
-                } else {
-                  resolvedPairs = (idxCase === 5) ? [[2,3]] : [[1,2]];
-                }
-              }
-
-              // compute intersection points for required edges
-              // bottom edge between (x0,y0) v00 and (x1,y0) v10  => edge 0
-              // right edge between (x1,y0) v10 and (x1,y1) v11   => edge 1
-              // top edge between (x1,y1) v11 and (x0,y1) v01     => edge 2
-              // left edge between (x0,y1) v01 and (x0,y0) v00    => edge 3
-              const edgePoint = new Array(4);
-              function computeEdgePoint(e) {
-                if (edgePoint[e]) return edgePoint[e];
-                switch (e) {
-                  case 0: return edgePoint[0] = interp(x0,y0,v00,x1,y0,v10, level);
-                  case 1: return edgePoint[1] = interp(x1,y0,v10,x1,y1,v11, level);
-                  case 2: return edgePoint[2] = interp(x1,y1,v11,x0,y1,v01, level);
-                  case 3: return edgePoint[3] = interp(x0,y1,v01,x0,y0,v00, level);
-                }
-              }
-
-              for (const pair of resolvedPairs) {
-                const pA = computeEdgePoint(pair[0]);
-                const pB = computeEdgePoint(pair[1]);
-                segments.push([pA[0], pA[1], pB[0], pB[1]]);
-              }
-            }
-          } // end cells
-
-          if (segments.length === 0) continue;
-
-          // Build endpoint map to join segments quickly (quantize endpoints into string keys)
-          const endpointMap = new Map(); // key -> array of segment indices and side (0=start,1=end)
-          function keyFor(x, y) {
-            const qx = Math.round(x / quant);
-            const qy = Math.round(y / quant);
-            return qx + ':' + qy;
-          }
-
-          for (let si = 0; si < segments.length; si++) {
-            const s = segments[si];
-            const k1 = keyFor(s[0], s[1]);
-            const k2 = keyFor(s[2], s[3]);
-            if (!endpointMap.has(k1)) endpointMap.set(k1, []);
-            endpointMap.get(k1).push([si, 0]);
-            if (!endpointMap.has(k2)) endpointMap.set(k2, []);
-            endpointMap.get(k2).push([si, 1]);
-          }
-
-          const used = new Uint8Array(segments.length);
-          const polylines = [];
-
-          // Helper to get other endpoint of segment
-          function otherPointOfSegment(segIdx, side) {
-            const s = segments[segIdx];
-            if (side === 0) return [s[2], s[3]]; // if we are at start, other is end
-            return [s[0], s[1]];
-          }
-
-          // Iterate segments, start from endpoints with degree 1 first (open polylines), then close loops
-          const degrees = new Map();
-          for (const [k, arr] of endpointMap) degrees.set(k, arr.length);
-
-          function walkFrom(segIdx, fromSide) {
-            const poly = [];
-            let curSeg = segIdx;
-            let curSide = fromSide; // 0 means we're at segment start, 1 at segment end
-            // push starting point (the point at curSide)
-            const s = segments[curSeg];
-            const startPt = curSide === 0 ? [s[0], s[1]] : [s[2], s[3]];
-            poly.push(startPt);
-
-            while (curSeg !== null && !used[curSeg]) {
-              used[curSeg] = 1;
-              const s2 = segments[curSeg];
-              const nextPt = curSide === 0 ? [s2[2], s2[3]] : [s2[0], s2[1]];
-              poly.push(nextPt);
-
-              // find next segment connected to nextPt (excluding current segment)
-              const k = keyFor(nextPt[0], nextPt[1]);
-              const candidates = endpointMap.get(k) || [];
-              let nextPair = null;
-              for (const [si, side] of candidates) {
-                if (si === curSeg) continue;
-                if (!used[si]) { nextPair = [si, side]; break; }
-              }
-              if (!nextPair) {
-                // no continuation
-                curSeg = null;
-                break;
-              } else {
-                curSeg = nextPair[0];
-                // if nextPair.side === 0 the current endpoint matches that segment's start, so we arrived at side 0; to move forward we need to flip side
-                curSide = nextPair[1];
-                // arrival side indicates which endpoint matched; to move along that segment we should then traverse from that side.
-                // continue loop
-              }
-            }
-            return poly;
-          }
-
-          // First, walk from endpoints with degree 1 to form open polylines
-          for (const [k, deg] of degrees) {
-            if (deg !== 1) continue;
-            const arr = endpointMap.get(k) || [];
-            for (const [si, side] of arr) {
-              if (used[si]) continue;
-              const poly = walkFrom(si, side);
-              if (poly.length > 1) polylines.push(poly);
-            }
-          }
-
-          // Then walk any remaining segments (closed loops)
-          for (let si = 0; si < segments.length; si++) {
-            if (used[si]) continue;
-            const poly = walkFrom(si, 0);
-            if (poly.length > 1) polylines.push(poly);
-          }
-
-          // Save polylines as contour objects (points arrays)
-          for (const poly of polylines) {
-            // poly is array of [x,y] points
-            contoursOut.push({ levelMeters: level, levelSeconds: level / C, points: poly });
-          }
-        } // end levels
-
-        return contoursOut;
-      }
-
-      // Build contours across each tdoaMap
-      const contours = [];
-      for (const m of tdoaMaps) {
-        if (cancelled) break;
-        const grid = new Float32Array(m.data);
-        const polyContours = extractContoursFromFloat32(grid, m.nx, m.ny, m.gridBounds, levels);
-        // attach indices for consumer
-        polyContours.forEach(pc => {
-          contours.push({
-            masterIndex: m.masterIndex,
-            slaveIndex: m.slaveIndex,
-            levelMeters: pc.levelMeters,
-            levelSeconds: pc.levelSeconds,
-            points: pc.points
-          });
-        });
-      }
-
-      if (cancelled) {
-        self.postMessage({ cmd: 'cancelled' });
-        return;
-      }
-
-      // Post result with transferable grid buffers to avoid copy
-      const transferList = tdoaMaps.map(t => t.data);
-      self.postMessage({ cmd: 'gridResult', tdoaMaps, contours, receivers }, transferList);
-
-    } catch (err) {
-      self.postMessage({ cmd: 'error', message: String(err), stack: err && err.stack });
-    }
-  });
-})();  
-`;
-
-
-// createWorker helper
 function createWorker() {
-  const blob = new Blob([workerSource], { type: "application/javascript" });
-  const url = URL.createObjectURL(blob);
-  const w = new Worker(url);
-  URL.revokeObjectURL(url);
-  return w;
-}
-
-// haversine & solver (unchanged)
-function haversine(a, b) {
-  const R = 6371000;
-  const toRad = (d) => d * Math.PI / 180;
-  const dLat = toRad(b.lat - a.lat);
-  const dLon = toRad(b.lng - a.lng);
-  const lat1 = toRad(a.lat);
-  const lat2 = toRad(b.lat);
-  const h = Math.sin(dLat/2)**2 + Math.cos(lat1)*Math.cos(lat2)*Math.sin(dLon/2)**2;
-  return 2 * R * Math.asin(Math.sqrt(h));
-}
-
-function gaussianNoise(stdDev) {
-  let u = 0, v = 0;
-  while(u === 0) u = Math.random();
-  while(v === 0) v = Math.random();
-  return stdDev * Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-}
-
-function solvePositionFromTDOA(pairs, initialLngLat) {
-  const refLat = initialLngLat.lat;
-  function latLngToXY(lat, lng) {
-    const R = 6371000;
-    const x = (lng * Math.PI / 180) * R * Math.cos(refLat * Math.PI / 180);
-    const y = (lat * Math.PI / 180) * R;
-    return { x, y };
-  }
-  let x0 = latLngToXY(initialLngLat.lat, initialLngLat.lng).x;
-  let y0 = latLngToXY(initialLngLat.lat, initialLngLat.lng).y;
-  const maxIter = 30;
-  for (let iter=0; iter<maxIter; iter++){
-    const J = [];
-    const r = [];
-    for (const p of pairs) {
-      const mxy = latLngToXY(p.master.lat, p.master.lng);
-      const sxy = latLngToXY(p.slave.lat, p.slave.lng);
-      const dM = Math.hypot(x0 - mxy.x, y0 - mxy.y);
-      const dS = Math.hypot(x0 - sxy.x, y0 - sxy.y);
-      const modeledDelta = (dS - dM)/C.c;
-      const ri = (p.tdoaSec - modeledDelta);
-      const ddx = ( (x0 - sxy.x)/dS - (x0 - mxy.x)/dM ) / C.c;
-      const ddy = ( (y0 - sxy.y)/dS - (y0 - mxy.y)/dM ) / C.c;
-      J.push([ddx, ddy]);
-      r.push(ri);
-    }
-    const JTJ = [[0,0],[0,0]];
-    const JTr = [0,0];
-    for (let i=0;i<J.length;i++){
-      const [j1,j2] = J[i];
-      JTJ[0][0] += j1*j1; JTJ[0][1] += j1*j2;
-      JTJ[1][0] += j2*j1; JTJ[1][1] += j2*j2;
-      JTr[0] += j1 * r[i]; JTr[1] += j2 * r[i];
-    }
-    const det = JTJ[0][0]*JTJ[1][1] - JTJ[0][1]*JTJ[1][0];
-    if (Math.abs(det) < 1e-12) break;
-    const inv = [[JTJ[1][1]/det, -JTJ[0][1]/det], [-JTJ[1][0]/det, JTJ[0][0]/det]];
-    const dx = inv[0][0]*JTr[0] + inv[0][1]*JTr[1];
-    const dy = inv[1][0]*JTr[0] + inv[1][1]*JTr[1];
-    x0 += dx; y0 += dy;
-    if (Math.hypot(dx,dy) < 1e-6) break;
-  }
-  const R = 6371000;
-  const lat = (y0 / R) * 180 / Math.PI;
-  const lng = (x0 / (R * Math.cos(refLat * Math.PI / 180))) * 180 / Math.PI;
-  return { lat, lng };
+  return new Worker(new URL('../workers/lopWorker.js', import.meta.url), { type: 'module' });
 }
 
 export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPLATE }) {
@@ -403,15 +23,21 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
   const mapRef = useRef(null);
   const [mode, setMode] = useState('add-master');
   const modeRef = useRef(mode);
-  const [masters, setMasters] = useState([]); // {lat,lng, txDbm, gRI, label}
-  const [slaves, setSlaves] = useState([]);
+  const [masters, setMasters] = useState([]); // {lat,lng, txDbm, gri, label} - each master leads one chain
+  const [slaves, setSlaves] = useState([]); // {lat,lng, txDbm, label, chain, designator, codingDelaySec}
+  // latest stations for callbacks registered once (map click, CSV import); kept in sync on every add
+  const mastersRef = useRef([]);
+  const slavesRef = useRef([]);
   const [receivers, setReceivers] = useState([]);
   const workerRef = useRef(null);
   const [gridStatus, setGridStatus] = useState(null);
   const [simulationResults, setSimulationResults] = useState(null);
   const [enableNoise, setEnableNoise] = useState(false);
   const [noiseStdDev, setNoiseStdDev] = useState(1e-6); // 1 microsecond default
+  const [geodesicModel, setGeodesicModel] = useState('sphere'); // propagation distances: 'sphere' | 'wgs84'
   const [expandedResults, setExpandedResults] = useState({});
+  const [dopLayerVisible, setDopLayerVisible] = useState(true);
+  const [dopSigmaNs, setDopSigmaNs] = useState(100);
   const markers = useRef({});
   const estimatedMarkers = useRef({});
   const masterCounter = useRef(0);
@@ -479,16 +105,20 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
     markers.current[label] = marker;
   }, [setMasters, setSlaves, setReceivers]);
 
-  const addMaster = useCallback((point) => {
+  const addMaster = useCallback((point, gri = DEFAULT_GRI) => {
     masterCounter.current++;
-    const m = { ...point, txDbm: 20, gri: 8330, label: `M${masterCounter.current}` };
+    const m = { ...point, txDbm: 20, gri, label: `M${masterCounter.current}` };
+    mastersRef.current = [...mastersRef.current, m];
     setMasters(prev => [...prev, m]);
     addMarker(point, m.label, 'master');
   }, [setMasters, addMarker]);
 
-  const addSlave = useCallback((point) => {
+  // new secondaries join the nearest chain with a free designator unless `chainInfo` says otherwise
+  const addSlave = useCallback((point, chainInfo = null) => {
     slaveCounter.current++;
-    const s = { ...point, txDbm: 18, offsetSec: 0, label: `S${slaveCounter.current}` };
+    const auto = assignSecondary(point, mastersRef.current, slavesRef.current);
+    const s = { ...point, txDbm: 18, offsetSec: 0, label: `S${slaveCounter.current}`, ...auto, ...(chainInfo || {}) };
+    slavesRef.current = [...slavesRef.current, s];
     setSlaves(prev => [...prev, s]);
     addMarker(point, s.label, 'slave');
   }, [setSlaves, addMarker]);
@@ -501,6 +131,7 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
   }, [setReceivers, addMarker]);
 
   useEffect(() => { modeRef.current = mode; }, [mode]);
+  useEffect(() => { mastersRef.current = masters; slavesRef.current = slaves; }, [masters, slaves]);
 
   useEffect(()=> {
     mapRef.current = new maplibregl.Map({
@@ -544,12 +175,13 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
 
     workerRef.current = createWorker();
     workerRef.current.addEventListener('message', (ev)=>{
-      const { cmd, tdoaMaps, contours, receivers: rcvrs } = ev.data;
+      const { cmd, tdoaMaps, contours, receivers: rcvrs, dop } = ev.data;
       if (cmd === 'gridResult') {
         const maps = tdoaMaps.map((m)=>({
           masterIndex: m.masterIndex, slaveIndex: m.slaveIndex, nx: m.nx, ny: m.ny, gridBounds: m.gridBounds, data: new Float32Array(m.data)
         }));
-        setGridStatus({ computedAt: Date.now(), maps, contours, receivers: rcvrs });
+        const hdop = dop ? { nx: dop.nx, ny: dop.ny, hdop: new Float32Array(dop.hdop), gridBounds: maps[0] ? maps[0].gridBounds : null } : null;
+        setGridStatus({ computedAt: Date.now(), maps, contours, receivers: rcvrs, dop: hdop });
         drawLOPs(contours);
         drawBaselines();
       }
@@ -560,20 +192,28 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
       if (mapRef.current) mapRef.current.remove();
       if (workerRef.current) workerRef.current.terminate();
     };
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [addMaster, addSlave, addReceiver, tileUrlTemplate]);
 
   // Separate effect to update baselines when masters or slaves change
   useEffect(() => {
     if (mapRef.current && mapRef.current.isStyleLoaded()) {
       drawBaselines();
     }
-  // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [masters, slaves]);
 
+  // HDOP layer follows the last grid and the layer toggle
+  useEffect(() => {
+    if (mapRef.current && mapRef.current.isStyleLoaded()) {
+      drawDop(dopLayerVisible && gridStatus && gridStatus.dop && gridStatus.dop.gridBounds ? gridStatus.dop : null);
+    }
+  }, [gridStatus, dopLayerVisible]);
+
   // ---- computeGrid: now sends explicit levels and uses worker marching squares ----
   function computeGrid(nx=300, ny=300) {
     if (masters.length === 0 || slaves.length === 0) return alert('Add at least one master and one slave');
+    // only stations of the same chain form LOPs
+    const pairs = chainPairs(masters, slaves, geodesicModel);
+    if (pairs.length === 0) return alert('No secondary is assigned to a chain — assign secondaries in the Chains panel');
     const all = [...masters, ...slaves, ...receivers];
     const lats = all.map(a=>a.lat), lngs = all.map(a=>a.lng);
     const bbox = [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
@@ -582,17 +222,15 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
     const bottomLeft = proj4('EPSG:4326','EPSG:3857',[bboxP[0], bboxP[1]]);
     const topRight = proj4('EPSG:4326','EPSG:3857',[bboxP[2], bboxP[3]]);
     const gridBounds = { minX: bottomLeft[0], minY: bottomLeft[1], maxX: topRight[0], maxY: topRight[1] };
-    const mMeters = masters.map(m=>{ const xy = proj4('EPSG:4326','EPSG:3857',[m.lng,m.lat]); return { x: xy[0], y: xy[1], label: m.label }; });
-    const sMeters = slaves.map(s=>{ const xy = proj4('EPSG:4326','EPSG:3857',[s.lng,s.lat]); return { x: xy[0], y: xy[1], label: s.label }; });
+    const mMeters = masters.map(m=>{ const xy = proj4('EPSG:4326','EPSG:3857',[m.lng,m.lat]); return { x: xy[0], y: xy[1], lat: m.lat, lng: m.lng, label: m.label }; });
+    const sMeters = slaves.map(s=>{ const xy = proj4('EPSG:4326','EPSG:3857',[s.lng,s.lat]); return { x: xy[0], y: xy[1], lat: s.lat, lng: s.lng, label: s.label }; });
     const rMeters = receivers.map(r=>{ const xy = proj4('EPSG:4326','EPSG:3857',[r.lng,r.lat]); return { x: xy[0], y: xy[1], label: r.label }; });
 
     // automatic levels: compute typical inter-station distance and pick spread
     let maxDist = 0;
-    for (let mi=0; mi<mMeters.length; mi++){
-      for (let si=0; si<sMeters.length; si++){
-        const d = Math.hypot(mMeters[mi].x - sMeters[si].x, mMeters[mi].y - sMeters[si].y);
-        if (d > maxDist) maxDist = d;
-      }
+    for (const p of pairs){
+      const d = Math.hypot(mMeters[p.masterIndex].x - sMeters[p.slaveIndex].x, mMeters[p.masterIndex].y - sMeters[p.slaveIndex].y);
+      if (d > maxDist) maxDist = d;
     }
     // levels in meters (difference dS - dM), choose around zero spanning ±maxDist/4
     const step = Math.max(200, maxDist / 16);
@@ -600,7 +238,7 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
     for (let k = -8; k <= 8; k++) levelsMeters.push(k * step);
 
     setGridStatus({ status: 'computing', nx, ny });
-    workerRef.current.postMessage({ cmd: 'computeGrid', data: { gridBounds, nx, ny, masters: mMeters, slaves: sMeters, receivers: rMeters, freq: DEFAULT_FREQ, levelsMeters } });
+    workerRef.current.postMessage({ cmd: 'computeGrid', data: { gridBounds, nx, ny, masters: mMeters, slaves: sMeters, receivers: rMeters, freq: DEFAULT_FREQ, levelsMeters, geodesicModel, pairs } });
   }
 
   // drawLOPs: convert contours (meters) to GeoJSON lines and add to map
@@ -638,8 +276,37 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
     });
   }
 
+  // drawDop: HDOP raster (colours from dop.js) over the EPSG:3857 grid bounds, below the LOPs; null removes it
+  function drawDop(dop) {
+    const map = mapRef.current;
+    if (!map) return;
+    if (map.getLayer('hdop')) map.removeLayer('hdop');
+    if (map.getSource('hdop')) map.removeSource('hdop');
+    if (!dop) return;
+    const canvas = document.createElement('canvas');
+    canvas.width = dop.nx; canvas.height = dop.ny;
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(dop.nx, dop.ny);
+    for (let j = 0; j < dop.ny; j++) {
+      for (let i = 0; i < dop.nx; i++) {
+        const rgb = hdopColor(dop.hdop[j * dop.nx + i]);
+        if (!rgb) continue;
+        const o = ((dop.ny - 1 - j) * dop.nx + i) * 4; // grid rows run south to north
+        img.data[o] = rgb[0]; img.data[o + 1] = rgb[1]; img.data[o + 2] = rgb[2]; img.data[o + 3] = 110;
+      }
+    }
+    ctx.putImageData(img, 0, 0);
+    const [west, south] = proj4('EPSG:3857', 'EPSG:4326', [dop.gridBounds.minX, dop.gridBounds.minY]);
+    const [east, north] = proj4('EPSG:3857', 'EPSG:4326', [dop.gridBounds.maxX, dop.gridBounds.maxY]);
+    map.addSource('hdop', { type: 'image', url: canvas.toDataURL(), coordinates: [[west, north], [east, north], [east, south], [west, south]] });
+    map.addLayer({ id: 'hdop', type: 'raster', source: 'hdop', paint: { 'raster-opacity': 0.8 } }, map.getLayer('lops') ? 'lops' : undefined);
+  }
+
+  // reads the stations from the refs, so the map load and worker callbacks registered once draw the latest ones
   function drawBaselines() {
     if (!mapRef.current) return;
+    const masters = mastersRef.current;
+    const slaves = slavesRef.current;
 
     // Remove old baseline layer if exists
     if (mapRef.current.getLayer('baselines')) mapRef.current.removeLayer('baselines');
@@ -650,18 +317,9 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
     const features = [];
 
     slaves.forEach((s, sidx) => {
-      let closestMaster = null;
-      let minDistance = Infinity;
-      let closestMidx = -1;
-
-      masters.forEach((m, midx) => {
-        const dist = haversine(m, s);
-        if (dist < minDistance && dist <= 1000000) { // within 1000km
-          minDistance = dist;
-          closestMaster = m;
-          closestMidx = midx;
-        }
-      });
+      // baseline to the master of the secondary's chain
+      const closestMidx = masters.findIndex(m => m.label === s.chain);
+      const closestMaster = closestMidx >= 0 ? masters[closestMidx] : null;
 
       if (closestMaster) {
         const [lngM, latM] = [closestMaster.lng, closestMaster.lat];
@@ -690,6 +348,7 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
             type: 'baseline',
             masterLabel: closestMaster.label,
             slaveLabel: s.label,
+            designator: s.designator,
             masterIndex: closestMidx,
             slaveIndex: sidx,
           },
@@ -746,6 +405,7 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
     });
     slaves.forEach((s, i) => {
       const xy = proj4('EPSG:4326', 'EPSG:3857', [s.lng, s.lat]);
+      const master = masters.find(m => m.label === s.chain);
       features.push({
         type: 'Feature',
         geometry: { type: 'Point', coordinates: [s.lng, s.lat] },
@@ -755,6 +415,10 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
           label: s.label,
           txDbm: s.txDbm,
           offsetSec: s.offsetSec || 0,
+          chain: s.chain || null,
+          designator: s.designator || null,
+          codingDelaySec: s.codingDelaySec || 0,
+          emissionDelaySec: master ? emissionDelaySec(master, s, geodesicModel) : null,
           projected: { x: xy[0], y: xy[1] },
           createdAt
         }
@@ -803,6 +467,7 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
             slaveIndex: contour.slaveIndex,
             levelMeters: contour.levelMeters,
             levelSeconds: contour.levelSeconds,
+            tdSec: contour.tdSec,
             createdAt
           }
         });
@@ -817,30 +482,24 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
 
   function simulatePulsesAtReceivers(){
     if (masters.length===0 || slaves.length===0 || receivers.length===0) return alert('Add masters, slaves, and receivers');
+    // standard Loran-C pulse groups (phase code interval A, GRI 0) sampled at 1 MHz over the whole GRI
+    // up to the end of the latest group
     const sampleRate = 1000000;
-    const pulseDuration = 0.0001;
-    const totalDuration = 0.01;
-    const numSamples = Math.floor(totalDuration * sampleRate);
     const results = receivers.map((r)=>{
       const arrivals = [];
       masters.forEach((m)=> {
-        arrivals.push({ station: m.label, type: 'master', arrivalSec: haversine(m, r)/C.c, txDbm: m.txDbm });
+        arrivals.push({ station: m.label, type: 'master', arrivalSec: geodesicDistance(m, r, geodesicModel)/C.c, txDbm: m.txDbm });
       });
       slaves.forEach((s)=> {
-        arrivals.push({ station: s.label, type: 'slave', arrivalSec: haversine(s, r)/C.c, txDbm: s.txDbm || 18 });
+        // secondaries transmit one emission delay after their own master (time origin = master emission)
+        const master = masters.find(m => m.label === s.chain);
+        const ed = master ? emissionDelaySec(master, s, geodesicModel) : 0;
+        arrivals.push({ station: s.label, type: 'slave', designator: s.designator, arrivalSec: ed + geodesicDistance(s, r, geodesicModel)/C.c, txDbm: s.txDbm || 18 });
       });
       arrivals.sort((a,b)=>a.arrivalSec - b.arrivalSec);
-      const waveform = new Array(numSamples).fill(0);
-      arrivals.forEach((arrival) => {
-        const startSample = Math.floor(arrival.arrivalSec * sampleRate);
-        const endSample = Math.floor((arrival.arrivalSec + pulseDuration) * sampleRate);
-        const amplitude = Math.pow(10, arrival.txDbm / 20);
-        for (let i = startSample; i < endSample && i < numSamples; i++) {
-          const t = (i - startSample) / sampleRate;
-          const pulseShape = 0.5 * (1 + Math.cos(Math.PI * t / pulseDuration));
-          waveform[i] += amplitude * pulseShape;
-        }
-      });
+      const totalDuration = Math.max(...arrivals.map(a => a.arrivalSec + groupLengthSec(a.type)));
+      const groups = arrivals.map(a => ({ arrivalSec: a.arrivalSec, role: a.type, griIndex: 0, amplitude: Math.pow(10, a.txDbm / 20) }));
+      const waveform = synthesizeWaveform(groups, 0, totalDuration, sampleRate);
       return { receiver: r.label, arrivals, waveform, sampleRate, totalDuration };
     });
     setSimulationResults(results);
@@ -850,16 +509,19 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
 
   function estimateReceiverLocationFromTDOA(receiverIndex=0){
     if (receivers.length===0) return;
-    const ref = masters[0];
     const r = receivers[receiverIndex];
+    // observed TD = emission delay + propagation difference; the known emission delay is removed
+    // before solving so only same-chain geometry is left
     const pairs = [];
-    for (let si=0; si<slaves.length; si++){
-      const s = slaves[si];
-      const tM = haversine(ref, r)/C.c;
-      const tS = haversine(s, r)/C.c;
-      const tdoaSec = tS - tM + (enableNoise ? gaussianNoise(noiseStdDev) : 0);
-      pairs.push({ master: ref, slave: s, tdoaSec });
+    for (const p of chainPairs(masters, slaves, geodesicModel)){
+      const m = masters[p.masterIndex];
+      const s = slaves[p.slaveIndex];
+      const tM = geodesicDistance(m, r, geodesicModel)/C.c;
+      const tS = p.emissionDelaySec + geodesicDistance(s, r, geodesicModel)/C.c;
+      const tdSec = tS - tM + (enableNoise ? gaussianNoise(noiseStdDev) : 0);
+      pairs.push({ master: m, slave: s, tdoaSec: tdSec - p.emissionDelaySec });
     }
+    if (pairs.length < 2) return alert('Need at least two same-chain master/secondary pairs to estimate a position');
     // Perturb initial guess slightly when noise is enabled to avoid starting from true position
     let initialGuess = { lat: r.lat, lng: r.lng };
     if (enableNoise) {
@@ -867,7 +529,7 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
       initialGuess.lat += (Math.random() - 0.5) * perturbation;
       initialGuess.lng += (Math.random() - 0.5) * perturbation;
     }
-    const est = solvePositionFromTDOA(pairs, initialGuess);
+    const est = solvePositionFromTDOA(pairs, initialGuess, { geodesicModel });
 
     // Remove existing estimated marker for this receiver if present
     if (estimatedMarkers.current[receiverIndex]) {
@@ -907,6 +569,31 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
     alert(`Estimated position: ${est.lat.toFixed(6)}, ${est.lng.toFixed(6)} — Actual: ${r.lat.toFixed(6)}, ${r.lng.toFixed(6)}`);
   }
 
+  // chain editing (Chains panel)
+  function updateMaster(label, patch) {
+    setMasters(prev => prev.map(m => m.label === label ? { ...m, ...patch } : m));
+  }
+
+  function updateSlave(label, patch) {
+    setSlaves(prev => prev.map(s => s.label === label ? { ...s, ...patch } : s));
+  }
+
+  // a secondary keeps a coding delay the user typed in; otherwise it takes the default of its new designator
+  function moveSlaveToChain(label, chain) {
+    if (!chain) return updateSlave(label, { chain: null, designator: null });
+    const designator = nextFreeDesignator(chain, slaves.filter(s => s.label !== label));
+    if (!designator) return alert(`Chain ${chain} already has ${SECONDARY_DESIGNATORS.length} secondaries`);
+    const current = slaves.find(s => s.label === label);
+    updateSlave(label, { chain, designator, codingDelaySec: codingDelayFor(current, designator) });
+  }
+
+  function setSlaveDesignator(label, designator) {
+    const current = slaves.find(s => s.label === label);
+    if (!current || !current.chain) return;
+    if (designatorTaken(current.chain, designator, slaves, label)) return alert(`Chain ${current.chain} already has a ${designator} secondary`);
+    updateSlave(label, { designator, codingDelaySec: codingDelayFor(current, designator) });
+  }
+
   function resetSimulation() {
     // Clear all stations
     setMasters([]);
@@ -918,6 +605,8 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
     // Reset counters
     masterCounter.current = 0;
     slaveCounter.current = 0;
+    mastersRef.current = [];
+    slavesRef.current = [];
     receiverCounter.current = 0;
     // Remove all markers from map
     Object.values(markers.current).forEach(marker => marker.remove());
@@ -931,6 +620,8 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
       if (mapRef.current.getSource('baselines')) mapRef.current.removeSource('baselines');
       if (mapRef.current.getLayer('lops')) mapRef.current.removeLayer('lops');
       if (mapRef.current.getSource('lops')) mapRef.current.removeSource('lops');
+      if (mapRef.current.getLayer('hdop')) mapRef.current.removeLayer('hdop');
+      if (mapRef.current.getSource('hdop')) mapRef.current.removeSource('hdop');
     }
   }
 
@@ -973,10 +664,34 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
 
           const point = { lat, lng };
 
+          // optional chain columns: gri (masters); chain, designator, coding_delay_us (slaves)
+          const gri = row.gri ? parseInt(row.gri) : DEFAULT_GRI;
+          if (role === 'master' && (Number.isNaN(gri) || gri <= 0)) {
+            errors.push(`Row ${index + 1}: Invalid GRI '${row.gri}'.`);
+            return;
+          }
+          let chainInfo = null;
+          if (role === 'slave' && row.chain) {
+            const designator = row.designator ? row.designator.toUpperCase().trim() : '';
+            if (!SECONDARY_DESIGNATORS.includes(designator)) {
+              errors.push(`Row ${index + 1}: Invalid designator '${row.designator}'. Must be W, X, Y or Z.`);
+              return;
+            }
+            const chain = row.chain.trim();
+            if (designatorTaken(chain, designator, slavesRef.current)) {
+              errors.push(`Row ${index + 1}: Chain ${chain} already has a ${designator} secondary.`);
+              return;
+            }
+            // a coding delay that differs from the designator default is the user's own and survives edits
+            const codingDelayUs = parseFloat(row.coding_delay_us);
+            const codingDelaySec = Number.isNaN(codingDelayUs) ? DEFAULT_CODING_DELAYS_SEC[designator] : codingDelayUs * 1e-6;
+            chainInfo = { chain, designator, codingDelaySec, codingDelayCustom: Math.abs(codingDelaySec - DEFAULT_CODING_DELAYS_SEC[designator]) > 1e-9 };
+          }
+
           if (role === 'master') {
-            addMaster(point);
+            addMaster(point, gri);
           } else if (role === 'slave') {
-            addSlave(point);
+            addSlave(point, chainInfo);
           } else if (role === 'receiver') {
             addReceiver(point);
           }
@@ -1199,14 +914,15 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
                 <div className="mt-2 text-xs">
                   <ol className="list-decimal ml-4 space-y-1">
                     <li>Select mode (Add Masters/Slaves/Receivers/Del. Mark) and click on map to place stations or delete markers, or import stations from a CSV file using the "Import" button.</li>
-                    <li>Add at least one master and one slave to form baselines.</li>
+                    <li>Add at least one master and one slave to form baselines. Each master leads a chain; slaves join the nearest chain as W, X, Y, Z secondaries (editable in the Chains panel).</li>
                     <li>Click "Compute" to generate Lines of Position (LOPs) using WebWorker.</li>
                     <li>Add receivers and simulate pulse arrivals with waveforms.</li>
                     <li>Use TDOA estimation to locate receivers based on time differences.</li>
                     <li>Export scenario as GeoJSON file or reset simulation as needed.</li>
                   </ol>
                   <div className="mt-2">
-                    <strong>CSV Import Format:</strong> The CSV file should have headers <code>role,lat,lng</code>. Role must be 'master', 'slave', or 'receiver'. Lat must be between -90 and 90, lng between -180 and 180.<br />
+                    <strong>CSV Import Format:</strong> The CSV file should have headers <code>role,lat,lng</code>. Role must be 'master', 'slave', or 'receiver'. Lat must be between -90 and 90, lng between -180 and 180.
+                    Optional chain columns: <code>gri</code> for masters, <code>chain,designator,coding_delay_us</code> for slaves (chain = master label, e.g. M1; designator W/X/Y/Z). Slaves without a chain join the nearest master with a free designator.<br />
                     Example:<br />
                     <code>role,lat,lng<br />master,-6.200000,106.816666<br />slave,-6.300000,106.916666<br />receiver,-6.250000,106.866666</code>
                   </div>
@@ -1214,10 +930,37 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
               </div>
 
               <div className="mt-4">
-                <h4 className="font-medium">Stations ({masters.length} masters, {slaves.length} slaves)</h4>
-                <div className="mt-2 text-xs space-y-1">
-                  {masters.map((m,i)=> <div key={i}>[M] {m.label}: {m.lat.toFixed(5)}, {m.lng.toFixed(5)} Tx={m.txDbm} dBm</div>)}
-                  {slaves.map((s,i)=> <div key={i}>[S] {s.label}: {s.lat.toFixed(5)}, {s.lng.toFixed(5)}</div>)}
+                <h4 className="font-medium">Chains ({masters.length} masters, {slaves.length} slaves)</h4>
+                <div className="mt-2 text-xs space-y-2">
+                  {masters.map((m)=> (
+                    <div key={m.label} className="border rounded p-1">
+                      <div>[M] {m.label}: {m.lat.toFixed(5)}, {m.lng.toFixed(5)} Tx={m.txDbm} dBm</div>
+                      <div className="mt-1">
+                        <label>GRI: <input type="number" value={m.gri} onChange={(e) => updateMaster(m.label, { gri: parseInt(e.target.value) || DEFAULT_GRI })} className="w-20" min="1" /></label>
+                        <span className="ml-1 text-gray-500">({(griPeriodSec(m.gri) * 1000).toFixed(2)} ms)</span>
+                      </div>
+                      {chainSecondaries(m, slaves).map((s)=> (
+                        <div key={s.label} className="mt-1 ml-2 flex flex-wrap items-center gap-1">
+                          <span>[{s.designator}] {s.label}</span>
+                          <label>CD (μs): <input type="number" value={Math.round((s.codingDelaySec || 0) * 1e6)} onChange={(e) => updateSlave(s.label, { codingDelaySec: (parseFloat(e.target.value) || 0) * 1e-6, codingDelayCustom: true })} className="w-20" min="0" /></label>
+                          <span className="text-gray-500">ED {(emissionDelaySec(m, s, geodesicModel) * 1e6).toFixed(1)} μs</span>
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                  {slaves.map((s)=> (
+                    <div key={s.label} className="flex flex-wrap items-center gap-1">
+                      <span>[S] {s.label}: {s.lat.toFixed(5)}, {s.lng.toFixed(5)}</span>
+                      <select value={masters.some(m => m.label === s.chain) ? s.chain : ''} onChange={(e) => moveSlaveToChain(s.label, e.target.value)} className="text-xs">
+                        <option value="">-- no chain --</option>
+                        {masters.map(m => <option key={m.label} value={m.label}>{m.label}</option>)}
+                      </select>
+                      <select value={s.designator || ''} onChange={(e) => setSlaveDesignator(s.label, e.target.value)} className="text-xs" disabled={!s.chain}>
+                        {SECONDARY_DESIGNATORS.map(d => <option key={d} value={d}>{d}</option>)}
+                      </select>
+                    </div>
+                  ))}
+                  {validateChains(masters, slaves, geodesicModel).map((p, i) => <div key={i} className="text-red-600">{p}</div>)}
                 </div>
               </div>
 
@@ -1246,6 +989,25 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
                 </div>
               </div>
 
+              <div className="mt-4">
+                <h4 className="font-medium">Geodesic Model</h4>
+                <div className="mt-2 text-xs">
+                  <select value={geodesicModel} onChange={(e) => setGeodesicModel(e.target.value)} className="text-xs">
+                    <option value="sphere">Sphere (haversine, R=6371 km)</option>
+                    <option value="wgs84">WGS-84 ellipsoid (Vincenty/Karney)</option>
+                  </select>
+                  <div className="mt-1 text-gray-500">Used for LOP grids, pulse arrivals and the TDOA solver. Recompute the grid after changing.</div>
+                </div>
+              </div>
+
+              <div className="mt-4">
+                <h4 className="font-medium">Geometry (HDOP)</h4>
+                <div className="mt-2">
+                  <HdopLegend sigmaNs={dopSigmaNs} onSigmaChange={setDopSigmaNs} visible={dopLayerVisible} onVisibleChange={setDopLayerVisible} />
+                  <div className="mt-1 text-xs text-gray-500">HDOP of a fix from every chain pair, from the TDOA grid gradients. Recompute the grid to refresh.</div>
+                </div>
+              </div>
+
               {simulationResults && (
                 <div className="mt-4">
                   <h4 className="font-medium">Pulse Simulation Results</h4>
@@ -1274,28 +1036,19 @@ export default function LoranOfflineSimulator({ tileUrlTemplate = TILE_URL_TEMPL
                             <div className="mt-2">
                               <div className="text-xs font-medium">Waveforms:</div>
                               {result.arrivals.map((arrival, i) => {
-                                const pulseSamples = 1000;
-                                const pulseWaveform = new Array(pulseSamples).fill(0);
-                                const startSample = Math.floor((arrival.arrivalSec % 0.001) * 1000000);
-                                const endSample = Math.floor((arrival.arrivalSec % 0.001 + 0.0001) * 1000000);
-                                const amplitude = Math.pow(10, arrival.txDbm / 20);
-
-                                for (let j = startSample; j < endSample && j < pulseSamples; j++) {
-                                  const t = (j - startSample) / 1000000;
-                                  const pulseShape = 0.5 * (1 + Math.cos(Math.PI * t / 0.0001));
-                                  pulseWaveform[j] += amplitude * pulseShape;
-                                }
-
-                                const maxVal = Math.max(...pulseWaveform) || 1;
+                                // first pulse of the group at 1 MHz (carrier visible), signed by its phase code
+                                const pulseSamples = Math.round(PULSE_LENGTH_SEC * 1000000);
+                                const sign = phaseCode(arrival.type, 0)[0];
+                                const pulseWaveform = Array.from({ length: pulseSamples }, (_, j) => sign * loranPulse(j / 1000000));
                                 return (
                                   <div key={i} className="mt-1">
-                                    <div className="text-xs">[{arrival.type.charAt(0).toUpperCase()}] {arrival.station}</div>
+                                    <div className="text-xs">[{arrival.type.charAt(0).toUpperCase()}] {arrival.station} — phase code A {phaseCode(arrival.type, 0).map(c => (c > 0 ? '+' : '−')).join('')}</div>
                                     <svg width="100%" height="40" viewBox="0 0 1000 40" className="border">
                                       <polyline
                                         fill="none"
                                         stroke={arrival.type === 'master' ? '#1e90ff' : '#f59e0b'}
                                         strokeWidth="1"
-                                        points={pulseWaveform.map((val, j) => `${(j / pulseSamples) * 1000},${20 - (val / maxVal) * 20}`).join(' ')}
+                                        points={pulseWaveform.map((val, j) => `${(j / pulseSamples) * 1000},${20 - val * 19}`).join(' ')}
                                       />
                                     </svg>
                                   </div>
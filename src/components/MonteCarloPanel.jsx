@@ -0,0 +1,71 @@
+import React from "react";
+import { DEFAULT_CAMPAIGN } from "../navigation/monteCarlo";
+
+// Monte Carlo card of the eLoran simulator: campaign settings, run/cancel and export, the per-point percentile table
+// and the radial error histogram of the selected point
+export default function MonteCarloPanel({ target, onTargetChange, gridSize, onGridSizeChange, config, onConfigChange, progress, results, selected, onSelect, onRun, onCancel, onExport }) {
+  return (
+    <div className="p-3 bg-white/80 rounded-lg shadow-sm border">
+      <div className="flex items-center justify-between">
+        <h4 className="font-semibold">Monte Carlo</h4>
+        <div className="text-xs text-gray-500">Accuracy campaign · worker</div>
+      </div>
+      <div className="mt-2 flex flex-col gap-2 text-xs">
+        <div className="grid grid-cols-2 gap-2">
+          <label>Test points<select value={target} onChange={(e)=>onTargetChange(e.target.value)} className="w-full px-2 py-1 border rounded text-sm"><option value="receivers">Receivers</option><option value="grid">Grid</option></select></label>
+          {target === 'grid'
+            ? <label>Grid (n x n)<input type="number" min="2" max="20" value={gridSize} onChange={(e)=>onGridSizeChange(Math.max(2, Math.min(20, parseInt(e.target.value) || 2)))} className="w-full px-2 py-1 border rounded text-sm" /></label>
+            : <div />}
+          {[['trials', 'Trials per point'], ['noiseSigma0Meters', 'Noise σ at 0 dB (m)'], ['jitterNs', 'Jitter σ (ns)'], ['asfErrorSigmaMeters', 'ASF error σ (m)'], ['clockDriftNsPerHour', 'Clock drift σ (ns/h)'], ['clockHoldoverHours', 'Holdover (h)'], ['seed', 'Seed']].map(([key, label]) => (
+            <label key={key}>{label}<input type="number" min="0" value={config[key]} onChange={(e)=>{ const v = parseFloat(e.target.value); onConfigChange(prev => ({ ...prev, [key]: Number.isFinite(v) && v >= 0 ? (key === 'trials' || key === 'seed' ? Math.round(v) : v) : DEFAULT_CAMPAIGN[key] })); }} className="w-full px-2 py-1 border rounded text-sm" /></label>
+          ))}
+          {target === 'grid' && <label>Grid solver<select value={config.solver} onChange={(e)=>onConfigChange(prev => ({ ...prev, solver: e.target.value }))} className="w-full px-2 py-1 border rounded text-sm"><option value="reference">Reference TDOA</option><option value="allInView">All-in-view</option></select></label>}
+        </div>
+        <div className="flex gap-2">
+          {progress
+            ? <button onClick={onCancel} className="flex-1 px-3 py-1 bg-gray-100 rounded text-sm transition-transform duration-150 hover:shadow-md hover:scale-105">Cancel ({progress.done}/{progress.total})</button>
+            : <button onClick={onRun} className="flex-1 px-3 py-1 bg-indigo-600 text-white rounded text-sm transition-transform duration-150 hover:shadow-md hover:scale-105">Run campaign</button>}
+          <button onClick={()=>onExport('csv')} disabled={!results} className="px-2 py-1 bg-gray-100 rounded text-sm transition-transform duration-150 hover:shadow-md hover:scale-105 disabled:opacity-50">CSV</button>
+          <button onClick={()=>onExport('json')} disabled={!results} className="px-2 py-1 bg-gray-100 rounded text-sm transition-transform duration-150 hover:shadow-md hover:scale-105 disabled:opacity-50">JSON</button>
+        </div>
+        {results && (
+          <div className="max-h-48 overflow-auto border rounded">
+            <table className="w-full text-xs">
+              <thead><tr className="text-left text-gray-500"><th className="px-1">Point</th><th>50%</th><th>95%</th><th>99%</th><th>CEP</th><th>Bias E/N</th></tr></thead>
+              <tbody>
+                {results.results.map(r => (
+                  <tr key={r.label} onClick={()=>onSelect(r.label)} className={`cursor-pointer ${r.label === selected ? 'bg-indigo-50' : ''}`}>
+                    <td className="px-1">{r.label}</td>
+                    {r.stats
+                      ? <>{[r.stats.p50Meters, r.stats.p95Meters, r.stats.p99Meters, r.stats.cepMeters].map((v, i) => <td key={i}>{v.toFixed(1)}</td>)}<td>{r.stats.biasEastMeters.toFixed(1)}/{r.stats.biasNorthMeters.toFixed(1)}</td></>
+                      : <td colSpan="5" className="text-red-600">{r.error || 'no fix'}</td>}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {(() => {
+          // radial error histogram of the selected point (last bin collects the top percent)
+          const r = results && results.results.find(x => x.label === selected);
+          if (!r || !r.stats) return null;
+          const { counts, binWidth } = r.stats.histogram;
+          const peak = Math.max(1, ...counts);
+          const bw = 200 / counts.length;
+          const sx = (m) => (m / (binWidth * counts.length)) * 200;
+          return (
+            <div>
+              <div>{r.label}: {r.stats.count}/{r.trials} fixes ({r.solver === 'allInView' ? `all-in-view ${r.observable.toUpperCase()}` : 'reference TDOA'}, {r.stations.join(', ')}), 2DRMS {r.stats.drms2Meters.toFixed(1)} m, bias {r.stats.biasMeters.toFixed(1)} m</div>
+              <svg width="100%" height="60" viewBox="0 0 200 60" preserveAspectRatio="none" className="border mt-1 bg-white">
+                {counts.map((c, i) => (<rect key={i} x={i * bw + 0.5} y={58 - (c / peak) * 56} width={Math.max(0.5, bw - 1)} height={(c / peak) * 56} fill="#6366f1" />))}
+                {[['p50Meters', '#16a34a'], ['p95Meters', '#f59e0b'], ['p99Meters', '#dc2626']].map(([k, col]) => (<line key={k} x1={sx(r.stats[k])} x2={sx(r.stats[k])} y1="0" y2="60" stroke={col} strokeWidth="1" />))}
+              </svg>
+              <div className="text-gray-500">radial error 0–{(binWidth * counts.length).toFixed(0)} m; 50 % (green), 95 % (amber), 99 % (red)</div>
+            </div>
+          );
+        })()}
+        <div className="text-gray-500">Each trial draws SNR-scaled ranging noise, detection jitter, a residual ASF error per path and transmitter clock drift over the holdover, then solves the fix like the receiver (grid points use the grid solver; all-in-view follows the observable and limits above). CEP is about the mean fix, percentiles about the truth.</div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import React from "react";
+import { SCENARIO_EVENT_TYPES } from "../navigation/scenario";
+import { trajectoryEndSec } from "../navigation/trajectory";
+
+// Scenario Timeline card of the eLoran simulator: one-shot events (ASF steps, receiver moves, estimates) and the
+// timeline of everything scheduled on the sim clock; clicking the timeline seeks
+export default function ScenarioPanel({ events, onEventsChange, draft, onDraftChange, onAdd, receivers, stations, gnssWindows, trackingEnabled, timeSinceStart, onSeek }) {
+  return (
+    <div className="p-3 bg-white/80 rounded-lg shadow-sm border">
+      <div className="flex items-center justify-between">
+        <h4 className="font-semibold">Scenario Timeline</h4>
+        <div className="text-xs text-gray-500">events · replay with seed</div>
+      </div>
+      <div className="mt-2 flex flex-col gap-2 text-xs">
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={draft.type} onChange={(e)=>onDraftChange(prev => ({ ...prev, type: e.target.value, label: '' }))} className="text-xs">
+            {SCENARIO_EVENT_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+          <label>at <input type="number" min="0" value={draft.atSec} onChange={(e)=>onDraftChange(prev => ({ ...prev, atSec: parseFloat(e.target.value) || 0 }))} className="w-14 px-1 border rounded" /> s</label>
+          <select value={draft.label} onChange={(e)=>{ const label = e.target.value; const rx = receivers.find(r => r.label === label); onDraftChange(prev => ({ ...prev, label, ...(prev.type === 'receiver-move' && rx ? { lat: rx.lat, lng: rx.lng } : {}) })); }} className="text-xs">
+            <option value="">{draft.type === 'asf-step' ? 'station…' : 'receiver…'}</option>
+            {(draft.type === 'asf-step' ? stations : receivers).map(x => <option key={x.label} value={x.label}>{x.label}</option>)}
+          </select>
+          {draft.type === 'asf-step' && <label>ASF step (m) <input type="number" step="1" value={draft.meters} onChange={(e)=>onDraftChange(prev => ({ ...prev, meters: parseFloat(e.target.value) || 0 }))} className="w-14 px-1 border rounded" /></label>}
+          {draft.type === 'receiver-move' && <>
+            <label>lat <input type="number" step="0.01" value={draft.lat} onChange={(e)=>onDraftChange(prev => ({ ...prev, lat: parseFloat(e.target.value) || 0 }))} className="w-20 px-1 border rounded" /></label>
+            <label>lng <input type="number" step="0.01" value={draft.lng} onChange={(e)=>onDraftChange(prev => ({ ...prev, lng: parseFloat(e.target.value) || 0 }))} className="w-20 px-1 border rounded" /></label>
+          </>}
+          <button onClick={onAdd} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Add event</button>
+        </div>
+        {events.map((ev, i) => (
+          <div key={i} className="flex justify-between items-center border rounded px-1">
+            <div>{ev.atSec} s · {ev.type} {ev.label}{ev.type === 'asf-step' ? ` ${ev.meters > 0 ? '+' : ''}${ev.meters} m` : ''}{ev.type === 'receiver-move' ? ` → ${ev.lat.toFixed(4)}, ${ev.lng.toFixed(4)}` : ''}</div>
+            <button onClick={()=>onEventsChange(prev => prev.filter((_, j) => j !== i))} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Remove</button>
+          </div>
+        ))}
+        {(() => {
+          // everything scheduled on the sim clock: GNSS windows, station schedules, receiver trajectories and
+          // the one-shot events; click to seek
+          const rows = [];
+          if (gnssWindows.length) rows.push({ label: 'GNSS', bars: gnssWindows.map(w => ({ startSec: w.startSec, endSec: w.endSec, color: { outage: '#9ca3af', jamming: '#fca5a5', spoofing: '#fdba74' }[w.type], title: `GNSS ${w.type}` })) });
+          stations.filter(st => (st.schedule || []).length).forEach(st => rows.push({ label: st.label, bars: st.schedule.map(w => ({ startSec: w.startSec, endSec: w.endSec, color: { off: '#9ca3af', blink: '#fcd34d', degraded: '#93c5fd' }[w.state], title: `${st.label} ${w.state}` })) }));
+          receivers.filter(r => r.trajectory).forEach(r => rows.push({ label: r.label, bars: [{ startSec: r.trajectory.points[0].tSec, endSec: trajectoryEndSec(r.trajectory), color: '#c4b5fd', title: `${r.label} trajectory${trackingEnabled ? '' : ' (tracking off)'}` }] }));
+          const ends = [...rows.flatMap(r => r.bars.map(b => b.endSec)), ...events.map(ev => ev.atSec)];
+          const horizon = Math.max(120, timeSinceStart + 60, ...ends.map(e => e + 30));
+          const sx = (t) => 30 + (Math.min(t, horizon) / horizon) * 265;
+          const eventColors = { 'asf-step': '#0891b2', 'receiver-move': '#16a34a', estimate: '#c026d3' };
+          const h = (rows.length + 1) * 12 + 16;
+          const seekFromClick = (e) => {
+            const box = e.currentTarget.getBoundingClientRect();
+            const x = (e.clientX - box.left) / box.width * 300;
+            if (x >= 30) onSeek((x - 30) / 265 * horizon);
+          };
+          return (
+            <svg width="100%" viewBox={`0 0 300 ${h}`} className="border bg-white cursor-pointer" onClick={seekFromClick}>
+              <text x="27" y="12" fontSize="7" textAnchor="end">events</text>
+              {events.map((ev, i) => (
+                <polygon key={i} points={`${sx(ev.atSec)},5 ${sx(ev.atSec) - 3},13 ${sx(ev.atSec) + 3},13`} fill={eventColors[ev.type]}><title>{`${ev.atSec} s ${ev.type} ${ev.label}`}</title></polygon>
+              ))}
+              {rows.map((row, i) => (
+                <g key={row.label}>
+                  <text x="27" y={(i + 1) * 12 + 12} fontSize="7" textAnchor="end">{row.label}</text>
+                  {row.bars.map((b, k) => (
+                    <rect key={k} x={sx(b.startSec)} y={(i + 1) * 12 + 4} width={Math.max(0.5, sx(b.endSec) - sx(b.startSec))} height="10" fill={b.color}><title>{`${b.title} ${Math.round(b.startSec)}–${Math.round(b.endSec)} s`}</title></rect>
+                  ))}
+                </g>
+              ))}
+              <line x1={sx(timeSinceStart)} x2={sx(timeSinceStart)} y1="2" y2={h - 10} stroke="#dc2626" strokeWidth="1" />
+              <text x="30" y={h - 2} fontSize="6">0 s</text>
+              <text x="295" y={h - 2} fontSize="6" textAnchor="end">{Math.round(horizon)} s</text>
+            </svg>
+          );
+        })()}
+        <div className="text-gray-500">Click the timeline to seek. Earlier times replay from t = 0: the RNG is reseeded, receivers return to where the scenario moved them from and filters, DDS and logs restart, so a seeded scenario replays identically.</div>
+      </div>
+    </div>
+  );
+}
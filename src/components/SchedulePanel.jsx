@@ -0,0 +1,65 @@
+import React from "react";
+import { DEFAULT_DEGRADED_DB, STATION_STATES, stateSegments, stationStateAt } from "../navigation/stationSchedule";
+
+// Transmitter Schedule card of the eLoran simulator: off-air / blink / degraded windows per station and their timeline
+// against the current sim time
+export default function SchedulePanel({ stations, draft, onDraftChange, onAdd, onRemove, timeSinceStart }) {
+  return (
+    <div className="p-3 bg-white/80 rounded-lg shadow-sm border">
+      <div className="flex items-center justify-between">
+        <h4 className="font-semibold">Transmitter Schedule</h4>
+        <div className="text-xs text-gray-500">off air · blink · degraded</div>
+      </div>
+      <div className="mt-2 flex flex-col gap-2 text-xs">
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={draft.label} onChange={(e)=>onDraftChange(prev => ({ ...prev, label: e.target.value }))} className="text-xs">
+            <option value="">station…</option>
+            {stations.map(st => <option key={st.label} value={st.label}>{st.label}</option>)}
+          </select>
+          <select value={draft.state} onChange={(e)=>onDraftChange(prev => ({ ...prev, state: e.target.value }))} className="text-xs">
+            {STATION_STATES.filter(st => st !== 'on').map(st => <option key={st} value={st}>{st}</option>)}
+          </select>
+          <label>from <input type="number" min="0" value={draft.startSec} onChange={(e)=>onDraftChange(prev => ({ ...prev, startSec: parseFloat(e.target.value) || 0 }))} className="w-14 px-1 border rounded" /></label>
+          <label>to <input type="number" min="0" value={draft.endSec} onChange={(e)=>onDraftChange(prev => ({ ...prev, endSec: parseFloat(e.target.value) || 0 }))} className="w-14 px-1 border rounded" /> s</label>
+          {draft.state === 'degraded' && <label>−<input type="number" min="0" step="1" value={draft.powerDb} onChange={(e)=>onDraftChange(prev => ({ ...prev, powerDb: Math.max(0, parseFloat(e.target.value) || 0) }))} className="w-12 px-1 border rounded" /> dB</label>}
+          <button onClick={onAdd} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Add window</button>
+        </div>
+        {stations.flatMap(st => (st.schedule || []).map((w, i) => (
+          <div key={st.label + '-' + i} className="flex justify-between items-center border rounded px-1">
+            <div>{st.label} {w.state} {w.startSec}–{w.endSec} s{w.state === 'degraded' ? ` (−${w.powerDb ?? DEFAULT_DEGRADED_DB} dB)` : ''}</div>
+            <button onClick={()=>onRemove(st.label, i)} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">Remove</button>
+          </div>
+        )))}
+        {stations.length > 0 && (() => {
+          // timeline: one row per station over [0, horizon], current sim time as a red line
+          const colors = { on: '#86efac', off: '#9ca3af', blink: '#fcd34d', degraded: '#93c5fd' };
+          const horizon = Math.max(120, timeSinceStart + 60, ...stations.flatMap(st => (st.schedule || []).map(w => w.endSec + 30)));
+          const sx = (t) => 30 + (t / horizon) * 265;
+          const h = stations.length * 12 + 16;
+          return (
+            <div>
+              <svg width="100%" viewBox={`0 0 300 ${h}`} className="border bg-white">
+                {stations.map((st, i) => (
+                  <g key={st.label}>
+                    <text x="27" y={i * 12 + 12} fontSize="7" textAnchor="end">{st.label}</text>
+                    {stateSegments(st, horizon).map((seg, k) => (
+                      <rect key={k} x={sx(seg.startSec)} y={i * 12 + 4} width={Math.max(0.5, sx(seg.endSec) - sx(seg.startSec))} height="10" fill={colors[seg.state]}><title>{`${st.label} ${seg.state} ${seg.startSec}–${seg.endSec} s`}</title></rect>
+                    ))}
+                  </g>
+                ))}
+                <line x1={sx(timeSinceStart)} x2={sx(timeSinceStart)} y1="2" y2={h - 10} stroke="#dc2626" strokeWidth="1" />
+                <text x="30" y={h - 2} fontSize="6">0 s</text>
+                <text x="295" y={h - 2} fontSize="6" textAnchor="end">{Math.round(horizon)} s</text>
+              </svg>
+              <div className="flex flex-wrap gap-2 mt-1">
+                {STATION_STATES.map(st => (<span key={st} className="inline-flex items-center gap-1"><span style={{ display: 'inline-block', width: 10, height: 10, background: colors[st] }} />{st}</span>))}
+              </div>
+              <div>Now ({timeSinceStart} s): {stations.map(st => (<span key={st.label} className="mr-2">{st.label} <strong>{stationStateAt(st, timeSinceStart).state}</strong></span>))}</div>
+            </div>
+          );
+        })()}
+        <div className="text-gray-500">Off-air stations radiate nothing (no pulses, DDS or LOPs); blinking ones key their blink pulses and are dropped by receivers and the grid; degraded ones lose power (SNR, coverage). DDS INTEGRITY messages report the stations that are not on air normally.</div>
+      </div>
+    </div>
+  );
+}
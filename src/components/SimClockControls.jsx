@@ -0,0 +1,22 @@
+import React, { useState } from "react";
+import { SIM_SPEEDS } from "../navigation/simEngine";
+
+// Sim clock controls of the eLoran simulator: play/pause, single step, speed, seek to a sim time and replay from t = 0
+export default function SimClockControls({ clock, timeSinceStart, onPlay, onPause, onStep, onSpeedChange, onSeek, onReplay }) {
+  const [seekDraft, setSeekDraft] = useState(0);
+  return (
+    <>
+      <div>Sim time: {timeSinceStart}s{clock.seeking ? ' (seeking…)' : ''}</div>
+      <div className="mt-1 flex flex-wrap items-center gap-1">
+        <button onClick={()=> clock.running ? onPause() : onPlay()} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">{clock.running ? 'Pause' : 'Play'}</button>
+        <button onClick={onStep} disabled={clock.running || clock.seeking} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105 disabled:opacity-50" title="Advance one simulated second">Step</button>
+        <select value={String(clock.speed)} onChange={(e)=>onSpeedChange(e.target.value === 'max' ? 'max' : parseFloat(e.target.value))} className="text-xs" title="Simulated seconds per real second">
+          {SIM_SPEEDS.map(sp => <option key={sp} value={String(sp)}>{sp === 'max' ? 'as fast as possible' : `${sp}×`}</option>)}
+        </select>
+        <input type="number" min="0" value={seekDraft} onChange={(e)=>setSeekDraft(Math.max(0, parseFloat(e.target.value) || 0))} className="w-16 px-1 border rounded" />
+        <button onClick={()=>onSeek(seekDraft)} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105" title="Run to this sim time; earlier times replay from 0 with the RNG seed">Seek</button>
+        <button onClick={onReplay} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105" title="Restart from t = 0 with the RNG seed">Replay</button>
+      </div>
+    </>
+  );
+}
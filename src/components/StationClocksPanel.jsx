@@ -0,0 +1,59 @@
+import React from "react";
+import { CLOCK_TYPES, clockNoiseSec } from "../navigation/clockModel";
+
+// Station Clocks card of the eLoran simulator: per-station oscillator and GPS holdover, the current clock error and
+// the simulated vs model Allan deviation over a chosen horizon
+export default function StationClocksPanel({ stations, onStationClockChange, timeSinceStart, horizonHours, onHorizonHoursChange, adev, onComputeAdev }) {
+  return (
+    <div className="p-3 bg-white/80 rounded-lg shadow-sm border">
+      <div className="flex items-center justify-between">
+        <h4 className="font-semibold">Station Clocks</h4>
+        <div className="text-xs text-gray-500">Allan deviation · holdover</div>
+      </div>
+      <div className="mt-2 flex flex-col gap-2 text-xs">
+        {stations.map(st => (
+          <div key={st.label} className="flex items-center gap-2">
+            <strong className="w-8">{st.label}</strong>
+            <select value={st.clock?.type === 'gps' ? 'gps-disciplined' : (st.clock?.type || 'ideal')} onChange={(e)=>onStationClockChange(st.label, { type: e.target.value })} className="text-xs flex-1 min-w-0">
+              {Object.entries(CLOCK_TYPES).map(([k, t]) => <option key={k} value={k}>{t.label}</option>)}
+            </select>
+            {(st.clock?.type === 'gps-disciplined' || st.clock?.type === 'gps') && (
+              <label title="GPS lost from this sim time on: the loop holds its last steering">holdover from (s) <input type="number" min="0" value={st.clock.holdoverStartSec ?? ''} onChange={(e)=>{ const v = parseFloat(e.target.value); onStationClockChange(st.label, { holdoverStartSec: Number.isFinite(v) ? v : null }); }} className="w-16 px-1 border rounded" /></label>
+            )}
+            <span className="text-gray-600 w-20 text-right">{(clockNoiseSec(st.clock, st.label, timeSinceStart) * 1e9).toFixed(2)} ns</span>
+          </div>
+        ))}
+        <div className="flex items-center gap-2">
+          <label>Horizon (h) <input type="number" min="1" max="120" value={horizonHours} onChange={(e)=>onHorizonHoursChange(Math.max(1, Math.min(120, parseFloat(e.target.value) || 1)))} className="w-16 px-1 border rounded" /></label>
+          <button onClick={onComputeAdev} className="px-3 py-1 bg-indigo-600 text-white rounded text-sm transition-transform duration-150 hover:shadow-md hover:scale-105">Allan deviation</button>
+        </div>
+        {adev && (() => {
+          // log-log ADEV plot: simulated (solid) against the free-running oscillator model (dashed)
+          const palette = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#4b5563'];
+          const all = adev.series.flatMap(s => [...s.points.map(p => p.adev), ...s.model]).filter(v => v > 0);
+          const yMin = Math.floor(Math.log10(Math.min(...all))), yMax = Math.ceil(Math.log10(Math.max(...all)));
+          const xMax = Math.ceil(Math.log10(Math.max(...adev.series.flatMap(s => s.points.map(p => p.tauSec)))));
+          const sx = (tau) => 24 + (Math.log10(tau) / Math.max(1, xMax)) * 270, sy = (v) => 150 - ((Math.log10(v) - yMin) / Math.max(1, yMax - yMin)) * 145;
+          return (
+            <div>
+              <svg width="100%" viewBox="0 0 300 165" className="border bg-white">
+                {Array.from({ length: xMax + 1 }, (_, k) => (<g key={'x' + k}><line x1={sx(10 ** k)} x2={sx(10 ** k)} y1="5" y2="150" stroke="#e5e7eb" strokeWidth="0.5" /><text x={sx(10 ** k)} y="160" fontSize="6" textAnchor="middle">1e{k}</text></g>))}
+                {Array.from({ length: yMax - yMin + 1 }, (_, k) => (<g key={'y' + k}><line x1="24" x2="294" y1={sy(10 ** (yMin + k))} y2={sy(10 ** (yMin + k))} stroke="#e5e7eb" strokeWidth="0.5" /><text x="22" y={sy(10 ** (yMin + k)) + 2} fontSize="6" textAnchor="end">1e{yMin + k}</text></g>))}
+                {adev.series.map((s, i) => (
+                  <g key={s.label}>
+                    <polyline fill="none" stroke={palette[i % palette.length]} strokeWidth="1.2" points={s.points.map(p => `${sx(p.tauSec)},${sy(p.adev)}`).join(' ')} />
+                    <polyline fill="none" stroke={palette[i % palette.length]} strokeWidth="0.7" strokeDasharray="2 2" points={s.points.map((p, k) => `${sx(p.tauSec)},${sy(s.model[k])}`).join(' ')} />
+                  </g>
+                ))}
+              </svg>
+              <div className="flex flex-wrap gap-2 mt-1">
+                {adev.series.map((s, i) => (<span key={s.label} style={{ color: palette[i % palette.length] }}>{s.label} {CLOCK_TYPES[s.type]?.label || s.type}: max |TE| {(s.maxTeSec * 1e9).toFixed(1)} ns</span>))}
+              </div>
+              <div className="text-gray-500">σy(τ) vs τ (s) over {(adev.horizonSec / 3600).toFixed(0)} h from t = 0; dashed: free-running oscillator model (for a GPS-disciplined clock, its OCXO).</div>
+            </div>
+          );
+        })()}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React from "react";
+import { CLOCK_TYPES } from "../navigation/clockModel";
+import { DEFAULT_TIMING, mtie, tdev } from "../navigation/timing";
+
+// TE samples of a timing receiver where both receivers output time (contiguous from the eLoran UTC lock on)
+function timingSamples(st) {
+  return (st?.series || []).filter(s => s.eloranTeSec !== null && s.gnssTeSec !== null);
+}
+
+// Timing Receivers card of the eLoran simulator: time-filter settings and, per timing receiver, its UTC lock, the
+// eLoran vs GNSS time error chart and the MTIE/TDEV table
+export default function TimingPanel({ config, onConfigChange, receivers, states, version, onReceiverClockChange, onExport, timeSinceStart }) {
+  return (
+    <div className="p-3 bg-white/80 rounded-lg shadow-sm border">
+      <div className="flex items-center justify-between">
+        <h4 className="font-semibold">Timing Receivers</h4>
+        <div className="text-xs text-gray-500">UTC · holdover · MTIE/TDEV</div>
+      </div>
+      <div className="mt-2 flex flex-col gap-2 text-xs">
+        <div className="flex items-center gap-2">
+          <label title="Natural period of the time filter steering the receiver clock">Filter period (s) <input type="number" min="10" value={config.filterTimeConstantSec} onChange={(e)=>onConfigChange(prev => ({ ...prev, filterTimeConstantSec: Math.max(10, parseFloat(e.target.value) || DEFAULT_TIMING.filterTimeConstantSec) }))} className="w-16 px-1 border rounded" /></label>
+          <label>GNSS time σ (ns) <input type="number" min="0" value={config.gnssTimeSigmaNs} onChange={(e)=>onConfigChange(prev => ({ ...prev, gnssTimeSigmaNs: Math.max(0, parseFloat(e.target.value) || 0) }))} className="w-16 px-1 border rounded" /></label>
+        </div>
+        {!receivers.some(r => r.solverMode === 'timing') && <div className="text-gray-500">Set a receiver&apos;s solver to &quot;Timing (surveyed)&quot; to recover UTC at its position.</div>}
+        {receivers.filter(r => r.solverMode === 'timing').map(r => {
+          const st = states[r.label];
+          const last = st && st.series.length ? st.series[st.series.length - 1] : null;
+          const samples = timingSamples(st);
+          const ns = (v) => (v === null || v === undefined ? '-' : `${(v * 1e9).toFixed(1)} ns`);
+          // TE while GNSS is unusable at the antenna: eLoran against the GNSS receiver in holdover
+          const outage = samples.filter(x => x.gnssStatus !== 'ok');
+          const maxAbs = (arr, key) => arr.reduce((a, x) => Math.max(a, Math.abs(x[key])), 0);
+          const shown = samples.slice(-1800);
+          const yMax = Math.max(1e-9, maxAbs(shown, 'eloranTeSec'), maxAbs(shown, 'gnssTeSec'));
+          const t0 = shown.length ? shown[0].t : 0, t1 = shown.length ? shown[shown.length - 1].t : 1;
+          const sx = (t) => 24 + ((t - t0) / Math.max(1, t1 - t0)) * 270, sy = (v) => 60 - (v / yMax) * 55;
+          const el = samples.map(x => x.eloranTeSec), gn = samples.map(x => x.gnssTeSec);
+          const stats = samples.length >= 8 ? { mtieE: mtie(el, 1), mtieG: mtie(gn, 1), tdevE: tdev(el, 1), tdevG: tdev(gn, 1) } : null;
+          return (
+            <div key={r.label + '-' + version} className="border rounded p-1">
+              <div className="flex items-center justify-between gap-2">
+                <strong>{r.label}</strong>
+                <select value={r.clock?.type || 'ideal'} onChange={(e)=>onReceiverClockChange(r.label, { type: e.target.value })} className="text-xs flex-1 min-w-0" title="Receiver oscillator (free-running between time measurements)">
+                  {Object.entries(CLOCK_TYPES).filter(([, t]) => !t.disciplined).map(([k, t]) => <option key={k} value={k}>{t.label}</option>)}
+                </select>
+                <button onClick={()=>onExport(r.label)} className="text-xs px-2 py-0.5 rounded bg-gray-100 transition-transform duration-150 hover:shadow-md hover:scale-105">CSV</button>
+              </div>
+              <div>{st && st.utc ? `UTC ${new Date((st.utc.utcSec + timeSinceStart - st.utc.simSec) * 1000).toISOString().slice(11, 19)} (TIME from ${st.utc.from}, GPS − UTC ${st.utc.leapSeconds} s)` : 'Waiting for a DDS TIME message (UTC seconds unresolved)'}</div>
+              {last && <div>eLoran TE {ns(last.eloranTeSec)} ({last.eloranHoldover ? 'holdover' : `${last.stations} station(s)`}) · GNSS TE {ns(last.gnssTeSec)} ({last.gnssStatus})</div>}
+              {outage.length > 0 && <div className="text-gray-600">GNSS unusable {outage.length} s: max |TE| eLoran {ns(maxAbs(outage, 'eloranTeSec'))}, GNSS holdover {ns(maxAbs(outage, 'gnssTeSec'))}</div>}
+              {shown.length >= 2 && (
+                <svg width="100%" viewBox="0 0 300 125" className="border bg-white mt-1">
+                  {shown.filter(x => x.gnssStatus !== 'ok').map(x => <rect key={x.t} x={sx(x.t)} y="5" width={Math.max(0.5, 270 / Math.max(1, t1 - t0))} height="110" fill="#fee2e2" />)}
+                  <line x1="24" x2="294" y1={sy(0)} y2={sy(0)} stroke="#9ca3af" strokeWidth="0.5" />
+                  <text x="22" y="9" fontSize="6" textAnchor="end">{(yMax * 1e9).toFixed(0)}</text>
+                  <text x="22" y="117" fontSize="6" textAnchor="end">{(-yMax * 1e9).toFixed(0)}</text>
+                  <text x="24" y="123" fontSize="6">{t0} s</text>
+                  <text x="294" y="123" fontSize="6" textAnchor="end">{t1} s</text>
+                  <polyline fill="none" stroke="#2563eb" strokeWidth="1" points={shown.map(x => `${sx(x.t)},${sy(x.eloranTeSec)}`).join(' ')} />
+                  <polyline fill="none" stroke="#d97706" strokeWidth="0.8" strokeDasharray="2 1" points={shown.map(x => `${sx(x.t)},${sy(x.gnssTeSec)}`).join(' ')} />
+                </svg>
+              )}
+              {shown.length >= 2 && <div className="text-gray-500">TE (ns): <span style={{ color: '#2563eb' }}>eLoran</span>, <span style={{ color: '#d97706' }}>GNSS</span>; shaded: GNSS outage, jamming or spoofing.</div>}
+              {stats && (
+                <table className="w-full mt-1">
+                  <thead><tr className="text-gray-600"><th className="text-left">τ (s)</th><th className="text-right">MTIE eLoran</th><th className="text-right">MTIE GNSS</th><th className="text-right">TDEV eLoran</th><th className="text-right">TDEV GNSS</th></tr></thead>
+                  <tbody>
+                    {stats.mtieE.map((m, i) => (
+                      <tr key={m.tauSec}>
+                        <td>{m.tauSec}</td>
+                        <td className="text-right">{ns(m.mtieSec)}</td>
+                        <td className="text-right">{ns(stats.mtieG[i].mtieSec)}</td>
+                        <td className="text-right">{stats.tdevE[i] ? ns(stats.tdevE[i].tdevSec) : '-'}</td>
+                        <td className="text-right">{stats.tdevG[i] ? ns(stats.tdevG[i].tdevSec) : '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
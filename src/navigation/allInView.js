@@ -0,0 +1,98 @@
+// allInView.js - all-in-view eLoran receiver: cross-chain station selection and position + clock fix
+// Every transmitter (master or secondary, any chain) is a ranging source once its emission schedule is known.
+// Stations are ranked by SNR, the subset with the best SNR-weighted geometry is kept, and either
+//  - TOA pseudoranges (c * arrival) are solved for position plus receiver clock (solvePositionFromTOA), or
+//  - TDOAs against several masters are solved for position, with the clock recovered from the TOA residuals.
+
+import { SPEED_OF_LIGHT, geodesicDistance, invertMatrix, localUnitVector, solvePositionFromTDOA } from './positioning.js';
+import { fieldStrengthSnrDb } from './fieldStrength.js';
+
+export const OBSERVABLES = ['toa', 'tdoa'];
+export const DEFAULT_SELECTION = { maxStations: 8, minSnrDb: -10, sigma0Meters: 30, noiseFloorDbm: -30 };
+
+// received SNR (dB) from a simple LF ground-wave budget: spherical spreading from 1 km plus a
+// ~3 dB / 1000 km excess loss, against a flat noise floor (a 20 dBm station gives ~+10 dB at 100 km and
+// ~-13 dB at 1000 km with the defaults). Good enough to rank stations. With options.noise (a fieldStrength.js
+// noise config) the SNR comes from the ground-wave field strength against atmospheric noise at options.tSec.
+export function stationSnrDb(station, point, options = {}) {
+  const { noiseFloorDbm = DEFAULT_SELECTION.noiseFloorDbm, geodesicModel, noise, tSec = 0 } = options;
+  if (noise) return fieldStrengthSnrDb(station, point, tSec, noise);
+  const dKm = Math.max(1, geodesicDistance(station, point, geodesicModel) / 1000);
+  const rxDbm = (station.txDbm ?? 20) - 20 * Math.log10(dKm) - 3 * dKm / 1000;
+  return rxDbm - noiseFloorDbm;
+}
+
+// 1-sigma range error (m) for a given SNR: sigma0 at 0 dB, improving with sqrt(SNR)
+export function rangeSigmaMeters(snrDb, sigma0Meters = DEFAULT_SELECTION.sigma0Meters) {
+  return sigma0Meters / Math.sqrt(Math.pow(10, snrDb / 10));
+}
+
+// normal matrix H^T W H for rows [ue, un, 1] with weights w
+function normalMatrix(rows) {
+  const N = [[0,0,0],[0,0,0],[0,0,0]];
+  for (const { h, w } of rows) {
+    for (let i = 0; i < 3; i++) for (let j = 0; j < 3; j++) N[i][j] += w * h[i] * h[j];
+  }
+  return N;
+}
+
+// SNR-weighted HDOP of a TOA + clock geometry (unitless, weights relative to sigma0); Infinity if singular
+export function weightedHdop(entries, point, sigma0Meters = DEFAULT_SELECTION.sigma0Meters) {
+  if (entries.length < 3) return Infinity;
+  const rows = entries.map(en => {
+    const u = localUnitVector(en.station, point.lat, point.lng);
+    return { h: [u[0], u[1], 1], w: (sigma0Meters / en.sigmaMeters) ** 2 };
+  });
+  const Q = invertMatrix(normalMatrix(rows));
+  return Q ? Math.sqrt(Math.max(0, Q[0][0] + Q[1][1])) : Infinity;
+}
+
+// pick up to maxStations visible stations: strongest first, then greedily the station that lowers the
+// weighted HDOP most (by SNR while fewer than three stations are chosen)
+// candidates: [{ station, role }] -> { selected: [{ station, role, snrDb, sigmaMeters }], hdop }
+export function selectStations(candidates, point, options = {}) {
+  const { maxStations, minSnrDb, sigma0Meters, noiseFloorDbm, geodesicModel, noise, tSec } = { ...DEFAULT_SELECTION, ...options };
+  const pool = candidates
+    .map(c => {
+      const snrDb = stationSnrDb(c.station, point, { noiseFloorDbm, geodesicModel, noise, tSec });
+      return { ...c, snrDb, sigmaMeters: rangeSigmaMeters(snrDb, sigma0Meters) };
+    })
+    .filter(c => c.snrDb >= minSnrDb)
+    .sort((a, b) => b.snrDb - a.snrDb);
+  const selected = [];
+  while (pool.length > 0 && selected.length < maxStations) {
+    let bestIdx = 0;
+    if (selected.length >= 2) {
+      let bestDop = Infinity;
+      pool.forEach((c, i) => {
+        const dop = weightedHdop([...selected, c], point, sigma0Meters);
+        if (dop < bestDop) { bestDop = dop; bestIdx = i; }
+      });
+    }
+    selected.push(pool.splice(bestIdx, 1)[0]);
+  }
+  return { selected, hdop: weightedHdop(selected, point, sigma0Meters) };
+}
+
+// TDOA variant: every selected secondary is differenced against the nearest selected master, every other
+// master against the strongest master, so observations span several masters/chains. The pairs are weighted by
+// their covariance from the station sigmas (see tdoaPairCovariance). The receiver clock cancels in the differences
+// and is recovered afterwards as the mean TOA residual at the fix.
+export function solvePositionClockFromTDOA(obs, initialLngLat, options = {}) {
+  const { geodesicModel, integrity } = options;
+  const masters = obs.filter(o => o.role === 'master');
+  if (masters.length === 0 || obs.length < 3) return null;
+  const ref = masters[0];
+  const pairs = [];
+  for (const o of obs) {
+    if (o === ref) continue;
+    const base = o.role === 'master'
+      ? ref
+      : masters.reduce((best, mo) => geodesicDistance(mo.station, o.station, geodesicModel) < geodesicDistance(best.station, o.station, geodesicModel) ? mo : best, ref);
+    pairs.push({ master: base.station, slave: o.station, tdoaSec: o.toaSec - base.toaSec, masterSigmaMeters: base.sigmaMeters || 1, slaveSigmaMeters: o.sigmaMeters || 1 });
+  }
+  const fix = solvePositionFromTDOA(pairs, initialLngLat, { geodesicModel, integrity });
+  const here = { lat: fix.lat, lng: fix.lng };
+  const clockBiasSec = obs.reduce((a, o) => a + (o.toaSec - geodesicDistance(o.station, here, geodesicModel) / SPEED_OF_LIGHT), 0) / obs.length;
+  return { ...fix, clockBiasSec, referenceLabel: ref.station.label };
+}
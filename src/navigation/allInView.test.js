@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { SPEED_OF_LIGHT, haversine } from './positioning.js';
+import { solvePositionClockFromTDOA } from './allInView.js';
+
+const C = SPEED_OF_LIGHT;
+const TRUTH = { lat: 41.9, lng: -71.4 };
+const STATIONS = [
+  { role: 'master', station: { label: 'M1', lat: 41.25, lng: -69.98 }, sigmaMeters: 10 },
+  { role: 'master', station: { label: 'M2', lat: 44.0, lng: -75.0 }, sigmaMeters: 20 },
+  { role: 'slave', station: { label: 'S1', lat: 46.77, lng: -67.93 }, sigmaMeters: 15 },
+  { role: 'slave', station: { label: 'S2', lat: 39.85, lng: -75.24 }, sigmaMeters: 25 },
+];
+
+describe('solvePositionClockFromTDOA', () => {
+  it('recovers position and receiver clock from differences across two masters', () => {
+    const obs = STATIONS.map(o => ({ ...o, toaSec: haversine(o.station, TRUTH) / C + 3e-6 }));
+    const fix = solvePositionClockFromTDOA(obs, { lat: 41.91, lng: -71.41 }, { integrity: false });
+    expect(haversine(fix, TRUTH)).toBeLessThan(1e-3);
+    expect(fix.clockBiasSec).toBeCloseTo(3e-6, 12);
+    expect(fix.referenceLabel).toBe('M1');
+    expect(fix.whitenedResiduals).toHaveLength(3);
+  });
+
+  it('needs a master and three stations', () => {
+    const obs = STATIONS.map(o => ({ ...o, toaSec: haversine(o.station, TRUTH) / C }));
+    expect(solvePositionClockFromTDOA(obs.filter(o => o.role === 'slave'), TRUTH)).toBeNull();
+    expect(solvePositionClockFromTDOA(obs.slice(0, 2), TRUTH)).toBeNull();
+  });
+});
@@ -0,0 +1,195 @@
+// asfModel.js - built-in physics ASF model for e-Loran
+// Secondary phase of the 100 kHz ground wave from the Sommerfeld-Norton flat-earth attenuation function,
+// combined over mixed land/sea paths with Millington's method. ASF is the mixed-path delay minus the
+// secondary phase factor (SPF) of an all-seawater path of the same length, returned in meters.
+// Flat-earth only: curvature terms largely cancel in the ASF difference but are not modelled in SPF.
+
+import { SPEED_OF_LIGHT, haversine } from './positioning.js';
+
+const EPS0 = 8.8541878128e-12;
+export const LORAN_FREQ_HZ = 100000;
+
+// ground electrical constants: sigma (S/m), epsr (relative permittivity)
+export const GROUND_PRESETS = {
+  seawater: { label: 'Seawater', sigma: 5, epsr: 81 },
+  freshwater: { label: 'Fresh water', sigma: 0.01, epsr: 80 },
+  wetGround: { label: 'Wet ground', sigma: 0.01, epsr: 30 },
+  land: { label: 'Average land', sigma: 0.005, epsr: 15 },
+  dryGround: { label: 'Dry ground', sigma: 0.001, epsr: 7 },
+  ice: { label: 'Ice / permafrost', sigma: 0.0001, epsr: 3 },
+};
+
+// --- minimal complex arithmetic ({ re, im }) ---
+const cx = (re, im = 0) => ({ re, im });
+const cadd = (a, b) => cx(a.re + b.re, a.im + b.im);
+const csub = (a, b) => cx(a.re - b.re, a.im - b.im);
+const cmul = (a, b) => cx(a.re*b.re - a.im*b.im, a.re*b.im + a.im*b.re);
+const cdiv = (a, b) => { const d = b.re*b.re + b.im*b.im; return cx((a.re*b.re + a.im*b.im)/d, (a.im*b.re - a.re*b.im)/d); };
+const cexp = (a) => { const e = Math.exp(a.re); return cx(e*Math.cos(a.im), e*Math.sin(a.im)); };
+const csqrt = (a) => { const r = Math.hypot(a.re, a.im); const re = Math.sqrt((r + a.re)/2); const im = Math.sqrt(Math.max(0, (r - a.re)/2)); return cx(re, a.im < 0 ? -im : im); };
+// polynomial sum(coeffs[k] * z^k) by Horner
+function cpoly(coeffs, z) {
+  let acc = cx(coeffs[coeffs.length - 1]);
+  for (let k = coeffs.length - 2; k >= 0; k--) acc = cadd(cmul(acc, z), cx(coeffs[k]));
+  return acc;
+}
+
+// Faddeeva function w(z) = exp(-z^2) erfc(-iz), Humlicek (1982) W4 rational approximation (~1e-4 relative)
+function faddeevaUpper(z) {
+  const x = z.re, y = z.im;
+  const t = cx(y, -x);
+  const s = Math.abs(x) + y;
+  if (s >= 15) return cdiv(cmul(t, cx(0.5641896)), cadd(cx(0.5), cmul(t, t)));
+  if (s >= 5.5) {
+    const u = cmul(t, t);
+    return cdiv(cmul(t, cadd(cx(1.410474), cmul(u, cx(0.5641896)))), cadd(cx(0.75), cmul(u, cadd(cx(3), u))));
+  }
+  if (y >= 0.195 * Math.abs(x) - 0.176) {
+    return cdiv(cpoly([16.4955, 20.20933, 11.96482, 3.778987, 0.5642236], t),
+      cpoly([16.4955, 38.82363, 39.27121, 21.69274, 6.699398, 1], t));
+  }
+  const u = cmul(t, t);
+  const num = cpoly([36183.31, -3321.9905, 1540.787, -219.0313, 35.76683, -1.320522, 0.56419], u);
+  const den = cpoly([32066.6, -24322.84, 9022.228, -2186.181, 364.2191, -61.57037, 1.841439, -1], u);
+  return csub(cexp(u), cdiv(cmul(t, num), den));
+}
+
+export function faddeeva(z) {
+  if (z.im >= 0) return faddeevaUpper(z);
+  // reflection into the upper half plane: w(z) = 2 exp(-z^2) - w(-z)
+  const minusZ2 = cmul(cx(-1), cmul(z, z));
+  return csub(cmul(cx(2), cexp(minusZ2)), faddeevaUpper(cx(-z.re, -z.im)));
+}
+
+// Sommerfeld-Norton attenuation function W(p) for vertical polarisation over a homogeneous flat earth
+function attenuationFunction(distanceMeters, ground, freqHz) {
+  const omega = 2 * Math.PI * freqHz;
+  const k = omega / SPEED_OF_LIGHT;
+  // complex relative permittivity (exp(+iwt) convention)
+  const eps = cx(ground.epsr, -ground.sigma / (omega * EPS0));
+  // normalised surface impedance squared at grazing incidence: (eps - 1) / eps^2
+  const delta2 = cdiv(csub(eps, cx(1)), cmul(eps, eps));
+  // numerical distance p = -i k d delta^2 / 2
+  const p = cmul(cx(0, -k * distanceMeters / 2), delta2);
+  const sqrtP = csqrt(p);
+  // W = 1 - i sqrt(pi p) exp(-p) erfc(i sqrt p) = 1 - i sqrt(pi) sqrt(p) w(-sqrt p)
+  const wTerm = faddeeva(cx(-sqrtP.re, -sqrtP.im));
+  return csub(cx(1), cmul(cx(0, Math.sqrt(Math.PI)), cmul(sqrtP, wTerm)));
+}
+
+// ground-wave attenuation (dB, <= 0) of a homogeneous path relative to the inverse-distance field: 20 log10 |W|
+export function homogeneousAttenuationDb(distanceMeters, ground, freqHz = LORAN_FREQ_HZ) {
+  if (!(distanceMeters > 0)) return 0;
+  const W = attenuationFunction(distanceMeters, ground, freqHz);
+  return 20 * Math.log10(Math.max(1e-12, Math.hypot(W.re, W.im)));
+}
+
+// secondary phase delay (seconds) of a homogeneous path: the lag of W relative to the primary field
+export function homogeneousSecondaryDelaySec(distanceMeters, ground, freqHz = LORAN_FREQ_HZ) {
+  if (!(distanceMeters > 0)) return 0;
+  const W = attenuationFunction(distanceMeters, ground, freqHz);
+  return -Math.atan2(W.im, W.re) / (2 * Math.PI * freqHz);
+}
+
+// secondary phase factor over seawater (seconds) for a path of the given length
+export function seawaterSpfSec(distanceMeters, freqHz = LORAN_FREQ_HZ) {
+  return homogeneousSecondaryDelaySec(distanceMeters, GROUND_PRESETS.seawater, freqHz);
+}
+
+// Millington's method for any homogeneous-path quantity f(distance, ground): forward and reverse cumulative
+// sums over the segments (transmitter -> receiver order) are averaged (reciprocity)
+function millington(segments, f) {
+  function oneWay(segs) {
+    let dist = 0, total = 0;
+    for (const seg of segs) {
+      const next = dist + seg.lengthMeters;
+      total += f(next, seg.ground) - f(dist, seg.ground);
+      dist = next;
+    }
+    return total;
+  }
+  return 0.5 * (oneWay(segments) + oneWay(segments.slice().reverse()));
+}
+
+// Millington mixed-path delay (seconds). segments: [{ lengthMeters, ground: { sigma, epsr } }] in
+// transmitter -> receiver order.
+export function millingtonDelaySec(segments, freqHz = LORAN_FREQ_HZ) {
+  return millington(segments, (d, g) => homogeneousSecondaryDelaySec(d, g, freqHz));
+}
+
+// Millington mixed-path ground-wave attenuation (dB) for the same segments
+export function millingtonAttenuationDb(segments, freqHz = LORAN_FREQ_HZ) {
+  return millington(segments, (d, g) => homogeneousAttenuationDb(d, g, freqHz));
+}
+
+// --- ground conductivity map ---
+// conductivity = { background: { sigma, epsr }, zones: [{ name, sigma, epsr, polygon: [[lng,lat], ...] }] }
+
+function pointInPolygon(lng, lat, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// ground constants at a point: last matching zone wins, otherwise the background
+export function groundAt(lat, lng, conductivity) {
+  const zones = (conductivity && conductivity.zones) || [];
+  for (let i = zones.length - 1; i >= 0; i--) {
+    const z = zones[i];
+    if (Array.isArray(z.polygon) && z.polygon.length >= 3 && pointInPolygon(lng, lat, z.polygon)) return z;
+  }
+  return (conductivity && conductivity.background) || GROUND_PRESETS.seawater;
+}
+
+// spherical interpolation along the great circle from a to b (fraction f in [0,1])
+function interpolateGreatCircle(a, b, f) {
+  const toRad = (d) => d * Math.PI / 180;
+  const lat1 = toRad(a.lat), lng1 = toRad(a.lng), lat2 = toRad(b.lat), lng2 = toRad(b.lng);
+  const d = haversine(a, b) / 6371000;
+  if (d < 1e-12) return { lat: a.lat, lng: a.lng };
+  const A = Math.sin((1 - f) * d) / Math.sin(d);
+  const B = Math.sin(f * d) / Math.sin(d);
+  const x = A*Math.cos(lat1)*Math.cos(lng1) + B*Math.cos(lat2)*Math.cos(lng2);
+  const y = A*Math.cos(lat1)*Math.sin(lng1) + B*Math.cos(lat2)*Math.sin(lng2);
+  const z = A*Math.sin(lat1) + B*Math.sin(lat2);
+  return { lat: Math.atan2(z, Math.hypot(x, y)) * 180 / Math.PI, lng: Math.atan2(y, x) * 180 / Math.PI };
+}
+
+// split the station -> point path into homogeneous segments by sampling the conductivity map
+export function pathSegments(station, point, conductivity, samples = 32) {
+  const total = haversine(station, point);
+  if (total <= 0) return [];
+  const step = total / samples;
+  const segments = [];
+  for (let i = 0; i < samples; i++) {
+    const mid = interpolateGreatCircle(station, point, (i + 0.5) / samples);
+    const ground = groundAt(mid.lat, mid.lng, conductivity);
+    const last = segments[segments.length - 1];
+    if (last && last.ground.sigma === ground.sigma && last.ground.epsr === ground.epsr) last.lengthMeters += step;
+    else segments.push({ lengthMeters: step, ground: { sigma: ground.sigma, epsr: ground.epsr } });
+  }
+  return segments;
+}
+
+// ASF (meters) at (lat,lng) for a transmitter under a physics model config:
+// model = { conductivity, includeSpf = false, freqHz = 100 kHz, samples = 32 }
+export function asfMetersFromModel(station, lat, lng, model) {
+  const { conductivity, includeSpf = false, freqHz = LORAN_FREQ_HZ, samples = 32 } = model || {};
+  const point = { lat, lng };
+  const segments = pathSegments(station, point, conductivity, samples);
+  if (segments.length === 0) return 0;
+  const total = segments.reduce((a, s) => a + s.lengthMeters, 0);
+  const spf = seawaterSpfSec(total, freqHz);
+  const mixed = millingtonDelaySec(segments, freqHz);
+  return ((mixed - spf) + (includeSpf ? spf : 0)) * SPEED_OF_LIGHT;
+}
+
+// closure usable as station.asfMap on the main thread; the path starts at the station the ASF is evaluated for
+// (passed by stationSpatialAsfMeters), so the model follows a station that is moved after it was assigned
+export function createAsfModelFunction(station, model) {
+  return (lat, lng, tSec, site = station) => asfMetersFromModel({ lat: site.lat, lng: site.lng }, lat, lng, model);
+}
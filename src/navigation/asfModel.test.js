@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { GROUND_PRESETS, asfMetersFromModel, createAsfModelFunction } from './asfModel.js';
+import { stationSpatialAsfMeters } from './positioning.js';
+
+const land = GROUND_PRESETS.land;
+const model = { conductivity: { background: { sigma: land.sigma, epsr: land.epsr }, zones: [] } };
+
+describe('createAsfModelFunction', () => {
+  it('evaluates the path from where the station is now, not where it was when the model was assigned', () => {
+    const station = { label: 'M', lat: 50, lng: 0 };
+    const asfMap = createAsfModelFunction(station, model);
+    const moved = { ...station, lat: 51, lng: 1, asfMap };
+    const point = { lat: 52, lng: 2 };
+    const atNewSite = asfMetersFromModel(moved, point.lat, point.lng, model);
+    expect(stationSpatialAsfMeters(moved, point.lat, point.lng)).toBeCloseTo(atNewSite, 9);
+    expect(atNewSite).not.toBeCloseTo(asfMetersFromModel(station, point.lat, point.lng, model), 1);
+  });
+
+  it('falls back to the station it was created for when called without one', () => {
+    const station = { lat: 50, lng: 0 };
+    expect(createAsfModelFunction(station, model)(51, 1)).toBeCloseTo(asfMetersFromModel(station, 51, 1, model), 9);
+  });
+});
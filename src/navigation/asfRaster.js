@@ -0,0 +1,203 @@
+// asfRaster.js - ASF grid import/export for e-Loran stations
+// Grids are rectilinear in lat/lng: { lats: Float64Array (south->north), lngs: Float64Array (west->east),
+// values: Float32Array (row-major, j*nx + i, meters), nx, ny, station, meta }. Cells without data are NaN.
+// Supported formats:
+//  - CSV: optional '# key: value' metadata lines, then a header with lat,lng and asf (meters) or asf_us
+//  - ESRI ASCII grid (.asc): ncols/nrows/xllcorner|xllcenter/yllcorner|yllcenter/cellsize/nodata_value
+
+import { SPEED_OF_LIGHT } from './positioning.js';
+
+const round9 = (v) => Math.round(v * 1e9) / 1e9;
+
+function makeGrid(lats, lngs, values, meta = {}) {
+  return { lats, lngs, values, nx: lngs.length, ny: lats.length, station: meta.station || '', meta };
+}
+
+// '# key: value' lines -> { key: value }
+function parseMetadata(lines) {
+  const meta = {};
+  for (const line of lines) {
+    const m = /^#\s*([^:]+):\s*(.*)$/.exec(line.trim());
+    if (m) meta[m[1].trim().toLowerCase()] = m[2].trim();
+  }
+  return meta;
+}
+
+export function parseAsfCsvGrid(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() !== '');
+  const meta = parseMetadata(lines.filter(l => l.trim().startsWith('#')));
+  const rows = lines.filter(l => !l.trim().startsWith('#'));
+  if (rows.length < 2) throw new Error('CSV grid has no data rows');
+  const header = rows[0].split(',').map(h => h.trim().toLowerCase());
+  const iLat = header.indexOf('lat');
+  const iLng = header.indexOf('lng') >= 0 ? header.indexOf('lng') : header.indexOf('lon');
+  let iVal = header.indexOf('asf');
+  let scale = 1;
+  if (iVal < 0 && header.indexOf('asf_m') >= 0) iVal = header.indexOf('asf_m');
+  if (iVal < 0 && header.indexOf('asf_us') >= 0) { iVal = header.indexOf('asf_us'); scale = 1e-6 * SPEED_OF_LIGHT; }
+  if (iLat < 0 || iLng < 0 || iVal < 0) throw new Error('CSV grid needs lat, lng and asf (or asf_us) columns');
+  if (iVal === header.indexOf('asf') && /^(us|µs|microseconds?)$/i.test(meta.units || '')) scale = 1e-6 * SPEED_OF_LIGHT;
+
+  const points = [];
+  const latSet = new Set(), lngSet = new Set();
+  for (let r = 1; r < rows.length; r++) {
+    const cols = rows[r].split(',');
+    const lat = parseFloat(cols[iLat]), lng = parseFloat(cols[iLng]), v = parseFloat(cols[iVal]);
+    if (Number.isNaN(lat) || Number.isNaN(lng)) throw new Error(`Row ${r+1}: invalid coords`);
+    const la = round9(lat), ln = round9(lng);
+    latSet.add(la); lngSet.add(ln);
+    points.push([la, ln, Number.isNaN(v) ? NaN : v * scale]);
+  }
+  const lats = Float64Array.from([...latSet].sort((a, b) => a - b));
+  const lngs = Float64Array.from([...lngSet].sort((a, b) => a - b));
+  if (lats.length < 2 || lngs.length < 2) throw new Error('CSV grid needs at least 2 distinct lats and lngs');
+  const latIndex = new Map(), lngIndex = new Map();
+  lats.forEach((v, j) => latIndex.set(v, j));
+  lngs.forEach((v, i) => lngIndex.set(v, i));
+  const values = new Float32Array(lats.length * lngs.length).fill(NaN);
+  for (const [la, ln, v] of points) values[latIndex.get(la) * lngs.length + lngIndex.get(ln)] = v;
+  return makeGrid(lats, lngs, values, meta);
+}
+
+export function parseEsriAsciiGrid(text) {
+  const lines = text.split(/\r?\n/);
+  const header = {};
+  let k = 0;
+  for (; k < lines.length; k++) {
+    const m = /^\s*([a-zA-Z_]+)\s+(\S+)\s*$/.exec(lines[k]);
+    if (!m) break;
+    header[m[1].toLowerCase()] = parseFloat(m[2]);
+  }
+  const nx = header.ncols, ny = header.nrows;
+  const dx = header.cellsize || header.dx, dy = header.cellsize || header.dy;
+  if (!(nx > 0) || !(ny > 0) || !(dx > 0) || !(dy > 0)) throw new Error('ESRI grid header needs ncols, nrows and cellsize');
+  // cell centres
+  const x0 = header.xllcenter !== undefined ? header.xllcenter : header.xllcorner + dx / 2;
+  const y0 = header.yllcenter !== undefined ? header.yllcenter : header.yllcorner + dy / 2;
+  if (Number.isNaN(x0) || Number.isNaN(y0)) throw new Error('ESRI grid header needs xllcorner/xllcenter and yllcorner/yllcenter');
+  const nodata = header.nodata_value;
+  const tokens = lines.slice(k).join(' ').trim().split(/\s+/).filter(Boolean).map(parseFloat);
+  if (tokens.length < nx * ny) throw new Error(`ESRI grid has ${tokens.length} values, expected ${nx * ny}`);
+  const lats = new Float64Array(ny), lngs = new Float64Array(nx);
+  for (let i = 0; i < nx; i++) lngs[i] = x0 + i * dx;
+  for (let j = 0; j < ny; j++) lats[j] = y0 + j * dy;
+  // file rows run north -> south; store south -> north
+  const values = new Float32Array(nx * ny);
+  for (let row = 0; row < ny; row++) {
+    const j = ny - 1 - row;
+    for (let i = 0; i < nx; i++) {
+      const v = tokens[row * nx + i];
+      values[j * nx + i] = (v === nodata || Number.isNaN(v)) ? NaN : v;
+    }
+  }
+  return makeGrid(lats, lngs, values, { units: 'm' });
+}
+
+// pick the parser from the file name / content
+export function parseAsfGrid(text, fileName = '') {
+  if (/\.asc$/i.test(fileName) || /^\s*ncols\s/i.test(text)) return parseEsriAsciiGrid(text);
+  return parseAsfCsvGrid(text);
+}
+
+// index of the last axis value <= v (binary search), or -1 when outside the axis
+function axisCell(axis, v) {
+  const n = axis.length;
+  if (v < axis[0] || v > axis[n - 1]) return -1;
+  let lo = 0, hi = n - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (axis[mid] <= v) lo = mid; else hi = mid;
+  }
+  return lo;
+}
+
+// bilinear interpolation (meters); NaN outside the grid or next to nodata cells
+export function sampleAsfGrid(grid, lat, lng) {
+  const i = axisCell(grid.lngs, lng);
+  const j = axisCell(grid.lats, lat);
+  if (i < 0 || j < 0) return NaN;
+  const i1 = Math.min(i + 1, grid.nx - 1), j1 = Math.min(j + 1, grid.ny - 1);
+  const tx = i1 === i ? 0 : (lng - grid.lngs[i]) / (grid.lngs[i1] - grid.lngs[i]);
+  const ty = j1 === j ? 0 : (lat - grid.lats[j]) / (grid.lats[j1] - grid.lats[j]);
+  const v = grid.values;
+  const corners = [
+    [(1 - tx) * (1 - ty), v[j*grid.nx + i]], [tx * (1 - ty), v[j*grid.nx + i1]],
+    [(1 - tx) * ty, v[j1*grid.nx + i]], [tx * ty, v[j1*grid.nx + i1]],
+  ];
+  // zero-weight corners are skipped so a point exactly on a valid node next to nodata still resolves
+  let sum = 0;
+  for (const [w, c] of corners) if (w > 0) sum += w * c;
+  return sum;
+}
+
+// closure usable as station.asfMap (0 outside the grid)
+export function createAsfGridFunction(grid) {
+  return (lat, lng) => {
+    const v = sampleAsfGrid(grid, lat, lng);
+    return Number.isNaN(v) ? 0 : v;
+  };
+}
+
+// sample a grid at every (lats[k], lngs[k]) into a Float32Array raster (0 outside)
+export function sampleAsfGridBatch(grid, lats, lngs) {
+  const out = new Float32Array(lats.length);
+  for (let k = 0; k < lats.length; k++) {
+    const v = sampleAsfGrid(grid, lats[k], lngs[k]);
+    out[k] = Number.isNaN(v) ? 0 : v;
+  }
+  return out;
+}
+
+// rectilinear grid from a pre-sampled raster (latArr/lngArr per cell, row-major nx*ny)
+export function gridFromRaster(raster, latArr, lngArr, nx, ny, meta = {}) {
+  const lngs = new Float64Array(nx), lats = new Float64Array(ny);
+  for (let i = 0; i < nx; i++) lngs[i] = lngArr[i];
+  for (let j = 0; j < ny; j++) lats[j] = latArr[j * nx];
+  return makeGrid(lats, lngs, Float32Array.from(raster), meta);
+}
+
+export function asfGridToCsv(grid) {
+  const lines = [
+    '# format: actife-asf-grid',
+    `# station: ${grid.station || ''}`,
+    '# units: m',
+    `# nx: ${grid.nx}`,
+    `# ny: ${grid.ny}`,
+    `# exported: ${new Date().toISOString()}`,
+    'lat,lng,asf',
+  ];
+  for (let j = 0; j < grid.ny; j++) {
+    for (let i = 0; i < grid.nx; i++) {
+      const v = grid.values[j * grid.nx + i];
+      lines.push(`${grid.lats[j]},${grid.lngs[i]},${Number.isNaN(v) ? '' : v}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// ESRI ASCII needs square cells: resample bilinearly onto a regular lat/lng grid over the same extent
+export function asfGridToEsriAscii(grid, nodata = -9999) {
+  const minLng = grid.lngs[0], maxLng = grid.lngs[grid.nx - 1];
+  const minLat = grid.lats[0], maxLat = grid.lats[grid.ny - 1];
+  const cellsize = Math.min((maxLng - minLng) / Math.max(1, grid.nx - 1), (maxLat - minLat) / Math.max(1, grid.ny - 1));
+  const ncols = Math.max(1, Math.floor((maxLng - minLng) / cellsize) + 1);
+  const nrows = Math.max(1, Math.floor((maxLat - minLat) / cellsize) + 1);
+  const lines = [
+    `ncols ${ncols}`,
+    `nrows ${nrows}`,
+    `xllcenter ${minLng}`,
+    `yllcenter ${minLat}`,
+    `cellsize ${cellsize}`,
+    `nodata_value ${nodata}`,
+  ];
+  for (let row = 0; row < nrows; row++) {
+    const lat = minLat + (nrows - 1 - row) * cellsize;
+    const vals = [];
+    for (let col = 0; col < ncols; col++) {
+      const v = sampleAsfGrid(grid, lat, minLng + col * cellsize);
+      vals.push(Number.isNaN(v) ? nodata : v.toFixed(3));
+    }
+    lines.push(vals.join(' '));
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,88 @@
+// asfTemporal.js - time-varying ASF: seasonal and diurnal cycles plus random-walk and weather-driven terms
+// Ground conductivity and the atmospheric refractive index change with season, temperature and weather, so the
+// ASF of a path drifts around its spatial value. The variation adds to the spatial ASF:
+//   dASF(t) = (d / dRef) * [ As cos(2pi (doy - peakDay) / 365.25) + Ad cos(2pi (lst - peakHour) / 24) + rw(t) + wx(t) ]
+// where d is the path length (the delay accumulates along the ground path, dRef = referenceDistanceKm), doy the day
+// of year and lst the local solar time at the receiver. rw is a random walk, wx is a first-order Gauss-Markov
+// "weather" process with correlation time weatherTauHours. Sim time 0 is startDayOfYear / startHourUtc.
+// The random terms are a deterministic function of (seed, station label, time), so the main thread and the
+// workers produce the same realisation from the same plain-object config.
+
+import { haversine } from './geodesy.js';
+
+export const DEFAULT_TEMPORAL_ASF = {
+  seasonalAmpMeters: 15,
+  seasonalPeakDay: 200,
+  diurnalAmpMeters: 3,
+  diurnalPeakHour: 14,
+  randomWalkMetersPerSqrtHour: 1,
+  weatherSigmaMeters: 4,
+  weatherTauHours: 12,
+  referenceDistanceKm: 1000,
+  startDayOfYear: 0,
+  startHourUtc: 0,
+  seed: 1,
+  stepSec: 60,
+};
+
+// deterministic N(0,1) stream for a key: mulberry32 seeded with an FNV-1a hash of the key
+// next.state() is the generator state; normalStream(key, state) continues the stream from it
+export function normalStream(key, state) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) { h ^= key.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  let a = state === undefined ? h >>> 0 : state;
+  const uniform = () => {
+    let t = a += 0x6D2B79F5;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+  const next = () => {
+    let u = 0, v = 0;
+    while (u === 0) u = uniform();
+    while (v === 0) v = uniform();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+  next.state = () => a;
+  return next;
+}
+
+// sampled random processes per (config, station), extended lazily; values linear between steps
+const processCache = new Map();
+const MAX_CACHED_PROCESSES = 64;
+
+function randomTermsAt(stationKey, cfg, tSec) {
+  const key = `${cfg.seed}|${stationKey}|${cfg.stepSec}|${cfg.randomWalkMetersPerSqrtHour}|${cfg.weatherSigmaMeters}|${cfg.weatherTauHours}`;
+  let p = processCache.get(key);
+  if (!p) {
+    if (processCache.size >= MAX_CACHED_PROCESSES) processCache.delete(processCache.keys().next().value);
+    const next = normalStream(key);
+    // the random walk starts at 0, the weather process from its stationary distribution
+    p = { next, rw: [0], wx: [cfg.weatherSigmaMeters * next()] };
+    processCache.set(key, p);
+  }
+  const step = Math.max(1, cfg.stepSec);
+  const u = Math.max(0, tSec) / step;
+  const k = Math.floor(u);
+  const rwStep = cfg.randomWalkMetersPerSqrtHour * Math.sqrt(step / 3600);
+  const a = cfg.weatherTauHours > 0 ? Math.exp(-step / (cfg.weatherTauHours * 3600)) : 0;
+  while (p.rw.length < k + 2) {
+    const i = p.rw.length - 1;
+    p.rw.push(p.rw[i] + rwStep * p.next());
+    p.wx.push(a * p.wx[i] + Math.sqrt(1 - a * a) * cfg.weatherSigmaMeters * p.next());
+  }
+  const f = u - k;
+  return (1 - f) * (p.rw[k] + p.wx[k]) + f * (p.rw[k + 1] + p.wx[k + 1]);
+}
+
+// temporal ASF variation (m) of the station -> (lat,lng) path at sim time tSec; 0 without a config
+export function temporalAsfMeters(station, lat, lng, tSec, config) {
+  if (!config) return 0;
+  const cfg = { ...DEFAULT_TEMPORAL_ASF, ...config };
+  const pathFactor = haversine(station, { lat, lng }) / (cfg.referenceDistanceKm * 1000);
+  const days = cfg.startDayOfYear + (cfg.startHourUtc * 3600 + (tSec || 0)) / 86400;
+  const localHour = (cfg.startHourUtc + (tSec || 0) / 3600 + lng / 15) % 24;
+  const seasonal = cfg.seasonalAmpMeters * Math.cos(2 * Math.PI * (days - cfg.seasonalPeakDay) / 365.25);
+  const diurnal = cfg.diurnalAmpMeters * Math.cos(2 * Math.PI * (localHour - cfg.diurnalPeakHour) / 24);
+  return pathFactor * (seasonal + diurnal + randomTermsAt(station.label || `${station.lat},${station.lng}`, cfg, tSec || 0));
+}
@@ -0,0 +1,91 @@
+// chains.js - Loran-C chain organisation (GRI, secondary designators, emission delays)
+// A chain is one master plus up to four secondaries W, X, Y, Z. Masters carry `gri` (tens of microseconds,
+// e.g. 8330 = 83.30 ms); secondaries carry `chain` (master label), `designator` and `codingDelaySec`.
+// Emission delay = baseline travel time (master -> secondary) + coding delay, so the observed
+// TD of a pair is emissionDelaySec + (dS - dM) / c.
+
+import { SPEED_OF_LIGHT, geodesicDistance, haversine } from './positioning.js';
+
+export const SECONDARY_DESIGNATORS = ['W', 'X', 'Y', 'Z'];
+export const DEFAULT_GRI = 8330;
+// default coding delays (s) per designator, spaced so TDs of a chain never overlap
+export const DEFAULT_CODING_DELAYS_SEC = { W: 11000e-6, X: 25000e-6, Y: 39000e-6, Z: 53000e-6 };
+
+// GRI (tens of microseconds) -> repetition period in seconds
+export function griPeriodSec(gri) {
+  return (gri || DEFAULT_GRI) * 10e-6;
+}
+
+// secondaries of the chain led by `master`, in W, X, Y, Z order
+export function chainSecondaries(master, slaves) {
+  return slaves
+    .filter(s => s.chain === master.label)
+    .sort((a, b) => SECONDARY_DESIGNATORS.indexOf(a.designator) - SECONDARY_DESIGNATORS.indexOf(b.designator));
+}
+
+// first designator not yet used in a chain, or null when the chain is full
+export function nextFreeDesignator(masterLabel, slaves) {
+  const used = new Set(slaves.filter(s => s.chain === masterLabel).map(s => s.designator));
+  return SECONDARY_DESIGNATORS.find(d => !used.has(d)) || null;
+}
+
+// true when another secondary (label != exceptLabel) of the chain already uses the designator
+export function designatorTaken(masterLabel, designator, slaves, exceptLabel = null) {
+  return slaves.some(s => s.label !== exceptLabel && s.chain === masterLabel && s.designator === designator);
+}
+
+// coding delay (s) of a secondary taking `designator`: the user's own value when set, else the designator default
+export function codingDelayFor(slave, designator) {
+  return slave && slave.codingDelayCustom ? slave.codingDelaySec : DEFAULT_CODING_DELAYS_SEC[designator];
+}
+
+// chain membership for a new secondary at `point`: nearest master that still has a free designator
+// returns { chain, designator, codingDelaySec } with chain = null when every chain is full
+export function assignSecondary(point, masters, slaves) {
+  const candidates = masters
+    .map(m => ({ m, d: haversine(m, point) }))
+    .sort((a, b) => a.d - b.d);
+  for (const { m } of candidates) {
+    const designator = nextFreeDesignator(m.label, slaves);
+    if (designator) return { chain: m.label, designator, codingDelaySec: DEFAULT_CODING_DELAYS_SEC[designator] };
+  }
+  return { chain: null, designator: null, codingDelaySec: 0 };
+}
+
+// emission delay (s) of a secondary relative to its master
+export function emissionDelaySec(master, slave, geodesicModel) {
+  return geodesicDistance(master, slave, geodesicModel) / SPEED_OF_LIGHT + (slave.codingDelaySec || 0);
+}
+
+// master/secondary pairs that belong to the same chain:
+// [{ masterIndex, slaveIndex, designator, emissionDelaySec }]
+export function chainPairs(masters, slaves, geodesicModel) {
+  const pairs = [];
+  masters.forEach((m, mi) => {
+    slaves.forEach((s, si) => {
+      if (s.chain !== m.label) return;
+      pairs.push({ masterIndex: mi, slaveIndex: si, designator: s.designator, emissionDelaySec: emissionDelaySec(m, s, geodesicModel) });
+    });
+  });
+  return pairs;
+}
+
+// configuration problems as human-readable strings (empty when the chains are consistent)
+export function validateChains(masters, slaves, geodesicModel) {
+  const problems = [];
+  const labels = new Set(masters.map(m => m.label));
+  for (const s of slaves) {
+    if (!s.chain || !labels.has(s.chain)) problems.push(`${s.label} is not assigned to a chain`);
+  }
+  for (const m of masters) {
+    const secs = chainSecondaries(m, slaves);
+    if (secs.length > SECONDARY_DESIGNATORS.length) problems.push(`${m.label} has more than ${SECONDARY_DESIGNATORS.length} secondaries`);
+    const seen = new Set();
+    for (const s of secs) {
+      if (seen.has(s.designator)) problems.push(`${m.label}: designator ${s.designator} used twice`);
+      seen.add(s.designator);
+      if (emissionDelaySec(m, s, geodesicModel) >= griPeriodSec(m.gri)) problems.push(`${m.label}-${s.designator}: emission delay exceeds the GRI`);
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_CODING_DELAYS_SEC, assignSecondary, codingDelayFor, designatorTaken } from './chains.js';
+
+const slaves = [
+  { label: 'S1', chain: 'M1', designator: 'W', codingDelaySec: DEFAULT_CODING_DELAYS_SEC.W },
+  { label: 'S2', chain: 'M1', designator: 'X', codingDelaySec: 30000e-6, codingDelayCustom: true },
+  { label: 'S3', chain: 'M2', designator: 'W', codingDelaySec: DEFAULT_CODING_DELAYS_SEC.W },
+];
+
+describe('designatorTaken', () => {
+  it('checks the designator within one chain only, ignoring the secondary being edited', () => {
+    expect(designatorTaken('M1', 'W', slaves)).toBe(true);
+    expect(designatorTaken('M1', 'W', slaves, 'S1')).toBe(false);
+    expect(designatorTaken('M1', 'Y', slaves)).toBe(false);
+    expect(designatorTaken('M3', 'W', slaves)).toBe(false);
+  });
+});
+
+describe('codingDelayFor', () => {
+  it('resets to the designator default unless the user set the coding delay', () => {
+    expect(codingDelayFor(slaves[0], 'Z')).toBe(DEFAULT_CODING_DELAYS_SEC.Z);
+    expect(codingDelayFor(slaves[1], 'Z')).toBe(30000e-6);
+  });
+});
+
+describe('assignSecondary', () => {
+  it('joins the nearest chain with a free designator and its default coding delay', () => {
+    const masters = [{ label: 'M1', lat: 0, lng: 0 }, { label: 'M2', lat: 0, lng: 10 }];
+    expect(assignSecondary({ lat: 0, lng: 1 }, masters, slaves)).toEqual({ chain: 'M1', designator: 'Y', codingDelaySec: DEFAULT_CODING_DELAYS_SEC.Y });
+  });
+});
@@ -0,0 +1,214 @@
+// clockModel.js - stochastic station clocks: white, flicker and random-walk FM noise sized by Allan deviation
+// Each oscillator type is described by its Allan deviation
+//   sigma_y(tau)^2 = wfm^2 / tau + flicker^2 + rwfm^2 tau
+// White FM is an independent frequency draw per step (phase random walk), random-walk FM integrates white
+// frequency steps, and flicker FM (the flat floor) is the sum of first-order Gauss-Markov frequency processes with
+// time constants two per decade, scaled so their combined Allan variance is flat at flicker^2 over that span. For
+// one Gauss-Markov process of variance q and time constant T, with r = tau / T,
+//   sigma_y(tau)^2 = q / r^2 [2 (r - 1 + e^-r) - (1 - e^-r)^2]
+// GPS-disciplined clocks steer an OCXO with a second-order loop (natural period loopTimeConstantSec, damping) on
+// noisy GPS time comparisons; from holdoverStartSec on the loop freezes its last steering and the oscillator runs
+// free. The phase (time error, s) is sampled every stepSec and interpolated linearly; it adds to the deterministic
+// bias + drift t. Like asfTemporal.js, the noise is a deterministic function of (seed, station label, time), so the
+// main thread and the workers see the same clock from the same plain-object config.
+
+import { normalStream } from './asfTemporal.js';
+
+// oscillator Allan deviation terms: wfm (sigma_y at 1 s), flicker (floor), rwfm (sigma_y / sqrt(tau))
+export const CLOCK_TYPES = {
+  'gps-disciplined': { label: 'GPS-disciplined OCXO', oscillator: 'ocxo', disciplined: true },
+  cesium: { label: 'Cesium beam', wfm: 5e-12, flicker: 8e-15, rwfm: 3e-20 },
+  rubidium: { label: 'Rubidium', wfm: 3e-12, flicker: 5e-14, rwfm: 1e-16 },
+  ocxo: { label: 'OCXO', wfm: 1e-12, flicker: 1e-12, rwfm: 1e-14 },
+  local: { label: 'Local quartz (TCXO)', wfm: 1e-10, flicker: 1e-10, rwfm: 1e-12 },
+  ideal: { label: 'Ideal (bias + drift only)', wfm: 0, flicker: 0, rwfm: 0 },
+};
+// older configs used 'gps' for the disciplined clock
+const TYPE_ALIASES = { gps: 'gps-disciplined' };
+export const DEFAULT_DISCIPLINE = { gpsNoiseNs: 15, loopTimeConstantSec: 3000, damping: 0.707 };
+export const DEFAULT_CLOCK_NOISE = { seed: 1, stepSec: 1, holdoverStartSec: null };
+
+const FLICKER_MAX_TAU_SEC = 1e6;
+// GPS comparison smoothing time, as a fraction of the loop's 1 / wn
+const GPS_FILTER_FRACTION = 0.25;
+
+// oscillator model of a clock config, or null for a clock without a (known) type: receivers and ideal clocks
+export function clockModelOf(clock) {
+  if (!clock || !clock.type) return null;
+  const model = CLOCK_TYPES[TYPE_ALIASES[clock.type] || clock.type];
+  if (!model) return null;
+  const osc = model.disciplined ? CLOCK_TYPES[model.oscillator] : model;
+  if (!model.disciplined && !(osc.wfm || osc.flicker || osc.rwfm)) return null;
+  return { ...osc, disciplined: !!model.disciplined };
+}
+
+// Allan variance of a Gauss-Markov frequency process (unit variance) at r = tau / T
+function gaussMarkovAvar(r) {
+  const e = Math.exp(-r);
+  return (2 * (r - 1 + e) - (1 - e) ** 2) / (r * r);
+}
+
+// flicker ladder for a step: time constants two per decade up to FLICKER_MAX_TAU_SEC and the variance q per
+// process that makes the mid-span Allan variance equal to 1
+const ladderCache = new Map();
+function flickerLadder(stepSec) {
+  if (ladderCache.has(stepSec)) return ladderCache.get(stepSec);
+  const taus = [];
+  for (let T = 3 * stepSec; T <= FLICKER_MAX_TAU_SEC; T *= Math.sqrt(10)) taus.push(T);
+  const lo = Math.log10(taus[0] * 10), hi = Math.log10(taus[taus.length - 1] / 10);
+  let sum = 0, n = 0;
+  for (let u = lo; u <= hi; u += 0.1, n++) sum += taus.reduce((a, T) => a + gaussMarkovAvar(10 ** u / T), 0);
+  const ladder = { taus, q: n > 0 ? n / sum : 1 };
+  ladderCache.set(stepSec, ladder);
+  return ladder;
+}
+
+// model Allan deviation of an oscillator (CLOCK_TYPES entry) at tau, for the flicker ladder of stepSec
+export function modelAllanDeviation(osc, tauSec, stepSec = DEFAULT_CLOCK_NOISE.stepSec) {
+  const { taus, q } = flickerLadder(stepSec);
+  const flicker = (osc.flicker || 0) ** 2 * q * taus.reduce((a, T) => a + gaussMarkovAvar(tauSec / T), 0);
+  return Math.sqrt((osc.wfm || 0) ** 2 / tauSec + flicker + (osc.rwfm || 0) ** 2 * tauSec);
+}
+
+// sampled phase processes per (config, station), generated incrementally: the generator state at the newest
+// sample, the last WINDOW_STEPS samples, and checkpoints of the generator state to regenerate from on a seek back
+// (CHECKPOINT_STEPS apart, the spacing doubled whenever there are more than MAX_CHECKPOINTS), so memory stays
+// bounded however long the simulation runs
+const processCache = new Map();
+const MAX_CACHED_PROCESSES = 64;
+const WINDOW_STEPS = 1024;
+const CHECKPOINT_STEPS = 1024;
+const MAX_CHECKPOINTS = 128;
+
+function phaseProcess(clock, model, key) {
+  const cfg = { ...DEFAULT_CLOCK_NOISE, ...DEFAULT_DISCIPLINE, ...clock };
+  const ck = `${cfg.seed}|${key}|${clock.type}|${cfg.stepSec}|${model.disciplined ? `${cfg.gpsNoiseNs}|${cfg.loopTimeConstantSec}|${cfg.damping}|${cfg.holdoverStartSec}` : ''}`;
+  let p = processCache.get(ck);
+  if (p) return p;
+  if (processCache.size >= MAX_CACHED_PROCESSES) processCache.delete(processCache.keys().next().value);
+  const rngKey = `clock|${ck}`;
+  const next = normalStream(rngKey);
+  const step = Math.max(1e-3, cfg.stepSec);
+  const { taus, q } = flickerLadder(step);
+  const fSigma = (model.flicker || 0) * Math.sqrt(q);
+  // loop gains for x'' + 2 zeta wn x' + wn^2 x = 0 (phase error), with wn = 2 pi / loop period
+  const wn = 2 * Math.PI / Math.max(10 * step, cfg.loopTimeConstantSec);
+  const phi = taus.map(T => Math.exp(-step / T));
+  // generator state at sample i (phase x); the flicker processes start from their stationary distribution
+  const gen = { i: 0, x: 0, ff: Float64Array.from(taus, () => fSigma * next()), rw: 0, steer: 0, integ: 0, filtered: 0, next };
+  p = {
+    rngKey, step, cfg, model,
+    phi,
+    innovation: phi.map(a => Math.sqrt(1 - a * a) * fSigma),
+    wSigma: (model.wfm || 0) / Math.sqrt(step),
+    rwSigma: (model.rwfm || 0) * Math.sqrt(3 * step),
+    kp: 2 * cfg.damping * wn, ki: wn * wn,
+    // the GPS comparisons are smoothed well inside the loop bandwidth, so their white noise does not reach the
+    // short-term stability of the oscillator
+    smooth: Math.min(1, step * wn / GPS_FILTER_FRACTION),
+    gen,
+    window: new Float64Array(WINDOW_STEPS), // phase of sample i at i % WINDOW_STEPS, valid from windowStart to gen.i
+    windowStart: 0,
+    checkpoints: [snapshot(gen)],
+    every: CHECKPOINT_STEPS,
+  };
+  processCache.set(ck, p);
+  return p;
+}
+
+function snapshot(gen) {
+  const { next, ...state } = gen;
+  return { ...state, ff: Float64Array.from(gen.ff), rng: next.state() };
+}
+
+function restore(p, cp) {
+  return { ...cp, ff: Float64Array.from(cp.ff), next: normalStream(p.rngKey, cp.rng) };
+}
+
+// advance a generator by one sample
+function stepGenerator(p, gen) {
+  const { step, model, cfg } = p;
+  const holdover = typeof cfg.holdoverStartSec === 'number' ? cfg.holdoverStartSec : Infinity;
+  let y = p.wSigma * gen.next() + gen.rw;
+  for (let j = 0; j < gen.ff.length; j++) y += gen.ff[j];
+  if (model.disciplined && gen.i * step < holdover) {
+    // steer on the GPS time comparison (phase error plus receiver noise); frozen in holdover
+    gen.filtered += p.smooth * (gen.x + cfg.gpsNoiseNs * 1e-9 * gen.next() - gen.filtered);
+    gen.integ += p.ki * gen.filtered * step;
+    gen.steer = -(p.kp * gen.filtered + gen.integ);
+  }
+  gen.x += (y + (model.disciplined ? gen.steer : 0)) * step;
+  gen.i++;
+  for (let j = 0; j < gen.ff.length; j++) gen.ff[j] = p.phi[j] * gen.ff[j] + p.innovation[j] * gen.next();
+  gen.rw += p.rwSigma * gen.next();
+}
+
+// phase sample k of a process, regenerated from the last checkpoint at or before k when it left the window
+function phaseAt(p, k) {
+  if (k < Math.max(p.windowStart, p.gen.i - WINDOW_STEPS + 1)) {
+    let c = p.checkpoints.length - 1;
+    while (p.checkpoints[c].i > k) c--;
+    p.gen = restore(p, p.checkpoints[c]);
+    p.windowStart = p.gen.i;
+    p.window[p.gen.i % WINDOW_STEPS] = p.gen.x;
+  }
+  while (p.gen.i < k) {
+    stepGenerator(p, p.gen);
+    p.window[p.gen.i % WINDOW_STEPS] = p.gen.x;
+    const last = p.checkpoints[p.checkpoints.length - 1];
+    if (p.gen.i % p.every === 0 && p.gen.i > last.i) {
+      p.checkpoints.push(snapshot(p.gen));
+      if (p.checkpoints.length > MAX_CHECKPOINTS) {
+        p.every *= 2;
+        p.checkpoints = p.checkpoints.filter(cp => cp.i % p.every === 0);
+      }
+    }
+  }
+  return p.window[k % WINDOW_STEPS];
+}
+
+// stochastic time error (s) of a station clock at sim time tSec; 0 for clocks without a noise model
+// key: the station label (keys the realisation)
+export function clockNoiseSec(clock, key, tSec) {
+  const model = clockModelOf(clock);
+  if (!model) return 0;
+  const p = phaseProcess(clock, model, key || '');
+  const u = Math.max(0, tSec || 0) / p.step;
+  const k = Math.floor(u);
+  const x0 = phaseAt(p, k);
+  const x1 = phaseAt(p, k + 1);
+  return x0 + (u - k) * (x1 - x0);
+}
+
+// phase samples (s, every stepSec from t = 0) of a station clock over durationSec -> { stepSec, phase } or null
+export function clockPhaseSeries(clock, key, durationSec) {
+  const model = clockModelOf(clock);
+  if (!model) return null;
+  const p = phaseProcess(clock, model, key || '');
+  const n = Math.max(2, Math.round(durationSec / p.step) + 1);
+  // a separate generator from t = 0, so the series leaves the process's window and checkpoints alone
+  const gen = restore(p, p.checkpoints[0]);
+  const phase = new Float64Array(n);
+  for (let i = 1; i < n; i++) {
+    stepGenerator(p, gen);
+    phase[i] = gen.x;
+  }
+  return { stepSec: p.step, phase };
+}
+
+// overlapping Allan deviation from phase samples at tau0 spacing, at octave averaging factors
+// -> [{ tauSec, adev, n }] (n: number of second differences)
+export function allanDeviation(phase, tau0, minSamples = 10) {
+  const out = [];
+  const N = phase.length;
+  for (let m = 1; N - 2 * m >= minSamples; m *= 2) {
+    let s = 0;
+    for (let i = 0; i + 2 * m < N; i++) {
+      const d = phase[i + 2 * m] - 2 * phase[i + m] + phase[i];
+      s += d * d;
+    }
+    const tau = m * tau0;
+    out.push({ tauSec: tau, adev: Math.sqrt(s / (2 * (N - 2 * m) * tau * tau)), n: N - 2 * m });
+  }
+  return out;
+}
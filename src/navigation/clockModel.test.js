@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { allanDeviation, clockNoiseSec, clockPhaseSeries, modelAllanDeviation, CLOCK_TYPES } from './clockModel.js';
+
+describe('clockNoiseSec', () => {
+  it('is zero for clocks without a noise model', () => {
+    expect(clockNoiseSec(null, 'M', 100)).toBe(0);
+    expect(clockNoiseSec({ type: 'ideal' }, 'M', 100)).toBe(0);
+  });
+
+  it('matches the phase series at the sample times and interpolates between them', () => {
+    const clock = { type: 'ocxo', seed: 7 };
+    const { phase, stepSec } = clockPhaseSeries(clock, 'M', 5000);
+    expect(stepSec).toBe(1);
+    for (const k of [0, 1, 999, 1024, 1025, 4096, 5000]) expect(clockNoiseSec(clock, 'M', k)).toBe(phase[k]);
+    expect(clockNoiseSec(clock, 'M', 2500.25)).toBeCloseTo(0.75 * phase[2500] + 0.25 * phase[2501], 20);
+  });
+
+  it('regenerates the same realisation after seeking back past the sample window', () => {
+    const clock = { type: 'gps-disciplined', seed: 3, holdoverStartSec: 150000 };
+    const ts = [10.5, 2047, 90000.3, 150001, 299999.9];
+    const first = ts.map(t => clockNoiseSec(clock, 'X', t));
+    // back to the start, forward past the holdover, and back again into the thinned checkpoints
+    const again = [...ts].reverse().map(t => clockNoiseSec(clock, 'X', t)).reverse();
+    expect(again).toEqual(first);
+    expect(clockNoiseSec(clock, 'X', 90000.3)).toBe(first[2]);
+  });
+
+  it('keys the realisation on the station label', () => {
+    const clock = { type: 'rubidium', seed: 1 };
+    expect(clockNoiseSec(clock, 'A', 600)).not.toBe(clockNoiseSec(clock, 'B', 600));
+  });
+});
+
+describe('allanDeviation', () => {
+  it('follows the free-running oscillator model', () => {
+    const clock = { type: 'local', seed: 11 };
+    const { phase, stepSec } = clockPhaseSeries(clock, 'S', 20000);
+    // taus up to 512 s keep at least 40 independent second differences in 20000 s
+    for (const { tauSec, adev } of allanDeviation(phase, stepSec).filter(p => p.tauSec <= 512)) {
+      const ratio = adev / modelAllanDeviation(CLOCK_TYPES.local, tauSec, stepSec);
+      expect(ratio).toBeGreaterThan(0.8);
+      expect(ratio).toBeLessThan(1.25);
+    }
+  });
+});
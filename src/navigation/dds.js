@@ -0,0 +1,250 @@
+// dds.js - eLoran data channel modeled on Eurofix / LDC
+// A 56-bit message plus a 14-bit CRC form 10 seven-bit symbols, protected by a Reed-Solomon RS(30,10) code over
+// GF(2^7) (up to 10 symbol errors corrected). One code symbol is sent per GRI as pulse-position modulation:
+// pulses 3..8 of the group are advanced, kept or delayed by ppmStepUs following a balanced 3-level word (6
+// pulses, sum 0, so the mean group timing used for navigation is unchanged); pulses 1-2 stay unmodulated.
+// A frame therefore spans 30 GRIs (210 channel bits).
+// Message layouts (MSB first, 56 bits):
+//   TIME      type 4 | stationId 8 | utcSec 32 | leapSeconds 8 | spare 4
+//   DIFF      type 4 | stationId 8 | correction 16 (signed, 0.1 m) | ageSec 12 | flags 8 | refId 8
+//   INTEGRITY type 4 | stationId 8 | flags 8 | utcSec 32 | spare 4
+// INTEGRITY flags also carry the transmitter state of the reported station (off air, blink, degraded power).
+
+import { gaussianNoise } from './positioning.js';
+
+export const DDS_MESSAGE_TYPES = { TIME: 1, DIFF: 2, INTEGRITY: 3 };
+export const DDS_FLAGS = { MONITORED: 0x01, DO_NOT_USE: 0x02, DIFF_VALID: 0x04, OFF_AIR: 0x08, BLINK: 0x10, DEGRADED: 0x20 };
+export const EUROFIX = { dataBits: 56, crcBits: 14, symbolBits: 7, n: 30, k: 10, modulatedPulses: 6, pulsesPerGroup: 8, ppmStepUs: 1 };
+export const DEFAULT_LEAP_SECONDS = 18;
+// 1-sigma pulse timing jitter (µs) at 0 dB SNR; scales with 1/sqrt(SNR)
+export const DDS_TIMING_SIGMA_US_AT_0DB = 0.25;
+
+// --- bit packing ---
+function pushBits(bits, value, width) {
+  for (let i = width - 1; i >= 0; i--) bits.push(Math.floor(value / 2 ** i) % 2);
+}
+function readBits(bits, offset, width) {
+  let v = 0;
+  for (let i = 0; i < width; i++) v = v * 2 + bits[offset + i];
+  return v;
+}
+
+// message object -> 56 bits
+export function packMessage(msg) {
+  const bits = [];
+  const type = DDS_MESSAGE_TYPES[msg.type];
+  if (!type) throw new Error(`unknown DDS message type ${msg.type}`);
+  pushBits(bits, type, 4);
+  pushBits(bits, msg.stationId & 0xff, 8);
+  if (msg.type === 'TIME') {
+    pushBits(bits, (msg.utcSec >>> 0), 32);
+    pushBits(bits, (msg.leapSeconds ?? DEFAULT_LEAP_SECONDS) & 0xff, 8);
+    pushBits(bits, 0, 4);
+  } else if (msg.type === 'DIFF') {
+    const dm = Math.max(-32768, Math.min(32767, Math.round((msg.correctionMeters || 0) * 10)));
+    pushBits(bits, dm < 0 ? dm + 65536 : dm, 16);
+    pushBits(bits, Math.max(0, Math.min(4095, Math.round(msg.ageSec || 0))), 12);
+    pushBits(bits, (msg.flags || 0) & 0xff, 8);
+    pushBits(bits, (msg.refId || 0) & 0xff, 8);
+  } else {
+    pushBits(bits, (msg.flags || 0) & 0xff, 8);
+    pushBits(bits, (msg.utcSec >>> 0), 32);
+    pushBits(bits, 0, 4);
+  }
+  return bits;
+}
+
+// 56 bits -> message object (null for an unknown type)
+export function unpackMessage(bits) {
+  const typeCode = readBits(bits, 0, 4);
+  const type = Object.keys(DDS_MESSAGE_TYPES).find(k => DDS_MESSAGE_TYPES[k] === typeCode);
+  if (!type) return null;
+  const stationId = readBits(bits, 4, 8);
+  if (type === 'TIME') return { type, stationId, utcSec: readBits(bits, 12, 32), leapSeconds: readBits(bits, 44, 8) };
+  if (type === 'DIFF') {
+    const raw = readBits(bits, 12, 16);
+    return { type, stationId, correctionMeters: (raw >= 32768 ? raw - 65536 : raw) / 10, ageSec: readBits(bits, 28, 12), flags: readBits(bits, 40, 8), refId: readBits(bits, 48, 8) };
+  }
+  return { type, stationId, flags: readBits(bits, 12, 8), utcSec: readBits(bits, 20, 32) };
+}
+
+// CRC-14 (polynomial 0x0805, zero init) over a bit array
+export function crc14(bits) {
+  let reg = 0;
+  for (const b of bits) {
+    const top = ((reg >> 13) & 1) ^ b;
+    reg = (reg << 1) & 0x3fff;
+    if (top) reg ^= 0x0805;
+  }
+  const out = [];
+  pushBits(out, reg, 14);
+  return out;
+}
+
+// --- GF(2^7) arithmetic, primitive polynomial x^7 + x^3 + 1 ---
+const GF_SIZE = 128;
+const GF_EXP = new Array(2 * GF_SIZE).fill(0);
+const GF_LOG = new Array(GF_SIZE).fill(0);
+(() => {
+  let x = 1;
+  for (let i = 0; i < GF_SIZE - 1; i++) {
+    GF_EXP[i] = x; GF_LOG[x] = i;
+    x <<= 1;
+    if (x & GF_SIZE) x ^= 0x89;
+  }
+  for (let i = GF_SIZE - 1; i < 2 * GF_SIZE; i++) GF_EXP[i] = GF_EXP[i - (GF_SIZE - 1)];
+})();
+const gfMul = (a, b) => (a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]]);
+const gfDiv = (a, b) => (a === 0 ? 0 : GF_EXP[(GF_LOG[a] - GF_LOG[b] + (GF_SIZE - 1)) % (GF_SIZE - 1)]);
+const gfPow = (e) => GF_EXP[((e % (GF_SIZE - 1)) + (GF_SIZE - 1)) % (GF_SIZE - 1)];
+// polynomials are coefficient arrays, highest degree first
+function polyEval(p, x) {
+  let y = 0;
+  for (const c of p) y = gfMul(y, x) ^ c;
+  return y;
+}
+function polyMul(p, q) {
+  const out = new Array(p.length + q.length - 1).fill(0);
+  p.forEach((a, i) => q.forEach((b, j) => { out[i + j] ^= gfMul(a, b); }));
+  return out;
+}
+
+const RS_PARITY = EUROFIX.n - EUROFIX.k;
+const RS_GENERATOR = (() => {
+  let g = [1];
+  for (let i = 1; i <= RS_PARITY; i++) g = polyMul(g, [1, gfPow(i)]);
+  return g;
+})();
+
+// systematic RS(30,10) encoding of 10 data symbols -> 30 code symbols
+export function rsEncode(data) {
+  const rem = [...data, ...new Array(RS_PARITY).fill(0)];
+  for (let i = 0; i < data.length; i++) {
+    const coef = rem[i];
+    if (coef === 0) continue;
+    for (let j = 1; j < RS_GENERATOR.length; j++) rem[i + j] ^= gfMul(RS_GENERATOR[j], coef);
+  }
+  return [...data, ...rem.slice(data.length)];
+}
+
+// RS decoding (Berlekamp-Massey, Chien search, Forney); returns { symbols, corrected } or null if uncorrectable
+export function rsDecode(received) {
+  const n = received.length;
+  const synd = [];
+  for (let j = 1; j <= RS_PARITY; j++) synd.push(polyEval(received, gfPow(j)));
+  if (synd.every(s => s === 0)) return { symbols: received.slice(), corrected: 0 };
+  // Berlekamp-Massey on S_1..S_2t; lambda in ascending powers
+  let lambda = [1], prev = [1], L = 0, m = 1, b = 1;
+  for (let r = 0; r < RS_PARITY; r++) {
+    let d = synd[r];
+    for (let i = 1; i <= L; i++) d ^= gfMul(lambda[i] || 0, synd[r - i]);
+    if (d === 0) { m++; continue; }
+    const coef = gfDiv(d, b);
+    const next = lambda.slice();
+    for (let i = 0; i < prev.length; i++) next[i + m] = (next[i + m] || 0) ^ gfMul(coef, prev[i]);
+    if (2 * L <= r) { prev = lambda; L = r + 1 - L; b = d; m = 1; } else m++;
+    lambda = next;
+  }
+  // Chien search: error at index i (x^(n-1-i)) when lambda(X^-1) = 0 with X = alpha^(n-1-i)
+  const positions = [];
+  for (let i = 0; i < n; i++) {
+    const xInv = gfPow(-(n - 1 - i));
+    let v = 0;
+    for (let k = lambda.length - 1; k >= 0; k--) v = gfMul(v, xInv) ^ (lambda[k] || 0);
+    if (v === 0) positions.push(i);
+  }
+  if (positions.length !== L || L === 0) return null;
+  // Forney: omega = S(x) * lambda(x) mod x^2t (ascending), e = omega(X^-1) / lambda'(X^-1) for fcr = 1
+  const omega = new Array(RS_PARITY).fill(0);
+  for (let i = 0; i < RS_PARITY; i++) for (let k = 0; k <= i && k < lambda.length; k++) omega[i] ^= gfMul(lambda[k] || 0, synd[i - k]);
+  const out = received.slice();
+  for (const i of positions) {
+    const xInv = gfPow(-(n - 1 - i));
+    let num = 0;
+    for (let k = omega.length - 1; k >= 0; k--) num = gfMul(num, xInv) ^ omega[k];
+    let den = 0;
+    for (let k = 1; k < lambda.length; k += 2) den ^= gfMul(lambda[k] || 0, gfPow(GF_LOG[xInv] * (k - 1)));
+    if (den === 0) return null;
+    out[i] ^= gfDiv(num, den);
+  }
+  // verify
+  for (let j = 1; j <= RS_PARITY; j++) if (polyEval(out, gfPow(j)) !== 0) return null;
+  return { symbols: out, corrected: positions.length };
+}
+
+// --- 3-level PPM words: the first 128 balanced ternary words of length 6 in lexicographic order ---
+const PPM_WORDS = (() => {
+  const words = [];
+  const rec = (w) => {
+    if (w.length === EUROFIX.modulatedPulses) { if (w.reduce((a, v) => a + v, 0) === 0) words.push(w); return; }
+    for (const v of [-1, 0, 1]) rec([...w, v]);
+  };
+  rec([]);
+  return words.slice(0, GF_SIZE);
+})();
+
+function bitsToSymbols(bits) {
+  const out = [];
+  for (let i = 0; i < bits.length; i += EUROFIX.symbolBits) out.push(readBits(bits, i, EUROFIX.symbolBits));
+  return out;
+}
+function symbolsToBits(symbols) {
+  const bits = [];
+  symbols.forEach(s => pushBits(bits, s, EUROFIX.symbolBits));
+  return bits;
+}
+
+// message -> frame { bits (56 data + 14 CRC), symbols (30 RS code symbols), words (30 x 6 ternary PPM) }
+export function encodeDdsFrame(msg) {
+  const data = packMessage(msg);
+  const bits = [...data, ...crc14(data)];
+  const symbols = rsEncode(bitsToSymbols(bits));
+  return { msg, bits, symbols, words: symbols.map(s => PPM_WORDS[s]) };
+}
+
+// pulse timing offsets (µs) of the 8-pulse group transmitted in GRI griIndex of the frame
+export function ppmGroupOffsetsUs(frame, griIndex) {
+  const word = frame.words[((griIndex % EUROFIX.n) + EUROFIX.n) % EUROFIX.n];
+  return [0, 0, ...word.map(v => v * EUROFIX.ppmStepUs)];
+}
+
+// received timing offsets (µs) of the modulated pulses for a whole frame at the given SNR
+export function receiveDdsFrame(frame, snrDb) {
+  const sigmaUs = DDS_TIMING_SIGMA_US_AT_0DB / Math.sqrt(Math.pow(10, snrDb / 10));
+  return frame.words.map(word => word.map(v => v * EUROFIX.ppmStepUs + gaussianNoise(sigmaUs)));
+}
+
+// soft-decision demodulation (nearest PPM word), RS decoding, CRC check and unpacking
+// returns { ok, msg, symbols (demodulated), corrected, crcOk }
+export function decodeDdsFrame(offsetsUs) {
+  const symbols = offsetsUs.map(obs => {
+    let best = 0, bestD = Infinity;
+    PPM_WORDS.forEach((w, s) => {
+      const d = w.reduce((a, v, i) => a + (obs[i] / EUROFIX.ppmStepUs - v) ** 2, 0);
+      if (d < bestD) { bestD = d; best = s; }
+    });
+    return best;
+  });
+  const rs = rsDecode(symbols);
+  if (!rs) return { ok: false, msg: null, symbols, corrected: null, crcOk: false };
+  const bits = symbolsToBits(rs.symbols.slice(0, EUROFIX.k));
+  const data = bits.slice(0, EUROFIX.dataBits);
+  const crcOk = crc14(data).every((b, i) => b === bits[EUROFIX.dataBits + i]);
+  const msg = crcOk ? unpackMessage(data) : null;
+  return { ok: crcOk && !!msg, msg, symbols, corrected: rs.corrected, crcOk };
+}
+
+// channel bit errors (before FEC) between transmitted and demodulated code symbols
+export function channelBitErrors(frame, symbols) {
+  const tx = symbolsToBits(frame.symbols), rx = symbolsToBits(symbols);
+  return tx.reduce((a, b, i) => a + (b !== rx[i] ? 1 : 0), 0);
+}
+
+// one-line human-readable summary of a decoded message
+export function describeDdsMessage(msg) {
+  const flags = (f) => [f & DDS_FLAGS.MONITORED ? 'monitored' : null, f & DDS_FLAGS.DO_NOT_USE ? 'DO NOT USE' : null, f & DDS_FLAGS.DIFF_VALID ? 'diff valid' : null,
+    f & DDS_FLAGS.OFF_AIR ? 'off air' : null, f & DDS_FLAGS.BLINK ? 'blink' : null, f & DDS_FLAGS.DEGRADED ? 'degraded power' : null].filter(Boolean).join(', ') || 'no flags';
+  if (msg.type === 'TIME') return `TIME ${new Date(msg.utcSec * 1000).toISOString().slice(11, 19)} UTC, leap ${msg.leapSeconds} s`;
+  if (msg.type === 'DIFF') return `DIFF ${msg.correctionMeters.toFixed(1)} m, age ${msg.ageSec} s (${flags(msg.flags)})`;
+  return `INTEGRITY station ${msg.stationId}: ${flags(msg.flags)}`;
+}
@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import { DDS_FLAGS, EUROFIX, crc14, decodeDdsFrame, encodeDdsFrame, packMessage, receiveDdsFrame, rsDecode, rsEncode } from './dds.js';
+import { setRngSeed } from './positioning.js';
+
+const MESSAGES = [
+  { type: 'TIME', stationId: 1, utcSec: 1767225600, leapSeconds: 18 },
+  { type: 'DIFF', stationId: 3, correctionMeters: -12.3, ageSec: 45, flags: DDS_FLAGS.MONITORED | DDS_FLAGS.DIFF_VALID, refId: 2 },
+  { type: 'INTEGRITY', stationId: 4, flags: DDS_FLAGS.OFF_AIR | DDS_FLAGS.DO_NOT_USE, utcSec: 1767225630 },
+];
+
+// PPM word of a code symbol as specified: the first 128 balanced ternary words of length 6, lexicographic
+const PPM_WORDS = [];
+for (let i = 0; i < 729 && PPM_WORDS.length < 128; i++) {
+  const word = [];
+  for (let k = 5, v = i; k >= 0; k--, v = Math.floor(v / 3)) word[k] = (v % 3) - 1;
+  if (word.reduce((a, v) => a + v, 0) === 0) PPM_WORDS.push(word);
+}
+
+// noise-free received pulse offsets (µs) for a sequence of code symbols
+const offsetsOf = (symbols) => symbols.map(s => PPM_WORDS[s].map(v => v * EUROFIX.ppmStepUs));
+
+// code symbols with `count` of them replaced, spread over the frame (data and parity)
+function withSymbolErrors(symbols, count) {
+  const out = symbols.slice();
+  for (let e = 0; e < count; e++) {
+    const i = (e * 7) % EUROFIX.n;
+    out[i] = (out[i] + 1 + e) % 128;
+  }
+  return out;
+}
+
+describe('encodeDdsFrame / decodeDdsFrame', () => {
+  it('modulates the code symbols with the specified PPM words', () => {
+    const frame = encodeDdsFrame(MESSAGES[0]);
+    expect(frame.symbols).toHaveLength(EUROFIX.n);
+    expect(frame.words).toEqual(frame.symbols.map(s => PPM_WORDS[s]));
+  });
+
+  it('round-trips every message type', () => {
+    for (const msg of MESSAGES) {
+      const frame = encodeDdsFrame(msg);
+      const dec = decodeDdsFrame(offsetsOf(frame.symbols));
+      expect(dec.ok).toBe(true);
+      expect(dec.corrected).toBe(0);
+      expect(dec.msg).toEqual(msg);
+    }
+  });
+
+  it('decodes a frame received at a good SNR', () => {
+    setRngSeed(5);
+    const dec = decodeDdsFrame(receiveDdsFrame(encodeDdsFrame(MESSAGES[1]), 10));
+    setRngSeed(undefined);
+    expect(dec.msg).toEqual(MESSAGES[1]);
+  });
+
+  it('corrects up to 10 symbol errors', () => {
+    const frame = encodeDdsFrame(MESSAGES[1]);
+    for (const count of [1, 5, 10]) {
+      const dec = decodeDdsFrame(offsetsOf(withSymbolErrors(frame.symbols, count)));
+      expect(dec.ok).toBe(true);
+      expect(dec.corrected).toBe(count);
+      expect(dec.msg).toEqual(MESSAGES[1]);
+    }
+  });
+
+  it('gives up beyond 10 symbol errors', () => {
+    const frame = encodeDdsFrame(MESSAGES[1]);
+    const received = withSymbolErrors(frame.symbols, 11);
+    expect(rsDecode(received)).toBeNull();
+    const dec = decodeDdsFrame(offsetsOf(received));
+    expect(dec.ok).toBe(false);
+    expect(dec.msg).toBeNull();
+    expect(dec.corrected).toBeNull();
+  });
+
+  it('rejects a valid codeword whose CRC does not match its data', () => {
+    const data = packMessage(MESSAGES[0]);
+    const bits = [...data, ...crc14(data)];
+    bits[20] ^= 1; // flipped after the CRC was computed, then RS-encoded as if it were the message
+    const symbols = [];
+    for (let i = 0; i < bits.length; i += EUROFIX.symbolBits) symbols.push(bits.slice(i, i + EUROFIX.symbolBits).reduce((a, b) => a * 2 + b, 0));
+    const dec = decodeDdsFrame(offsetsOf(rsEncode(symbols)));
+    expect(dec.corrected).toBe(0);
+    expect(dec.crcOk).toBe(false);
+    expect(dec.ok).toBe(false);
+    expect(dec.msg).toBeNull();
+  });
+});
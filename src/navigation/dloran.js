@@ -0,0 +1,58 @@
+// dloran.js - differential eLoran reference-station network
+// A reference station at a surveyed site measures every transmitter's TOA continuously. The difference from the
+// surveyed geometric range (nominal emission delay removed) is the propagation and timing error there: ASF, any
+// temporal variation, transmitter clock error. Corrections are broadcast in DDS DIFF messages. A user combines
+// the corrections it holds for a station by inverse variance. Each correction's error variance grows with the
+// distance to its reference (spatial ASF decorrelation) and with its age (temporal drift since it was measured).
+
+import { SPEED_OF_LIGHT, computeArrivalSecNoDiff, gaussianNoise, geodesicDistance } from './positioning.js';
+
+// intervalSec: reference measurement period; maxAgeSec: corrections older than this are discarded;
+// measurementSigmaMeters: reference TOA noise; spatialGradientMPerKm / ageRateMps: growth of the correction
+// error with distance from the reference and with age
+export const DEFAULT_DLORAN = { intervalSec: 30, maxAgeSec: 300, measurementSigmaMeters: 1, spatialGradientMPerKm: 0.05, ageRateMps: 0.02 };
+
+// TOA error (m) of a station observed at a site at tSec: pseudorange minus the geometric range
+export function observedRangeErrorMeters(station, site, tSec, options = {}) {
+  const { geodesicModel } = options;
+  const toaSec = computeArrivalSecNoDiff(station, site.lat, site.lng, tSec, { geodesicModel }) - (station.offsetSec || 0);
+  return toaSec * SPEED_OF_LIGHT - geodesicDistance(station, site, geodesicModel);
+}
+
+// one measurement epoch of a reference station -> [{ refLabel, station (label), correctionMeters, measuredSec }]
+export function measureReferenceCorrections(ref, stations, tSec, options = {}) {
+  const { measurementSigmaMeters = DEFAULT_DLORAN.measurementSigmaMeters, geodesicModel } = options;
+  return stations.map(s => ({
+    refLabel: ref.label,
+    station: s.label,
+    correctionMeters: observedRangeErrorMeters(s, ref, tSec, { geodesicModel }) + gaussianNoise(measurementSigmaMeters),
+    measuredSec: tSec,
+  }));
+}
+
+// expected 1-sigma error (m) of a correction applied distanceMeters from its reference, ageSec after measurement
+export function correctionSigmaMeters(distanceMeters, ageSec, options = {}) {
+  const { measurementSigmaMeters, spatialGradientMPerKm, ageRateMps } = { ...DEFAULT_DLORAN, ...options };
+  return Math.hypot(measurementSigmaMeters, spatialGradientMPerKm * distanceMeters / 1000, ageRateMps * Math.max(0, ageSec));
+}
+
+// combine the corrections held for one station at a user position
+// entries: [{ ref: { label, lat, lng }, correctionMeters, measuredSec }]; entries older than maxAgeSec are ignored
+// returns { correctionMeters, sigmaMeters, refs: [label], nearestKm, ageSec (youngest) } or null when none is usable
+export function combineCorrections(entries, position, tSec, options = {}) {
+  const opts = { ...DEFAULT_DLORAN, ...options };
+  let sw = 0, swc = 0, nearestKm = Infinity, ageSec = Infinity;
+  const refs = [];
+  for (const e of entries) {
+    const age = tSec - e.measuredSec;
+    if (!(age <= opts.maxAgeSec) || !e.ref) continue;
+    const d = geodesicDistance(e.ref, position, opts.geodesicModel);
+    const w = 1 / correctionSigmaMeters(d, age, opts) ** 2;
+    sw += w; swc += w * e.correctionMeters;
+    refs.push(e.ref.label);
+    nearestKm = Math.min(nearestKm, d / 1000);
+    ageSec = Math.min(ageSec, age);
+  }
+  if (sw === 0) return null;
+  return { correctionMeters: swc / sw, sigmaMeters: Math.sqrt(1 / sw), refs, nearestKm, ageSec };
+}
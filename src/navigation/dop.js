@@ -0,0 +1,82 @@
+// dop.js - horizontal dilution of precision of hyperbolic (TDOA) fixes over a grid
+// Every pair TDOA is differentiated numerically on the EPSG:3857 grid it was evaluated on (central differences,
+// mercator meters rescaled to ground meters by cos(lat)), giving one Jacobian row [d/dE, d/dN] per pair. With
+// independent TOA errors of equal sigma, pairs sharing a station are correlated:
+//   Cov(k, l) = sigma^2 ([master_k = master_l] + [slave_k = slave_l])
+// and HDOP = sqrt(trace((J^T Cov^-1 J)^-1)) / sigma (range units). 2DRMS = 2 * c * sigma_t * HDOP.
+
+import { SPEED_OF_LIGHT, invertMatrix } from './positioning.js';
+
+const WEB_MERCATOR_RADIUS_M = 6378137;
+
+// HDOP colour ramp for map layers: [upper bound, [r, g, b]] (last bin open-ended)
+export const HDOP_BINS = [
+  [1.2, [22, 163, 74]],
+  [1.5, [101, 163, 13]],
+  [2, [202, 138, 4]],
+  [3, [234, 88, 12]],
+  [5, [220, 38, 38]],
+  [10, [159, 18, 57]],
+  [Infinity, [76, 5, 25]],
+];
+
+export function hdopColor(hdop) {
+  if (!Number.isFinite(hdop)) return null;
+  return HDOP_BINS.find(([upper]) => hdop < upper)[1];
+}
+
+// 2DRMS (m) for an HDOP and a per-TOA timing sigma (s)
+export function drmsMeters(hdop, sigmaSec) {
+  return 2 * SPEED_OF_LIGHT * sigmaSec * hdop;
+}
+
+// correlation of pair TDOAs with unit-variance TOAs; pairs: [{ masterIndex, slaveIndex }]
+export function pairCovariance(pairs) {
+  return pairs.map(a => pairs.map(b => (a.masterIndex === b.masterIndex ? 1 : 0) + (a.slaveIndex === b.slaveIndex ? 1 : 0)));
+}
+
+// HDOP from Jacobian rows [dE, dN] (range per meter) and the inverse pair covariance; Infinity when singular
+export function hdopFromJacobian(rows, weight) {
+  const n = rows.length;
+  let a = 0, b = 0, c = 0;
+  for (let k = 0; k < n; k++) {
+    for (let l = 0; l < n; l++) {
+      const w = weight[k][l];
+      if (w === 0) continue;
+      a += rows[k][0] * w * rows[l][0];
+      b += rows[k][0] * w * rows[l][1];
+      c += rows[k][1] * w * rows[l][1];
+    }
+  }
+  const det = a * c - b * b;
+  if (!(det > 1e-12 * Math.max(a * c, 1e-300))) return Infinity;
+  return Math.sqrt((a + c) / det);
+}
+
+// HDOP over a grid from pair TDOA maps
+// maps: [{ masterIndex, slaveIndex, data: Float32Array (nx*ny, row-major from minY) }]; scale converts map values
+// to meters (1 for range differences, c for seconds) -> Float32Array (Infinity where the geometry is singular)
+export function gridHdop(maps, nx, ny, gridBounds, scale = 1) {
+  const out = new Float32Array(nx * ny).fill(Infinity);
+  if (maps.length < 2) return out;
+  const weight = invertMatrix(pairCovariance(maps));
+  if (!weight) return out;
+  const dx = (gridBounds.maxX - gridBounds.minX) / (nx - 1);
+  const dy = (gridBounds.maxY - gridBounds.minY) / (ny - 1);
+  const rows = maps.map(() => [0, 0]);
+  for (let j = 0; j < ny; j++) {
+    // ground meters per mercator meter at this row
+    const k = 1 / Math.cosh((gridBounds.minY + j * dy) / WEB_MERCATOR_RADIUS_M);
+    const j0 = Math.max(0, j - 1), j1 = Math.min(ny - 1, j + 1);
+    for (let i = 0; i < nx; i++) {
+      const i0 = Math.max(0, i - 1), i1 = Math.min(nx - 1, i + 1);
+      maps.forEach((m, p) => {
+        const g = m.data;
+        rows[p][0] = scale * (g[j * nx + i1] - g[j * nx + i0]) / ((i1 - i0) * dx * k);
+        rows[p][1] = scale * (g[j1 * nx + i] - g[j0 * nx + i]) / ((j1 - j0) * dy * k);
+      });
+      out[j * nx + i] = hdopFromJacobian(rows, weight);
+    }
+  }
+  return out;
+}
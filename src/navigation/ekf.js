@@ -0,0 +1,167 @@
+// ekf.js - extended Kalman filter for moving eLoran receivers
+// State x = [east, north, vEast, vNorth, clockBias, clockDrift] in meters, m/s, m and m/s (clock * c), on a
+// local tangent plane centred on the first fix. Process model: white-noise acceleration per axis and a
+// two-state clock (white FM on the bias, random-walk FM on the drift). Measurements are TOA pseudoranges
+// rho_i = d_i(position) + clockBias, as built for the all-in-view solver, optionally plus external
+// position fixes (GNSS) for loosely coupled fusion.
+// The plane is equirectangular around the origin, which is adequate for tracks up to a few hundred km.
+
+import { SPEED_OF_LIGHT, EARTH_RADIUS_M, geodesicDistance, invertMatrix, localUnitVector } from './positioning.js';
+import { protectionLevel } from './integrity.js';
+
+// process noise spectral densities: accel (m^2/s^3), clock bias (m^2/s), clock drift (m^2/s^3)
+export const DEFAULT_EKF_NOISE = { accelPsd: 0.5, clockBiasPsd: 0.01, clockDriftPsd: 0.04 };
+const N_STATES = 6;
+
+const toRad = (d) => d * Math.PI / 180;
+const toDeg = (r) => r * 180 / Math.PI;
+
+// --- tiny dense matrix helpers (arrays of rows) ---
+const zeros = (r, c) => Array.from({ length: r }, () => new Array(c).fill(0));
+const transpose = (a) => a[0].map((_, j) => a.map(row => row[j]));
+function matMul(a, b) {
+  const out = zeros(a.length, b[0].length);
+  for (let i = 0; i < a.length; i++) {
+    for (let k = 0; k < b.length; k++) {
+      const aik = a[i][k];
+      if (aik === 0) continue;
+      for (let j = 0; j < b[0].length; j++) out[i][j] += aik * b[k][j];
+    }
+  }
+  return out;
+}
+const matAdd = (a, b) => a.map((row, i) => row.map((v, j) => v + b[i][j]));
+const identity = (n) => Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+function toLocal(origin, lat, lng) {
+  return [toRad(lng - origin.lng) * EARTH_RADIUS_M * Math.cos(toRad(origin.lat)), toRad(lat - origin.lat) * EARTH_RADIUS_M];
+}
+
+function toLatLng(origin, e, n) {
+  return { lat: origin.lat + toDeg(n / EARTH_RADIUS_M), lng: origin.lng + toDeg(e / (EARTH_RADIUS_M * Math.cos(toRad(origin.lat)))) };
+}
+
+// new filter at tSec from an initial fix { lat, lng, clockBiasSec?, clockDriftPerSec? }
+// sigmas (1-sigma) for the initial covariance: position (m), velocity (m/s), clock bias (m), drift (m/s)
+export function createEkf(initial, tSec, options = {}) {
+  const { noise = DEFAULT_EKF_NOISE, sigmas = { pos: 100, vel: 10, bias: 100, drift: 10 } } = options;
+  const origin = { lat: initial.lat, lng: initial.lng };
+  const P = zeros(N_STATES, N_STATES);
+  [sigmas.pos, sigmas.pos, sigmas.vel, sigmas.vel, sigmas.bias, sigmas.drift].forEach((s, i) => { P[i][i] = s * s; });
+  return {
+    origin,
+    tSec,
+    noise: { ...DEFAULT_EKF_NOISE, ...noise },
+    x: [0, 0, 0, 0, (initial.clockBiasSec || 0) * SPEED_OF_LIGHT, (initial.clockDriftPerSec || 0) * SPEED_OF_LIGHT],
+    P,
+  };
+}
+
+// propagate the filter to tSec (mutates and returns the filter)
+export function ekfPredict(filter, tSec) {
+  const dt = tSec - filter.tSec;
+  if (!(dt > 0)) return filter;
+  const F = identity(N_STATES);
+  F[0][2] = dt; F[1][3] = dt; F[4][5] = dt;
+  const { accelPsd: qa, clockBiasPsd: qb, clockDriftPsd: qd } = filter.noise;
+  const Q = zeros(N_STATES, N_STATES);
+  for (const [p, v] of [[0, 2], [1, 3]]) {
+    Q[p][p] = qa * dt * dt * dt / 3; Q[p][v] = Q[v][p] = qa * dt * dt / 2; Q[v][v] = qa * dt;
+  }
+  Q[4][4] = qb * dt + qd * dt * dt * dt / 3; Q[4][5] = Q[5][4] = qd * dt * dt / 2; Q[5][5] = qd * dt;
+  filter.x = F.map(row => row.reduce((a, f, j) => a + f * filter.x[j], 0));
+  filter.P = matAdd(matMul(matMul(F, filter.P), transpose(F)), Q);
+  filter.tSec = tSec;
+  return filter;
+}
+
+// measurement update with TOA observations [{ station:{lat,lng}, toaSec, sigmaMeters }]
+// (Joseph form keeps P symmetric positive definite); returns the filter plus normalised innovations
+export function ekfUpdate(filter, obs, options = {}) {
+  const { geodesicModel } = options;
+  if (!obs || obs.length === 0) return { filter, innovations: [] };
+  const here = toLatLng(filter.origin, filter.x[0], filter.x[1]);
+  const H = [], R = zeros(obs.length, obs.length), y = [];
+  obs.forEach((o, i) => {
+    const u = localUnitVector(o.station, here.lat, here.lng);
+    H.push([u[0], u[1], 0, 0, 1, 0]);
+    R[i][i] = (o.sigmaMeters || 1) ** 2;
+    y.push(o.toaSec * SPEED_OF_LIGHT - (geodesicDistance(o.station, here, geodesicModel) + filter.x[4]));
+  });
+  const PHt = matMul(filter.P, transpose(H));
+  const S = matAdd(matMul(H, PHt), R);
+  const Sinv = invertMatrix(S);
+  if (!Sinv) return { filter, innovations: [] };
+  const K = matMul(PHt, Sinv);
+  const dx = K.map(row => row.reduce((a, k, j) => a + k * y[j], 0));
+  filter.x = filter.x.map((v, i) => v + dx[i]);
+  const IKH = matAdd(identity(N_STATES), matMul(K, H).map(row => row.map(v => -v)));
+  filter.P = matAdd(matMul(matMul(IKH, filter.P), transpose(IKH)), matMul(matMul(K, R), transpose(K)));
+  return { filter, innovations: y.map((v, i) => v / Math.sqrt(S[i][i])) };
+}
+
+// loosely coupled update with an external horizontal fix { lat, lng, covariance (2x2 m^2) }, e.g. GNSS
+// options.gate: chi-square (2 dof) threshold on the normalised innovation squared; a fix beyond it is
+// rejected and leaves the filter untouched. Returns { filter, innovations, nis, rejected }
+export function ekfUpdatePosition(filter, fix, options = {}) {
+  const { gate } = options;
+  if (!fix) return { filter, innovations: [], nis: null, rejected: false };
+  const H = [[1, 0, 0, 0, 0, 0], [0, 1, 0, 0, 0, 0]];
+  const R = fix.covariance;
+  const z = toLocal(filter.origin, fix.lat, fix.lng);
+  const y = [z[0] - filter.x[0], z[1] - filter.x[1]];
+  const PHt = matMul(filter.P, transpose(H));
+  const S = matAdd(matMul(H, PHt), R);
+  const Sinv = invertMatrix(S);
+  if (!Sinv) return { filter, innovations: [], nis: null, rejected: false };
+  const innovations = y.map((v, i) => v / Math.sqrt(S[i][i]));
+  const nis = y.reduce((a, yi, i) => a + yi * Sinv[i].reduce((b, s, j) => b + s * y[j], 0), 0);
+  if (typeof gate === 'number' && nis > gate) return { filter, innovations, nis, rejected: true };
+  const K = matMul(PHt, Sinv);
+  const dx = K.map(row => row.reduce((a, k, j) => a + k * y[j], 0));
+  filter.x = filter.x.map((v, i) => v + dx[i]);
+  const IKH = matAdd(identity(N_STATES), matMul(K, H).map(row => row.map(v => -v)));
+  filter.P = matAdd(matMul(matMul(IKH, filter.P), transpose(IKH)), matMul(matMul(K, R), transpose(K)));
+  return { filter, innovations, nis, rejected: false };
+}
+
+// current solution: position, velocity, clock and the 2x2 horizontal covariance (m^2) with the HPL for
+// options.integrity
+export function ekfSolution(filter, options = {}) {
+  const pos = toLatLng(filter.origin, filter.x[0], filter.x[1]);
+  const covariance = [[filter.P[0][0], filter.P[0][1]], [filter.P[1][0], filter.P[1][1]]];
+  return {
+    ...pos,
+    tSec: filter.tSec,
+    ve: filter.x[2],
+    vn: filter.x[3],
+    clockBiasSec: filter.x[4] / SPEED_OF_LIGHT,
+    clockDriftPerSec: filter.x[5] / SPEED_OF_LIGHT,
+    covariance,
+    hplMeters: protectionLevel(covariance, options.integrity).hplMeters,
+  };
+}
+
+// re-express a point in the filter's local plane (e.g. to compare truth with the estimate)
+export function ekfLocal(filter, lat, lng) {
+  return toLocal(filter.origin, lat, lng);
+}
+
+// polygon ring ([lng,lat] pairs) of the k-sigma ellipse of a 2x2 east/north covariance centred at (lat,lng)
+export function covarianceEllipseRing(lat, lng, covariance, k = 2, segments = 36) {
+  const [[a, b], [, d]] = covariance;
+  const tr = (a + d) / 2;
+  const disc = Math.sqrt(Math.max(0, ((a - d) / 2) ** 2 + b * b));
+  const l1 = Math.max(0, tr + disc), l2 = Math.max(0, tr - disc);
+  const theta = 0.5 * Math.atan2(2 * b, a - d); // major axis angle from east
+  const ring = [];
+  for (let i = 0; i <= segments; i++) {
+    const phi = (2 * Math.PI * i) / segments;
+    const x = k * Math.sqrt(l1) * Math.cos(phi), yv = k * Math.sqrt(l2) * Math.sin(phi);
+    const e = x * Math.cos(theta) - yv * Math.sin(theta);
+    const n = x * Math.sin(theta) + yv * Math.cos(theta);
+    const p = toLatLng({ lat, lng }, e, n);
+    ring.push([p.lng, p.lat]);
+  }
+  return ring;
+}
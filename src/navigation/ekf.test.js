@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { SPEED_OF_LIGHT, gaussianNoise, haversine, setRngSeed } from './positioning.js';
+import { createEkf, ekfLocal, ekfPredict, ekfSolution, ekfUpdate, ekfUpdatePosition } from './ekf.js';
+
+const C = SPEED_OF_LIGHT;
+const STATIONS = [
+  { label: 'M', lat: 41.25, lng: -69.98 },
+  { label: 'W', lat: 46.77, lng: -67.93 },
+  { label: 'X', lat: 39.85, lng: -75.24 },
+  { label: 'Y', lat: 42.71, lng: -76.83 },
+];
+const START = { lat: 41.9, lng: -71.4 };
+const VELOCITY = [12, -5]; // east, north (m/s)
+const CLOCK_BIAS_SEC = 1e-6;
+const SIGMA = 10;
+
+// truth at tSec on a straight line from START
+const truthAt = (tSec) => ({
+  lat: START.lat + (VELOCITY[1] * tSec / 6371000) * 180 / Math.PI,
+  lng: START.lng + (VELOCITY[0] * tSec / (6371000 * Math.cos(START.lat * Math.PI / 180))) * 180 / Math.PI,
+});
+
+describe('tracking EKF', () => {
+  it('converges on a straight-line track from a poor first fix', () => {
+    setRngSeed(21);
+    const filter = createEkf({ lat: START.lat + 0.002, lng: START.lng - 0.002 }, 0);
+    const errors = [haversine(ekfSolution(filter, { integrity: false }), truthAt(0))];
+    for (let t = 1; t <= 300; t++) {
+      const truth = truthAt(t);
+      ekfPredict(filter, t);
+      ekfUpdate(filter, STATIONS.map(station => ({ station, sigmaMeters: SIGMA, toaSec: (haversine(station, truth) + gaussianNoise(SIGMA)) / C + CLOCK_BIAS_SEC })));
+      errors.push(haversine(ekfSolution(filter, { integrity: false }), truth));
+    }
+    setRngSeed(undefined);
+    const sol = ekfSolution(filter);
+    expect(errors[0]).toBeGreaterThan(200);
+    expect(Math.max(...errors.slice(-60))).toBeLessThan(15);
+    expect(sol.ve).toBeCloseTo(VELOCITY[0], 0);
+    expect(sol.vn).toBeCloseTo(VELOCITY[1], 0);
+    expect(sol.clockBiasSec).toBeCloseTo(CLOCK_BIAS_SEC, 7);
+    // the covariance settles and the protection level bounds the recent errors
+    expect(sol.covariance[0][0]).toBeLessThan(SIGMA * SIGMA);
+    expect(sol.hplMeters).toBeGreaterThan(Math.max(...errors.slice(-60)));
+  });
+
+  it('gates out a position fix far outside its covariance', () => {
+    const filter = createEkf(START, 0, { sigmas: { pos: 10, vel: 1, bias: 100, drift: 10 } });
+    const before = ekfLocal(filter, START.lat, START.lng);
+    const far = { lat: START.lat + 0.01, lng: START.lng, covariance: [[25, 0], [0, 25]] };
+    const { rejected, nis } = ekfUpdatePosition(filter, far, { gate: 13.8 });
+    expect(rejected).toBe(true);
+    expect(nis).toBeGreaterThan(13.8);
+    expect(filter.x.slice(0, 2)).toEqual(before);
+  });
+});
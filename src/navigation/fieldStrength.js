@@ -0,0 +1,83 @@
+// fieldStrength.js - 100 kHz ground-wave field strength, atmospheric noise, SNR and coverage
+// Field strength follows the shape of the ITU-R P.368 curves: a short monopole radiating 1 kW gives 300 mV/m
+// (109.5 dBuV/m) at 1 km, falling with inverse distance, times the Sommerfeld-Norton ground attenuation |W| of the
+// path (Millington over mixed paths when a conductivity map is given), less an earth-curvature diffraction term
+// fitted to the P.368 seawater curve (about 3 dB at 1000 km, 13 dB at 2000 km):
+//   E = 109.5 + 10 log10(P_kW) - 20 log10(d_km) + 20 log10|W| - 3.3 (d / 1000 km)^2   (dBuV/m)
+// Atmospheric noise (lightning) is given as Fa, dB above kT0b, in the style of ITU-R P.372: a daytime value per
+// climate region and season, plus a night-time excess following the solar zenith angle at the receiver. The noise
+// field in the receiver bandwidth b is
+//   En = Fa + 20 log10(f_MHz) + 10 log10(b_Hz) - 95.5   (dBuV/m)
+// and SNR = E - En. Sim time 0 is startDayOfYear / startHourUtc; seasons flip in the southern hemisphere.
+
+import { GROUND_PRESETS, LORAN_FREQ_HZ, homogeneousAttenuationDb, millingtonAttenuationDb, pathSegments } from './asfModel.js';
+import { haversine } from './geodesy.js';
+import { dayFraction, solarZenithDeg } from './skywave.js';
+
+export const NOISE_REGIONS = ['auto', 'tropical', 'temperate', 'polar'];
+export const SEASONS = ['auto', 'winter', 'spring', 'summer', 'autumn'];
+// daytime Fa (dB above kT0b) at 100 kHz per region: winter, spring, summer, autumn
+export const ATMOSPHERIC_FA_DB = {
+  tropical: [130, 135, 138, 135],
+  temperate: [105, 115, 125, 115],
+  polar: [90, 97, 105, 97],
+};
+export const DEFAULT_POWER_KW = 400;
+// region/season: 'auto' derives them from the receiver latitude and the sim date; ground: GROUND_PRESETS key used
+// when a station has no conductivity map; thresholdDb/minStations: coverage needs minStations above thresholdDb
+export const DEFAULT_NOISE = {
+  region: 'auto',
+  season: 'auto',
+  nightExcessDb: 8,
+  bandwidthHz: 20000,
+  ground: 'land',
+  thresholdDb: -10,
+  minStations: 3,
+  startDayOfYear: 0,
+  startHourUtc: 0,
+};
+
+// ground-wave field strength (dBuV/m) of a station at a point; station.powerKw (default 400 kW), and
+// station.asfModel.conductivity for a mixed path
+export function groundWaveFieldDbuV(station, point, options = {}) {
+  const { ground = DEFAULT_NOISE.ground, samples = 16 } = options;
+  const dKm = Math.max(1, haversine(station, point) / 1000);
+  const conductivity = station.asfModel && station.asfModel.conductivity;
+  const attenuationDb = conductivity
+    ? millingtonAttenuationDb(pathSegments(station, point, conductivity, samples), LORAN_FREQ_HZ)
+    : homogeneousAttenuationDb(dKm * 1000, GROUND_PRESETS[ground] || GROUND_PRESETS.land, LORAN_FREQ_HZ);
+  return 109.5 + 10 * Math.log10(station.powerKw ?? DEFAULT_POWER_KW) - 20 * Math.log10(dKm) + attenuationDb - 3.3 * (dKm / 1000) ** 2;
+}
+
+const regionOf = (lat) => (Math.abs(lat) < 30 ? 'tropical' : Math.abs(lat) < 60 ? 'temperate' : 'polar');
+function seasonIndex(lat, dayOfYear) {
+  // meteorological seasons from 1 Dec, shifted by half a year in the south
+  const d = ((dayOfYear + 31 + (lat < 0 ? 182.6 : 0)) % 365.25 + 365.25) % 365.25;
+  return Math.min(3, Math.floor(d / 91.3));
+}
+
+// atmospheric noise field (dBuV/m) in the receiver bandwidth at a point and sim time
+export function atmosphericNoiseDbuV(point, tSec, config = {}) {
+  const cfg = { ...DEFAULT_NOISE, ...config };
+  const days = cfg.startDayOfYear + (cfg.startHourUtc * 3600 + (tSec || 0)) / 86400;
+  const region = cfg.region === 'auto' ? regionOf(point.lat) : cfg.region;
+  const season = cfg.season === 'auto' ? seasonIndex(point.lat, days) : Math.max(0, SEASONS.indexOf(cfg.season) - 1);
+  const night = 1 - dayFraction(solarZenithDeg(point.lat, point.lng, days));
+  const fa = (ATMOSPHERIC_FA_DB[region] || ATMOSPHERIC_FA_DB.temperate)[season] + cfg.nightExcessDb * night;
+  return fa + 20 * Math.log10(LORAN_FREQ_HZ / 1e6) + 10 * Math.log10(cfg.bandwidthHz) - 95.5;
+}
+
+// SNR (dB) of a station at a point: ground-wave field strength against atmospheric noise
+export function fieldStrengthSnrDb(station, point, tSec, config = {}) {
+  const cfg = { ...DEFAULT_NOISE, ...config };
+  return groundWaveFieldDbuV(station, point, { ground: cfg.ground }) - atmosphericNoiseDbuV(point, tSec, cfg);
+}
+
+// number of stations above the coverage threshold at a point
+export function coverageCountAt(stations, point, tSec, config = {}) {
+  const cfg = { ...DEFAULT_NOISE, ...config };
+  const noise = atmosphericNoiseDbuV(point, tSec, cfg);
+  let n = 0;
+  for (const st of stations) if (groundWaveFieldDbuV(st, point, { ground: cfg.ground }) - noise >= cfg.thresholdDb) n++;
+  return n;
+}
@@ -0,0 +1,75 @@
+// geodesy.js - propagation distance models for the Loran simulators
+// 'sphere': great-circle haversine on a 6371 km sphere (fast, the historic default)
+// 'wgs84':  ellipsoidal geodesic on WGS-84 via Vincenty's inverse formula, with Karney's algorithm
+//           (GeographicLib) for the near-antipodal pairs where Vincenty does not converge
+
+import geographiclib from 'geographiclib-geodesic';
+
+export const GEODESIC_MODELS = ['sphere', 'wgs84'];
+export const DEFAULT_GEODESIC_MODEL = 'sphere';
+
+export const EARTH_RADIUS_M = 6371000;
+export const WGS84 = { a: 6378137, f: 1 / 298.257223563 };
+WGS84.b = WGS84.a * (1 - WGS84.f);
+
+const toRad = (d) => d * Math.PI / 180;
+
+// great-circle distance (meters) between two {lat,lng} points on a sphere
+export function haversine(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lng - a.lng);
+  const lat1 = toRad(a.lat);
+  const lat2 = toRad(b.lat);
+  const h = Math.sin(dLat/2)**2 + Math.cos(lat1)*Math.cos(lat2)*Math.sin(dLon/2)**2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+// Karney's inverse geodesic on the WGS-84 ellipsoid (meters); exact to round-off for every pair of points,
+// but ~8x slower than Vincenty
+export function karneyDistance(p1, p2) {
+  const { Geodesic } = geographiclib;
+  return Geodesic.WGS84.Inverse(p1.lat, p1.lng, p2.lat, p2.lng, Geodesic.DISTANCE).s12;
+}
+
+// Vincenty inverse on the WGS-84 ellipsoid (meters). Converges to well below a millimeter for all
+// practical Loran baselines; near-antipodal pairs that do not converge are solved with Karney's method.
+export function vincentyDistance(p1, p2) {
+  const { a, b, f } = WGS84;
+  const L = toRad(p2.lng - p1.lng);
+  const U1 = Math.atan((1 - f) * Math.tan(toRad(p1.lat)));
+  const U2 = Math.atan((1 - f) * Math.tan(toRad(p2.lat)));
+  const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  let sinSigma = 0, cosSigma = 0, sigma = 0, cos2Alpha = 0, cos2SigmaM = 0;
+  let converged = false;
+  for (let iter = 0; iter < 200; iter++) {
+    const sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda);
+    sinSigma = Math.sqrt((cosU2*sinLambda)**2 + (cosU1*sinU2 - sinU1*cosU2*cosLambda)**2);
+    if (sinSigma === 0) return 0; // coincident points
+    cosSigma = sinU1*sinU2 + cosU1*cosU2*cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+    cos2Alpha = 1 - sinAlpha*sinAlpha;
+    cos2SigmaM = cos2Alpha !== 0 ? cosSigma - 2*sinU1*sinU2/cos2Alpha : 0; // equatorial line
+    const Cc = f/16 * cos2Alpha * (4 + f*(4 - 3*cos2Alpha));
+    const lambdaPrev = lambda;
+    lambda = L + (1 - Cc) * f * sinAlpha * (sigma + Cc*sinSigma*(cos2SigmaM + Cc*cosSigma*(-1 + 2*cos2SigmaM*cos2SigmaM)));
+    if (Math.abs(lambda - lambdaPrev) < 1e-12) { converged = true; break; }
+  }
+  if (!converged) return karneyDistance(p1, p2);
+
+  const uSq = cos2Alpha * (a*a - b*b) / (b*b);
+  const A = 1 + uSq/16384 * (4096 + uSq*(-768 + uSq*(320 - 175*uSq)));
+  const B = uSq/1024 * (256 + uSq*(-128 + uSq*(74 - 47*uSq)));
+  const deltaSigma = B * sinSigma * (cos2SigmaM + B/4*(cosSigma*(-1 + 2*cos2SigmaM*cos2SigmaM) -
+    B/6*cos2SigmaM*(-3 + 4*sinSigma*sinSigma)*(-3 + 4*cos2SigmaM*cos2SigmaM)));
+  return b * A * (sigma - deltaSigma);
+}
+
+// propagation distance (meters) between two {lat,lng} points under the selected model
+export function geodesicDistance(a, b, model = DEFAULT_GEODESIC_MODEL) {
+  if (model === 'wgs84') return vincentyDistance(a, b);
+  return haversine(a, b);
+}
@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import { geodesicDistance, haversine, karneyDistance, vincentyDistance } from './geodesy.js';
+
+describe('geodesicDistance', () => {
+  it('agrees between Vincenty and Karney on Loran baselines', () => {
+    const m = { lat: 41.25, lng: -69.98 };
+    for (const s of [{ lat: 46.77, lng: -67.93 }, { lat: 39.85, lng: -75.24 }, { lat: 64.91, lng: -23.92 }]) {
+      expect(Math.abs(vincentyDistance(m, s) - karneyDistance(m, s))).toBeLessThan(1e-3);
+    }
+  });
+
+  it('matches the GeographicLib reference for a ~635 km baseline', () => {
+    expect(geodesicDistance({ lat: 41.25, lng: -69.98 }, { lat: 46.77, lng: -67.93 }, 'wgs84')).toBeCloseTo(634926.574, 2);
+  });
+
+  it('solves near-antipodal pairs on the ellipsoid instead of the sphere', () => {
+    const a = { lat: 0, lng: 0 };
+    const b = { lat: 0.5, lng: 179.7 };
+    const d = vincentyDistance(a, b);
+    expect(d).toBeCloseTo(karneyDistance(a, b), 3);
+    expect(d).toBeCloseTo(19944127.421, 2);
+    expect(Math.abs(d - haversine(a, b))).toBeGreaterThan(1000);
+  });
+
+  it('is zero for coincident points', () => {
+    expect(geodesicDistance({ lat: 10, lng: 20 }, { lat: 10, lng: 20 }, 'wgs84')).toBe(0);
+  });
+});
@@ -0,0 +1,153 @@
+// gnss.js - synthetic GNSS fixes, interference scenarios and loosely coupled GNSS/eLoran fusion
+// A GNSS config describes the receiver's GNSS solution quality and its disturbances over sim time:
+// { sigmaMeters, biasEastMeters, biasNorthMeters, windows: [{ type: 'outage'|'jamming'|'spoofing', startSec, endSec,
+//   zone?: { lat, lng, radiusMeters }, offsetEastMeters, offsetNorthMeters, driftMps, path?: [{ lat, lng }] }] }
+// An outage removes the fix everywhere, jamming only inside its zone. While spoofed the fix is pulled off by the
+// offset plus a drift that grows from the window start, or dragged along the shape of `path` (relative to its
+// first point) over the window, but still reports the nominal covariance (that is what makes spoofing dangerous).
+// A spoofing window with a zone only captures receivers inside it.
+
+import { EARTH_RADIUS_M, gaussianNoise, haversine } from './positioning.js';
+import { protectionLevel } from './integrity.js';
+
+export const DEFAULT_GNSS_CONFIG = { sigmaMeters: 5, biasEastMeters: 0, biasNorthMeters: 0, windows: [] };
+export const GNSS_WINDOW_TYPES = ['outage', 'jamming', 'spoofing'];
+// probability of false alarm for the GNSS/eLoran consistency test
+export const DEFAULT_CONSISTENCY_PFA = 1e-3;
+
+const toRad = (d) => d * Math.PI / 180;
+const toDeg = (r) => r * 180 / Math.PI;
+
+function offsetLatLng(lat, lng, east, north) {
+  return { lat: lat + toDeg(north / EARTH_RADIUS_M), lng: lng + toDeg(east / (EARTH_RADIUS_M * Math.cos(toRad(lat)))) };
+}
+
+function toLocal(origin, lat, lng) {
+  return [toRad(lng - origin.lng) * EARTH_RADIUS_M * Math.cos(toRad(origin.lat)), toRad(lat - origin.lat) * EARTH_RADIUS_M];
+}
+
+function inZone(zone, position) {
+  if (!zone) return true;
+  if (!position) return false;
+  return haversine(zone, position) <= zone.radiusMeters;
+}
+
+// active disturbance window at tSec for a receiver at `position` (outage/jamming win over spoofing), or null
+export function activeGnssWindow(config, tSec, position) {
+  const active = ((config && config.windows) || []).filter(w => tSec >= w.startSec && tSec < w.endSec)
+    .filter(w => (w.type === 'jamming' ? !!w.zone && inZone(w.zone, position) : inZone(w.zone, position)));
+  return active.find(w => w.type === 'outage' || w.type === 'jamming') || active.find(w => w.type === 'spoofing') || null;
+}
+
+// 'ok' | 'outage' | 'jammed' | 'spoofed'
+export function gnssStatusAt(config, tSec, position) {
+  const w = activeGnssWindow(config, tSec, position);
+  if (!w) return 'ok';
+  return { outage: 'outage', jamming: 'jammed', spoofing: 'spoofed' }[w.type];
+}
+
+// east/north pull-off (m) of a spoofing window at tSec
+export function spoofingOffset(w, tSec) {
+  if (w.path && w.path.length >= 2) {
+    // walk the path at constant speed over the window; the offset is measured from the first point
+    const legs = [];
+    let total = 0;
+    for (let i = 1; i < w.path.length; i++) { const d = haversine(w.path[i - 1], w.path[i]); legs.push(d); total += d; }
+    const f = Math.min(1, Math.max(0, (tSec - w.startSec) / Math.max(1e-9, w.endSec - w.startSec)));
+    let along = f * total, i = 0;
+    while (i < legs.length - 1 && along > legs[i]) { along -= legs[i]; i++; }
+    const g = legs[i] > 0 ? Math.min(1, along / legs[i]) : 0;
+    const a = toLocal(w.path[0], w.path[i].lat, w.path[i].lng), b = toLocal(w.path[0], w.path[i + 1].lat, w.path[i + 1].lng);
+    return [a[0] + g * (b[0] - a[0]), a[1] + g * (b[1] - a[1])];
+  }
+  const grow = (w.driftMps || 0) * (tSec - w.startSec);
+  const offE = w.offsetEastMeters || 0, offN = w.offsetNorthMeters || 0;
+  const norm = Math.hypot(offE, offN);
+  // the pull-off grows along the offset direction (due east when no offset is given)
+  return [offE + grow * (norm ? offE / norm : 1), offN + grow * (norm ? offN / norm : 0)];
+}
+
+// synthetic GNSS fix for a receiver at `truth` ({lat,lng}); null during an outage or inside a jamming zone
+// returns { lat, lng, covariance (2x2 m^2, as reported by the GNSS receiver), status }
+export function simulateGnssFix(truth, tSec, config = DEFAULT_GNSS_CONFIG) {
+  const cfg = { ...DEFAULT_GNSS_CONFIG, ...(config || {}) };
+  const w = activeGnssWindow(cfg, tSec, truth);
+  if (w && w.type !== 'spoofing') return null;
+  let east = (cfg.biasEastMeters || 0) + gaussianNoise(cfg.sigmaMeters);
+  let north = (cfg.biasNorthMeters || 0) + gaussianNoise(cfg.sigmaMeters);
+  if (w) {
+    const [dE, dN] = spoofingOffset(w, tSec);
+    east += dE; north += dN;
+  }
+  const v = cfg.sigmaMeters * cfg.sigmaMeters;
+  return { ...offsetLatLng(truth.lat, truth.lng, east, north), covariance: [[v, 0], [0, v]], status: w ? 'spoofed' : 'ok' };
+}
+
+// polygon ring ([lng,lat] pairs) of a circular zone, for drawing jamming zones on the map
+export function zoneRing(zone, segments = 48) {
+  const ring = [];
+  for (let i = 0; i <= segments; i++) {
+    const phi = (2 * Math.PI * i) / segments;
+    const p = offsetLatLng(zone.lat, zone.lng, zone.radiusMeters * Math.cos(phi), zone.radiusMeters * Math.sin(phi));
+    ring.push([p.lng, p.lat]);
+  }
+  return ring;
+}
+
+function invert2x2(m) {
+  const det = m[0][0]*m[1][1] - m[0][1]*m[1][0];
+  if (!(Math.abs(det) > 0)) return null;
+  return [[m[1][1]/det, -m[0][1]/det], [-m[1][0]/det, m[0][0]/det]];
+}
+
+// Information-filter fusion of independent horizontal fixes [{ lat, lng, covariance }]:
+// Y = sum(P_i^-1), y = sum(P_i^-1 x_i), x = Y^-1 y, evaluated on a local plane at the first fix.
+// Covariances are floored at minVarianceM2 so an (unrealistically) exact fix cannot take all the weight
+// by division by zero. Returns { lat, lng, covariance, hplMeters (for options.integrity), weights } (weights =
+// trace share).
+export function fuseFixesInformation(fixes, options = {}) {
+  const { minVarianceM2 = 1, integrity } = options;
+  const valid = fixes.filter(Boolean);
+  if (valid.length === 0) return null;
+  const origin = valid[0];
+  const Y = [[0, 0], [0, 0]];
+  const y = [0, 0];
+  const infos = [];
+  for (const f of valid) {
+    const P = [[Math.max(f.covariance[0][0], minVarianceM2), f.covariance[0][1]], [f.covariance[1][0], Math.max(f.covariance[1][1], minVarianceM2)]];
+    const I = invert2x2(P);
+    if (!I) continue;
+    const [e, n] = toLocal(origin, f.lat, f.lng);
+    Y[0][0] += I[0][0]; Y[0][1] += I[0][1]; Y[1][0] += I[1][0]; Y[1][1] += I[1][1];
+    y[0] += I[0][0]*e + I[0][1]*n; y[1] += I[1][0]*e + I[1][1]*n;
+    infos.push(I[0][0] + I[1][1]);
+  }
+  const covariance = invert2x2(Y);
+  if (!covariance) return null;
+  const e = covariance[0][0]*y[0] + covariance[0][1]*y[1];
+  const n = covariance[1][0]*y[0] + covariance[1][1]*y[1];
+  const total = infos.reduce((a, b) => a + b, 0) || 1;
+  return {
+    ...offsetLatLng(origin.lat, origin.lng, e, n),
+    covariance,
+    hplMeters: protectionLevel(covariance, integrity).hplMeters,
+    weights: infos.map(v => v / total),
+  };
+}
+
+// GNSS/eLoran consistency: chi-square test (2 dof) on the separation d of two independent fixes,
+// T = d^T (P_e + P_g)^-1 d against -2 ln(pfa). An inconsistent pair means one of them is wrong; since eLoran
+// is hard to jam or spoof, the GNSS fix is the one excluded.
+// Returns { statistic, threshold, consistent, separationMeters }
+export function gnssConsistencyTest(eloranFix, gnssFix, options = {}) {
+  const { pfa = DEFAULT_CONSISTENCY_PFA, minVarianceM2 = 1 } = options;
+  const d = toLocal(eloranFix, gnssFix.lat, gnssFix.lng);
+  const S = [
+    [Math.max(eloranFix.covariance[0][0], minVarianceM2) + gnssFix.covariance[0][0], eloranFix.covariance[0][1] + gnssFix.covariance[0][1]],
+    [eloranFix.covariance[1][0] + gnssFix.covariance[1][0], Math.max(eloranFix.covariance[1][1], minVarianceM2) + gnssFix.covariance[1][1]],
+  ];
+  const Si = invert2x2(S);
+  const statistic = Si ? d[0] * (Si[0][0] * d[0] + Si[0][1] * d[1]) + d[1] * (Si[1][0] * d[0] + Si[1][1] * d[1]) : Infinity;
+  const threshold = -2 * Math.log(pfa);
+  return { statistic, threshold, consistent: statistic <= threshold, separationMeters: Math.hypot(d[0], d[1]) };
+}
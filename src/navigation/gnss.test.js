@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { haversine, setRngSeed } from './positioning.js';
+import { fuseFixesInformation, gnssConsistencyTest, gnssStatusAt, simulateGnssFix } from './gnss.js';
+
+const TRUTH = { lat: 41.9, lng: -71.4 };
+const SPOOF = { type: 'spoofing', startSec: 100, endSec: 200, offsetEastMeters: 300, offsetNorthMeters: 0, driftMps: 0 };
+const CONFIG = { sigmaMeters: 5, biasEastMeters: 0, biasNorthMeters: 0, windows: [SPOOF] };
+// an eLoran fix at the truth with a 20 m 1-sigma circular covariance
+const ELORAN = { ...TRUTH, covariance: [[400, 0], [0, 400]] };
+
+describe('GNSS/eLoran consistency', () => {
+  it('rejects the spoofed GNSS fix and restores GNSS once the spoofing ends', () => {
+    setRngSeed(9);
+    const verdicts = [50, 150, 250].map(t => {
+      const fix = simulateGnssFix(TRUTH, t, CONFIG);
+      return { status: gnssStatusAt(CONFIG, t, TRUTH), reported: fix.status, consistent: gnssConsistencyTest(ELORAN, fix).consistent };
+    });
+    setRngSeed(undefined);
+    expect(verdicts).toEqual([
+      { status: 'ok', reported: 'ok', consistent: true },
+      { status: 'spoofed', reported: 'spoofed', consistent: false },
+      { status: 'ok', reported: 'ok', consistent: true },
+    ]);
+  });
+
+  it('keeps reporting the nominal covariance while spoofed', () => {
+    setRngSeed(9);
+    const fix = simulateGnssFix(TRUTH, 150, CONFIG);
+    setRngSeed(undefined);
+    expect(fix.covariance).toEqual([[25, 0], [0, 25]]);
+    expect(haversine(fix, TRUTH)).toBeGreaterThan(250);
+  });
+
+  it('removes the fix during an outage', () => {
+    expect(simulateGnssFix(TRUTH, 10, { ...CONFIG, windows: [{ type: 'outage', startSec: 0, endSec: 60 }] })).toBeNull();
+  });
+});
+
+describe('fuseFixesInformation', () => {
+  it('weights fixes by their information and shrinks the covariance', () => {
+    const east = { lat: TRUTH.lat, lng: TRUTH.lng + 0.001, covariance: [[25, 0], [0, 25]] };
+    const f = fuseFixesInformation([ELORAN, east]);
+    // information 1/400 and 1/25: the fused fix sits 16/17 of the way to the GNSS fix
+    expect(haversine(f, TRUTH) / haversine(east, TRUTH)).toBeCloseTo(16 / 17, 6);
+    expect(f.covariance[0][0]).toBeCloseTo(1 / (1 / 400 + 1 / 25), 9);
+    expect(f.weights[0]).toBeCloseTo(1 / 17, 9);
+    expect(f.hplMeters).toBeGreaterThan(0);
+  });
+});
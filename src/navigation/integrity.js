@@ -0,0 +1,96 @@
+// integrity.js - protection levels from an integrity risk budget, and Stanford-diagram classification
+// HPL = K_H * sigma_major + b_H, where K_H is solved so that a zero-mean bivariate normal with the fix's
+// covariance ellipse leaves the circle of radius K_H * sigma_major with probability equal to the integrity
+// risk (exact for the actual sigma_minor/sigma_major ratio: from the 1-D Gaussian K when the ellipse is flat
+// up to the Rayleigh K when it is circular). b_H bounds the fault-free bias (e.g. residual ASF) in meters.
+// K_H takes a bisection over a numerical integral (milliseconds), so protection levels use a per-risk table over
+// the axis ratio, filled lazily, and round the ratio up to the next table node: K_H grows with the ratio, so the
+// tabulated K_H never understates the protection level (it overstates it by at most ~0.1%).
+// The continuity budget is spent on false alerts: it is the false-alarm probability of the RAIM test and does not
+// enter the HPL, which spends the integrity risk only.
+
+import { chiSquareSurvival } from './raim.js';
+
+export const DEFAULT_INTEGRITY = { integrityRisk: 1e-7, continuityRisk: 1e-5, biasMeters: 0, halMeters: 50 };
+export const STANFORD_REGIONS = ['nominal', 'unavailable', 'misleading', 'hazardous'];
+
+// semi-axes (1-sigma, m) of a 2x2 east/north covariance
+export function covarianceAxes(covariance) {
+  const [[a, b], [, d]] = covariance;
+  const tr = (a + d) / 2;
+  const disc = Math.sqrt(Math.max(0, ((a - d) / 2) ** 2 + b * b));
+  return { sigmaMajor: Math.sqrt(Math.max(0, tr + disc)), sigmaMinor: Math.sqrt(Math.max(0, tr - disc)) };
+}
+
+// P(sqrt(x^2 + y^2) > r) for independent x ~ N(0, sMajor^2), y ~ N(0, sMinor^2)
+export function horizontalExceedance(r, sMajor, sMinor) {
+  if (!(sMajor > 0)) return r > 0 ? 0 : 1;
+  const tailX = chiSquareSurvival((r / sMajor) ** 2, 1);
+  if (!(sMinor > 0)) return tailX;
+  // 2 * integral_0^r phi(x) P(|y| > sqrt(r^2 - x^2)) dx by Simpson's rule
+  const n = 400, h = r / n;
+  let sum = 0;
+  for (let i = 0; i <= n; i++) {
+    const x = i * h;
+    const f = Math.exp(-0.5 * (x / sMajor) ** 2) / (sMajor * Math.sqrt(2 * Math.PI)) * chiSquareSurvival((r * r - x * x) / (sMinor * sMinor), 1);
+    sum += f * (i === 0 || i === n ? 1 : (i % 2 ? 4 : 2));
+  }
+  return tailX + 2 * sum * h / 3;
+}
+
+// K_H for an integrity risk and a sigma_minor/sigma_major ratio in [0, 1]
+export function horizontalKFactor(integrityRisk, axisRatio = 1) {
+  let lo = 0, hi = 50;
+  for (let i = 0; i < 80; i++) {
+    const mid = (lo + hi) / 2;
+    if (horizontalExceedance(mid, 1, axisRatio) > integrityRisk) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+const K_TABLE_STEPS = 100;
+const kTables = new Map(); // integrity risk -> Float64Array of K_H at axis ratios i / K_TABLE_STEPS (NaN until used)
+
+// K_H from the table at the first node at or above axisRatio
+export function tabulatedKFactor(integrityRisk, axisRatio = 1) {
+  let table = kTables.get(integrityRisk);
+  if (!table) {
+    table = new Float64Array(K_TABLE_STEPS + 1).fill(NaN);
+    kTables.set(integrityRisk, table);
+  }
+  const i = Math.min(K_TABLE_STEPS, Math.max(0, Math.ceil(axisRatio * K_TABLE_STEPS - 1e-9)));
+  if (Number.isNaN(table[i])) table[i] = horizontalKFactor(integrityRisk, i / K_TABLE_STEPS);
+  return table[i];
+}
+
+// protection level (m) of a horizontal covariance, which should come from the a-priori sigmas (a covariance
+// scaled by the residuals shrinks with them); returns { hplMeters, kFactor, sigmaMajor }
+export function protectionLevel(covariance, options = {}) {
+  const { integrityRisk, biasMeters } = { ...DEFAULT_INTEGRITY, ...options };
+  const { sigmaMajor, sigmaMinor } = covarianceAxes(covariance);
+  const kFactor = tabulatedKFactor(integrityRisk, sigmaMajor > 0 ? sigmaMinor / sigmaMajor : 1);
+  return { hplMeters: kFactor * sigmaMajor + (biasMeters || 0), kFactor, sigmaMajor };
+}
+
+// Stanford-diagram region of one epoch (error vs protection level against the alert limit):
+// nominal (error < PL <= HAL), unavailable (error < PL, PL > HAL), misleading (error >= PL but not hazardous),
+// hazardous (error >= PL with PL <= HAL < error)
+export function stanfordRegion(errorMeters, plMeters, halMeters) {
+  if (errorMeters < plMeters) return plMeters <= halMeters ? 'nominal' : 'unavailable';
+  return plMeters <= halMeters && errorMeters > halMeters ? 'hazardous' : 'misleading';
+}
+
+// classify paired error/PL epochs (non-finite pairs are skipped); returns { points, counts, total }
+export function stanfordSummary(errorsMeters, plsMeters, halMeters) {
+  const counts = Object.fromEntries(STANFORD_REGIONS.map(r => [r, 0]));
+  const points = [];
+  const n = Math.min(errorsMeters.length, plsMeters.length);
+  for (let i = 0; i < n; i++) {
+    const err = errorsMeters[errorsMeters.length - n + i], pl = plsMeters[plsMeters.length - n + i];
+    if (!Number.isFinite(err) || !Number.isFinite(pl)) continue;
+    const region = stanfordRegion(err, pl, halMeters);
+    counts[region]++;
+    points.push({ err, pl, region });
+  }
+  return { points, counts, total: points.length };
+}
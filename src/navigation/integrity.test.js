@@ -0,0 +1,53 @@
+import { describe, expect, it, vi } from 'vitest';
+import { chiSquareSurvival } from './raim.js';
+import { horizontalKFactor, protectionLevel, stanfordRegion, tabulatedKFactor } from './integrity.js';
+
+// count the tail probabilities evaluated while solving for K_H
+vi.mock('./raim.js', async (importOriginal) => {
+  const raim = await importOriginal();
+  return { ...raim, chiSquareSurvival: vi.fn(raim.chiSquareSurvival) };
+});
+
+describe('horizontalKFactor', () => {
+  it('spans the 1-D Gaussian K (flat ellipse) to the Rayleigh K (circle)', () => {
+    expect(horizontalKFactor(1e-7, 0)).toBeCloseTo(5.3267, 3);
+    expect(horizontalKFactor(1e-7, 1)).toBeCloseTo(Math.sqrt(-2 * Math.log(1e-7)), 3);
+  });
+});
+
+describe('protectionLevel', () => {
+  it('never understates the exact K and overstates it by at most 0.2%', () => {
+    for (const ratio of [0.013, 0.27, 0.5, 0.731, 0.999]) {
+      const exact = horizontalKFactor(1e-7, ratio);
+      const k = tabulatedKFactor(1e-7, ratio);
+      expect(k).toBeGreaterThanOrEqual(exact - 1e-9);
+      expect(k / exact).toBeLessThan(1.002);
+    }
+  });
+
+  it('reuses the table instead of solving for K on every call', () => {
+    const cov = [[100, 20], [20, 50]];
+    const options = { integrityRisk: 3e-7 }; // a risk no other test has tabulated
+    chiSquareSurvival.mockClear();
+    const first = protectionLevel(cov, options);
+    expect(chiSquareSurvival).toHaveBeenCalled();
+    chiSquareSurvival.mockClear();
+    for (let i = 0; i < 1000; i++) expect(protectionLevel(cov, options)).toEqual(first);
+    expect(chiSquareSurvival).not.toHaveBeenCalled();
+  });
+
+  it('scales the major axis and adds the bias bound', () => {
+    const { hplMeters, kFactor, sigmaMajor } = protectionLevel([[16, 0], [0, 16]], { biasMeters: 5 });
+    expect(sigmaMajor).toBeCloseTo(4, 12);
+    expect(hplMeters).toBeCloseTo(kFactor * 4 + 5, 12);
+  });
+});
+
+describe('stanfordRegion', () => {
+  it('classifies error and protection level against the alert limit', () => {
+    expect(stanfordRegion(10, 20, 50)).toBe('nominal');
+    expect(stanfordRegion(10, 60, 50)).toBe('unavailable');
+    expect(stanfordRegion(30, 20, 50)).toBe('misleading');
+    expect(stanfordRegion(60, 20, 50)).toBe('hazardous');
+  });
+});
@@ -0,0 +1,91 @@
+// loranPulse.js - standard Loran-C pulse, pulse groups and phase codes, and waveform synthesis
+// Pulse (t from the start of the pulse, tau = 65 µs, f = 100 kHz):
+//   p(t) = (t/tau)^2 exp(2 (1 - t/tau)) sin(2 pi f (t + ecd))
+// normalised to a unit envelope peak at t = tau. With zero envelope-to-cycle difference (ECD) the carrier crosses
+// zero going positive at 30 µs, the standard sampling point. A group is 8 pulses 1 ms apart; the master adds a
+// 9th pulse 2 ms after the 8th. Each pulse is multiplied by the +/-1 phase code of its position. The codes
+// alternate between interval A (even GRI index) and B (odd) over a two-GRI phase code interval.
+
+export const LORAN_CARRIER_HZ = 100000;
+export const PULSE_TAU_SEC = 65e-6;
+export const PULSE_SPACING_SEC = 1e-3;
+export const PULSE_LENGTH_SEC = 500e-6; // envelope is below 1e-4 of its peak afterwards
+export const STANDARD_ZERO_CROSSING_SEC = 30e-6;
+
+export const PHASE_CODES = {
+  master: { A: [1, 1, -1, -1, 1, -1, 1, -1, 1], B: [1, -1, -1, 1, 1, 1, 1, 1, -1] },
+  secondary: { A: [1, 1, 1, 1, 1, -1, -1, 1], B: [1, -1, 1, -1, 1, 1, -1, -1] },
+};
+
+const roleKey = (role) => (role === 'master' ? 'master' : 'secondary');
+
+// pulse envelope, unit peak at tau
+export function pulseEnvelope(tSec) {
+  if (tSec <= 0 || tSec >= PULSE_LENGTH_SEC) return 0;
+  const x = tSec / PULSE_TAU_SEC;
+  return x * x * Math.exp(2 * (1 - x));
+}
+
+// one pulse sample at tSec after the pulse start; ecdSec shifts the carrier against the envelope
+export function loranPulse(tSec, ecdSec = 0) {
+  return pulseEnvelope(tSec) * Math.sin(2 * Math.PI * LORAN_CARRIER_HZ * (tSec + ecdSec));
+}
+
+// phase code (+/-1 per pulse) of a master or secondary group in GRI griIndex
+export function phaseCode(role, griIndex = 0) {
+  const codes = PHASE_CODES[roleKey(role)];
+  return (((griIndex % 2) + 2) % 2) === 0 ? codes.A : codes.B;
+}
+
+// pulse start offsets (s) within a group: 0..7 ms, plus 9 ms for the master
+export function pulseOffsetsSec(role) {
+  const offsets = Array.from({ length: 8 }, (_, i) => i * PULSE_SPACING_SEC);
+  if (roleKey(role) === 'master') offsets.push(9 * PULSE_SPACING_SEC);
+  return offsets;
+}
+
+// time from the first pulse start to the end of the last pulse (s)
+export function groupLengthSec(role) {
+  const offsets = pulseOffsetsSec(role);
+  return offsets[offsets.length - 1] + PULSE_LENGTH_SEC;
+}
+
+// add pulse groups to a waveform sampled at sampleRate from startSec
+// groups: [{ arrivalSec (first pulse start), role: 'master'|'slave'|'secondary', griIndex, amplitude,
+//   ppmUs? (per-pulse timing offsets, µs, e.g. Eurofix modulation), pulseGains? (per-pulse amplitude factors, e.g.
+//   blinked pulses at 0), ecdSec? }]
+export function addPulseGroups(waveform, groups, startSec, sampleRate) {
+  const n = waveform.length;
+  for (const g of groups) {
+    const code = phaseCode(g.role, g.griIndex || 0);
+    pulseOffsetsSec(g.role).forEach((off, k) => {
+      const t0 = g.arrivalSec + off + ((g.ppmUs && g.ppmUs[k]) || 0) * 1e-6;
+      const first = Math.max(0, Math.ceil((t0 - startSec) * sampleRate));
+      const last = Math.min(n - 1, Math.floor((t0 + PULSE_LENGTH_SEC - startSec) * sampleRate));
+      const amp = (g.amplitude ?? 1) * code[k] * (g.pulseGains ? (g.pulseGains[k] ?? 1) : 1);
+      if (amp === 0) return;
+      for (let i = first; i <= last; i++) waveform[i] += amp * loranPulse(startSec + i / sampleRate - t0, g.ecdSec || 0);
+    });
+  }
+  return waveform;
+}
+
+// synthesize groups into a new Float32Array covering [startSec, startSec + durationSec)
+export function synthesizeWaveform(groups, startSec, durationSec, sampleRate = 1e6) {
+  return addPulseGroups(new Float32Array(Math.max(0, Math.round(durationSec * sampleRate))), groups, startSec, sampleRate);
+}
+
+// min/max per bin for drawing long waveforms without aliasing the carrier -> [{ min, max }]
+export function waveformMinMax(waveform, bins) {
+  const out = [];
+  const per = waveform.length / bins;
+  for (let b = 0; b < bins; b++) {
+    let min = 0, max = 0;
+    for (let i = Math.floor(b * per); i < Math.min(waveform.length, Math.floor((b + 1) * per)); i++) {
+      if (waveform[i] < min) min = waveform[i];
+      if (waveform[i] > max) max = waveform[i];
+    }
+    out.push({ min, max });
+  }
+  return out;
+}
@@ -0,0 +1,199 @@
+// monteCarlo.js - Monte Carlo accuracy campaigns: repeated fixes at test points with drawn TOA errors
+// Each trial perturbs every station's TOA at the test point with
+//  - ranging noise: N(0, sigma) with sigma from the station's SNR (rangeSigmaMeters, sigma0 = noiseSigma0Meters);
+//  - detection jitter: N(0, jitterNs), independent of the signal;
+//  - residual ASF error: N(0, asfErrorSigmaMeters) per station path, the part left after ASF/differential
+//    corrections;
+//  - transmitter clock drift: a drift rate N(0, clockDriftNsPerHour) per station, accumulated over
+//    clockHoldoverHours since the last synchronisation;
+// then solves the fix the way the receiver would (TDOA against the reference master, or all-in-view TOA with
+// position + clock / TDOA against several masters) and keeps the east/north error of the fix. Trials draw from
+// their own mulberry32 stream (seed + point index), so a campaign is reproducible and independent of the
+// module RNG used by the interactive simulation.
+
+import { SPEED_OF_LIGHT, geodesicDistance, localUnitVector, mulberry32, solvePositionFromTDOA, solvePositionFromTOA } from './positioning.js';
+import { rangeSigmaMeters, selectStations, solvePositionClockFromTDOA, stationSnrDb } from './allInView.js';
+
+// solver: test points that are not receivers (grid mode) use this solver/observable
+export const DEFAULT_CAMPAIGN = {
+  trials: 500,
+  noiseSigma0Meters: 30,
+  jitterNs: 50,
+  asfErrorSigmaMeters: 20,
+  clockDriftNsPerHour: 10,
+  clockHoldoverHours: 1,
+  seed: 1,
+  histogramBins: 25,
+  solver: 'reference',
+  observable: 'toa',
+  maxStations: 8,
+  minSnrDb: -10,
+};
+
+function normalFrom(uniform) {
+  let u = 0, v = 0;
+  while (u === 0) u = uniform();
+  while (v === 0) v = uniform();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// value at fraction p (0..1) of an ascending array, linear between order statistics
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const u = Math.max(0, Math.min(1, p)) * (sorted.length - 1);
+  const k = Math.floor(u);
+  return k + 1 < sorted.length ? sorted[k] + (u - k) * (sorted[k + 1] - sorted[k]) : sorted[k];
+}
+
+// equal-width histogram of non-negative values over [0, max] -> { binWidth, counts }
+export function histogram(values, bins, max) {
+  const top = max > 0 ? max : 1;
+  const counts = new Array(bins).fill(0);
+  for (const v of values) counts[Math.min(bins - 1, Math.floor(v / top * bins))]++;
+  return { binWidth: top / bins, counts };
+}
+
+// statistics of horizontal fix errors (m). p50/p95/p99 are radial errors about the true position; the bias vector is
+// the mean error, and CEP the median radial scatter about it (so bias and spread are reported separately)
+export function errorStatistics(east, north, bins = DEFAULT_CAMPAIGN.histogramBins) {
+  const n = east.length;
+  if (n === 0) return null;
+  let me = 0, mn = 0;
+  for (let i = 0; i < n; i++) { me += east[i]; mn += north[i]; }
+  me /= n; mn /= n;
+  let see = 0, snn = 0, sen = 0;
+  const radial = new Float64Array(n), scatter = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const de = east[i] - me, dn = north[i] - mn;
+    see += de * de; snn += dn * dn; sen += de * dn;
+    radial[i] = Math.hypot(east[i], north[i]);
+    scatter[i] = Math.hypot(de, dn);
+  }
+  const dof = Math.max(1, n - 1);
+  radial.sort(); scatter.sort();
+  const p99 = percentile(radial, 0.99);
+  return {
+    count: n,
+    p50Meters: percentile(radial, 0.5),
+    p95Meters: percentile(radial, 0.95),
+    p99Meters: p99,
+    maxMeters: radial[n - 1],
+    cepMeters: percentile(scatter, 0.5),
+    drms2Meters: 2 * Math.sqrt((see + snn) / dof),
+    biasEastMeters: me,
+    biasNorthMeters: mn,
+    biasMeters: Math.hypot(me, mn),
+    covariance: [[see / dof, sen / dof], [sen / dof, snn / dof]],
+    // the top percent is left to the last bin, so a few wild fixes do not flatten the rest
+    histogram: histogram(radial, bins, p99),
+  };
+}
+
+// per-station error model at one test point: which stations the receiver uses and their noise sigma
+// stations: { masters: [...], slaves: [...] } plain station objects (lat, lng, label, txDbm, powerKw, asfModel)
+// point: { lat, lng, solverMode?, observable? }; snr: stationSnrDb options ({ noise, tSec, geodesicModel })
+// -> { solver, observable, entries: [{ station, role, sigmaMeters }] } or { error }
+export function campaignPlan(stations, point, config = {}, snr = {}) {
+  const cfg = { ...DEFAULT_CAMPAIGN, ...config };
+  const solver = point.solverMode || cfg.solver;
+  const observable = point.observable || cfg.observable;
+  if (solver === 'allInView') {
+    const candidates = [
+      ...stations.masters.map(m => ({ station: m, role: 'master' })),
+      ...stations.slaves.map(s => ({ station: s, role: 'slave' })),
+    ];
+    const { selected } = selectStations(candidates, point, { maxStations: cfg.maxStations, minSnrDb: cfg.minSnrDb, sigma0Meters: cfg.noiseSigma0Meters, ...snr });
+    if (selected.length < 3) return { error: `only ${selected.length} station(s) above ${cfg.minSnrDb} dB SNR` };
+    if (observable === 'tdoa' && !selected.some(s => s.role === 'master')) return { error: 'no master above the SNR threshold' };
+    return { solver, observable, entries: selected.map(s => ({ station: s.station, role: s.role, sigmaMeters: s.sigmaMeters })) };
+  }
+  const master = stations.masters[0];
+  if (!master || stations.slaves.length < 2) return { error: 'reference TDOA needs a master and two slaves' };
+  const entries = [{ station: master, role: 'master' }, ...stations.slaves.map(s => ({ station: s, role: 'slave' }))]
+    .map(en => ({ ...en, sigmaMeters: rangeSigmaMeters(stationSnrDb(en.station, point, snr), cfg.noiseSigma0Meters) }));
+  return { solver: 'reference', observable: 'tdoa', entries };
+}
+
+// one fix with drawn errors -> { east, north } (m) or null when the solver failed
+function runTrial(plan, point, cfg, uniform, geodesicModel) {
+  const C = SPEED_OF_LIGHT;
+  const holdoverSec = cfg.clockHoldoverHours * 3600;
+  const rxClockSec = 1e-6 * normalFrom(uniform); // a receiver clock offset, solved for or differenced out
+  const obs = plan.entries.map(en => {
+    const errMeters = en.sigmaMeters * normalFrom(uniform)
+      + cfg.jitterNs * 1e-9 * C * normalFrom(uniform)
+      + cfg.asfErrorSigmaMeters * normalFrom(uniform)
+      + cfg.clockDriftNsPerHour * 1e-9 / 3600 * holdoverSec * C * normalFrom(uniform);
+    const toaSec = (geodesicDistance(en.station, point, geodesicModel) + errMeters) / C + rxClockSec;
+    return { station: en.station, role: en.role, sigmaMeters: en.sigmaMeters, toaSec, tSec: 0 };
+  });
+  let fix;
+  if (plan.solver === 'allInView') {
+    fix = plan.observable === 'tdoa'
+      ? solvePositionClockFromTDOA(obs, point, { geodesicModel, integrity: false })
+      : solvePositionFromTOA(obs, point, { geodesicModel, states: 3, integrity: false });
+  } else {
+    const [m, ...rest] = obs;
+    fix = solvePositionFromTDOA(rest.map(o => ({ master: m.station, slave: o.station, tdoaSec: o.toaSec - m.toaSec, masterSigmaMeters: m.sigmaMeters, slaveSigmaMeters: o.sigmaMeters })), point, { geodesicModel, integrity: false });
+  }
+  if (!fix || !Number.isFinite(fix.lat) || !Number.isFinite(fix.lng)) return null;
+  const d = geodesicDistance(point, fix, geodesicModel);
+  const [ue, un] = localUnitVector(point, fix.lat, fix.lng);
+  return { east: d * ue, north: d * un };
+}
+
+// campaign at one test point (index keys its RNG stream) -> { label, lat, lng, solver, observable, stations,
+// trials, failed, east, north (Float32Array, m), stats } or { label, lat, lng, error }
+export function runPointCampaign(stations, point, index, config = {}, options = {}) {
+  const cfg = { ...DEFAULT_CAMPAIGN, ...config };
+  const { geodesicModel, snr = {} } = options;
+  const plan = campaignPlan(stations, point, cfg, { geodesicModel, ...snr });
+  const base = { label: point.label, lat: point.lat, lng: point.lng };
+  if (plan.error) return { ...base, error: plan.error };
+  const uniform = mulberry32(((cfg.seed >>> 0) + Math.imul(index + 1, 0x9E3779B1)) >>> 0);
+  const east = [], north = [];
+  let failed = 0;
+  for (let k = 0; k < cfg.trials; k++) {
+    const e = runTrial(plan, point, cfg, uniform, geodesicModel);
+    if (!e) { failed++; continue; }
+    east.push(e.east); north.push(e.north);
+  }
+  return {
+    ...base,
+    solver: plan.solver,
+    observable: plan.observable,
+    stations: plan.entries.map(en => en.station.label),
+    trials: cfg.trials,
+    failed,
+    east: Float32Array.from(east),
+    north: Float32Array.from(north),
+    stats: errorStatistics(east, north, cfg.histogramBins),
+  };
+}
+
+// nx x ny test points over a lat/lng box { west, south, east, north }, labelled by row and column
+export function gridTestPoints(box, nx, ny) {
+  const pts = [];
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      const lat = box.south + (ny > 1 ? j / (ny - 1) : 0.5) * (box.north - box.south);
+      const lng = box.west + (nx > 1 ? i / (nx - 1) : 0.5) * (box.east - box.west);
+      pts.push({ label: `G${j + 1}-${i + 1}`, lat, lng });
+    }
+  }
+  return pts;
+}
+
+// campaign summary rows for CSV export (one row per test point)
+export function campaignCsv(results) {
+  const cols = ['label', 'lat', 'lng', 'solver', 'observable', 'stations', 'trials', 'failed', 'p50Meters', 'p95Meters', 'p99Meters', 'cepMeters', 'drms2Meters', 'biasEastMeters', 'biasNorthMeters', 'biasMeters', 'error'];
+  const rows = [cols.join(',')];
+  for (const r of results) {
+    const s = r.stats || {};
+    const fmt = (v) => (typeof v === 'number' ? (Number.isInteger(v) ? String(v) : v.toFixed(3)) : '');
+    rows.push([r.label, r.lat.toFixed(6), r.lng.toFixed(6), r.solver || '', r.observable || '', (r.stations || []).join(' '), fmt(r.trials), fmt(r.failed),
+      fmt(s.p50Meters), fmt(s.p95Meters), fmt(s.p99Meters), fmt(s.cepMeters), fmt(s.drms2Meters), fmt(s.biasEastMeters), fmt(s.biasNorthMeters), fmt(s.biasMeters), r.error ? `"${r.error}"` : ''].join(','));
+  }
+  return rows.join('\n');
+}
+
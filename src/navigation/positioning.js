@@ -0,0 +1,344 @@
+// positioning.js - shared, UI-free navigation core for the Loran-C and e-Loran simulators
+// Used by Loranc.jsx, Eloran.jsx and the grid workers so that distance, noise, arrival-time and
+// TDOA solver behaviour stays identical everywhere. Nothing in here touches the DOM or MapLibre.
+
+import { EARTH_RADIUS_M, haversine, geodesicDistance, DEFAULT_GEODESIC_MODEL } from './geodesy.js';
+import { protectionLevel } from './integrity.js';
+import { temporalAsfMeters } from './asfTemporal.js';
+import { clockNoiseSec } from './clockModel.js';
+
+export { EARTH_RADIUS_M, haversine, geodesicDistance };
+export const SPEED_OF_LIGHT = 299792458; // m/s
+const WEB_MERCATOR_RADIUS_M = 6378137;
+
+const toRad = (d) => d * Math.PI / 180;
+const toDeg = (r) => r * 180 / Math.PI;
+
+// inverse spherical mercator (EPSG:3857 meters -> lat/lng degrees); lets workers skip proj4
+export function webMercatorToLatLng(x, y) {
+  const lng = toDeg(x / WEB_MERCATOR_RADIUS_M);
+  const lat = toDeg(2 * Math.atan(Math.exp(y / WEB_MERCATOR_RADIUS_M)) - Math.PI / 2);
+  return { lat, lng };
+}
+
+// --- seedable RNG ---
+// module-level RNG (seedable) - defaults to Math.random
+let _rng = Math.random;
+
+export function mulberry32(a) {
+  return function() {
+    var t = a += 0x6D2B79F5;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  }
+}
+
+// seed with a number for reproducible runs; anything else restores Math.random
+export function setRngSeed(seed) {
+  if (typeof seed === 'number' && !Number.isNaN(seed)) _rng = mulberry32(seed >>> 0);
+  else _rng = Math.random;
+}
+
+// uniform [0,1) draw from the module RNG
+export function random() {
+  return _rng();
+}
+
+export function gaussianNoise(stdDev) {
+  // Box-Muller using module RNG
+  let u = 0, v = 0;
+  while (u === 0) u = _rng();
+  while (v === 0) v = _rng();
+  return stdDev * Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+}
+
+// --- station timing ---
+
+// clock time error (s): bias + drift (s/s) * t, plus the stochastic noise of the clock type (clockModel.js)
+// clock = { type: 'gps-disciplined'|'cesium'|'rubidium'|'ocxo'|'local'|'ideal', biasSec, driftPerSec, seed,
+// holdoverStartSec }; key (the station label) selects the noise realisation; clocks without a type are noise-free
+export function simulateClockTick(clock, tSec, key) {
+  return (clock && clock.biasSec || 0) + (clock && clock.driftPerSec || 0) * tSec + clockNoiseSec(clock, key, tSec);
+}
+
+// spatial ASF (meters) for a station at a point: asfMap function (lat, lng, tSec, station) wins, then constant asfMeters
+export function stationSpatialAsfMeters(station, lat, lng, tSec = 0) {
+  if (station.asfMap && typeof station.asfMap === 'function') {
+    try { return station.asfMap(lat, lng, tSec, station) || 0; } catch { return 0; }
+  }
+  if (typeof station.asfMeters === 'number') return station.asfMeters || 0;
+  return 0;
+}
+
+// ASF (meters) at sim time tSec: spatial ASF plus the station's temporal variation (asfTemporal config) and any
+// scenario ASF step (asfStepMeters, see scenario.js)
+export function stationAsfMeters(station, lat, lng, tSec = 0) {
+  return stationSpatialAsfMeters(station, lat, lng, tSec) + temporalAsfMeters(station, lat, lng, tSec, station.asfTemporal) + (station.asfStepMeters || 0);
+}
+
+// differential correction (meters) currently applied by a station, 0 when disabled
+export function stationDiffCorrectionMeters(station) {
+  if (station.diffCorrections && station.diffCorrections.enabled) return station.diffCorrections.avgMeters || 0;
+  return 0;
+}
+
+// transmitter timing that does not depend on receiver position: clock offset + emission offset (s)
+// plus an injected station fault (faultMeters, e.g. a timing failure), which integrity monitoring should catch
+export function stationTimingOffsetSec(station, simTimeSec) {
+  return simulateClockTick(station.clock, simTimeSec, station.label) + (station.offsetSec || 0) + (station.faultMeters || 0) / SPEED_OF_LIGHT;
+}
+
+// per-path arrival time (seconds) from a station to a point (lat,lng)
+// station fields: lat,lng, clock, offsetSec, faultMeters, asfMap|asfMeters, asfTemporal, asfStepMeters, diffCorrections
+// options.asfMeters overrides the spatial station ASF (e.g. a pre-sampled raster value); the temporal
+// variation is still added
+// options.applyDiff=false ignores diffCorrections (used for calibration)
+// options.geodesicModel selects the propagation distance model ('sphere' | 'wgs84')
+export function computeArrivalSec(station, lat, lng, simTimeSec, options = {}) {
+  const { applyDiff = true, geodesicModel = DEFAULT_GEODESIC_MODEL } = options;
+  const dist = geodesicDistance({ lat: station.lat, lng: station.lng }, { lat, lng }, geodesicModel);
+  const spatialAsfMeters = typeof options.asfMeters === 'number' ? options.asfMeters : stationSpatialAsfMeters(station, lat, lng, simTimeSec);
+  const asfMeters = spatialAsfMeters + temporalAsfMeters(station, lat, lng, simTimeSec, station.asfTemporal) + (station.asfStepMeters || 0);
+  const diffCorrMeters = applyDiff ? stationDiffCorrectionMeters(station) : 0;
+  return dist / SPEED_OF_LIGHT + stationTimingOffsetSec(station, simTimeSec) + (asfMeters - diffCorrMeters) / SPEED_OF_LIGHT;
+}
+
+// compute arrival ignoring diffCorrections (used for calibration)
+export function computeArrivalSecNoDiff(station, lat, lng, simTimeSec, options = {}) {
+  return computeArrivalSec(station, lat, lng, simTimeSec, { ...options, applyDiff: false });
+}
+
+// per master/slave pair constant (s) removed from TDOA grids so contours reflect geometry + ASF only
+export function pairConstantSec(master, slave, simTimeSec) {
+  return stationTimingOffsetSec(slave, simTimeSec) - stationTimingOffsetSec(master, simTimeSec);
+}
+
+// --- solvers ---
+
+// inverse of a small square matrix (Gauss-Jordan with partial pivoting); null when (near) singular.
+// The pivot test is relative to the diagonal scale because weights (1/sigma^2) span orders of magnitude.
+export function invertMatrix(a) {
+  const n = a.length;
+  const scale = a.reduce((acc, row, i) => Math.max(acc, Math.abs(row[i])), 0);
+  if (!(scale > 0)) return null;
+  const m = a.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+  for (let col = 0; col < n; col++) {
+    let piv = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(m[r][col]) > Math.abs(m[piv][col])) piv = r;
+    if (Math.abs(m[piv][col]) < 1e-12 * scale) return null;
+    [m[col], m[piv]] = [m[piv], m[col]];
+    const p = m[col][col];
+    for (let k = 0; k < 2 * n; k++) m[col][k] /= p;
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = m[r][col];
+      if (f !== 0) for (let k = 0; k < 2 * n; k++) m[r][k] -= f * m[col][k];
+    }
+  }
+  return m.map(row => row.slice(n));
+}
+
+// unit vector (east, north) from a station towards (lat,lng) on the local plane at (lat,lng)
+export function localUnitVector(station, lat, lng) {
+  const e = toRad(lng - station.lng) * EARTH_RADIUS_M * Math.cos(toRad(lat));
+  const n = toRad(lat - station.lat) * EARTH_RADIUS_M;
+  const d = Math.hypot(e, n) || 1;
+  return [e / d, n / d];
+}
+
+// largest eigenvalue of a symmetric 2x2 covariance (m^2)
+export function maxEigenvalue2x2(cov) {
+  const trace = cov[0][0] + cov[1][1];
+  const det = cov[0][0]*cov[1][1] - cov[0][1]*cov[1][0];
+  const tm = Math.sqrt(Math.max(0, (trace*trace)/4 - det));
+  return Math.max(0, trace/2 + tm);
+}
+
+// lower-triangular Cholesky factor L (L L^T = a) of a symmetric positive definite matrix; null otherwise
+export function choleskyLower(a) {
+  const n = a.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = a[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (!(sum > 0)) return null;
+        L[i][i] = Math.sqrt(sum);
+      } else L[i][j] = sum / L[j][j];
+    }
+  }
+  return L;
+}
+
+// covariance (m^2) of pair range differences from independent station TOAs: a pair is slave - master, so
+//   Cov(k, l) = sum over stations of (+1 slave / -1 master in k) (+1 / -1 in l) sigma_station^2
+// which correlates pairs sharing a master (+) or a secondary (+), and a station that is the master of one pair and
+// the secondary of another (-). Stations are matched by label (by object without one); pair.masterSigmaMeters and
+// pair.slaveSigmaMeters are their 1-sigma TOA errors in meters (default 1, i.e. relative weights).
+export function tdoaPairCovariance(pairs) {
+  const key = (station) => station.label ?? station;
+  const terms = pairs.map(p => [
+    { key: key(p.slave), sign: 1, sigma: p.slaveSigmaMeters ?? 1 },
+    { key: key(p.master), sign: -1, sigma: p.masterSigmaMeters ?? 1 },
+  ]);
+  return terms.map(a => terms.map(b => {
+    let c = 0;
+    for (const x of a) for (const y of b) if (x.key === y.key) c += x.sign * y.sign * x.sigma * y.sigma;
+    return c;
+  }));
+}
+
+// Gauss-Newton TDOA solver, weighted by the pair covariance (generalised least squares). Ranges are modelled with
+// the selected geodesic model; each iteration linearises on a local east/north plane centred on the current
+// estimate, so the fix converges on the solution of that model (use the same options.geodesicModel that generated
+// the observations).
+// pairs: [{ master:{lat,lng,label}, slave:{lat,lng,label}, tdoaSec, masterSigmaMeters?, slaveSigmaMeters? }] with
+// tdoaSec = arrival(slave) - arrival(master); see tdoaPairCovariance for the weights.
+// returns { lat, lng, covariance (m^2), varianceFactor, hplMeters, residualsMeters, whitenedResiduals }; hplMeters
+// is the protection level for options.integrity ({ integrityRisk, biasMeters }, see integrity.js), null with
+// integrity: false (batch runs). The covariance is (J^T W J)^-1 from the a-priori pair sigmas, so it does not shrink
+// when the residuals happen to be small; varianceFactor is the a-posteriori r^T W r / (pairs - 2), null without
+// redundancy. residualsMeters are the per-pair range-difference residuals at the fix; whitenedResiduals are the
+// same residuals decorrelated and scaled by the pair covariance (their sum of squares is r^T W r, chi-square with
+// pairs - 2 degrees of freedom for absolute sigmas), for integrity monitoring.
+export function solvePositionFromTDOA(pairs, initialLngLat, options = {}) {
+  const { geodesicModel = DEFAULT_GEODESIC_MODEL, integrity } = options;
+  const R = EARTH_RADIUS_M;
+  const C = SPEED_OF_LIGHT;
+  let lat = initialLngLat.lat;
+  let lng = initialLngLat.lng;
+  const pairCov = tdoaPairCovariance(pairs);
+  // a singular pair covariance (the same pair twice) falls back to independent pairs
+  const W = invertMatrix(pairCov) || pairCov.map((row, k) => row.map((_, l) => (k === l ? 1 / row[k] : 0)));
+  // residuals (m) and Jacobian rows [dE, dN] at the current estimate; residuals and Jacobian are kept in meters
+  // (range difference) so the determinant test is scale-free
+  const linearise = () => {
+    const here = { lat, lng };
+    const J = [];
+    const r = [];
+    for (const p of pairs) {
+      const modeledDelta = geodesicDistance(p.slave, here, geodesicModel) - geodesicDistance(p.master, here, geodesicModel);
+      const uM = localUnitVector(p.master, lat, lng);
+      const uS = localUnitVector(p.slave, lat, lng);
+      J.push([uS[0] - uM[0], uS[1] - uM[1]]);
+      r.push(p.tdoaSec * C - modeledDelta);
+    }
+    return { J, r };
+  };
+  // normal matrix J^T W J and J^T W r
+  const normal = (J, r) => {
+    const N = [[0,0],[0,0]];
+    const b = [0,0];
+    for (let k=0;k<J.length;k++){
+      for (let l=0;l<J.length;l++){
+        const w = W[k][l];
+        if (w === 0) continue;
+        N[0][0] += J[k][0]*w*J[l][0]; N[0][1] += J[k][0]*w*J[l][1];
+        N[1][0] += J[k][1]*w*J[l][0]; N[1][1] += J[k][1]*w*J[l][1];
+        b[0] += J[k][0]*w*r[l]; b[1] += J[k][1]*w*r[l];
+      }
+    }
+    return { N, b };
+  };
+  const maxIter = 30;
+  for (let iter=0; iter<maxIter; iter++){
+    const { J, r } = linearise();
+    const { N, b } = normal(J, r);
+    const det = N[0][0]*N[1][1] - N[0][1]*N[1][0];
+    if (!(Math.abs(det) >= 1e-12 * Math.max(N[0][0]*N[1][1], 1e-300))) break;
+    const dE = (N[1][1]*b[0] - N[0][1]*b[1]) / det;
+    const dN = (-N[1][0]*b[0] + N[0][0]*b[1]) / det;
+    lat += toDeg(dN / R);
+    lng += toDeg(dE / (R * Math.cos(toRad(lat))));
+    if (Math.hypot(dE,dN) < 1e-6) break;
+  }
+  // residuals, geometry and covariance at the final estimate
+  const { J, r } = linearise();
+  const { N } = normal(J, r);
+  const m = pairs.length;
+  const L = m > 0 ? choleskyLower(pairCov) : null;
+  const whitened = [];
+  for (let k=0;k<m;k++){
+    if (!L) { whitened.push(r[k] / Math.sqrt(pairCov[k][k])); continue; }
+    let z = r[k];
+    for (let l=0;l<k;l++) z -= L[k][l] * whitened[l];
+    whitened.push(z / L[k][k]);
+  }
+  // a-posteriori variance factor (r^T W r / (m - 2)), reported only: the covariance keeps the a-priori sigmas
+  const varianceFactor = m > 2 ? whitened.reduce((a,z)=>a + z*z, 0) / (m - 2) : null;
+  const detF = N[0][0]*N[1][1] - N[0][1]*N[1][0];
+  let cov = [[0,0],[0,0]];
+  if (m > 0 && Math.abs(detF) >= 1e-12 * Math.max(N[0][0]*N[1][1], 1e-300)) {
+    cov = [[N[1][1]/detF, -N[0][1]/detF], [-N[1][0]/detF, N[0][0]/detF]];
+  }
+  // protection level from the covariance ellipse and the integrity risk budget
+  const hplMeters = integrity === false ? null : protectionLevel(cov, integrity).hplMeters;
+
+  return { lat, lng, covariance: cov, varianceFactor, hplMeters, residualsMeters: r, whitenedResiduals: whitened };
+}
+
+// Weighted Gauss-Newton on TOA pseudoranges with a receiver clock, for UTC-synchronised receivers:
+// 3 states (east, north, clock bias) or 4 states (+ clock drift, needs observations from >= 2 epochs).
+// obs: [{ station:{lat,lng}, toaSec, sigmaMeters = 1, tSec = 0 }] where toaSec is the arrival on the
+// receiver clock minus the nominal emission time and tSec the epoch. Drift is referenced to
+// options.refTimeSec (default: latest epoch), so clockBiasSec is the bias at that time.
+// hplMeters is the protection level for options.integrity (null with integrity: false), as for the TDOA solver;
+// the covariance is from the a-priori sigmas and varianceFactor is wss / (observations - states), null without
+// redundancy.
+// returns { lat, lng, clockBiasSec, clockDriftPerSec, covariance (2x2 m^2), varianceFactor, hplMeters, residualsMeters }
+// or null when there are too few observations or the geometry is singular
+export function solvePositionFromTOA(obs, initialLngLat, options = {}) {
+  const { geodesicModel = DEFAULT_GEODESIC_MODEL, states = 3, integrity } = options;
+  const C = SPEED_OF_LIGHT;
+  const n = states === 4 ? 4 : 3;
+  if (obs.length < n) return null;
+  const t0 = typeof options.refTimeSec === 'number' ? options.refTimeSec : Math.max(...obs.map(o => o.tSec || 0));
+  if (n === 4 && new Set(obs.map(o => o.tSec || 0)).size < 2) return null;
+  let lat = initialLngLat.lat, lng = initialLngLat.lng;
+  // clock states in meters (bias) and meters/second (drift); bias starts at the mean residual
+  let biasMeters = obs.reduce((a, o) => a + (o.toaSec * C - geodesicDistance(o.station, { lat, lng }, geodesicModel)), 0) / obs.length;
+  let driftMeters = 0;
+  // weighted design rows, normal matrix N = H^T W H and residuals (m) at the current estimate
+  const linearise = () => {
+    const N = Array.from({ length: n }, () => new Array(n).fill(0));
+    const b = new Array(n).fill(0);
+    const r = obs.map(o => {
+      const u = localUnitVector(o.station, lat, lng);
+      const dt = (o.tSec || 0) - t0;
+      const sigma = o.sigmaMeters || 1;
+      const h = n === 4 ? [u[0], u[1], 1, dt] : [u[0], u[1], 1];
+      const w = 1 / (sigma * sigma);
+      const ri = o.toaSec * C - (geodesicDistance(o.station, { lat, lng }, geodesicModel) + biasMeters + driftMeters * dt);
+      for (let j = 0; j < n; j++) {
+        b[j] += w * h[j] * ri;
+        for (let k = 0; k < n; k++) N[j][k] += w * h[j] * h[k];
+      }
+      return ri;
+    });
+    return { N, b, r };
+  };
+  for (let iter = 0; iter < 30; iter++) {
+    const { N, b } = linearise();
+    const Ninv = invertMatrix(N);
+    if (!Ninv) return null;
+    const dx = Ninv.map(row => row.reduce((a, v, k) => a + v * b[k], 0));
+    lat += toDeg(dx[1] / EARTH_RADIUS_M);
+    lng += toDeg(dx[0] / (EARTH_RADIUS_M * Math.cos(toRad(lat))));
+    biasMeters += dx[2];
+    if (n === 4) driftMeters += dx[3];
+    if (Math.hypot(...dx) < 1e-6) break;
+  }
+  // residuals and geometry at the final estimate (not the one before the last update) for RAIM and the covariance
+  const { N, r } = linearise();
+  const Q = invertMatrix(N);
+  if (!Q) return null;
+  // a-posteriori variance factor, reported only: a protection level must not shrink with lucky residuals
+  const m = obs.length;
+  const wss = r.reduce((a, ri, i) => a + ri * ri / ((obs[i].sigmaMeters || 1) ** 2), 0);
+  const varianceFactor = m > n ? wss / (m - n) : null;
+  const covariance = [[Q[0][0], Q[0][1]], [Q[1][0], Q[1][1]]];
+  const hplMeters = integrity === false ? null : protectionLevel(covariance, integrity).hplMeters;
+  return { lat, lng, clockBiasSec: biasMeters / C, clockDriftPerSec: driftMeters / C, covariance, varianceFactor, hplMeters, residualsMeters: r };
+}
@@ -0,0 +1,248 @@
+import { describe, expect, it } from 'vitest';
+import { SPEED_OF_LIGHT, gaussianNoise, geodesicDistance, haversine, invertMatrix, setRngSeed, solvePositionFromTDOA, solvePositionFromTOA, tdoaPairCovariance } from './positioning.js';
+
+const C = SPEED_OF_LIGHT;
+
+// The TDOA solver as it was copy-pasted in Loranc.jsx / Eloran.jsx before extraction (equirectangular plane at
+// the initial latitude, Jacobian in seconds per meter), kept verbatim apart from the determinant guard, which is
+// a parameter so the tests can show both the original behaviour and the converged projected solution.
+function baselineSolvePositionFromTDOA(pairs, initialLngLat, minDet = 1e-12) {
+  const refLat = initialLngLat.lat;
+  const R = 6371000;
+  const latLngToXY = (lat, lng) => ({ x: (lng * Math.PI / 180) * R * Math.cos(refLat * Math.PI / 180), y: (lat * Math.PI / 180) * R });
+  let { x: x0, y: y0 } = latLngToXY(initialLngLat.lat, initialLngLat.lng);
+  for (let iter = 0; iter < 30; iter++) {
+    const J = [];
+    const r = [];
+    for (const p of pairs) {
+      const mxy = latLngToXY(p.master.lat, p.master.lng);
+      const sxy = latLngToXY(p.slave.lat, p.slave.lng);
+      const dM = Math.hypot(x0 - mxy.x, y0 - mxy.y);
+      const dS = Math.hypot(x0 - sxy.x, y0 - sxy.y);
+      r.push(p.tdoaSec - (dS - dM) / C);
+      J.push([((x0 - sxy.x) / dS - (x0 - mxy.x) / dM) / C, ((y0 - sxy.y) / dS - (y0 - mxy.y) / dM) / C]);
+    }
+    let a = 0, b = 0, c = 0, g0 = 0, g1 = 0;
+    J.forEach(([j1, j2], i) => { a += j1 * j1; b += j1 * j2; c += j2 * j2; g0 += j1 * r[i]; g1 += j2 * r[i]; });
+    const det = a * c - b * b;
+    if (Math.abs(det) < minDet) break;
+    const dx = (c * g0 - b * g1) / det;
+    const dy = (-b * g0 + a * g1) / det;
+    x0 += dx; y0 += dy;
+    if (Math.hypot(dx, dy) < 1e-6) break;
+  }
+  return { lat: (y0 / R) * 180 / Math.PI, lng: (x0 / (R * Math.cos(refLat * Math.PI / 180))) * 180 / Math.PI };
+}
+
+// a 9960-like chain: master plus W/X/Y secondaries, baselines of 400-700 km
+const MASTER = { label: 'M', lat: 41.25, lng: -69.98 };
+const SECONDARIES = [
+  { label: 'W', lat: 46.77, lng: -67.93 },
+  { label: 'X', lat: 39.85, lng: -75.24 },
+  { label: 'Y', lat: 42.71, lng: -76.83 },
+];
+const TRUTH = { lat: 41.9, lng: -71.4 };
+const START = { lat: TRUTH.lat + 0.004, lng: TRUTH.lng - 0.004 };
+
+function chainPairs(truth, model = 'sphere') {
+  return SECONDARIES.map(s => ({
+    master: MASTER,
+    slave: s,
+    tdoaSec: (geodesicDistance(s, truth, model) - geodesicDistance(MASTER, truth, model)) / C,
+  }));
+}
+
+// TDOAs from independent station TOA errors (sigmaMeters each), so pairs share their master's error
+function noisyPairs(seed, sigmaMeters) {
+  setRngSeed(seed);
+  const toaError = Object.fromEntries([MASTER, ...SECONDARIES].map(st => [st.label, gaussianNoise(sigmaMeters) / C]));
+  setRngSeed(undefined);
+  return chainPairs(TRUTH).map(p => ({
+    ...p,
+    tdoaSec: p.tdoaSec + toaError[p.slave.label] - toaError[p.master.label],
+    masterSigmaMeters: sigmaMeters,
+    slaveSigmaMeters: sigmaMeters,
+  }));
+}
+
+describe('solvePositionFromTDOA', () => {
+  it('converges on noise-free TDOAs from a start ~550 m off', () => {
+    const fix = solvePositionFromTDOA(chainPairs(TRUTH), START, { integrity: false });
+    expect(haversine(fix, TRUTH)).toBeLessThan(1e-3);
+    expect(fix.residualsMeters).toHaveLength(3);
+    fix.residualsMeters.forEach(r => expect(Math.abs(r)).toBeLessThan(1e-6));
+    expect(fix.hplMeters).toBeNull();
+  });
+
+  it('converges on WGS-84 observations when solved with the same model', () => {
+    const fix = solvePositionFromTDOA(chainPairs(TRUTH, 'wgs84'), START, { geodesicModel: 'wgs84', integrity: false });
+    expect(haversine(fix, TRUTH)).toBeLessThan(1e-3);
+  });
+
+  it('returns the initial guess with a zero covariance for a singular geometry, as the baseline did', () => {
+    const pairs = chainPairs(TRUTH).slice(0, 1);
+    const fix = solvePositionFromTDOA(pairs, START, { integrity: false });
+    const baseline = baselineSolvePositionFromTDOA(pairs, START);
+    expect(fix.lat).toBe(baseline.lat);
+    expect(fix.lng).toBeCloseTo(baseline.lng, 10);
+    expect(fix.covariance).toEqual([[0, 0], [0, 0]]);
+  });
+
+  // deliberate change 1: the baseline guard compared det(J^T J) in s^-2 m^-2 (~1e-30) with 1e-12, so it never
+  // took a step and returned the initial guess; the extracted solver works in meters
+  it('moves off the initial guess where the baseline never did', () => {
+    const pairs = chainPairs(TRUTH);
+    const baseline = baselineSolvePositionFromTDOA(pairs, START);
+    expect(baseline.lat).toBeCloseTo(START.lat, 12);
+    expect(baseline.lng).toBeCloseTo(START.lng, 12);
+    expect(haversine(baseline, TRUTH)).toBeCloseTo(554.45, 1);
+    expect(haversine(solvePositionFromTDOA(pairs, START, { integrity: false }), TRUTH)).toBeLessThan(1e-3);
+  });
+
+  // deliberate change 2: ranges are geodesic instead of flat distances on an equirectangular plane, which cost
+  // the baseline (with a working guard) 13 m on 50 km baselines and 5.1 km on this chain's 400-700 km baselines
+  it('removes the projection error of the baseline plane', () => {
+    const small = { master: { lat: 10, lng: 20 }, slaves: [{ lat: 10.4, lng: 20.1 }, { lat: 9.8, lng: 19.5 }, { lat: 9.6, lng: 20.5 }] };
+    const truth = { lat: 10.05, lng: 20.05 };
+    const start = { lat: 10.06, lng: 20.04 };
+    const pairs = small.slaves.map(s => ({ master: small.master, slave: s, tdoaSec: (haversine(s, truth) - haversine(small.master, truth)) / C }));
+    expect(haversine(baselineSolvePositionFromTDOA(pairs, start, 0), truth)).toBeCloseTo(13.33, 2);
+    expect(haversine(solvePositionFromTDOA(pairs, start, { integrity: false }), truth)).toBeLessThan(1e-3);
+    expect(haversine(baselineSolvePositionFromTDOA(chainPairs(TRUTH), START, 0), TRUTH)).toBeCloseTo(5095.37, 1);
+  });
+
+  // deliberate change 3 (user-006): the solve is weighted by the pair covariance, which correlates the pairs
+  // through their shared master
+  it('is pinned on a seeded noisy chain', () => {
+    const fix = solvePositionFromTDOA(noisyPairs(42, 30), START, { integrity: false });
+    expect(fix.lat).toBeCloseTo(41.89981417476478, 9);
+    expect(fix.lng).toBeCloseTo(-71.40014830344009, 9);
+    expect(fix.covariance[0][0]).toBeCloseTo(364.51561, 3);
+    expect(fix.covariance[0][1]).toBeCloseTo(-62.45909, 3);
+    expect(fix.covariance[1][1]).toBeCloseTo(638.81215, 3);
+    expect(fix.varianceFactor).toBeCloseTo(0.030704, 6);
+    expect(fix.residualsMeters[0]).toBeCloseTo(-3.56592, 4);
+    expect(fix.residualsMeters[1]).toBeCloseTo(-4.95655, 4);
+    expect(fix.residualsMeters[2]).toBeCloseTo(1.56543, 4);
+  });
+
+  it('whitens the residuals with the pair covariance for a chi-square test statistic', () => {
+    const pairs = noisyPairs(42, 30);
+    const fix = solvePositionFromTDOA(pairs, START, { integrity: false });
+    const W = invertMatrix(tdoaPairCovariance(pairs));
+    const r = fix.residualsMeters;
+    const rWr = r.reduce((a, rk, k) => a + r.reduce((b, rl, l) => b + rk * W[k][l] * rl, 0), 0);
+    expect(fix.whitenedResiduals.reduce((a, z) => a + z * z, 0)).toBeCloseTo(rWr, 9);
+    // fault-free, r^T W r is chi-square with 3 - 2 = 1 degree of freedom
+    let sum = 0;
+    const trials = 400;
+    for (let i = 0; i < trials; i++) sum += solvePositionFromTDOA(noisyPairs(1000 + i, 30), START, { integrity: false }).whitenedResiduals.reduce((a, z) => a + z * z, 0);
+    expect(sum / trials).toBeGreaterThan(0.8);
+    expect(sum / trials).toBeLessThan(1.2);
+  });
+
+  it('keeps the a-priori covariance whatever the residuals, reporting the variance factor separately', () => {
+    const pairs = noisyPairs(42, 30);
+    const clean = solvePositionFromTDOA(pairs.map((p, k) => ({ ...p, tdoaSec: chainPairs(TRUTH)[k].tdoaSec })), START, { integrity: false });
+    const noisy = solvePositionFromTDOA(pairs, START, { integrity: false });
+    expect(clean.varianceFactor).toBeLessThan(1e-12);
+    // same geometry up to the few meters between the two fixes
+    expect(clean.covariance[0][0] / noisy.covariance[0][0]).toBeCloseTo(1, 3);
+    expect(clean.covariance[1][1] / noisy.covariance[1][1]).toBeCloseTo(1, 3);
+    // two pairs: no redundancy, still a full covariance
+    const two = solvePositionFromTDOA(pairs.slice(0, 2), START, { integrity: false });
+    expect(two.varianceFactor).toBeNull();
+    expect(two.covariance[0][0]).toBeGreaterThan(0);
+    expect(two.covariance[1][1]).toBeGreaterThan(0);
+  });
+
+  it('computes a protection level unless integrity is disabled', () => {
+    const fix = solvePositionFromTDOA(noisyPairs(42, 30), START);
+    expect(fix.hplMeters).toBeGreaterThan(0);
+  });
+
+  it('keeps the protection level of the a-priori sigmas for two pairs and for noise-free measurements', () => {
+    const sigmas = { masterSigmaMeters: 30, slaveSigmaMeters: 30 };
+    const two = solvePositionFromTDOA(chainPairs(TRUTH).slice(0, 2).map(p => ({ ...p, ...sigmas })), START);
+    expect(two.hplMeters).toBeGreaterThan(30);
+    const clean = solvePositionFromTDOA(chainPairs(TRUTH).map(p => ({ ...p, ...sigmas })), START);
+    const noisy = solvePositionFromTDOA(noisyPairs(42, 30), START);
+    expect(clean.hplMeters).toBeGreaterThan(30);
+    expect(clean.hplMeters / noisy.hplMeters).toBeCloseTo(1, 3);
+  });
+});
+
+describe('tdoaPairCovariance', () => {
+  it('correlates pairs through shared stations, negatively where a master is another pair\'s secondary', () => {
+    const [W, X] = SECONDARIES;
+    const pairs = [
+      { master: MASTER, slave: W, masterSigmaMeters: 2, slaveSigmaMeters: 3 },
+      { master: MASTER, slave: X, masterSigmaMeters: 2, slaveSigmaMeters: 4 },
+      { master: W, slave: X, masterSigmaMeters: 3, slaveSigmaMeters: 4 },
+    ];
+    expect(tdoaPairCovariance(pairs)).toEqual([[13, 4, -9], [4, 20, 16], [-9, 16, 25]]);
+  });
+});
+
+describe('solvePositionFromTOA', () => {
+  const stations = [MASTER, ...SECONDARIES];
+  const toaObs = (biasSec, driftPerSec = 0, epochs = [0]) => epochs.flatMap(tSec => stations.map((s, i) => ({
+    station: s,
+    tSec,
+    toaSec: haversine(s, TRUTH) / C + biasSec + driftPerSec * tSec,
+    sigmaMeters: 10 + 5 * i,
+  })));
+
+  it('recovers position and clock bias with 3 states', () => {
+    const fix = solvePositionFromTOA(toaObs(2e-6), START, { integrity: false });
+    expect(haversine(fix, TRUTH)).toBeLessThan(1e-3);
+    expect(fix.clockBiasSec).toBeCloseTo(2e-6, 12);
+    expect(fix.clockDriftPerSec).toBe(0);
+    fix.residualsMeters.forEach(r => expect(Math.abs(r)).toBeLessThan(1e-6));
+  });
+
+  it('recovers clock drift with 4 states over two epochs, referenced to the latest epoch', () => {
+    const fix = solvePositionFromTOA(toaObs(2e-6, 1e-9, [0, 10]), START, { states: 4, integrity: false });
+    expect(haversine(fix, TRUTH)).toBeLessThan(1e-3);
+    expect(fix.clockBiasSec).toBeCloseTo(2e-6 + 10e-9, 12);
+    expect(fix.clockDriftPerSec).toBeCloseTo(1e-9, 12);
+  });
+
+  it('returns residuals and wss evaluated at the returned solution', () => {
+    setRngSeed(3);
+    // a start ~50 km off takes several iterations, so residuals from before the last update would differ
+    const obs = toaObs(1e-6).map(o => ({ ...o, toaSec: o.toaSec + gaussianNoise(o.sigmaMeters) / C }));
+    setRngSeed(undefined);
+    const fix = solvePositionFromTOA(obs, { lat: TRUTH.lat + 0.4, lng: TRUTH.lng + 0.4 }, { integrity: false });
+    obs.forEach((o, i) => {
+      const atFix = o.toaSec * C - (haversine(o.station, fix) + fix.clockBiasSec * C);
+      expect(fix.residualsMeters[i]).toBeCloseTo(atFix, 9);
+    });
+  });
+
+  it('keeps the protection level of the a-priori sigmas for noise-free pseudoranges', () => {
+    const fix = solvePositionFromTOA(toaObs(2e-6), START);
+    expect(fix.varianceFactor).toBeLessThan(1e-12);
+    expect(fix.hplMeters).toBeGreaterThan(10);
+  });
+
+  it('needs as many observations as states, and two epochs for drift', () => {
+    expect(solvePositionFromTOA(toaObs(0).slice(0, 2), START)).toBeNull();
+    expect(solvePositionFromTOA(toaObs(0), START, { states: 4 })).toBeNull();
+  });
+
+  it('is pinned on seeded noisy pseudoranges', () => {
+    setRngSeed(7);
+    const obs = toaObs(1e-6).map(o => ({ ...o, toaSec: o.toaSec + gaussianNoise(o.sigmaMeters) / C }));
+    setRngSeed(undefined);
+    const fix = solvePositionFromTOA(obs, START, { integrity: false });
+    expect(fix.lat).toBeCloseTo(41.90009390264204, 9);
+    expect(fix.lng).toBeCloseTo(-71.40023682062349, 9);
+    expect(fix.clockBiasSec).toBeCloseTo(1.0125394121224315e-6, 14);
+    expect(fix.covariance[0][0]).toBeCloseTo(115.22064, 3);
+    expect(fix.covariance[1][1]).toBeCloseTo(148.75669, 3);
+    expect(fix.varianceFactor).toBeCloseTo(1.089417, 6);
+    expect(fix.residualsMeters[2]).toBeCloseTo(-12.25275, 4);
+    expect(fix.residualsMeters[3]).toBeCloseTo(19.66337, 4);
+  });
+});
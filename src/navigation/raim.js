@@ -0,0 +1,95 @@
+// raim.js - receiver autonomous integrity monitoring: residual-based fault detection and exclusion (FDE)
+// Detection: the weighted sum of squared post-fit residuals is chi-square with (m - states) degrees of freedom
+// in the fault-free case; it is compared with the threshold giving the chosen false-alarm probability.
+// Exclusion: each station is removed in turn (with every observation it takes part in), the fix is re-solved,
+// and the subset that passes the test with the smallest statistic is kept (single-fault assumption).
+
+export const DEFAULT_RAIM = { pfa: 1e-5, sigmaMeters: 30 };
+
+// log-gamma (Lanczos, g = 7)
+function logGamma(x) {
+  const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let a = c[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// regularized upper incomplete gamma Q(a, x): series below a + 1, continued fraction above
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  const lead = -x + a * Math.log(x) - logGamma(a);
+  if (x < a + 1) {
+    let sum = 1 / a, term = sum;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+    }
+    return 1 - sum * Math.exp(lead);
+  }
+  let b = x + 1 - a, c = 1 / 1e-300, d = 1 / b, h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b; if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-15) break;
+  }
+  return Math.exp(lead) * h;
+}
+
+// P(X > x) for a chi-square variable with dof degrees of freedom
+export function chiSquareSurvival(x, dof) {
+  return gammaQ(dof / 2, x / 2);
+}
+
+// detection threshold T with P(X > T) = pfa (bisection on the survival function)
+export function chiSquareThreshold(pfa, dof) {
+  let lo = 0, hi = Math.max(10, dof);
+  while (chiSquareSurvival(hi, dof) > pfa) hi *= 2;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (chiSquareSurvival(mid, dof) > pfa) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// chi-square test on residuals (m) with 1-sigma values (m); dof = observations - estimated states
+// returns { statistic, threshold, dof, available, fault }
+export function raimTest(residualsMeters, sigmasMeters, dof, pfa = DEFAULT_RAIM.pfa) {
+  if (!(dof >= 1)) return { statistic: 0, threshold: Infinity, dof, available: false, fault: false };
+  const statistic = residualsMeters.reduce((a, r, i) => a + (r / sigmasMeters[i]) ** 2, 0);
+  const threshold = chiSquareThreshold(pfa, dof);
+  return { statistic, threshold, dof, available: true, fault: statistic > threshold };
+}
+
+// fault detection and exclusion over a set of observations
+// solve(subset) -> { fix, residualsMeters, sigmasMeters, dof } | null
+// stationsOf(observation) -> station labels the observation depends on
+// returns { fix, test, excluded: [label], exclusionTest, exclusionFailed }
+export function raimFde(observations, solve, options = {}) {
+  const { pfa = DEFAULT_RAIM.pfa, stationsOf = (o) => [o.station.label] } = options;
+  const base = solve(observations);
+  if (!base) return null;
+  const test = raimTest(base.residualsMeters, base.sigmasMeters, base.dof, pfa);
+  if (!test.fault) return { fix: base.fix, test, excluded: [], exclusionTest: null, exclusionFailed: false };
+  const labels = [...new Set(observations.flatMap(stationsOf))];
+  let best = null;
+  for (const label of labels) {
+    const subset = observations.filter(o => !stationsOf(o).includes(label));
+    const sol = subset.length ? solve(subset) : null;
+    if (!sol) continue;
+    const t = raimTest(sol.residualsMeters, sol.sigmasMeters, sol.dof, pfa);
+    if (!t.available || t.fault) continue;
+    if (!best || t.statistic / t.threshold < best.test.statistic / best.test.threshold) best = { label, sol, test: t };
+  }
+  if (!best) return { fix: base.fix, test, excluded: [], exclusionTest: null, exclusionFailed: true };
+  return { fix: best.sol.fix, test, excluded: [best.label], exclusionTest: best.test, exclusionFailed: false };
+}
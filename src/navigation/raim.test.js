@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { SPEED_OF_LIGHT, gaussianNoise, haversine, setRngSeed, solvePositionFromTOA } from './positioning.js';
+import { chiSquareSurvival, chiSquareThreshold, raimFde, raimTest } from './raim.js';
+
+const C = SPEED_OF_LIGHT;
+const TRUTH = { lat: 41.9, lng: -71.4 };
+const START = { lat: TRUTH.lat + 0.01, lng: TRUTH.lng - 0.01 };
+const STATIONS = [
+  { label: 'M', lat: 41.25, lng: -69.98 },
+  { label: 'W', lat: 46.77, lng: -67.93 },
+  { label: 'X', lat: 39.85, lng: -75.24 },
+  { label: 'Y', lat: 42.71, lng: -76.83 },
+  { label: 'Z', lat: 44.5, lng: -72.0 },
+  { label: 'V', lat: 40.0, lng: -69.0 },
+];
+const SIGMA = 10;
+
+// seeded TOA observations with a receiver clock bias, plus faultMeters on one station
+function observations(seed, faultLabel = null, faultMeters = 0) {
+  setRngSeed(seed);
+  const obs = STATIONS.map(station => ({
+    station,
+    sigmaMeters: SIGMA,
+    toaSec: (haversine(station, TRUTH) + gaussianNoise(SIGMA) + (station.label === faultLabel ? faultMeters : 0)) / C + 2e-6,
+  }));
+  setRngSeed(undefined);
+  return obs;
+}
+
+const solve = (subset) => {
+  const fix = solvePositionFromTOA(subset, START, { integrity: false });
+  return fix && { fix, residualsMeters: fix.residualsMeters, sigmasMeters: subset.map(o => o.sigmaMeters), dof: subset.length - 3 };
+};
+
+describe('chiSquareThreshold', () => {
+  it('inverts the survival function (2 dof: -2 ln pfa)', () => {
+    expect(chiSquareThreshold(1e-5, 2)).toBeCloseTo(-2 * Math.log(1e-5), 6);
+    expect(chiSquareSurvival(chiSquareThreshold(1e-3, 5), 5)).toBeCloseTo(1e-3, 9);
+  });
+});
+
+describe('raimTest', () => {
+  it('is unavailable without redundancy', () => {
+    expect(raimTest([1, 2, 3], [1, 1, 1], 0)).toMatchObject({ available: false, fault: false });
+  });
+});
+
+describe('raimFde', () => {
+  it('keeps every station when there is no fault', () => {
+    const fde = raimFde(observations(11), solve);
+    expect(fde.test.fault).toBe(false);
+    expect(fde.excluded).toEqual([]);
+  });
+
+  it('detects and excludes one faulty station', () => {
+    const fde = raimFde(observations(11, 'Y', 600), solve);
+    expect(fde.test.fault).toBe(true);
+    expect(fde.excluded).toEqual(['Y']);
+    expect(fde.exclusionFailed).toBe(false);
+    expect(fde.exclusionTest.fault).toBe(false);
+    expect(haversine(fde.fix, TRUTH)).toBeLessThan(50);
+  });
+
+  it('flags the fault as not excludable when no subset has redundancy left', () => {
+    const fde = raimFde(observations(11, 'Y', 600).slice(0, 4), solve);
+    expect(fde.test.fault).toBe(true);
+    expect(fde.excluded).toEqual([]);
+    expect(fde.exclusionFailed).toBe(true);
+  });
+});
@@ -0,0 +1,153 @@
+// receiverDsp.js - Loran-C receiver signal processing on synthesized waveforms
+// Chain for one station's pulse group:
+//  1. zero-phase 100 kHz bandpass (RBJ biquad run forward and backward, so no group delay);
+//  2. phase decoding: each pulse is multiplied by its phase code and the pulses of the group are averaged;
+//  3. complex envelope by quadrature demodulation (one-carrier-cycle boxcar removes the 2f term), then a
+//     matched fit of the processed reference envelope on the rising edge, giving a coarse (envelope) time;
+//  4. the positive-going carrier zero crossing nearest envelope + 30 µs is the standard sampling point, giving
+//     the TOA (zero crossing - 30 µs) and the ECD (zero crossing - envelope time - 30 µs). Both 30 µs are
+//     calibrated on a clean pulse through the same chain, so an undisturbed pulse measures zero ECD.
+// An envelope error beyond half a cycle (5 µs) selects the wrong cycle: a 10 µs (~3 km) TOA error. Between
+// epochs, a TOA jump of whole cycles is a cycle slip.
+
+import { gaussianNoise } from './positioning.js';
+import { LORAN_CARRIER_HZ, PULSE_LENGTH_SEC, STANDARD_ZERO_CROSSING_SEC, phaseCode, pulseOffsetsSec, loranPulse } from './loranPulse.js';
+
+export const CYCLE_SEC = 1 / LORAN_CARRIER_HZ;
+// bandwidthHz: receiver bandpass; searchUs: envelope search half-width around the expected arrival;
+// fitEndUs: the envelope fit uses the rising edge up to this long after the expected arrival (skywave arriving
+// earlier than this distorts the fit)
+export const DEFAULT_DSP = { bandwidthHz: 20000, searchUs: 20, fitEndUs: 60 };
+
+// RBJ bandpass (0 dB peak) run forward then backward
+export function bandpassZeroPhase(x, sampleRate, centerHz = LORAN_CARRIER_HZ, bandwidthHz = DEFAULT_DSP.bandwidthHz) {
+  const w0 = 2 * Math.PI * centerHz / sampleRate;
+  const alpha = Math.sin(w0) / (2 * (centerHz / bandwidthHz));
+  const a0 = 1 + alpha;
+  const b = [alpha / a0, 0, -alpha / a0];
+  const a = [1, -2 * Math.cos(w0) / a0, (1 - alpha) / a0];
+  const pass = (input, reverse) => {
+    const n = input.length, out = new Float32Array(n);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let k = 0; k < n; k++) {
+      const i = reverse ? n - 1 - k : k;
+      const y = b[0] * input[i] + b[1] * x1 + b[2] * x2 - a[1] * y1 - a[2] * y2;
+      x2 = x1; x1 = input[i]; y2 = y1; y1 = y;
+      out[i] = y;
+    }
+    return out;
+  };
+  return pass(pass(x, false), true);
+}
+
+// white Gaussian noise whose power inside the receiver band has the given 1-sigma (in place)
+export function addBandLimitedNoise(waveform, sigmaInBand, sampleRate, bandwidthHz = DEFAULT_DSP.bandwidthHz) {
+  const sigma = sigmaInBand * Math.sqrt(sampleRate / 2 / bandwidthHz);
+  for (let i = 0; i < waveform.length; i++) waveform[i] += gaussianNoise(sigma);
+  return waveform;
+}
+
+// complex envelope (baseband I/Q) of a bandpassed pulse by quadrature demodulation; t0Sec is the absolute time of
+// sample 0. The carrier phase is referenced to absolute time, so the envelope phase is coherent across samples.
+function basebandOf(x, t0Sec, sampleRate) {
+  const n = x.length, w = 2 * Math.PI * LORAN_CARRIER_HZ;
+  const I = new Float64Array(n), Q = new Float64Array(n);
+  for (let i = 0; i < n; i++) { const ph = w * (t0Sec + i / sampleRate); I[i] = x[i] * Math.cos(ph); Q[i] = x[i] * Math.sin(ph); }
+  const half = Math.max(1, Math.round(sampleRate / LORAN_CARRIER_HZ / 2));
+  const re = new Float64Array(n), im = new Float64Array(n);
+  let si = 0, sq = 0, lo = 0, hi = -1;
+  for (let i = 0; i < n; i++) {
+    while (hi < Math.min(n - 1, i + half - 1)) { hi++; si += I[hi]; sq += Q[hi]; }
+    while (lo < i - half) { si -= I[lo]; sq -= Q[lo]; lo++; }
+    const cnt = hi - lo + 1;
+    re[i] = 2 * si / cnt; im[i] = 2 * sq / cnt;
+  }
+  return { re, im };
+}
+
+// reference envelope: a clean pulse through the same bandpass and demodulator (cached per configuration)
+const templateCache = new Map();
+function referenceEnvelope(sampleRate, bandwidthHz, preSec) {
+  const key = `${sampleRate}|${bandwidthHz}|${preSec}`;
+  if (templateCache.has(key)) return templateCache.get(key);
+  const n = Math.round((preSec + PULSE_LENGTH_SEC) * sampleRate);
+  const x = new Float32Array(n);
+  for (let i = 0; i < n; i++) x[i] = loranPulse(i / sampleRate - preSec);
+  const filtered = bandpassZeroPhase(x, sampleRate, LORAN_CARRIER_HZ, bandwidthHz);
+  const { re, im } = basebandOf(filtered, -preSec, sampleRate);
+  const env = re.map((r, i) => Math.hypot(r, im[i]));
+  // the processing chain moves the sampling point slightly off 30 µs; the receiver is calibrated on the template
+  let zeroCrossingSec = STANDARD_ZERO_CROSSING_SEC;
+  for (let i = 0; i + 1 < n; i++) {
+    const tz = (i + filtered[i] / (filtered[i] - filtered[i + 1])) / sampleRate - preSec;
+    if (filtered[i] < 0 && filtered[i + 1] >= 0 && Math.abs(tz - STANDARD_ZERO_CROSSING_SEC) <= CYCLE_SEC / 2) zeroCrossingSec = tz;
+  }
+  const tpl = { env, preSec, sampleRate, zeroCrossingSec };
+  templateCache.set(key, tpl);
+  return tpl;
+}
+const templateAt = (tpl, tSec) => {
+  const u = (tSec + tpl.preSec) * tpl.sampleRate;
+  const i = Math.floor(u);
+  if (i < 0 || i + 1 >= tpl.env.length) return 0;
+  return tpl.env[i] + (u - i) * (tpl.env[i + 1] - tpl.env[i]);
+};
+
+// measure one pulse group in a waveform sampled at sampleRate from startSec
+// expected: { arrivalSec (approximate first-pulse start), role, griIndex }
+// returns { ok, toaSec, envelopeSec, ecdSec } (absolute times; ok = false when no crossing was found)
+export function measureGroupToa(waveform, startSec, sampleRate, expected, options = {}) {
+  const { bandwidthHz, searchUs, fitEndUs } = { ...DEFAULT_DSP, ...options };
+  const filtered = bandpassZeroPhase(waveform, sampleRate, LORAN_CARRIER_HZ, bandwidthHz);
+  // phase-decoded average of the first 8 pulses over [arrival - pre, arrival + fitEnd + search + 2 cycles]
+  const preSec = (searchUs + 20) * 1e-6;
+  const len = Math.round((preSec + (fitEndUs + searchUs + 20) * 1e-6) * sampleRate);
+  const avg = new Float32Array(len);
+  const code = phaseCode(expected.role, expected.griIndex || 0);
+  const offsets = pulseOffsetsSec(expected.role).slice(0, 8);
+  let used = 0;
+  offsets.forEach((off, k) => {
+    const i0 = Math.round((expected.arrivalSec + off - preSec - startSec) * sampleRate);
+    if (i0 < 0 || i0 + len > filtered.length) return;
+    for (let i = 0; i < len; i++) avg[i] += code[k] * filtered[i0 + i];
+    used++;
+  });
+  if (!used) return { ok: false };
+  for (let i = 0; i < len; i++) avg[i] /= used;
+  // absolute time of avg[0] (sample grid of the first pulse)
+  const t0 = startSec + Math.round((expected.arrivalSec - preSec - startSec) * sampleRate) / sampleRate;
+  const { re, im } = basebandOf(avg, t0, sampleRate);
+  const tpl = referenceEnvelope(sampleRate, bandwidthHz, 50e-6);
+  // coarse envelope time: coherent least squares of the reference envelope (free complex amplitude) on a fixed
+  // window ending fitEndUs after the expected arrival (the tail, where skywave lands, is left out); 0.1 µs grid
+  const iEnd = Math.min(len - 1, Math.floor((expected.arrivalSec + fitEndUs * 1e-6 - t0) * sampleRate));
+  let best = null;
+  for (let d = -searchUs; d <= searchUs + 1e-9; d += 0.1) {
+    const te = expected.arrivalSec + d * 1e-6;
+    let sr = 0, si = 0, smm = 0;
+    for (let i = 0; i <= iEnd; i++) {
+      const m = templateAt(tpl, t0 + i / sampleRate - te);
+      sr += re[i] * m; si += im[i] * m; smm += m * m;
+    }
+    if (!(smm > 0)) continue;
+    const score = (sr * sr + si * si) / smm;
+    if (!best || score > best.score) best = { te, score };
+  }
+  if (!best) return { ok: false };
+  // positive-going zero crossing within half a cycle of the envelope's sampling point
+  const target = best.te + tpl.zeroCrossingSec;
+  let zc = null;
+  for (let i = 0; i + 1 < len; i++) {
+    if (avg[i] < 0 && avg[i + 1] >= 0) {
+      const tz = t0 + (i + avg[i] / (avg[i] - avg[i + 1])) / sampleRate;
+      if (Math.abs(tz - target) <= CYCLE_SEC / 2 && (zc === null || Math.abs(tz - target) < Math.abs(zc - target))) zc = tz;
+    }
+  }
+  if (zc === null) return { ok: false, envelopeSec: best.te };
+  return { ok: true, toaSec: zc - tpl.zeroCrossingSec, envelopeSec: best.te, ecdSec: zc - target };
+}
+
+// whole-cycle jump between two TOAs of the same station (after removing the predicted change), 0 when none
+export function cycleSlip(previousToaSec, toaSec, predictedChangeSec = 0) {
+  return Math.round((toaSec - previousToaSec - predictedChangeSec) / CYCLE_SEC);
+}
@@ -0,0 +1,33 @@
+// scenario.js - one-shot events on the simulation timeline, applied by the sim engine as sim time reaches them
+// events: [{ atSec, type, label, meters?, lat?, lng? }] (atSec in whole sim seconds, rounded when the event is made)
+//  - asf-step: from atSec on the station's ASF is offset by meters (steps add up), e.g. a weather front or a
+//    seasonal ground change; evaluated from the event list, so it holds for any sim time and in the workers;
+//  - receiver-move: the receiver jumps to lat/lng at atSec;
+//  - estimate: the receiver takes a position fix at atSec.
+// Together with the time-indexed scenario already on the sim clock (GNSS windows, station schedules, receiver
+// trajectories) and the RNG seed, a scenario replays identically from t = 0.
+
+export const SCENARIO_EVENT_TYPES = ['asf-step', 'receiver-move', 'estimate'];
+
+// events due at tSec, in list order
+export function eventsAt(events, tSec) {
+  return (events || []).filter(ev => ev.atSec === tSec);
+}
+
+// accumulated ASF step (m) of a station at tSec
+export function asfStepMeters(events, label, tSec) {
+  let sum = 0;
+  for (const ev of events || []) if (ev.type === 'asf-step' && ev.label === label && ev.atSec <= tSec) sum += ev.meters || 0;
+  return sum;
+}
+
+// the station at tSec with its accumulated ASF step (computeArrivalSec adds station.asfStepMeters)
+export function stationWithAsfSteps(station, events, tSec) {
+  const step = asfStepMeters(events, station.label, tSec);
+  return step ? { ...station, asfStepMeters: (station.asfStepMeters || 0) + step } : station;
+}
+
+// events sorted by time (stable within a second)
+export function sortEvents(events) {
+  return [...events].sort((a, b) => a.atSec - b.atSec);
+}
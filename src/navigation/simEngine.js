@@ -0,0 +1,132 @@
+// simEngine.js - controllable simulation clock: play / pause / single step, 1x to 1000x or as fast as possible, seek
+// The engine owns the sim time (whole seconds) and calls tick(tSec) once per simulated second, strictly in order.
+// At a finite speed the ticks are paced against the wall clock (several per timer callback above ~20x); at 'max',
+// and while seeking, ticks run in batches of up to BATCH_MS of wall time with a yield to the browser in between.
+// Nothing renders between the ticks of a batch, so tick must read the state that ticks change from something it
+// updates synchronously (refs), not from a rendered snapshot. Seeking forward runs the ticks in between; seeking
+// backwards calls onReset, which must restore the state of t = 0 (including the RNG seed) synchronously in the same
+// way, and replays from 0, so a scenario replays identically at any speed. The engine starts paused at t = 0.
+// onState({ tSec, speed, running, seeking }) reports changes for the UI.
+
+export const SIM_SPEEDS = [1, 2, 5, 10, 100, 1000, 'max'];
+
+const FRAME_MS = 50;
+const BATCH_MS = 30;
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+export function createSimEngine({ tick, onState, onReset }) {
+  const engine = { tSec: 0, speed: 1, running: false, target: null };
+  let timer = null;
+  let carry = 0; // simulated seconds owed at a finite speed
+  let lastWall = 0;
+
+  function emit() {
+    if (onState) onState({ tSec: engine.tSec, speed: engine.speed, running: engine.running, seeking: engine.target !== null });
+  }
+
+  function schedule(delayMs) {
+    if (timer !== null) clearTimeout(timer);
+    timer = setTimeout(loop, delayMs);
+  }
+
+  // up to maxTicks ticks within BATCH_MS
+  function runBatch(maxTicks) {
+    const start = now();
+    let n = 0;
+    while (n < maxTicks && now() - start < BATCH_MS) {
+      engine.tSec += 1;
+      n++;
+      tick(engine.tSec);
+    }
+    return n;
+  }
+
+  function loop() {
+    timer = null;
+    if (engine.target !== null) {
+      runBatch(engine.target - engine.tSec);
+      if (engine.tSec >= engine.target) {
+        engine.target = null;
+        lastWall = now();
+        carry = 0;
+      }
+      emit();
+      if (engine.target !== null) schedule(0);
+      else if (engine.running) schedule(0);
+      return;
+    }
+    if (!engine.running) return;
+    if (engine.speed === 'max') {
+      runBatch(Infinity);
+      emit();
+      schedule(0);
+      return;
+    }
+    const wall = now();
+    // a backlog beyond one wall second (slow ticks, a background tab) is dropped rather than caught up
+    carry = Math.min(carry + (wall - lastWall) / 1000 * engine.speed, Math.max(1, engine.speed));
+    lastWall = wall;
+    const due = Math.floor(carry);
+    if (due > 0) {
+      carry -= runBatch(due);
+      emit();
+    }
+    schedule(engine.speed <= 1000 / FRAME_MS ? Math.max(0, (1 - carry) / engine.speed * 1000) : FRAME_MS);
+  }
+
+  return {
+    play() {
+      if (engine.running) return;
+      engine.running = true;
+      lastWall = now();
+      carry = 0;
+      emit();
+      if (engine.target === null) schedule(engine.speed === 'max' ? 0 : 1000 / engine.speed);
+    },
+    pause() {
+      engine.running = false;
+      if (engine.target === null && timer !== null) { clearTimeout(timer); timer = null; }
+      emit();
+    },
+    // one simulated second while paused
+    step() {
+      if (engine.running || engine.target !== null) return;
+      engine.tSec += 1;
+      tick(engine.tSec);
+      emit();
+    },
+    setSpeed(speed) {
+      engine.speed = speed === 'max' ? 'max' : Math.min(1000, Math.max(1, Number(speed) || 1));
+      lastWall = now();
+      carry = 0;
+      emit();
+      if (engine.running && engine.target === null) schedule(0);
+    },
+    // run (or replay from 0) up to tSec, then continue in the current play state
+    seek(tSec) {
+      const target = Math.max(0, Math.round(tSec));
+      if (target < engine.tSec) {
+        engine.tSec = 0;
+        if (onReset) onReset();
+      }
+      if (target === engine.tSec) { emit(); return; }
+      engine.target = target;
+      emit();
+      schedule(0);
+    },
+    // back to t = 0 without replaying (the caller resets its own state)
+    reset() {
+      engine.tSec = 0;
+      engine.target = null;
+      carry = 0;
+      lastWall = now();
+      emit();
+    },
+    dispose() {
+      if (timer !== null) clearTimeout(timer);
+      timer = null;
+      engine.running = false;
+    },
+  };
+}
@@ -0,0 +1,90 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createSimEngine } from './simEngine.js';
+
+// a sim whose ticks read state written by earlier ticks: a receiver moved at t = 3 and fixed at t = 4, with
+// per-tick noise from a seeded generator
+function createSim() {
+  let seed = 1;
+  const live = { lat: 0, fixes: [] };
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  return {
+    live,
+    tick(t) {
+      if (t === 3) live.lat = 10;
+      if (t === 4 || t % 5 === 0) live.fixes.push({ t, lat: live.lat + random() });
+    },
+    reset() {
+      seed = 1;
+      live.lat = 0;
+      live.fixes = [];
+    },
+  };
+}
+
+describe('createSimEngine', () => {
+  beforeEach(() => { vi.useFakeTimers(); });
+  afterEach(() => { vi.useRealTimers(); });
+
+  it('starts paused at t = 0', () => {
+    const tick = vi.fn();
+    const engine = createSimEngine({ tick });
+    vi.advanceTimersByTime(5000);
+    expect(tick).not.toHaveBeenCalled();
+    engine.step();
+    expect(tick).toHaveBeenCalledWith(1);
+    engine.dispose();
+  });
+
+  it('runs one tick per second at 1x, in order', () => {
+    const ticks = [];
+    const engine = createSimEngine({ tick: (t) => ticks.push(t) });
+    engine.play();
+    vi.advanceTimersByTime(10000);
+    expect(ticks).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    engine.dispose();
+  });
+
+  it('replays the same run at 1x and when seeking', () => {
+    const paced = createSim();
+    const a = createSimEngine({ tick: paced.tick, onReset: paced.reset });
+    a.play();
+    vi.advanceTimersByTime(20000);
+    a.dispose();
+
+    const seeked = createSim();
+    const b = createSimEngine({ tick: seeked.tick, onReset: seeked.reset });
+    b.seek(20);
+    vi.runAllTimers();
+    expect(seeked.live.fixes).toEqual(paced.live.fixes);
+    expect(seeked.live.fixes[0]).toMatchObject({ t: 4 });
+    expect(seeked.live.fixes[0].lat).toBeGreaterThan(10);
+
+    // back to 12 replays from t = 0 after the reset, with the same noise
+    b.seek(12);
+    vi.runAllTimers();
+    expect(seeked.live.fixes).toEqual(paced.live.fixes.filter(f => f.t <= 12));
+    b.dispose();
+  });
+
+  it('resets before the first replayed tick of a backwards seek', () => {
+    const calls = [];
+    const engine = createSimEngine({ tick: (t) => calls.push(t), onReset: () => calls.push('reset') });
+    engine.seek(4);
+    vi.runAllTimers();
+    engine.seek(2);
+    expect(calls).toEqual([1, 2, 3, 4, 'reset']);
+    vi.runAllTimers();
+    expect(calls).toEqual([1, 2, 3, 4, 'reset', 1, 2]);
+    engine.dispose();
+  });
+
+  it('reports the clock through onState', () => {
+    const states = [];
+    const engine = createSimEngine({ tick: () => {}, onState: (s) => states.push(s) });
+    engine.seek(3);
+    expect(states.at(-1)).toMatchObject({ tSec: 0, seeking: true, running: false });
+    vi.runAllTimers();
+    expect(states.at(-1)).toMatchObject({ tSec: 3, seeking: false, running: false });
+    engine.dispose();
+  });
+});
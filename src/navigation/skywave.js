@@ -0,0 +1,81 @@
+// skywave.js - one-hop skywave: delay from path geometry and ionospheric height, day/night switching and
+// distance-dependent sky-to-ground ratio
+// The skywave reflects once off the ionosphere at the great-circle midpoint of the path (spherical earth, radius R,
+// reflection height h). With ground distance d and central half-angle theta = d / 2R the slant path is
+//   2 sqrt(R^2 + (R + h)^2 - 2 R (R + h) cos theta)
+// and the delay behind the groundwave is (slant path - d) / c. By day the D layer reflects near 70 km and absorbs
+// strongly; at night the reflection rises to the E layer near 90 km and absorption falls away. The switch follows
+// the solar zenith angle at the path midpoint, with a linear twilight between 90 and 102 degrees. The groundwave
+// attenuates faster with distance than the skywave, so the sky-to-ground ratio grows with distance:
+//   ratio (dB) = nightRatioDbAt1000Km + ratioSlopeDbPer1000Km (d - 1000 km) / 1000 km - dayAbsorptionDb dayFraction
+// Sim time 0 is startDayOfYear / startHourUtc.
+
+import { EARTH_RADIUS_M, haversine } from './geodesy.js';
+import { SPEED_OF_LIGHT } from './positioning.js';
+import { LORAN_CARRIER_HZ, STANDARD_ZERO_CROSSING_SEC, pulseEnvelope } from './loranPulse.js';
+
+export const DEFAULT_SKYWAVE = {
+  dayHeightKm: 70,
+  nightHeightKm: 90,
+  nightRatioDbAt1000Km: 3,
+  ratioSlopeDbPer1000Km: 15,
+  dayAbsorptionDb: 15,
+  minRatioDb: -40,
+  maxRatioDb: 25,
+  startDayOfYear: 0,
+  startHourUtc: 0,
+};
+
+const toRad = (d) => d * Math.PI / 180;
+const toDeg = (r) => r * 180 / Math.PI;
+
+// great-circle midpoint of two {lat,lng} points
+export function greatCircleMidpoint(a, b) {
+  const v = (p) => [Math.cos(toRad(p.lat)) * Math.cos(toRad(p.lng)), Math.cos(toRad(p.lat)) * Math.sin(toRad(p.lng)), Math.sin(toRad(p.lat))];
+  const [x1, y1, z1] = v(a), [x2, y2, z2] = v(b);
+  const x = x1 + x2, y = y1 + y2, z = z1 + z2;
+  return { lat: toDeg(Math.atan2(z, Math.hypot(x, y))), lng: toDeg(Math.atan2(y, x)) };
+}
+
+// solar zenith angle (degrees) at a point, dayOfYear fractional (UTC)
+export function solarZenithDeg(lat, lng, dayOfYear) {
+  const decl = toRad(-23.44) * Math.cos(2 * Math.PI * (dayOfYear + 10) / 365.25);
+  const utcHour = (dayOfYear - Math.floor(dayOfYear)) * 24;
+  const hourAngle = toRad(((utcHour + lng / 15 - 12) % 24) * 15);
+  const phi = toRad(lat);
+  const cosZ = Math.sin(phi) * Math.sin(decl) + Math.cos(phi) * Math.cos(decl) * Math.cos(hourAngle);
+  return toDeg(Math.acos(Math.max(-1, Math.min(1, cosZ))));
+}
+
+// 1 in full day, 0 in full night, linear through twilight
+export function dayFraction(zenithDeg) {
+  return Math.max(0, Math.min(1, (102 - zenithDeg) / 12));
+}
+
+// skywave of a station at a receiver point at sim time tSec
+// -> { delaySec (behind the groundwave), ratioDb, amplitudeRatio, heightKm, zenithDeg, dayFraction, distanceKm }
+export function skywaveFor(station, point, tSec, config = {}) {
+  const cfg = { ...DEFAULT_SKYWAVE, ...config };
+  const d = haversine(station, point);
+  const mid = greatCircleMidpoint(station, point);
+  const days = cfg.startDayOfYear + (cfg.startHourUtc * 3600 + (tSec || 0)) / 86400;
+  const zenithDeg = solarZenithDeg(mid.lat, mid.lng, days);
+  const day = dayFraction(zenithDeg);
+  const heightKm = cfg.nightHeightKm + (cfg.dayHeightKm - cfg.nightHeightKm) * day;
+  const R = EARTH_RADIUS_M, h = heightKm * 1000;
+  const theta = d / (2 * R);
+  const slant = 2 * Math.sqrt(R * R + (R + h) ** 2 - 2 * R * (R + h) * Math.cos(theta));
+  const ratioDb = Math.max(cfg.minRatioDb, Math.min(cfg.maxRatioDb,
+    cfg.nightRatioDbAt1000Km + cfg.ratioSlopeDbPer1000Km * (d / 1000 - 1000) / 1000 - cfg.dayAbsorptionDb * day));
+  return { delaySec: (slant - d) / SPEED_OF_LIGHT, ratioDb, amplitudeRatio: Math.pow(10, ratioDb / 20), heightKm, zenithDeg, dayFraction: day, distanceKm: d / 1000 };
+}
+
+// shift (s) of the standard zero crossing when a skywave (delaySec, amplitudeRatio) adds to the groundwave and the
+// receiver stays on the right cycle: the carrier phase of the sum at the 30 µs sampling point
+export function skywaveTrackingErrorSec(delaySec, amplitudeRatio) {
+  const w = 2 * Math.PI * LORAN_CARRIER_HZ;
+  const t = STANDARD_ZERO_CROSSING_SEC;
+  const g = pulseEnvelope(t), s = amplitudeRatio * pulseEnvelope(t - delaySec);
+  const phase = Math.atan2(-s * Math.sin(w * delaySec), g + s * Math.cos(w * delaySec));
+  return -phase / w;
+}
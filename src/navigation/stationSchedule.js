@@ -0,0 +1,68 @@
+// stationSchedule.js - transmitter state schedules: on air, off air, blink and degraded power over sim time
+// station.schedule: [{ state: 'off' | 'blink' | 'degraded', startSec, endSec, powerDb? }]; outside every window a
+// station is 'on'. Overlapping windows resolve off > blink > degraded.
+//  - off: nothing is radiated (no pulses, no DDS, no LOPs);
+//  - blink: the station transmits but signals "do not use" the Loran-C way: a secondary keys its first two pulses
+//    on for BLINK.onSec of every BLINK.periodSec, a master its ninth pulse; receivers drop it from their solution;
+//  - degraded: radiated power lowered by powerDb (default DEFAULT_DEGRADED_DB); still usable at its lower SNR.
+
+import { DEFAULT_POWER_KW } from './fieldStrength.js';
+
+export const STATION_STATES = ['on', 'off', 'blink', 'degraded'];
+export const BLINK = { periodSec: 4, onSec: 0.25 };
+export const DEFAULT_DEGRADED_DB = 6;
+
+const PRECEDENCE = ['off', 'blink', 'degraded'];
+
+// state of a station at tSec -> { state, powerDb, window } (window null while on)
+export function stationStateAt(station, tSec) {
+  const active = ((station && station.schedule) || []).filter(w => tSec >= w.startSec && tSec < w.endSec);
+  for (const state of PRECEDENCE) {
+    const w = active.find(a => a.state === state);
+    if (w) return { state, powerDb: state === 'degraded' ? (w.powerDb ?? DEFAULT_DEGRADED_DB) : 0, window: w };
+  }
+  return { state: 'on', powerDb: 0, window: null };
+}
+
+// the station as radiated at tSec (power lowered while degraded), or null while off the air
+export function transmittedStation(station, tSec) {
+  const { state, powerDb } = stationStateAt(station, tSec);
+  if (state === 'off') return null;
+  if (!powerDb) return station;
+  return {
+    ...station,
+    powerKw: (station.powerKw ?? DEFAULT_POWER_KW) * Math.pow(10, -powerDb / 10),
+    txDbm: (station.txDbm ?? 20) - powerDb,
+  };
+}
+
+// the station as a receiver may use it at tSec, or null while off the air or blinking
+export function usableStation(station, tSec) {
+  return stationStateAt(station, tSec).state === 'blink' ? null : transmittedStation(station, tSec);
+}
+
+// per-pulse gains of a blinking group at tSec (null when nothing is blanked): pulses 1-2 of a secondary or pulse 9
+// of a master are off outside the blink-on interval
+export function blinkPulseGains(role, tSec) {
+  const phase = ((tSec % BLINK.periodSec) + BLINK.periodSec) % BLINK.periodSec;
+  if (phase < BLINK.onSec) return null;
+  return role === 'master' ? [1, 1, 1, 1, 1, 1, 1, 1, 0] : [0, 0, 1, 1, 1, 1, 1, 1];
+}
+
+// contiguous state segments of a station over [0, untilSec] for a timeline -> [{ state, startSec, endSec }]
+export function stateSegments(station, untilSec) {
+  const edges = new Set([0, untilSec]);
+  for (const w of (station && station.schedule) || []) {
+    if (w.startSec > 0 && w.startSec < untilSec) edges.add(w.startSec);
+    if (w.endSec > 0 && w.endSec < untilSec) edges.add(w.endSec);
+  }
+  const ts = [...edges].sort((a, b) => a - b);
+  const out = [];
+  for (let i = 0; i + 1 < ts.length; i++) {
+    const { state } = stationStateAt(station, ts[i]);
+    const last = out[out.length - 1];
+    if (last && last.state === state) last.endSec = ts[i + 1];
+    else out.push({ state, startSec: ts[i], endSec: ts[i + 1] });
+  }
+  return out;
+}
@@ -0,0 +1,101 @@
+// timing.js - eLoran timing receiver: UTC recovery at a surveyed position, holdover and time-error statistics
+// With the antenna position known, every station TOA (on the receiver clock, less the published emission offset)
+// minus the geometric delay is a measurement of the receiver clock offset from the transmitted time scale; the
+// SNR-weighted mean over the tracked stations is steered into a second-order time filter (offset + rate, natural
+// period filterTimeConstantSec), which holds over on its last rate when no measurement is available. The TOA fixes
+// time only modulo the pulse structure: a receiver outputs UTC once it has decoded a DDS TIME message (whole UTC
+// seconds and leap seconds). The same filter on GNSS time comparisons gives the GNSS-timed receiver to compare
+// against, which holds over through GNSS outages.
+// Time error (TE) = recovered UTC - true UTC. MTIE(tau) is the largest peak-to-peak TE in any window of length tau;
+// TDEV(tau) follows ITU-T G.810 from the TE samples.
+
+import { SPEED_OF_LIGHT, geodesicDistance } from './positioning.js';
+
+export const DEFAULT_TIMING = { filterTimeConstantSec: 100, damping: 0.707, gnssTimeSigmaNs: 20 };
+
+// receiver clock offset (s) from TOAs at a known position
+// obs: [{ station, toaSec (receiver clock, emission offset removed), sigmaMeters }]
+// -> { offsetSec, sigmaSec, residualsSec, used } or null without observations
+export function clockOffsetFromToas(obs, position, options = {}) {
+  const { geodesicModel } = options;
+  if (obs.length === 0) return null;
+  let sw = 0, swx = 0;
+  const offsets = obs.map(o => {
+    const x = o.toaSec - geodesicDistance(o.station, position, geodesicModel) / SPEED_OF_LIGHT;
+    const w = 1 / ((o.sigmaMeters || 1) / SPEED_OF_LIGHT) ** 2;
+    sw += w; swx += w * x;
+    return x;
+  });
+  const offsetSec = swx / sw;
+  return { offsetSec, sigmaSec: 1 / Math.sqrt(sw), residualsSec: offsets.map(x => x - offsetSec), used: obs.map(o => o.station.label) };
+}
+
+export function createTimeFilter() {
+  return { tSec: null, offsetSec: 0, rateSec: 0, holdoverSinceSec: null };
+}
+
+// advance the filter to tSec and steer it with a measured clock offset (s), or hold over when it is null.
+// Returns the filter (mutated); holdoverSinceSec is set while no measurement has arrived since that time.
+export function timeFilterStep(filter, tSec, measuredOffsetSec, options = {}) {
+  const { filterTimeConstantSec, damping } = { ...DEFAULT_TIMING, ...options };
+  const has = typeof measuredOffsetSec === 'number' && Number.isFinite(measuredOffsetSec);
+  if (filter.tSec === null) {
+    if (!has) return filter;
+    Object.assign(filter, { tSec, offsetSec: measuredOffsetSec, rateSec: 0, holdoverSinceSec: null });
+    return filter;
+  }
+  const dt = tSec - filter.tSec;
+  filter.tSec = tSec;
+  filter.offsetSec += filter.rateSec * dt;
+  if (!has) {
+    if (filter.holdoverSinceSec === null) filter.holdoverSinceSec = tSec;
+    return filter;
+  }
+  filter.holdoverSinceSec = null;
+  const wn = 2 * Math.PI / Math.max(10 * Math.max(dt, 1e-3), filterTimeConstantSec);
+  const e = measuredOffsetSec - filter.offsetSec;
+  filter.offsetSec += Math.min(1, 2 * damping * wn * dt) * e;
+  filter.rateSec += wn * wn * dt * e;
+  return filter;
+}
+
+// TE samples at tau0 spacing (s) -> MTIE at octave observation intervals: [{ tauSec, mtieSec }]
+export function mtie(te, tau0) {
+  const out = [];
+  const N = te.length;
+  for (let n = 1; n < N; n *= 2) {
+    // sliding window of n + 1 samples, max and min by monotone deques
+    const maxQ = [], minQ = [];
+    let best = 0;
+    for (let i = 0; i < N; i++) {
+      while (maxQ.length && te[maxQ[maxQ.length - 1]] <= te[i]) maxQ.pop();
+      while (minQ.length && te[minQ[minQ.length - 1]] >= te[i]) minQ.pop();
+      maxQ.push(i); minQ.push(i);
+      if (maxQ[0] <= i - n - 1) maxQ.shift();
+      if (minQ[0] <= i - n - 1) minQ.shift();
+      if (i >= n) best = Math.max(best, te[maxQ[0]] - te[minQ[0]]);
+    }
+    out.push({ tauSec: n * tau0, mtieSec: best });
+  }
+  return out;
+}
+
+// TE samples at tau0 spacing (s) -> TDEV at octave observation intervals: [{ tauSec, tdevSec }]
+//   TVAR(n tau0) = 1 / (6 n^2 (N - 3n + 1)) sum_j [ sum_{i=j}^{j+n-1} (x_{i+2n} - 2 x_{i+n} + x_i) ]^2
+export function tdev(te, tau0) {
+  const out = [];
+  const N = te.length;
+  for (let n = 1; 3 * n <= N - 1; n *= 2) {
+    const d = (i) => te[i + 2 * n] - 2 * te[i + n] + te[i];
+    let s = 0;
+    for (let i = 0; i < n; i++) s += d(i);
+    let acc = s * s;
+    const M = N - 3 * n + 1;
+    for (let j = 1; j < M; j++) {
+      s += d(j + n - 1) - d(j - 1);
+      acc += s * s;
+    }
+    out.push({ tauSec: n * tau0, tdevSec: Math.sqrt(acc / (6 * n * n * M)) });
+  }
+  return out;
+}
@@ -0,0 +1,103 @@
+// trajectory.js - receiver trajectories for moving-receiver simulations
+// A trajectory is { points: [{ lat, lng, tSec }] } with tSec increasing, measured on the simulation clock.
+// Built from clicked waypoints plus a speed, or imported from GPX (<trkpt>/<rtept>/<wpt>) or CSV tracks.
+
+import { haversine } from './positioning.js';
+
+// time-stamp waypoints at constant speed starting at startSec
+export function trajectoryFromWaypoints(waypoints, speedMps, startSec = 0) {
+  if (!Array.isArray(waypoints) || waypoints.length === 0) return null;
+  const v = Math.max(1e-6, speedMps || 0);
+  let t = startSec;
+  const points = waypoints.map((p, i) => {
+    if (i > 0) t += haversine(waypoints[i - 1], p) / v;
+    return { lat: p.lat, lng: p.lng, tSec: t };
+  });
+  return { points };
+}
+
+// shift a trajectory so that it starts at startSec (imported tracks keep their relative timing)
+export function retimeTrajectory(trajectory, startSec) {
+  if (!trajectory || trajectory.points.length === 0) return trajectory;
+  const t0 = trajectory.points[0].tSec;
+  return { ...trajectory, points: trajectory.points.map(p => ({ ...p, tSec: p.tSec - t0 + startSec })) };
+}
+
+// points without usable times are timed at speedMps; points with times keep them (relative to the first)
+function finishTrack(raw, speedMps) {
+  if (raw.length < 2) throw new Error('track needs at least 2 points');
+  const hasTime = raw.every(p => typeof p.time === 'number' && !Number.isNaN(p.time));
+  if (!hasTime) return trajectoryFromWaypoints(raw, speedMps, 0);
+  const t0 = raw[0].time;
+  const points = raw.map(p => ({ lat: p.lat, lng: p.lng, tSec: p.time - t0 }));
+  for (let i = 1; i < points.length; i++) {
+    if (!(points[i].tSec > points[i - 1].tSec)) throw new Error(`track times must increase (point ${i + 1})`);
+  }
+  return { points };
+}
+
+// GPX 1.1 track/route/waypoint points; <time> children (ISO 8601) are used when every point has one
+export function parseGpxTrack(text, speedMps) {
+  const raw = [];
+  const re = /<(trkpt|rtept|wpt)\b([^>]*?)(\/>|>([\s\S]*?)<\/\1>)/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const attrs = m[2];
+    const lat = parseFloat((/\blat\s*=\s*["']([^"']+)["']/.exec(attrs) || [])[1]);
+    const lng = parseFloat((/\blon\s*=\s*["']([^"']+)["']/.exec(attrs) || [])[1]);
+    if (Number.isNaN(lat) || Number.isNaN(lng)) continue;
+    const timeMatch = m[4] ? /<time>([^<]+)<\/time>/.exec(m[4]) : null;
+    raw.push({ lat, lng, time: timeMatch ? Date.parse(timeMatch[1].trim()) / 1000 : undefined });
+  }
+  if (raw.length === 0) throw new Error('no <trkpt>, <rtept> or <wpt> points found');
+  return finishTrack(raw, speedMps);
+}
+
+// CSV with lat,lng (or lon) and optional t (seconds) or time (ISO 8601) columns
+export function parseTrackCsv(text, speedMps) {
+  const rows = text.split(/\r?\n/).filter(l => l.trim() !== '' && !l.trim().startsWith('#'));
+  if (rows.length < 2) throw new Error('CSV track has no data rows');
+  const header = rows[0].split(',').map(h => h.trim().toLowerCase());
+  const iLat = header.indexOf('lat');
+  const iLng = header.indexOf('lng') >= 0 ? header.indexOf('lng') : header.indexOf('lon');
+  const iT = header.indexOf('t');
+  const iTime = header.indexOf('time');
+  if (iLat < 0 || iLng < 0) throw new Error('CSV track needs lat and lng columns');
+  const raw = rows.slice(1).map((row, r) => {
+    const cols = row.split(',');
+    const lat = parseFloat(cols[iLat]), lng = parseFloat(cols[iLng]);
+    if (Number.isNaN(lat) || Number.isNaN(lng)) throw new Error(`Row ${r + 2}: invalid coords`);
+    let time;
+    if (iT >= 0) time = parseFloat(cols[iT]);
+    else if (iTime >= 0) time = Date.parse((cols[iTime] || '').trim()) / 1000;
+    return { lat, lng, time };
+  });
+  return finishTrack(raw, speedMps);
+}
+
+export function parseTrack(text, fileName = '', speedMps = 10) {
+  if (/\.gpx$/i.test(fileName) || /<gpx[\s>]/i.test(text)) return parseGpxTrack(text, speedMps);
+  return parseTrackCsv(text, speedMps);
+}
+
+// true position and velocity (m/s east/north) at tSec; holds the end points outside the time span
+export function trajectoryStateAt(trajectory, tSec) {
+  const pts = trajectory.points;
+  if (tSec <= pts[0].tSec) return { lat: pts[0].lat, lng: pts[0].lng, ve: 0, vn: 0 };
+  const last = pts[pts.length - 1];
+  if (tSec >= last.tSec) return { lat: last.lat, lng: last.lng, ve: 0, vn: 0 };
+  let i = 1;
+  while (pts[i].tSec < tSec) i++;
+  const a = pts[i - 1], b = pts[i];
+  const dt = b.tSec - a.tSec;
+  const f = (tSec - a.tSec) / dt;
+  const lat = a.lat + f * (b.lat - a.lat);
+  const lng = a.lng + f * (b.lng - a.lng);
+  const mPerDegLat = 111320;
+  const mPerDegLng = 111320 * Math.cos(lat * Math.PI / 180);
+  return { lat, lng, ve: (b.lng - a.lng) * mPerDegLng / dt, vn: (b.lat - a.lat) * mPerDegLat / dt };
+}
+
+export function trajectoryEndSec(trajectory) {
+  return trajectory.points[trajectory.points.length - 1].tSec;
+}
@@ -1,6 +1,9 @@
 // asfWorker.js - small sandboxed worker to evaluate ASF code safely
-// Message: { type: 'eval', payload: { code, lat, lng } }
+// Message: { type: 'eval', payload: { code, lat, lng, t } } (t = simulation time, s)
 // Responds: { type: 'result', payload: { value } }
+// Also samples rasters: 'sampleBatch' (user code at payload.tSec) and 'sampleModel' (built-in SPF/Millington model)
+
+import { asfMetersFromModel } from '../navigation/asfModel.js';
 
 self.onmessage = function(e) {
   const msg = e.data;
@@ -8,12 +11,11 @@ self.onmessage = function(e) {
 
   // single-point eval (backwards-compatible)
   if (msg.type === 'eval') {
-    const { code, lat, lng } = msg.payload;
+    const { code, lat, lng, t = 0 } = msg.payload;
     try {
       // Wrap code into a function and execute
-      // eslint-disable-next-line no-new-func
-      const fn = new Function('lat','lng', 'with(Math){ ' + code + ' }');
-      const value = fn(lat, lng);
+      const fn = new Function('lat','lng','t', 'with(Math){ ' + code + ' }');
+      const value = fn(lat, lng, t);
       self.postMessage({ type: 'result', payload: { value: Number(value) || 0 } });
     } catch (err) {
       self.postMessage({ type: 'error', payload: { message: err.message } });
@@ -23,11 +25,10 @@ self.onmessage = function(e) {
 
   // batched sampling over arrays of lat/lng (for pre-sampling rasters)
   if (msg.type === 'sampleBatch') {
-    const { code, lats, lngs, nx, ny } = msg.payload;
+    const { code, lats, lngs, nx, ny, tSec = 0 } = msg.payload;
     try {
-      // create function from supplied code. Code runs with (lat,lng) and may reference Math
-      // eslint-disable-next-line no-new-func
-      const fn = new Function('lat','lng', 'with(Math){ ' + code + ' }');
+      // create function from supplied code. Code runs with (lat,lng,t) and may reference Math
+      const fn = new Function('lat','lng','t', 'with(Math){ ' + code + ' }');
 
       // lats/lngs may be transferred as ArrayBuffer - ensure typed arrays
       const latArr = (lats instanceof Float64Array) ? lats : new Float64Array(lats);
@@ -36,9 +37,9 @@ self.onmessage = function(e) {
       const out = new Float32Array(n);
       for (let i = 0; i < n; i++) {
         try {
-          const v = fn(latArr[i], lngArr[i]);
+          const v = fn(latArr[i], lngArr[i], tSec);
           out[i] = Number(v) || 0;
-        } catch (err) {
+        } catch {
           out[i] = 0;
         }
       }
@@ -49,4 +50,20 @@ self.onmessage = function(e) {
     }
     return;
   }
+
+  // batched sampling of the built-in physics ASF model for one transmitter
+  if (msg.type === 'sampleModel') {
+    const { model, station, lats, lngs, nx, ny } = msg.payload;
+    try {
+      const latArr = (lats instanceof Float64Array) ? lats : new Float64Array(lats);
+      const lngArr = (lngs instanceof Float64Array) ? lngs : new Float64Array(lngs);
+      const n = (nx || 0) * (ny || 0) || latArr.length;
+      const out = new Float32Array(n);
+      for (let i = 0; i < n; i++) out[i] = asfMetersFromModel(station, latArr[i], lngArr[i], model) || 0;
+      self.postMessage({ type: 'result', payload: { buffer: out.buffer, nx, ny } }, [out.buffer]);
+    } catch (err) {
+      self.postMessage({ type: 'error', payload: { message: err && err.message ? err.message : String(err) } });
+    }
+    return;
+  }
 };
@@ -1,50 +1,19 @@
 // gridWorker.js - module worker for heavy grid computation
-// Receives message: { type: 'computeGrid', payload: { mMeters, sMeters, gridBounds, nx, ny, simTimeSec } }
+// Receives message: { type: 'computeGrid', payload: { mMeters, sMeters, gridBounds, nx, ny, simTimeSec, asfRasters, geodesicModel } }
 // Returns: { type: 'result', maps: [{ masterIndex, slaveIndex, nx, ny, gridBuffer }], contours: [{ masterIndex, slaveIndex, points: [[x,y],...], levelSeconds: 0 }], gridBounds }
+// The result also carries dop: { nx, ny, hdopBuffer }, the HDOP of a fix from all pairs per grid point (dop.js).
+// Optional payload.coverage = { stations, noise } adds coverage: { nx, ny, countsBuffer } to the result: per grid point
+// the number of stations whose field-strength SNR reaches noise.thresholdDb (see fieldStrength.js).
+// Stations may carry an asfTemporal config (see asfTemporal.js); ASF rasters are sampled at simTimeSec and the
+// temporal variation is evaluated here at the same time, so the grid matches the main thread at that instant.
 
-// Note: worker does not depend on proj4; it operates in meter coordinates and returns contour points in meter coordinates
+// Note: worker does not depend on proj4; grid cells are EPSG:3857 meters, converted to lat/lng with the
+// shared inverse mercator so arrival times use the same geodesic/timing helpers as the main thread.
+// Contour points are returned in meter coordinates.
 
-function haversineMeters(a, b) {
-  // approximate by haversine on lat/lng if a and b have lat/lng, otherwise if they are meter coords, compute Euclidean
-  if (a.lat !== undefined && b.lat !== undefined) {
-    const R = 6371000;
-    const toRad = (d) => d * Math.PI / 180;
-    const dLat = toRad(b.lat - a.lat);
-    const dLon = toRad(b.lng - a.lng);
-    const lat1 = toRad(a.lat);
-    const lat2 = toRad(b.lat);
-    const h = Math.sin(dLat/2)**2 + Math.cos(lat1)*Math.cos(lat2)*Math.sin(dLon/2)**2;
-    return 2 * R * Math.asin(Math.sqrt(h));
-  }
-  // meter coordinates
-  return Math.hypot(a.x - b.x, a.y - b.y);
-}
-
-function simulateClockTick(clock, tSec) {
-  return (clock && clock.biasSec || 0) + (clock && clock.driftPerSec || 0) * tSec;
-}
-
-const C = 299792458;
-
-function computeArrivalSecLocal(station, lat, lng, simTimeSec) {
-  // station may have lat/lng or x/y; prefer lat/lng if available
-  let dist = 0;
-  if (station.lat !== undefined && station.lng !== undefined) {
-    dist = haversineMeters({ lat: station.lat, lng: station.lng }, { lat, lng });
-  } else if (station.x !== undefined && station.y !== undefined) {
-    // convert target lat/lng? In worker we will call with meter coords (x,y) and target x,y
-    dist = Math.hypot(station.x - lat, station.y - lng);
-  }
-  const geoDelay = dist / C;
-  const clockOffset = simulateClockTick(station.clock || { biasSec:0, driftPerSec:0 }, simTimeSec) || 0;
-  const offsetSec = station.offsetSec || 0;
-  let asfMeters = 0;
-  // worker does not execute user ASF functions for safety; ASF supplied only as constant avgMeters in diffCorrections or external preprocessing
-  if (station.asfMeters !== undefined) asfMeters = station.asfMeters || 0;
-  let diffCorrMeters = 0;
-  if (station.diffCorrections && station.diffCorrections.enabled) diffCorrMeters = station.diffCorrections.avgMeters || 0;
-  return geoDelay + offsetSec + clockOffset + (asfMeters - diffCorrMeters) / C;
-}
+import { SPEED_OF_LIGHT, computeArrivalSec, pairConstantSec, webMercatorToLatLng } from '../navigation/positioning.js';
+import { coverageCountAt } from '../navigation/fieldStrength.js';
+import { gridHdop } from '../navigation/dop.js';
 
 // Simple marching squares zero-level extraction for a grid of values (tdoa seconds)
 function marchingSquaresZero(xs, ys, grid, nx, ny, gridBounds) {
@@ -89,7 +58,7 @@ function marchingSquaresZero(xs, ys, grid, nx, ny, gridBounds) {
 self.onmessage = function(e) {
   const msg = e.data;
   if (!msg || msg.type !== 'computeGrid') return;
-  const { mMeters, sMeters, gridBounds, nx, ny, simTimeSec, asfRasters } = msg.payload;
+  const { mMeters, sMeters, gridBounds, nx, ny, simTimeSec, asfRasters, geodesicModel, coverage } = msg.payload;
   const nxv = nx, nyv = ny;
   const dx = (gridBounds.maxX - gridBounds.minX) / (nxv - 1);
   const dy = (gridBounds.maxY - gridBounds.minY) / (nyv - 1);
@@ -104,31 +73,17 @@ self.onmessage = function(e) {
     for (let si=0; si<sMeters.length; si++){
       const grid = new Float32Array(nxv * nyv);
       // compute pair constant corrections to remove global clock/offset bias so contours reflect geometry
-      const masterClock = mMeters[mi].clock || { biasSec: 0, driftPerSec: 0 };
-      const slaveClock = sMeters[si].clock || { biasSec: 0, driftPerSec: 0 };
-      const masterClockOffset = (masterClock.biasSec || 0) + (masterClock.driftPerSec || 0) * simTimeSec;
-      const slaveClockOffset = (slaveClock.biasSec || 0) + (slaveClock.driftPerSec || 0) * simTimeSec;
-      const masterOffsetSec = mMeters[mi].offsetSec || 0;
-      const slaveOffsetSec = sMeters[si].offsetSec || 0;
-      const pairConstSec = (slaveClockOffset + slaveOffsetSec) - (masterClockOffset + masterOffsetSec);
+      const pairConstSec = pairConstantSec(mMeters[mi], sMeters[si], simTimeSec);
       let idx = 0;
       for (let j=0;j<nyv;j++){
         const y = gridBounds.minY + j*dy;
         for (let i=0;i<nxv;i++, idx++){
           const x = gridBounds.minX + i*dx;
-          // compute per-station ASF meters from raster if available, otherwise use station.asfMeters
-          let asfM = 0;
-          if (asfArrays[mi]) asfM = asfArrays[mi][idx] || 0;
-          else if (mMeters[mi].asfMeters !== undefined) asfM = mMeters[mi].asfMeters || 0;
-          let asfS = 0;
-          if (asfArrays[si]) asfS = asfArrays[si][idx] || 0;
-          else if (sMeters[si].asfMeters !== undefined) asfS = sMeters[si].asfMeters || 0;
-
-          // compute arrival seconds using local geometry and provided ASF per-point
-          const distM = (mMeters[mi].lat !== undefined && mMeters[mi].lng !== undefined) ? haversineMeters({lat:mMeters[mi].lat,lng:mMeters[mi].lng}, {x,y}) : Math.hypot(mMeters[mi].x - x, mMeters[mi].y - y);
-          const distS = (sMeters[si].lat !== undefined && sMeters[si].lng !== undefined) ? haversineMeters({lat:sMeters[si].lat,lng:sMeters[si].lng}, {x,y}) : Math.hypot(sMeters[si].x - x, sMeters[si].y - y);
-          const arrivalM = (distM / C) + (mMeters[mi].offsetSec || 0) + simulateClockTick(mMeters[mi].clock || {biasSec:0,driftPerSec:0}, simTimeSec) + (asfM - (mMeters[mi].diffCorrections && mMeters[mi].diffCorrections.enabled ? (mMeters[mi].diffCorrections.avgMeters||0) : 0)) / C;
-          const arrivalS = (distS / C) + (sMeters[si].offsetSec || 0) + simulateClockTick(sMeters[si].clock || {biasSec:0,driftPerSec:0}, simTimeSec) + (asfS - (sMeters[si].diffCorrections && sMeters[si].diffCorrections.enabled ? (sMeters[si].diffCorrections.avgMeters||0) : 0)) / C;
+          const { lat, lng } = webMercatorToLatLng(x, y);
+          // master ASF from its pre-sampled raster if available, otherwise station.asfMeters
+          const mOpt = asfArrays[mi] ? { geodesicModel, asfMeters: asfArrays[mi][idx] || 0 } : { geodesicModel };
+          const arrivalM = computeArrivalSec(mMeters[mi], lat, lng, simTimeSec, mOpt);
+          const arrivalS = computeArrivalSec(sMeters[si], lat, lng, simTimeSec, { geodesicModel });
           // remove pair constant clock/offset so contours are based on geometric + ASF/diff variations
           grid[idx] = (arrivalS - arrivalM) - pairConstSec; // seconds
         }
@@ -143,6 +98,26 @@ self.onmessage = function(e) {
     }
   }
 
+  // geometric dilution from the TDOA grids (seconds -> meters)
+  const hdop = gridHdop(maps.map(m => ({ masterIndex: m.masterIndex, slaveIndex: m.slaveIndex, data: new Float32Array(m.gridBuffer) })), nxv, nyv, gridBounds, SPEED_OF_LIGHT);
+  const dop = { nx: nxv, ny: nyv, hdopBuffer: hdop.buffer };
+
+  // stations above the SNR threshold per grid point
+  let coverageResult = null;
+  if (coverage) {
+    const counts = new Uint8Array(nxv * nyv);
+    let idx = 0;
+    for (let j = 0; j < nyv; j++) {
+      const y = gridBounds.minY + j * dy;
+      for (let i = 0; i < nxv; i++, idx++) {
+        counts[idx] = coverageCountAt(coverage.stations, webMercatorToLatLng(gridBounds.minX + i * dx, y), simTimeSec, coverage.noise);
+      }
+    }
+    coverageResult = { nx: nxv, ny: nyv, countsBuffer: counts.buffer };
+  }
+
   // post result, transferring grid buffers
-  self.postMessage({ type: 'result', payload: { maps, contours, gridBounds } }, maps.flatMap(m => [m.gridBuffer]));
+  const transfer = [...maps.map(m => m.gridBuffer), dop.hdopBuffer];
+  if (coverageResult) transfer.push(coverageResult.countsBuffer);
+  self.postMessage({ type: 'result', payload: { maps, contours, gridBounds, coverage: coverageResult, dop } }, transfer);
 };
@@ -0,0 +1,321 @@
+// lopWorker.js - module worker for the Loran-C simulator
+// Computes TDOA grids (dS - dM, meters) for master/slave pairs and extracts LOP contours with marching squares.
+// Receives: { cmd: 'computeGrid', data: { gridBounds, nx, ny, masters, slaves, receivers, freq, levelsMeters, geodesicModel, pairs } }
+// pairs: optional [{ masterIndex, slaveIndex, emissionDelaySec }] (same-chain pairs); every master x slave when omitted
+// Returns: { cmd: 'gridResult', tdoaMaps, contours, receivers, dop: { nx, ny, hdop } } | { cmd: 'cancelled' } | { cmd: 'error', message }
+// dop.hdop is the HDOP of a fix from all pairs per grid point (ArrayBuffer of Float32, see dop.js)
+
+import { SPEED_OF_LIGHT, geodesicDistance, webMercatorToLatLng } from '../navigation/positioning.js';
+import { gridHdop } from '../navigation/dop.js';
+
+const C = SPEED_OF_LIGHT;
+
+// Edge indices: 0=bottom (between v00-v10), 1=right (v10-v11), 2=top (v11-v01), 3=left (v01-v00)
+const EDGE_PAIRS_BY_CASE = {
+  1: [[0,3]],
+  2: [[0,1]],
+  3: [[1,3]],
+  4: [[1,2]],
+  5: [[0,1],[2,3]], // ambiguous
+  6: [[0,2]],
+  7: [[2,3]],
+  8: [[2,3]],
+  9: [[0,2]],
+  10: [[0,3],[1,2]], // ambiguous
+  11: [[1,2]],
+  12: [[1,3]],
+  13: [[0,1]],
+  14: [[0,3]],
+};
+
+let cancelled = false;
+self.addEventListener('message', function(e){
+  const data = e.data || {};
+  if (data && data.cmd === 'cancel') { cancelled = true; return; }
+  if (!data || data.cmd !== 'computeGrid') return;
+  cancelled = false;
+
+  try {
+    const payload = data.data;
+    const {
+      gridBounds, nx, ny,
+      masters = [], slaves = [], receivers = [],
+      levelsMeters, geodesicModel, pairs
+    } = payload || {};
+
+    // Basic validation
+    if (!gridBounds || typeof nx !== 'number' || typeof ny !== 'number') {
+      self.postMessage({ cmd: 'error', message: 'invalid grid parameters' });
+      return;
+    }
+    if (!Array.isArray(masters) || !Array.isArray(slaves)) {
+      self.postMessage({ cmd: 'error', message: 'masters/slaves must be arrays' });
+      return;
+    }
+    const dx = (gridBounds.maxX - gridBounds.minX) / (nx - 1);
+    const dy = (gridBounds.maxY - gridBounds.minY) / (ny - 1);
+
+    // Precompute x and y coordinates for the grid (avoid recomputing in loops)
+    const xs = new Float64Array(nx);
+    const ys = new Float64Array(ny);
+    for (let i = 0; i < nx; i++) xs[i] = gridBounds.minX + i * dx;
+    for (let j = 0; j < ny; j++) ys[j] = gridBounds.minY + j * dy;
+
+    // lat/lng of every cell so distances use the shared geodesic model (stations carry lat/lng)
+    const cells = new Array(nx * ny);
+    for (let j = 0, k = 0; j < ny; j++) {
+      for (let i = 0; i < nx; i++, k++) cells[k] = webMercatorToLatLng(xs[i], ys[j]);
+    }
+
+    // Helper: interpolation between two points (x1,y1,v1) - (x2,y2,v2) at level
+    function interp(x1,y1,v1,x2,y2,v2, level) {
+      const denom = v2 - v1;
+      const t = Math.abs(denom) < 1e-12 ? 0.5 : ((level - v1) / denom);
+      return [ x1 + t * (x2 - x1), y1 + t * (y2 - y1) ];
+    }
+
+    const pairList = Array.isArray(pairs)
+      ? pairs
+      : masters.flatMap((m, mi) => slaves.map((s, si) => ({ masterIndex: mi, slaveIndex: si, emissionDelaySec: 0 })));
+
+    // Compute TDOA grids (Float32) for each master/slave pair
+    const tdoaMaps = [];
+    for (const pair of pairList) {
+      if (cancelled) break;
+      const m = masters[pair.masterIndex];
+      const s = slaves[pair.slaveIndex];
+      if (!m || !s) continue;
+      const grid = new Float32Array(nx * ny);
+      let idx = 0;
+      for (let j = 0; j < ny; j++) {
+        for (let i = 0; i < nx; i++, idx++) {
+          const dM = geodesicDistance(m, cells[idx], geodesicModel);
+          const dS = geodesicDistance(s, cells[idx], geodesicModel);
+          grid[idx] = dS - dM;
+        }
+      }
+      tdoaMaps.push({
+        masterIndex: pair.masterIndex,
+        slaveIndex: pair.slaveIndex,
+        emissionDelaySec: pair.emissionDelaySec || 0,
+        nx, ny,
+        gridBounds,
+        data: grid.buffer
+      });
+    }
+
+    if (cancelled) {
+      self.postMessage({ cmd: 'cancelled' });
+      return;
+    }
+
+    // Default levels if not provided
+    const levels = (Array.isArray(levelsMeters) && levelsMeters.length) ?
+      levelsMeters.slice() : [-5000, -3000, -1000, 0, 1000, 3000, 5000];
+
+    // Marching squares contour extraction optimized
+    function extractContoursFromFloat32(gridFloat32, nx_, ny_, bounds, levelsArr) {
+      const contoursOut = [];
+      const gridNx = nx_, gridNy = ny_;
+      const cellDx = (bounds.maxX - bounds.minX) / (gridNx - 1);
+      const cellDy = (bounds.maxY - bounds.minY) / (gridNy - 1);
+      const eps = Math.max(cellDx, cellDy) * 0.5;
+      const quant = eps * 0.5; // quantization tolerance for endpoint hashing
+
+      // quick access
+      const get = (i, j) => gridFloat32[j * gridNx + i];
+
+      for (const level of levelsArr) {
+        if (cancelled) break;
+        // segments as flat arrays of 4 numbers [x1,y1,x2,y2]
+        const segments = [];
+
+        // iterate cells
+        for (let j = 0; j < gridNy - 1; j++) {
+          const y0 = bounds.minY + j * cellDy;
+          const y1 = bounds.minY + (j + 1) * cellDy;
+          for (let i = 0; i < gridNx - 1; i++) {
+            const x0 = bounds.minX + i * cellDx;
+            const x1 = bounds.minX + (i + 1) * cellDx;
+
+            const v00 = get(i, j);     // lower-left
+            const v10 = get(i+1, j);   // lower-right
+            const v11 = get(i+1, j+1); // upper-right
+            const v01 = get(i, j+1);   // upper-left
+
+            let idxCase = 0;
+            if (v00 >= level) idxCase |= 1;
+            if (v10 >= level) idxCase |= 2;
+            if (v11 >= level) idxCase |= 4;
+            if (v01 >= level) idxCase |= 8;
+
+            if (idxCase === 0 || idxCase === 15) continue;
+
+            const edgePairs = EDGE_PAIRS_BY_CASE[idxCase];
+            if (!edgePairs) continue;
+
+            // For ambiguous cases (5,10) use center value to decide (classic disambiguation)
+            let resolvedPairs = edgePairs;
+            if ((idxCase === 5 || idxCase === 10) && edgePairs.length === 2) {
+              const center = (v00 + v10 + v11 + v01) * 0.25;
+              // if center >= level, connect diagonally one way, else the other
+              if (center >= level) {
+                resolvedPairs = (idxCase === 5) ? [[0,1]] : [[0,3]];
+              } else {
+                resolvedPairs = (idxCase === 5) ? [[2,3]] : [[1,2]];
+              }
+            }
+
+            // compute intersection points for required edges
+            // bottom edge between (x0,y0) v00 and (x1,y0) v10  => edge 0
+            // right edge between (x1,y0) v10 and (x1,y1) v11   => edge 1
+            // top edge between (x1,y1) v11 and (x0,y1) v01     => edge 2
+            // left edge between (x0,y1) v01 and (x0,y0) v00    => edge 3
+            const edgePoint = new Array(4);
+            function computeEdgePoint(e) {
+              if (edgePoint[e]) return edgePoint[e];
+              switch (e) {
+                case 0: return edgePoint[0] = interp(x0,y0,v00,x1,y0,v10, level);
+                case 1: return edgePoint[1] = interp(x1,y0,v10,x1,y1,v11, level);
+                case 2: return edgePoint[2] = interp(x1,y1,v11,x0,y1,v01, level);
+                case 3: return edgePoint[3] = interp(x0,y1,v01,x0,y0,v00, level);
+              }
+            }
+
+            for (const pair of resolvedPairs) {
+              const pA = computeEdgePoint(pair[0]);
+              const pB = computeEdgePoint(pair[1]);
+              segments.push([pA[0], pA[1], pB[0], pB[1]]);
+            }
+          }
+        } // end cells
+
+        if (segments.length === 0) continue;
+
+        // Build endpoint map to join segments quickly (quantize endpoints into string keys)
+        const endpointMap = new Map(); // key -> array of segment indices and side (0=start,1=end)
+        function keyFor(x, y) {
+          const qx = Math.round(x / quant);
+          const qy = Math.round(y / quant);
+          return qx + ':' + qy;
+        }
+
+        for (let si = 0; si < segments.length; si++) {
+          const s = segments[si];
+          const k1 = keyFor(s[0], s[1]);
+          const k2 = keyFor(s[2], s[3]);
+          if (!endpointMap.has(k1)) endpointMap.set(k1, []);
+          endpointMap.get(k1).push([si, 0]);
+          if (!endpointMap.has(k2)) endpointMap.set(k2, []);
+          endpointMap.get(k2).push([si, 1]);
+        }
+
+        const used = new Uint8Array(segments.length);
+        const polylines = [];
+
+        // Iterate segments, start from endpoints with degree 1 first (open polylines), then close loops
+        const degrees = new Map();
+        for (const [k, arr] of endpointMap) degrees.set(k, arr.length);
+
+        function walkFrom(segIdx, fromSide) {
+          const poly = [];
+          let curSeg = segIdx;
+          let curSide = fromSide; // 0 means we're at segment start, 1 at segment end
+          // push starting point (the point at curSide)
+          const s = segments[curSeg];
+          const startPt = curSide === 0 ? [s[0], s[1]] : [s[2], s[3]];
+          poly.push(startPt);
+
+          while (curSeg !== null && !used[curSeg]) {
+            used[curSeg] = 1;
+            const s2 = segments[curSeg];
+            const nextPt = curSide === 0 ? [s2[2], s2[3]] : [s2[0], s2[1]];
+            poly.push(nextPt);
+
+            // find next segment connected to nextPt (excluding current segment)
+            const k = keyFor(nextPt[0], nextPt[1]);
+            const candidates = endpointMap.get(k) || [];
+            let nextPair = null;
+            for (const [si, side] of candidates) {
+              if (si === curSeg) continue;
+              if (!used[si]) { nextPair = [si, side]; break; }
+            }
+            if (!nextPair) {
+              // no continuation
+              curSeg = null;
+              break;
+            } else {
+              curSeg = nextPair[0];
+              // if nextPair.side === 0 the current endpoint matches that segment's start, so we arrived at side 0; to move forward we need to flip side
+              curSide = nextPair[1];
+              // arrival side indicates which endpoint matched; to move along that segment we should then traverse from that side.
+              // continue loop
+            }
+          }
+          return poly;
+        }
+
+        // First, walk from endpoints with degree 1 to form open polylines
+        for (const [k, deg] of degrees) {
+          if (deg !== 1) continue;
+          const arr = endpointMap.get(k) || [];
+          for (const [si, side] of arr) {
+            if (used[si]) continue;
+            const poly = walkFrom(si, side);
+            if (poly.length > 1) polylines.push(poly);
+          }
+        }
+
+        // Then walk any remaining segments (closed loops)
+        for (let si = 0; si < segments.length; si++) {
+          if (used[si]) continue;
+          const poly = walkFrom(si, 0);
+          if (poly.length > 1) polylines.push(poly);
+        }
+
+        // Save polylines as contour objects (points arrays)
+        for (const poly of polylines) {
+          // poly is array of [x,y] points
+          contoursOut.push({ levelMeters: level, levelSeconds: level / C, points: poly });
+        }
+      } // end levels
+
+      return contoursOut;
+    }
+
+    // Build contours across each tdoaMap
+    const contours = [];
+    for (const m of tdoaMaps) {
+      if (cancelled) break;
+      const grid = new Float32Array(m.data);
+      const polyContours = extractContoursFromFloat32(grid, m.nx, m.ny, m.gridBounds, levels);
+      // attach indices for consumer
+      polyContours.forEach(pc => {
+        contours.push({
+          masterIndex: m.masterIndex,
+          slaveIndex: m.slaveIndex,
+          levelMeters: pc.levelMeters,
+          levelSeconds: pc.levelSeconds,
+          tdSec: m.emissionDelaySec + pc.levelSeconds, // observed TD of the LOP (emission delay included)
+          points: pc.points
+        });
+      });
+    }
+
+    if (cancelled) {
+      self.postMessage({ cmd: 'cancelled' });
+      return;
+    }
+
+    // geometric dilution of the combined fix from the same TDOA grids (meters)
+    const hdop = gridHdop(tdoaMaps.map(t => ({ masterIndex: t.masterIndex, slaveIndex: t.slaveIndex, data: new Float32Array(t.data) })), nx, ny, gridBounds);
+    const dop = { nx, ny, hdop: hdop.buffer };
+
+    // Post result with transferable grid buffers to avoid copy
+    const transferList = [...tdoaMaps.map(t => t.data), dop.hdop];
+    self.postMessage({ cmd: 'gridResult', tdoaMaps, contours, receivers, dop }, transferList);
+
+  } catch (err) {
+    self.postMessage({ cmd: 'error', message: String(err), stack: err && err.stack });
+  }
+});
@@ -0,0 +1,26 @@
+// monteCarloWorker.js - module worker for Monte Carlo accuracy campaigns (see monteCarlo.js)
+// Receives message: { type: 'runCampaign', payload: { points: [{ label, lat, lng, solverMode?, observable? }],
+//   stations: { masters, slaves }, config, geodesicModel, snr: { noise?, tSec? } } }
+// Posts { type: 'progress', payload: { done, total } } after every test point, then
+// { type: 'result', payload: { results } } with one runPointCampaign result per point (east/north buffers are
+// transferred), or { type: 'error', payload: { message } }. Cancel by terminating the worker.
+
+import { runPointCampaign } from '../navigation/monteCarlo.js';
+
+self.onmessage = function(e) {
+  const msg = e.data;
+  if (!msg || msg.type !== 'runCampaign') return;
+  const { points, stations, config, geodesicModel, snr } = msg.payload;
+  try {
+    const results = [];
+    points.forEach((pt, i) => {
+      results.push(runPointCampaign(stations, pt, i, config, { geodesicModel, snr }));
+      self.postMessage({ type: 'progress', payload: { done: i + 1, total: points.length } });
+    });
+    const transfer = [];
+    results.forEach(r => { if (r.east) transfer.push(r.east.buffer, r.north.buffer); });
+    self.postMessage({ type: 'result', payload: { results } }, transfer);
+  } catch (err) {
+    self.postMessage({ type: 'error', payload: { message: err && err.message ? err.message : String(err) } });
+  }
+};